@@ -0,0 +1,105 @@
+// In-memory supplier API implementing the default contract of
+// RestSupplierAdapter, for trying supplier integrations locally.
+//
+//   npm run supplier-api-stub
+//   PUT /api/admin/suppliers/:id/integration
+//     { "apiEndpoint": "http://localhost:4010", "apiKey": "stub-key", "integrationMethods": ["api"] }
+//
+// POST /_stub/orders/:id/status { status, tracking_number, carrier } moves a
+// stub order along so the status poller has something to pick up.
+const express = require('express');
+const crypto = require('crypto');
+
+function createStubServer({ apiKey = 'stub-key', products = null } = {}) {
+  const app = express();
+  const orders = new Map();
+  const catalog = products || [
+    { external_product_id: 'STUB-TS-001', external_product_name: 'Basic T-Shirt', supplier_price: 6.5, supplier_currency: 'EUR', stock_quantity: 120, lead_time_days: 3, minimum_order_quantity: 1 },
+    { external_product_id: 'STUB-HD-002', external_product_name: 'Zip Hoodie', supplier_price: 18.9, supplier_currency: 'EUR', stock_quantity: 35, lead_time_days: 5, minimum_order_quantity: 1 },
+    { external_product_id: 'STUB-JN-003', external_product_name: 'Slim Jeans', supplier_price: 22, supplier_currency: 'EUR', stock_quantity: 0, lead_time_days: 7, minimum_order_quantity: 2 }
+  ];
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/_stub')) {
+      return next();
+    }
+    if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  });
+
+  const page = (items, req) => {
+    const pageNumber = parseInt(req.query.page ?? '1');
+    const limit = parseInt(req.query.limit ?? '100');
+    return { items: items.slice((pageNumber - 1) * limit, pageNumber * limit), page: pageNumber, total: items.length };
+  };
+
+  app.get('/products', (req, res) => res.json(page(catalog, req)));
+
+  app.get('/stock', (req, res) => res.json(page(catalog.map(product => ({
+    external_product_id: product.external_product_id,
+    stock_quantity: product.stock_quantity
+  })), req)));
+
+  app.post('/orders', (req, res) => {
+    if (!req.body || !Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return res.status(422).json({ error: 'Order has no items' });
+    }
+
+    const order = {
+      id: `STUB-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      status: 'acknowledged',
+      reference: req.body.supplierOrderId,
+      items: req.body.items,
+      shipping_address: req.body.shippingAddress,
+      tracking_number: null,
+      carrier: null,
+      created_at: new Date().toISOString()
+    };
+    orders.set(order.id, order);
+
+    res.status(201).json(order);
+  });
+
+  app.get('/orders/:id', (req, res) => {
+    const order = orders.get(req.params.id);
+    return order ? res.json(order) : res.status(404).json({ error: 'Order not found' });
+  });
+
+  app.post('/orders/:id/cancel', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    order.status = 'cancelled';
+    order.reason = req.body?.reason || null;
+    res.json(order);
+  });
+
+  app.post('/_stub/orders/:id/status', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    Object.assign(order, req.body);
+    res.json(order);
+  });
+
+  app.get('/_stub/orders', (req, res) => res.json([...orders.values()]));
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.SUPPLIER_API_STUB_PORT ?? '4010');
+  const apiKey = process.env.SUPPLIER_API_STUB_KEY || 'stub-key';
+
+  createStubServer({ apiKey }).listen(port, () => {
+    console.log(`Stub supplier API on http://localhost:${port} (Bearer ${apiKey})`);
+  });
+}
+
+module.exports = { createStubServer };
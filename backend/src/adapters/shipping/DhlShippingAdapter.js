@@ -0,0 +1,399 @@
+const ShippingAdapter = require('./ShippingAdapter');
+const { ShippingAdapterError } = require('./ShippingAdapter');
+
+const EU_COUNTRIES = ['DE', 'FR', 'ES', 'IT', 'PT', 'NL', 'BE', 'AT', 'PL', 'CZ', 'HU', 'RO', 'BG', 'HR', 'SK', 'SI', 'LT', 'LV', 'EE', 'CY', 'MT', 'LU', 'IE', 'DK', 'SE', 'FI'];
+
+// DHL Express (MyDHL API). Labels come back with the shipment; rates are live.
+class DhlShippingAdapter extends ShippingAdapter {
+  constructor({ httpClient, config = {} } = {}) {
+    super({
+      httpClient,
+      config: {
+        apiKey: process.env.DHL_API_KEY,
+        apiSecret: process.env.DHL_API_SECRET,
+        accountNumber: process.env.DHL_ACCOUNT_NUMBER,
+        baseUrl: process.env.DHL_BASE_URL || 'https://api-sandbox.dhl.com',
+        webhookSecret: process.env.DHL_WEBHOOK_SECRET,
+        ...config
+      }
+    });
+  }
+
+  static get carrier() {
+    return 'dhl';
+  }
+
+  static get displayName() {
+    return 'DHL';
+  }
+
+  // Product codes per service level; express is domestic (N) or worldwide (P)
+  static get products() {
+    return {
+      standard: 'U',
+      express: 'P',
+      domesticExpress: 'N'
+    };
+  }
+
+  static get economyProducts() {
+    return ['U', 'W', 'H'];
+  }
+
+  get isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  get supportsWebhooks() {
+    return Boolean(this.config.webhookSecret);
+  }
+
+  async call(operation, { method = 'GET', url, params, data }) {
+    return this.request(operation, {
+      baseURL: this.config.baseUrl,
+      url,
+      method,
+      params,
+      data,
+      headers: { 'DHL-API-Key': this.config.apiKey },
+      // MyDHL authenticates with key and secret; the tracking API with the key header
+      auth: this.config.apiSecret ? { username: this.config.apiKey, password: this.config.apiSecret } : undefined
+    });
+  }
+
+  errorMessage(data) {
+    return data?.detail || data?.message || data?.title || null;
+  }
+
+  productCodeOf(request) {
+    if (request.serviceCode) {
+      return request.serviceCode;
+    }
+    if (this.serviceLevelOf(request) === 'standard') {
+      return DhlShippingAdapter.products.standard;
+    }
+    return request.sender.countryCode === request.recipient.countryCode
+      ? DhlShippingAdapter.products.domesticExpress
+      : DhlShippingAdapter.products.express;
+  }
+
+  serviceLevelOfProduct(productCode) {
+    return DhlShippingAdapter.economyProducts.includes(productCode) ? 'standard' : 'express';
+  }
+
+  async createShipment(request) {
+    const data = await this.call('createShipment', {
+      method: 'POST',
+      url: '/shipments',
+      data: this.buildShipmentPayload(request)
+    });
+
+    const trackingNumber = data.shipmentTrackingNumber || data.packages?.[0]?.trackingNumber;
+    if (!trackingNumber) {
+      throw new ShippingAdapterError('DHL did not return a tracking number', { carrier: this.carrier, operation: 'createShipment' });
+    }
+
+    const label = (data.documents || []).find(document => document.typeCode === 'label') || data.documents?.[0];
+    const charge = data.shipmentCharges?.find(item => item.currencyType === 'BILLC') || data.shipmentCharges?.[0];
+    const productCode = this.productCodeOf(request);
+
+    return {
+      carrier: this.carrier,
+      externalShipmentId: data.shipmentTrackingNumber || trackingNumber,
+      trackingNumber,
+      serviceLevel: this.serviceLevelOfProduct(productCode),
+      serviceCode: productCode,
+      estimatedDeliveryDate: data.estimatedDeliveryDate?.estimatedDeliveryDate || null,
+      cost: charge ? { amount: parseFloat(charge.price), currency: charge.priceCurrency } : null,
+      label: label?.content ? { format: (label.imageFormat || 'PDF').toUpperCase(), data: label.content } : null,
+      raw: data
+    };
+  }
+
+  buildShipmentPayload(request) {
+    const { reference, sender, recipient, packages } = request;
+    const productCode = this.productCodeOf(request);
+
+    return {
+      plannedShippingDateAndTime: new Date().toISOString(),
+      pickup: {
+        isRequested: false
+      },
+      productCode,
+      localProductCode: productCode,
+      getRateEstimates: false,
+      accounts: [
+        {
+          typeCode: 'shipper',
+          number: this.config.accountNumber
+        }
+      ],
+      customerDetails: {
+        shipperDetails: this.party(sender),
+        receiverDetails: this.party(recipient)
+      },
+      content: {
+        packages: packages.map((pkg, index) => ({
+          typeCode: '2BP', // Customer Packaging
+          weight: pkg.weightKg,
+          dimensions: {
+            length: pkg.dimensions?.length || 20,
+            width: pkg.dimensions?.width || 15,
+            height: pkg.dimensions?.height || 5
+          },
+          customerReferences: [
+            {
+              value: `${reference}-${index + 1}`,
+              typeCode: 'CU' // Customer Reference
+            }
+          ]
+        })),
+        isCustomsDeclarable: this.isCustomsDeclarable(sender.countryCode, recipient.countryCode),
+        declaredValue: packages.reduce((sum, pkg) => sum + (pkg.declaredValue || 0), 0),
+        declaredValueCurrency: packages[0]?.currency || 'EUR',
+        description: 'Clothing and Fashion Items',
+        incoterms: 'DAP', // Delivered At Place
+        unitOfMeasurement: 'metric'
+      },
+      outputImageProperties: {
+        imageOptions: [
+          { typeCode: 'label', templateName: 'ECOM26_84_001', isRequested: true }
+        ]
+      }
+    };
+  }
+
+  party(address) {
+    return {
+      postalAddress: {
+        postalCode: address.postalCode,
+        cityName: address.city,
+        countryCode: address.countryCode,
+        provinceCode: address.state || undefined,
+        addressLine1: address.addressLine1,
+        addressLine2: address.addressLine2 || undefined
+      },
+      contactInformation: {
+        email: address.email,
+        phone: address.phone,
+        companyName: address.companyName || address.name,
+        fullName: address.name || address.companyName
+      }
+    };
+  }
+
+  // Check if customs declaration is required
+  isCustomsDeclarable(senderCountry, recipientCountry) {
+    return !(EU_COUNTRIES.includes(senderCountry) && EU_COUNTRIES.includes(recipientCountry));
+  }
+
+  async getTrackingInfo(trackingNumber) {
+    const data = await this.call('getTrackingInfo', {
+      url: '/track/shipments',
+      params: { trackingNumber }
+    });
+
+    const shipment = data.shipments?.[0];
+    if (!shipment) {
+      throw new ShippingAdapterError('Shipment not found', { carrier: this.carrier, operation: 'getTrackingInfo', status: 404 });
+    }
+
+    return { ...this.mapShipment(shipment, trackingNumber), raw: data };
+  }
+
+  // A shipment of the tracking API, as pulled or pushed
+  mapShipment(shipment, trackingNumber = shipment.id) {
+    return {
+      carrier: this.carrier,
+      trackingNumber,
+      status: this.mapStatus(shipment.status?.statusCode),
+      statusDescription: shipment.status?.description || null,
+      estimatedDeliveryDate: shipment.estimatedTimeOfDelivery || shipment.estimatedDeliveryDate || null,
+      origin: this.mapLocation(shipment.origin),
+      destination: this.mapLocation(shipment.destination),
+      events: this.mapTrackingEvents(shipment.events || [])
+    };
+  }
+
+  // Pushes are signed with an HMAC-SHA256 (base64) of the body in X-DHL-Signature
+  verifyWebhook(rawBody, headers) {
+    return this.signatureMatches(rawBody, headers['x-dhl-signature'], this.config.webhookSecret, 'base64');
+  }
+
+  // Pushes carry the same shipments as the tracking API
+  parseWebhook(payload) {
+    return (payload?.shipments || [])
+      .filter(shipment => shipment.id)
+      .map(shipment => this.mapShipment(shipment));
+  }
+
+  mapStatus(statusCode) {
+    return this.normalizeStatus(statusCode, {
+      'pre-transit': 'pending',
+      transit: 'in_transit',
+      delivered: 'delivered',
+      failure: 'exception',
+      exception: 'exception',
+      unknown: 'unknown'
+    });
+  }
+
+  mapTrackingEvents(events) {
+    return this.sortEvents(events.map(event => ({
+      timestamp: event.timestamp,
+      status: this.mapStatus(event.statusCode),
+      code: event.statusCode || null,
+      description: event.description || event.status || null,
+      location: this.mapLocation(event.location)
+    })));
+  }
+
+  mapLocation(location) {
+    if (!location?.address) {
+      return null;
+    }
+    return {
+      city: location.address.addressLocality || location.address.cityName || null,
+      postalCode: location.address.postalCode || null,
+      country: location.address.countryCode || null
+    };
+  }
+
+  async calculateRates(request) {
+    const { sender, recipient, packages } = request;
+
+    const data = await this.call('calculateRates', {
+      method: 'POST',
+      url: '/rates',
+      data: {
+        customerDetails: {
+          shipperDetails: {
+            postalCode: sender.postalCode,
+            cityName: sender.city,
+            countryCode: sender.countryCode
+          },
+          receiverDetails: {
+            postalCode: recipient.postalCode,
+            cityName: recipient.city,
+            countryCode: recipient.countryCode
+          }
+        },
+        accounts: [
+          {
+            typeCode: 'shipper',
+            number: this.config.accountNumber
+          }
+        ],
+        plannedShippingDateAndTime: new Date().toISOString(),
+        unitOfMeasurement: 'metric',
+        isCustomsDeclarable: this.isCustomsDeclarable(sender.countryCode, recipient.countryCode),
+        monetaryAmount: [{
+          typeCode: 'declaredValue',
+          value: packages.reduce((sum, pkg) => sum + (pkg.declaredValue || 0), 0),
+          currency: packages[0]?.currency || 'EUR'
+        }],
+        packages: packages.map(pkg => ({
+          weight: pkg.weightKg,
+          dimensions: pkg.dimensions || {
+            length: 20,
+            width: 15,
+            height: 5
+          }
+        }))
+      }
+    });
+
+    return (data.products || [])
+      .map(product => {
+        // Billing currency is what the account is charged in
+        const price = product.totalPrice?.find(item => item.currencyType === 'BILLC') || product.totalPrice?.[0];
+        const transitDays = product.deliveryCapabilities?.totalTransitDays;
+
+        return {
+          carrier: this.carrier,
+          serviceCode: product.productCode,
+          serviceName: `DHL ${product.productName}`,
+          serviceLevel: this.serviceLevelOfProduct(product.productCode),
+          amount: price ? parseFloat(price.price) : null,
+          currency: price?.priceCurrency || null,
+          transitDaysMin: transitDays != null ? parseInt(transitDays) : null,
+          transitDaysMax: transitDays != null ? parseInt(transitDays) : null,
+          estimatedDeliveryDate: product.deliveryCapabilities?.estimatedDeliveryDateAndTime || null,
+          live: true
+        };
+      })
+      .filter(rate => rate.amount !== null);
+  }
+
+  async cancelShipment(shipment, reason = null) {
+    await this.call('cancelShipment', {
+      method: 'DELETE',
+      url: `/shipments/${encodeURIComponent(shipment.external_shipment_id)}`,
+      data: {
+        plannedShippingDateAndTime: new Date().toISOString(),
+        reason: reason || 'Customer request'
+      }
+    });
+
+    return { cancelled: true, carrierCancelled: true };
+  }
+
+  // The label is returned with the shipment; afterwards it can be fetched again as an image
+  async generateLabel(shipment, { format = 'PDF' } = {}) {
+    const data = await this.call('generateLabel', {
+      url: `/shipments/${encodeURIComponent(shipment.external_shipment_id)}/get-image`,
+      params: { typeCode: 'label', pickupYearAndMonth: new Date(shipment.created_at).toISOString().slice(0, 7) }
+    });
+
+    const document = data.documents?.find(item => (item.imageFormat || 'PDF').toUpperCase() === format.toUpperCase()) || data.documents?.[0];
+    if (!document?.content) {
+      throw new ShippingAdapterError('DHL returned no label', { carrier: this.carrier, operation: 'generateLabel' });
+    }
+
+    return { format: (document.imageFormat || 'PDF').toUpperCase(), data: document.content };
+  }
+
+  async getAvailableServices(origin, destination) {
+    const data = await this.call('getAvailableServices', {
+      url: '/products',
+      params: {
+        originCountryCode: origin.countryCode,
+        originCityName: origin.city,
+        originPostalCode: origin.postalCode,
+        destinationCountryCode: destination.countryCode,
+        destinationCityName: destination.city,
+        destinationPostalCode: destination.postalCode,
+        accountNumber: this.config.accountNumber,
+        plannedShippingDate: new Date().toISOString().split('T')[0]
+      }
+    });
+
+    return (data.products || []).map(product => ({
+      code: product.productCode,
+      name: product.productName,
+      description: product.localProductName,
+      serviceLevel: this.serviceLevelOfProduct(product.productCode),
+      estimatedDays: product.totalTransitDays
+    }));
+  }
+
+  async validateAddress(address) {
+    const data = await this.call('validateAddress', {
+      url: '/address-validate',
+      params: {
+        type: 'delivery',
+        countryCode: address.countryCode,
+        postalCode: address.postalCode,
+        cityName: address.city
+      }
+    });
+
+    return {
+      isValid: Array.isArray(data.address) ? data.address.length > 0 : Boolean(data.address),
+      suggestedAddress: Array.isArray(data.address) ? data.address[0] || null : data.address || null,
+      warnings: data.warnings || []
+    };
+  }
+}
+
+module.exports = DhlShippingAdapter;
@@ -0,0 +1,261 @@
+const ShippingAdapter = require('./ShippingAdapter');
+const { ShippingAdapterError } = require('./ShippingAdapter');
+
+// DPD Cloud Webservice (JSON). Orders return the label right away; DPD has
+// no rate or cancellation API, so quotes come from DPD_TARIFF and unused
+// parcel numbers simply expire.
+class DpdShippingAdapter extends ShippingAdapter {
+  constructor({ httpClient, config = {} } = {}) {
+    super({
+      httpClient,
+      config: {
+        baseUrl: process.env.DPD_BASE_URL || 'https://cloud-stage.dpd.com/api/v1',
+        partnerName: process.env.DPD_PARTNER_NAME,
+        partnerToken: process.env.DPD_PARTNER_TOKEN,
+        userId: process.env.DPD_USER_ID,
+        userToken: process.env.DPD_USER_TOKEN,
+        webhookSecret: process.env.DPD_WEBHOOK_SECRET,
+        tariff: process.env.DPD_TARIFF ? JSON.parse(process.env.DPD_TARIFF) : DpdShippingAdapter.defaultTariff,
+        ...config
+      }
+    });
+  }
+
+  static get carrier() {
+    return 'dpd';
+  }
+
+  static get displayName() {
+    return 'DPD';
+  }
+
+  static get defaultTariff() {
+    return {
+      currency: 'EUR',
+      standard: { code: 'Classic', name: 'Classic', base: 5.2, perKg: 0.35, transitDays: [1, 2] },
+      express: { code: 'Express_12', name: 'Express 12', base: 14.9, perKg: 0.6, transitDays: [1, 1] },
+      international: { multiplier: 1.8, extraDays: 2 }
+    };
+  }
+
+  get isConfigured() {
+    return Boolean(this.config.userId && this.config.userToken);
+  }
+
+  async call(operation, { method = 'GET', url, data }) {
+    const response = await this.request(operation, {
+      baseURL: this.config.baseUrl,
+      url,
+      method,
+      data,
+      headers: {
+        PartnerCredentials: JSON.stringify({ Name: this.config.partnerName, Token: this.config.partnerToken }),
+        UserCredentials: JSON.stringify({ cloudUserID: this.config.userId, Token: this.config.userToken })
+      }
+    });
+
+    // DPD answers 200 with Ack = false on business errors
+    if (response && response.Ack === false) {
+      const error = response.ErrorDataList?.[0];
+      throw new ShippingAdapterError(error ? `DPD: ${error.ErrorMsgLong || error.ErrorMsgShort}` : 'DPD rejected the request', {
+        carrier: this.carrier,
+        operation,
+        status: 422
+      });
+    }
+
+    return response;
+  }
+
+  get supportsWebhooks() {
+    return Boolean(this.config.webhookSecret);
+  }
+
+  errorMessage(data) {
+    const error = data?.ErrorDataList?.[0];
+    return error ? `DPD: ${error.ErrorMsgLong || error.ErrorMsgShort}` : null;
+  }
+
+  serviceOf(request) {
+    if (request.serviceCode) {
+      return request.serviceCode;
+    }
+    return this.config.tariff[this.serviceLevelOf(request)]?.code || 'Classic';
+  }
+
+  serviceLevelOfService(service) {
+    return String(service).startsWith('Express') ? 'express' : 'standard';
+  }
+
+  async createShipment(request) {
+    const { reference, recipient, packages } = request;
+    const { street, houseNumber } = this.splitStreet(recipient.addressLine1);
+    const service = this.serviceOf(request);
+
+    const data = await this.call('createShipment', {
+      method: 'POST',
+      url: '/setOrder',
+      data: {
+        OrderAction: 'startOrder',
+        OrderSettings: {
+          ShipDate: new Date().toISOString().slice(0, 10),
+          LabelSize: 'PDF_A6',
+          LabelStartPosition: 'UpperLeft'
+        },
+        OrderDataList: packages.map((pkg, index) => ({
+          ShipAddress: {
+            Company: recipient.companyName || '',
+            Name: recipient.name,
+            Street: street,
+            HouseNo: houseNumber,
+            ZipCode: recipient.postalCode,
+            City: recipient.city,
+            Country: recipient.countryCode,
+            State: recipient.state || '',
+            Phone: recipient.phone || '',
+            Mail: recipient.email || ''
+          },
+          ParcelData: {
+            YourInternalID: `${reference}-${index + 1}`,
+            Content: 'Clothing',
+            // DPD expects decagrams
+            Weight: Math.max(Math.round((pkg.weightKg || 0) * 100), 1),
+            Reference1: String(reference).slice(0, 35),
+            ShipService: service
+          }
+        }))
+      }
+    });
+
+    const parcels = data.LabelResponse?.LabelDataList || [];
+    if (parcels.length === 0) {
+      throw new ShippingAdapterError('DPD did not return a parcel number', { carrier: this.carrier, operation: 'createShipment' });
+    }
+
+    return {
+      carrier: this.carrier,
+      externalShipmentId: parcels[0].ParcelNo,
+      trackingNumber: parcels[0].ParcelNo,
+      serviceLevel: this.serviceLevelOfService(service),
+      serviceCode: service,
+      estimatedDeliveryDate: null,
+      cost: null,
+      label: data.LabelResponse?.LabelPDF ? { format: 'PDF', data: data.LabelResponse.LabelPDF } : null,
+      raw: data
+    };
+  }
+
+  async getTrackingInfo(trackingNumber) {
+    const data = await this.call('getTrackingInfo', {
+      url: `/ParcelLifeCycle/${encodeURIComponent(trackingNumber)}`
+    });
+
+    const lifeCycle = data.ParcelLifeCycleResponse?.ParcelLifeCycleData;
+    if (!lifeCycle) {
+      throw new ShippingAdapterError('Shipment not found', { carrier: this.carrier, operation: 'getTrackingInfo', status: 404 });
+    }
+
+    const current = (lifeCycle.statusInfo || []).find(status => status.isCurrentStatus);
+    const events = (lifeCycle.scanInfo?.scan || []).map(scan => ({
+      timestamp: scan.date,
+      status: this.mapStatus(scan.scanData?.scanType?.name),
+      code: scan.scanData?.scanType?.name || null,
+      description: scan.scanDescription?.content?.join(' ') || null,
+      location: scan.scanData?.location ? {
+        city: scan.scanData.location,
+        postalCode: null,
+        country: scan.scanData.country || null
+      } : null
+    }));
+
+    return {
+      carrier: this.carrier,
+      trackingNumber,
+      status: this.mapStatus(current?.status),
+      statusDescription: current?.label?.content || current?.description?.content?.join(' ') || null,
+      estimatedDeliveryDate: lifeCycle.shipmentInfo?.predictDate || null,
+      origin: null,
+      destination: null,
+      events: this.sortEvents(events),
+      raw: data
+    };
+  }
+
+  // Pushes are signed with an HMAC-SHA256 (hex) of the body in X-DPD-Signature
+  verifyWebhook(rawBody, headers) {
+    return this.signatureMatches(rawBody, headers['x-dpd-signature'], this.config.webhookSecret, 'hex');
+  }
+
+  // DPD push service: one status per parcel,
+  // { pnr, status, statusdate: 'ddMMyyyyHHmmss', depot, country, description }, alone or as a list
+  parseWebhook(payload) {
+    const pushes = Array.isArray(payload) ? payload : [payload];
+
+    return pushes
+      .filter(push => push?.pnr)
+      .map(push => {
+        const status = this.mapStatus(push.status);
+        return {
+          carrier: this.carrier,
+          trackingNumber: String(push.pnr),
+          status,
+          statusDescription: push.description || null,
+          estimatedDeliveryDate: null,
+          origin: null,
+          destination: null,
+          events: [{
+            timestamp: this.parsePushDate(push.statusdate),
+            status,
+            code: push.status || null,
+            description: push.description || null,
+            location: push.depot ? { city: push.depot, postalCode: null, country: push.country || null } : null
+          }]
+        };
+      });
+  }
+
+  // ddMMyyyyHHmmss (German local time) -> ISO date without offset
+  parsePushDate(value) {
+    const match = String(value || '').match(/^(\d{2})(\d{2})(\d{4})(\d{2})(\d{2})(\d{2})$/);
+    if (!match) {
+      return value || new Date().toISOString();
+    }
+    const [, day, month, year, hours, minutes, seconds] = match;
+    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+  }
+
+  mapStatus(code) {
+    return this.normalizeStatus(code, {
+      ACCEPTED: 'pending',
+      AT_SENDING_DEPOT: 'in_transit',
+      ON_THE_ROAD: 'in_transit',
+      AT_DELIVERY_DEPOT: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      DELIVERED_PARCELSHOP: 'delivered',
+      DELIVERY_FAILED: 'exception',
+      NOT_DELIVERED: 'exception',
+      RETURN: 'returned',
+      RETURNED: 'returned'
+    });
+  }
+
+  async calculateRates(request) {
+    return this.estimateRates(request, this.config.tariff);
+  }
+
+  // Nothing to call: a parcel number that is never scanned is not charged
+  async cancelShipment(shipment, reason = null) {
+    return { cancelled: true, carrierCancelled: false };
+  }
+
+  // Labels are only returned by setOrder, so they have to be stored when the shipment is created
+  async generateLabel(shipment, { format = 'PDF' } = {}) {
+    throw new ShippingAdapterError('DPD labels can only be retrieved when the shipment is created', {
+      carrier: this.carrier,
+      operation: 'generateLabel'
+    });
+  }
+}
+
+module.exports = DpdShippingAdapter;
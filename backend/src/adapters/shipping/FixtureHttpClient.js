@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// axios-compatible client that answers from recorded carrier responses in
+// fixtures/<carrier>.json instead of calling the carrier:
+//
+//   { "POST /shipments": { "status": 201, "data": { ... } },
+//     "GET /track/shipments": { "status": 200, "data": { ... } },
+//     "DELETE /shipments/{id}": { "status": 200, "data": {} } }
+//
+// Keys are method and path without base URL or query; {name} matches one path
+// segment. Used with SHIPPING_ADAPTER_MODE=fixtures and to exercise adapters offline.
+class FixtureHttpClient {
+  constructor(carrier, { fixturesDir = path.join(__dirname, 'fixtures') } = {}) {
+    this.carrier = carrier;
+    this.fixtures = JSON.parse(fs.readFileSync(path.join(fixturesDir, `${carrier}.json`), 'utf8'));
+    this.requests = [];
+  }
+
+  // Path relative to the base URL; absolute URLs (e.g. OAuth token endpoints) keep their full path
+  pathOf(config) {
+    if (/^https?:/.test(config.url)) {
+      return new URL(config.url).pathname;
+    }
+    const basePath = config.baseURL ? new URL(config.baseURL).pathname.replace(/\/$/, '') : '';
+    const url = new URL(`${basePath}/${config.url.replace(/^\//, '')}`, 'http://fixture.local');
+    return url.pathname.slice(basePath.length) || '/';
+  }
+
+  find(method, pathname) {
+    for (const [key, fixture] of Object.entries(this.fixtures)) {
+      const [fixtureMethod, fixturePath] = key.split(' ');
+      if (fixtureMethod !== method) {
+        continue;
+      }
+      const pattern = new RegExp(`^${fixturePath.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\w+\}/g, '[^/]+')}$`);
+      if (pattern.test(pathname)) {
+        return fixture;
+      }
+    }
+    return null;
+  }
+
+  async request(config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const pathname = this.pathOf(config);
+    this.requests.push({ method, path: pathname, params: config.params, data: config.data });
+
+    const fixture = this.find(method, pathname);
+    const response = fixture
+      ? { status: fixture.status || 200, data: fixture.data, config }
+      : { status: 404, data: { message: `No ${this.carrier} fixture for ${method} ${pathname}` }, config };
+
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      error.config = config;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+module.exports = FixtureHttpClient;
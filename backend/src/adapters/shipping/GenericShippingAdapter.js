@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const ShippingAdapter = require('./ShippingAdapter');
+const { ShippingAdapterError } = require('./ShippingAdapter');
+const code128 = require('../../utils/code128');
+
+// Fallback for carriers without an integration: the parcel is handed over
+// with our own label (4x6", PDF or ZPL, Code 128 barcode of the reference).
+// Staff can pass the carrier's tracking number (request.trackingNumber);
+// otherwise an internal reference is generated. Nothing can be tracked at a
+// carrier, so getTrackingInfo only reports the shipment as pending.
+class GenericShippingAdapter extends ShippingAdapter {
+  constructor({ httpClient, config = {} } = {}) {
+    super({
+      httpClient,
+      config: {
+        tariff: process.env.GENERIC_SHIPPING_TARIFF ? JSON.parse(process.env.GENERIC_SHIPPING_TARIFF) : GenericShippingAdapter.defaultTariff,
+        ...config
+      }
+    });
+  }
+
+  static get carrier() {
+    return 'generic';
+  }
+
+  static get displayName() {
+    return 'Standard Post';
+  }
+
+  get rendersLabels() {
+    return true;
+  }
+
+  get tracksShipments() {
+    return false;
+  }
+
+  static get defaultTariff() {
+    return {
+      currency: 'EUR',
+      standard: { code: 'manual', name: 'Parcel', base: 6.5, perKg: 0.5, transitDays: [3, 5] },
+      international: { multiplier: 1.6, extraDays: 4 }
+    };
+  }
+
+  async createShipment(request) {
+    const reference = request.trackingNumber ||
+      `GEN${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+    const label = await this.renderPdfLabel({
+      trackingNumber: reference,
+      reference: request.reference,
+      sender: request.sender,
+      recipient: request.recipient,
+      weightKg: this.totalWeightKg(request.packages || [])
+    });
+
+    return {
+      carrier: this.carrier,
+      externalShipmentId: reference,
+      trackingNumber: reference,
+      serviceLevel: 'standard',
+      serviceCode: request.serviceCode || this.config.tariff.standard.code,
+      estimatedDeliveryDate: null,
+      cost: null,
+      label: { format: 'PDF', data: label.toString('base64') },
+      raw: { carrierName: request.carrierName || null }
+    };
+  }
+
+  async getTrackingInfo(trackingNumber) {
+    return {
+      carrier: this.carrier,
+      trackingNumber,
+      status: 'pending',
+      statusDescription: 'Handed over without carrier tracking',
+      estimatedDeliveryDate: null,
+      origin: null,
+      destination: null,
+      events: [],
+      raw: null
+    };
+  }
+
+  async calculateRates(request) {
+    return this.estimateRates(request, this.config.tariff);
+  }
+
+  async cancelShipment(shipment, reason = null) {
+    return { cancelled: true, carrierCancelled: false };
+  }
+
+  async generateLabel(shipment, { format = 'PDF', sender = null, recipient = null, reference = null } = {}) {
+    if (!sender || !recipient) {
+      throw new ShippingAdapterError('Sender and recipient are needed to render a label', {
+        carrier: this.carrier,
+        operation: 'generateLabel'
+      });
+    }
+
+    const details = {
+      trackingNumber: shipment.tracking_number,
+      reference,
+      sender,
+      recipient,
+      weightKg: this.totalWeightKg(shipment.packages || [])
+    };
+
+    if (format.toUpperCase() === 'ZPL') {
+      return { format: 'ZPL', data: Buffer.from(this.renderZplLabel(details), 'utf8').toString('base64') };
+    }
+
+    return { format: 'PDF', data: (await this.renderPdfLabel(details)).toString('base64') };
+  }
+
+  addressLines(address = {}) {
+    return [
+      address.companyName && address.companyName !== address.name ? address.companyName : null,
+      address.name,
+      address.addressLine1,
+      address.addressLine2,
+      [address.postalCode, address.city].filter(Boolean).join(' '),
+      [address.state, address.countryCode].filter(Boolean).join(', ')
+    ].filter(Boolean);
+  }
+
+  // 4x6" label: sender, recipient, barcode of the tracking reference
+  renderPdfLabel({ trackingNumber, reference, sender, recipient, weightKg }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [288, 432], margin: 14 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      doc.font('Helvetica-Bold').fontSize(14).text(this.displayName, left, 14);
+      doc.font('Helvetica').fontSize(7).text('FROM', left, 38);
+      doc.fontSize(8).text(this.addressLines(sender).join('\n'), left, 48, { width });
+
+      doc.moveTo(left, 120).lineTo(left + width, 120).stroke();
+      doc.font('Helvetica').fontSize(7).text('TO', left, 128);
+      doc.font('Helvetica-Bold').fontSize(12).text(this.addressLines(recipient).join('\n'), left, 140, { width });
+
+      doc.moveTo(left, 270).lineTo(left + width, 270).stroke();
+
+      // Scale the barcode to the label width, at most 2pt per module
+      const barcode = code128.toBars(trackingNumber);
+      const moduleWidth = Math.min(2, width / barcode.width);
+      const barcodeLeft = left + (width - barcode.width * moduleWidth) / 2;
+      for (const bar of barcode.bars) {
+        doc.rect(barcodeLeft + bar.x * moduleWidth, 284, bar.width * moduleWidth, 70).fill('black');
+      }
+      doc.font('Helvetica-Bold').fontSize(11).text(trackingNumber, left, 360, { width, align: 'center' });
+
+      doc.font('Helvetica').fontSize(8).text(
+        [reference ? `Ref: ${reference}` : null, weightKg ? `Weight: ${weightKg.toFixed(2)} kg` : null].filter(Boolean).join('   '),
+        left, 390, { width, align: 'center' }
+      );
+
+      doc.end();
+    });
+  }
+
+  // Same layout for thermal printers (203 dpi, 812 x 1218 dots)
+  renderZplLabel({ trackingNumber, reference, sender, recipient, weightKg }) {
+    // ^ and ~ start ZPL commands; \& breaks lines inside a field block
+    const field = (lines) => [].concat(lines).map(line => String(line).replace(/[\^~\\]/g, ' ')).join('\\&');
+    const footer = [reference ? `Ref: ${reference}` : null, weightKg ? `Weight: ${weightKg.toFixed(2)} kg` : null].filter(Boolean);
+
+    return [
+      '^XA',
+      '^CI28',
+      `^FO40,40^A0N,44,44^FD${field(this.displayName)}^FS`,
+      '^FO40,110^A0N,22,22^FDFROM^FS',
+      `^FO40,140^A0N,26,26^FB730,6,4,L^FD${field(this.addressLines(sender))}^FS`,
+      '^FO40,330^GB730,3,3^FS',
+      '^FO40,350^A0N,22,22^FDTO^FS',
+      `^FO40,385^A0N,40,40^FB730,6,6,L^FD${field(this.addressLines(recipient))}^FS`,
+      '^FO40,700^GB730,3,3^FS',
+      `^FO60,740^BY3^BCN,220,Y,N,N^FD${field(trackingNumber)}^FS`,
+      footer.length > 0 ? `^FO40,1080^A0N,26,26^FB730,1,0,C^FD${field(footer.join('   '))}^FS` : null,
+      '^XZ'
+    ].filter(Boolean).join('\n');
+  }
+}
+
+module.exports = GenericShippingAdapter;
@@ -0,0 +1,231 @@
+const ShippingAdapter = require('./ShippingAdapter');
+const { ShippingAdapterError } = require('./ShippingAdapter');
+
+// Hermes Germany shipping interface (HSI, REST with OAuth2). Shipment orders
+// return the label; there is no rate API, so quotes come from HERMES_TARIFF.
+class HermesShippingAdapter extends ShippingAdapter {
+  constructor({ httpClient, config = {} } = {}) {
+    super({
+      httpClient,
+      config: {
+        baseUrl: process.env.HERMES_BASE_URL || 'https://de-api-int.hermesworld.com/services/hsi',
+        authUrl: process.env.HERMES_AUTH_URL || 'https://authme-int.myhermes.de/authorization-facade/oauth2/access_token',
+        clientId: process.env.HERMES_CLIENT_ID,
+        clientSecret: process.env.HERMES_CLIENT_SECRET,
+        username: process.env.HERMES_USERNAME,
+        password: process.env.HERMES_PASSWORD,
+        tariff: process.env.HERMES_TARIFF ? JSON.parse(process.env.HERMES_TARIFF) : HermesShippingAdapter.defaultTariff,
+        ...config
+      }
+    });
+    this.token = null;
+  }
+
+  static get carrier() {
+    return 'hermes';
+  }
+
+  static get displayName() {
+    return 'Hermes';
+  }
+
+  // Hermes has no express product; next-day delivery is the "NEXT_DAY" service
+  static get defaultTariff() {
+    return {
+      currency: 'EUR',
+      standard: { code: 'STANDARD', name: 'Paket', base: 4.3, perKg: 0.25, transitDays: [2, 3] },
+      express: { code: 'NEXT_DAY', name: 'Next Day', base: 9.9, perKg: 0.4, transitDays: [1, 1] },
+      international: { multiplier: 2.1, extraDays: 3 }
+    };
+  }
+
+  get isConfigured() {
+    return Boolean(this.config.clientId && this.config.username);
+  }
+
+  // Tokens are cached until shortly before they expire
+  async accessToken() {
+    if (this.token && this.token.expiresAt > Date.now() + 60000) {
+      return this.token.value;
+    }
+
+    const data = await this.request('authenticate', {
+      url: this.config.authUrl,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      data: new URLSearchParams({
+        grant_type: 'password',
+        client_id: this.config.clientId || '',
+        client_secret: this.config.clientSecret || '',
+        username: this.config.username || '',
+        password: this.config.password || ''
+      }).toString()
+    });
+
+    this.token = { value: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+    return this.token.value;
+  }
+
+  async call(operation, { method = 'GET', url, params, data, headers = {} }) {
+    const token = await this.accessToken();
+
+    return this.request(operation, {
+      baseURL: this.config.baseUrl,
+      url,
+      method,
+      params,
+      data,
+      headers: { Authorization: `Bearer ${token}`, ...headers }
+    });
+  }
+
+  errorMessage(data) {
+    const error = data?.listOfResultCodes?.[0];
+    return error ? `Hermes: ${error.message || error.code}` : (data?.message || null);
+  }
+
+  serviceOf(request) {
+    if (request.serviceCode) {
+      return request.serviceCode;
+    }
+    return this.config.tariff[this.serviceLevelOf(request)]?.code || 'STANDARD';
+  }
+
+  async createShipment(request) {
+    const { reference, recipient, packages } = request;
+    const { street, houseNumber } = this.splitStreet(recipient.addressLine1);
+    const { firstName, lastName } = this.splitName(recipient.name);
+    const service = this.serviceOf(request);
+
+    if (packages.length > 1) {
+      throw new ShippingAdapterError('Hermes shipment orders carry one parcel; create one shipment per parcel', {
+        carrier: this.carrier,
+        operation: 'createShipment',
+        status: 422
+      });
+    }
+
+    const data = await this.call('createShipment', {
+      method: 'POST',
+      url: '/shipmentorders/labels',
+      data: {
+        clientReference: String(reference).slice(0, 20),
+        receiverName: { firstname: firstName, lastname: lastName },
+        receiverAddress: {
+          street,
+          houseNumber,
+          zipCode: recipient.postalCode,
+          town: recipient.city,
+          countryCode: recipient.countryCode,
+          addressAddition: recipient.addressLine2 || undefined
+        },
+        receiverContact: {
+          phone: recipient.phone || undefined,
+          mail: recipient.email || undefined
+        },
+        parcel: {
+          // Hermes expects grams
+          parcelWeight: Math.max(Math.round((packages[0].weightKg || 0) * 1000), 1)
+        },
+        service: service === 'NEXT_DAY' ? { nextDayService: true } : {}
+      }
+    });
+
+    if (!data.shipmentID) {
+      throw new ShippingAdapterError('Hermes did not return a shipment ID', { carrier: this.carrier, operation: 'createShipment' });
+    }
+
+    return {
+      carrier: this.carrier,
+      externalShipmentId: data.shipmentOrderID || data.shipmentID,
+      trackingNumber: data.shipmentID,
+      serviceLevel: service === 'NEXT_DAY' ? 'express' : 'standard',
+      serviceCode: service,
+      estimatedDeliveryDate: null,
+      cost: null,
+      label: data.labelImage ? { format: (data.labelMediatype || 'application/pdf').includes('zpl') ? 'ZPL' : 'PDF', data: data.labelImage } : null,
+      raw: data
+    };
+  }
+
+  async getTrackingInfo(trackingNumber) {
+    const data = await this.call('getTrackingInfo', {
+      url: '/shipmentinfo',
+      params: { shipmentID: trackingNumber }
+    });
+
+    const info = (data.shipmentinfo || []).find(item => item.shipmentID === trackingNumber) || data.shipmentinfo?.[0];
+    if (!info) {
+      throw new ShippingAdapterError('Shipment not found', { carrier: this.carrier, operation: 'getTrackingInfo', status: 404 });
+    }
+
+    const events = this.sortEvents((info.status || []).map(status => ({
+      timestamp: status.timestamp,
+      status: this.mapStatus(status.code),
+      code: status.code || null,
+      description: status.description || null,
+      location: status.location ? {
+        city: status.location.town || null,
+        postalCode: status.location.zipCode || null,
+        country: status.location.countryCode || null
+      } : null
+    })));
+
+    return {
+      carrier: this.carrier,
+      trackingNumber,
+      status: events[0]?.status || 'pending',
+      statusDescription: events[0]?.description || null,
+      estimatedDeliveryDate: info.expectedDeliveryDate || null,
+      origin: null,
+      destination: null,
+      events,
+      raw: data
+    };
+  }
+
+  // Event codes of the shipment info; anything unknown maps to "unknown"
+  mapStatus(code) {
+    return this.normalizeStatus(code, {
+      ANNOUNCED: 'pending',
+      PICKED_UP: 'in_transit',
+      IN_TRANSIT: 'in_transit',
+      AT_DELIVERY_BASE: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      DELIVERED_NEIGHBOUR: 'delivered',
+      DELIVERED_PARCELSHOP: 'delivered',
+      NOT_DELIVERED: 'exception',
+      DAMAGED: 'exception',
+      RETURN_TO_SENDER: 'returned'
+    });
+  }
+
+  async calculateRates(request) {
+    return this.estimateRates(request, this.config.tariff);
+  }
+
+  async cancelShipment(shipment, reason = null) {
+    await this.call('cancelShipment', {
+      method: 'DELETE',
+      url: `/shipmentorders/${encodeURIComponent(shipment.external_shipment_id)}`
+    });
+
+    return { cancelled: true, carrierCancelled: true };
+  }
+
+  async generateLabel(shipment, { format = 'PDF' } = {}) {
+    const data = await this.call('generateLabel', {
+      url: `/shipmentorders/${encodeURIComponent(shipment.external_shipment_id)}/labels`,
+      params: { format: format.toUpperCase() }
+    });
+
+    if (!data?.labelImage) {
+      throw new ShippingAdapterError('Hermes returned no label', { carrier: this.carrier, operation: 'generateLabel' });
+    }
+
+    return { format: format.toUpperCase(), data: data.labelImage };
+  }
+}
+
+module.exports = HermesShippingAdapter;
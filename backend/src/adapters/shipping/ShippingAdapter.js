@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+// Raised by adapters when the carrier refuses a request or cannot be reached
+class ShippingAdapterError extends Error {
+  constructor(message, { carrier = null, operation = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ShippingAdapterError';
+    this.statusCode = 502;
+    this.carrier = carrier;
+    this.operation = operation;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Normalized tracking statuses every adapter maps its carrier's codes to
+const TRACKING_STATUSES = ['pending', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned', 'unknown'];
+
+const SERVICE_LEVELS = ['standard', 'express'];
+
+// Contract every carrier integration implements. Adapters exchange these
+// normalized shapes and translate them to the carrier's own API:
+//
+//   address:
+//     { name, companyName, addressLine1, addressLine2, postalCode, city, state, countryCode, email, phone }
+//   shipment request (createShipment / calculateRates input):
+//     { reference, serviceLevel, serviceCode, sender: address, recipient: address,
+//       packages: [{ weightKg, dimensions: { length, width, height }, declaredValue, currency }] }
+//     serviceCode (a rate's serviceCode) wins over serviceLevel when given
+//   shipment (createShipment result):
+//     { carrier, externalShipmentId, trackingNumber, serviceLevel, serviceCode,
+//       estimatedDeliveryDate, cost: { amount, currency } | null, label: { format, data } | null, raw }
+//     label.data is base64
+//   tracking (getTrackingInfo result):
+//     { carrier, trackingNumber, status, statusDescription, estimatedDeliveryDate, origin, destination,
+//       events: [{ timestamp, status, code, description, location }], raw }
+//     location, origin and destination are { city, postalCode, country } | null;
+//     status is one of TRACKING_STATUSES; events are newest first
+//   rate (calculateRates result items):
+//     { carrier, serviceCode, serviceName, serviceLevel, amount, currency,
+//       transitDaysMin, transitDaysMax, estimatedDeliveryDate, live }
+//     live = false for quotes estimated from the configured tariff
+//   webhook (parseWebhook result):
+//     [tracking] without raw, one per parcel in the push; events may be just the new ones
+class ShippingAdapter {
+  constructor({ httpClient = axios, config = {} } = {}) {
+    this.httpClient = httpClient;
+    this.config = config;
+    this.timeoutMs = config.timeoutMs || 30000;
+  }
+
+  // Code stored in shipments.carrier
+  static get carrier() {
+    throw new Error(`${this.name} must define a carrier code`);
+  }
+
+  static get displayName() {
+    return this.carrier.toUpperCase();
+  }
+
+  get carrier() {
+    return this.constructor.carrier;
+  }
+
+  get displayName() {
+    return this.constructor.displayName;
+  }
+
+  // Whether credentials are present; unconfigured adapters only quote estimates
+  get isConfigured() {
+    return true;
+  }
+
+  // Whether labels are rendered by us rather than bought from the carrier
+  get rendersLabels() {
+    return false;
+  }
+
+  // Whether the carrier reports tracking at all; untracked shipments are never polled
+  get tracksShipments() {
+    return true;
+  }
+
+  // Whether the carrier pushes tracking updates to /api/shipping/webhooks/<carrier>;
+  // shipments of carriers without webhooks are polled
+  get supportsWebhooks() {
+    return false;
+  }
+
+  async createShipment(request) {
+    throw this.notSupported('createShipment');
+  }
+
+  async getTrackingInfo(trackingNumber) {
+    throw this.notSupported('getTrackingInfo');
+  }
+
+  // shipment is a shipments row
+  async cancelShipment(shipment, reason = null) {
+    throw this.notSupported('cancelShipment');
+  }
+
+  async calculateRates(request) {
+    throw this.notSupported('calculateRates');
+  }
+
+  // Label of an existing shipment as { format, data }. sender, recipient and
+  // reference are only used by adapters that render the label themselves.
+  async generateLabel(shipment, { format = 'PDF', sender = null, recipient = null, reference = null } = {}) {
+    throw this.notSupported('generateLabel');
+  }
+
+  // rawBody is the request body as received (Buffer), headers are lower-case
+  verifyWebhook(rawBody, headers) {
+    return false;
+  }
+
+  parseWebhook(payload) {
+    throw this.notSupported('parseWebhook');
+  }
+
+  // HMAC-SHA256 of the raw body, compared in constant time
+  signatureMatches(rawBody, signature, secret, encoding = 'hex') {
+    if (!rawBody || !signature || !secret) {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest(encoding));
+    const received = Buffer.from(String(signature).trim());
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  notSupported(operation) {
+    return new ShippingAdapterError(`${this.constructor.name} does not support ${operation}`, {
+      carrier: this.carrier,
+      operation
+    });
+  }
+
+  async request(operation, request) {
+    const fullRequest = {
+      timeout: this.timeoutMs,
+      ...request,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(request.headers || {}) }
+    };
+
+    try {
+      const response = await this.httpClient.request(fullRequest);
+
+      logger.info('Carrier API response', {
+        carrier: this.carrier,
+        operation,
+        method: fullRequest.method,
+        url: fullRequest.url,
+        status: response.status
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status || null;
+
+      logger.error('Carrier API error', {
+        carrier: this.carrier,
+        operation,
+        method: fullRequest.method,
+        url: fullRequest.url,
+        status,
+        data: error.response?.data ? JSON.stringify(error.response.data).substring(0, 500) : null,
+        error: error.message
+      });
+
+      const detail = error.response?.data ? this.errorMessage(error.response.data) : null;
+
+      throw new ShippingAdapterError(
+        detail || (status ? `${this.displayName} API returned ${status} for ${operation}` : `${this.displayName} API unreachable: ${error.message}`),
+        {
+          carrier: this.carrier,
+          operation,
+          status,
+          // Timeouts, 429 and 5xx may succeed later; 4xx will not
+          retryable: !status || status === 429 || status >= 500
+        }
+      );
+    }
+  }
+
+  // Message from the carrier's error body, if it has one
+  errorMessage(data) {
+    return data?.message || data?.detail || data?.title || null;
+  }
+
+  normalizeStatus(code, statusMap) {
+    if (code === null || code === undefined) {
+      return 'unknown';
+    }
+    const status = statusMap[String(code)] ?? statusMap[String(code).toLowerCase()] ?? statusMap[String(code).toUpperCase()];
+    return TRACKING_STATUSES.includes(status) ? status : 'unknown';
+  }
+
+  // Newest first, as the tracking model promises
+  sortEvents(events) {
+    return events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  serviceLevelOf(request) {
+    return SERVICE_LEVELS.includes(request.serviceLevel) ? request.serviceLevel : 'standard';
+  }
+
+  totalWeightKg(packages) {
+    return packages.reduce((sum, pkg) => sum + (parseFloat(pkg.weightKg) || 0), 0);
+  }
+
+  // German carriers want street and house number separately: "Hauptstraße 12a" -> Hauptstraße / 12a
+  splitStreet(addressLine1 = '') {
+    const match = String(addressLine1).trim().match(/^(.*?)[\s,]+(\d+[\w\s/-]*)$/);
+    if (!match) {
+      return { street: String(addressLine1).trim(), houseNumber: '' };
+    }
+    return { street: match[1], houseNumber: match[2].trim() };
+  }
+
+  splitName(name = '') {
+    const parts = String(name).trim().split(/\s+/);
+    return { firstName: parts.slice(0, -1).join(' ') || parts[0] || '', lastName: parts.length > 1 ? parts[parts.length - 1] : '' };
+  }
+
+  // Quotes from the configured tariff for carriers without a rate API:
+  //   { standard: { base, perKg, transitDays: [min, max] }, express: {...}, international: { multiplier, extraDays } }
+  estimateRates(request, tariff) {
+    const weightKg = Math.max(this.totalWeightKg(request.packages || []), 0.1);
+    const international = request.sender?.countryCode && request.recipient?.countryCode &&
+      request.sender.countryCode !== request.recipient.countryCode;
+    const surcharge = international ? (tariff.international || { multiplier: 1, extraDays: 0 }) : { multiplier: 1, extraDays: 0 };
+
+    return SERVICE_LEVELS
+      .filter(level => tariff[level])
+      .map(level => {
+        const service = tariff[level];
+        const [minDays, maxDays] = service.transitDays;
+        return {
+          carrier: this.carrier,
+          serviceCode: service.code || level,
+          serviceName: `${this.displayName} ${service.name || (level === 'express' ? 'Express' : 'Standard')}`,
+          serviceLevel: level,
+          amount: Math.round((service.base + service.perKg * weightKg) * surcharge.multiplier * 100) / 100,
+          currency: tariff.currency || 'EUR',
+          transitDaysMin: minDays + surcharge.extraDays,
+          transitDaysMax: maxDays + surcharge.extraDays,
+          estimatedDeliveryDate: null,
+          live: false
+        };
+      });
+  }
+}
+
+module.exports = ShippingAdapter;
+module.exports.ShippingAdapterError = ShippingAdapterError;
+module.exports.TRACKING_STATUSES = TRACKING_STATUSES;
+module.exports.SERVICE_LEVELS = SERVICE_LEVELS;
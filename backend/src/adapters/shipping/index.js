@@ -0,0 +1,108 @@
+const ShippingAdapter = require('./ShippingAdapter');
+const { ShippingAdapterError, TRACKING_STATUSES, SERVICE_LEVELS } = require('./ShippingAdapter');
+const DhlShippingAdapter = require('./DhlShippingAdapter');
+const DpdShippingAdapter = require('./DpdShippingAdapter');
+const HermesShippingAdapter = require('./HermesShippingAdapter');
+const GenericShippingAdapter = require('./GenericShippingAdapter');
+const FixtureHttpClient = require('./FixtureHttpClient');
+
+// Carriers by code (shipments.carrier). SHIPPING_CARRIERS lists the enabled
+// ones in order of preference; routes and jobs go through here instead of
+// talking to one carrier directly. SHIPPING_ADAPTER_MODE=fixtures answers
+// every carrier call from the recorded responses in ./fixtures.
+class ShippingAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.instances = new Map();
+    this.enabledCodes = (process.env.SHIPPING_CARRIERS || 'dhl,dpd,hermes,generic')
+      .split(',')
+      .map(code => code.trim().toLowerCase())
+      .filter(Boolean);
+    this.defaultCarrier = (process.env.SHIPPING_DEFAULT_CARRIER || 'dhl').toLowerCase();
+    this.mode = process.env.SHIPPING_ADAPTER_MODE || 'live';
+  }
+
+  register(code, AdapterClass) {
+    if (!(AdapterClass.prototype instanceof ShippingAdapter)) {
+      throw new Error(`Adapter "${code}" must extend ShippingAdapter`);
+    }
+    this.adapters.set(code, AdapterClass);
+    this.instances.delete(code);
+  }
+
+  get codes() {
+    return [...this.adapters.keys()];
+  }
+
+  get enabled() {
+    return this.enabledCodes.filter(code => this.adapters.has(code));
+  }
+
+  isEnabled(code) {
+    return this.enabled.includes(code);
+  }
+
+  // Adapters are stateless apart from cached auth tokens, so one instance per carrier is kept
+  get(code) {
+    const carrier = String(code || '').toLowerCase();
+    const AdapterClass = this.adapters.get(carrier);
+
+    if (!AdapterClass) {
+      throw new ShippingAdapterError(`Unknown carrier: ${code}. Available: ${this.codes.join(', ')}`, { carrier });
+    }
+
+    if (!this.instances.has(carrier)) {
+      const options = this.mode === 'fixtures' ? { httpClient: new FixtureHttpClient(carrier) } : {};
+      this.instances.set(carrier, new AdapterClass(options));
+    }
+
+    return this.instances.get(carrier);
+  }
+
+  // An enabled carrier for new shipments; falls back to the default carrier
+  select(code = null) {
+    const carrier = (code || this.defaultCarrier).toLowerCase();
+
+    if (!this.isEnabled(carrier)) {
+      throw new ShippingAdapterError(`Carrier ${carrier} is not enabled. Enabled: ${this.enabled.join(', ')}`, { carrier });
+    }
+
+    return this.get(carrier);
+  }
+
+  // Existing shipments keep using their carrier even after it was disabled
+  forShipment(shipment) {
+    return this.get(shipment.carrier);
+  }
+
+  all() {
+    return this.enabled.map(code => this.get(code));
+  }
+
+  describe() {
+    return this.enabled.map(code => {
+      const adapter = this.get(code);
+      return {
+        carrier: code,
+        name: adapter.displayName,
+        configured: adapter.isConfigured,
+        tracking: !adapter.tracksShipments ? 'none' : (adapter.supportsWebhooks ? 'webhook' : 'poll'),
+        default: code === this.defaultCarrier
+      };
+    });
+  }
+}
+
+// Export singleton instance
+const shippingAdapters = new ShippingAdapterRegistry();
+shippingAdapters.register('dhl', DhlShippingAdapter);
+shippingAdapters.register('dpd', DpdShippingAdapter);
+shippingAdapters.register('hermes', HermesShippingAdapter);
+shippingAdapters.register('generic', GenericShippingAdapter);
+
+module.exports = shippingAdapters;
+module.exports.ShippingAdapter = ShippingAdapter;
+module.exports.ShippingAdapterError = ShippingAdapterError;
+module.exports.FixtureHttpClient = FixtureHttpClient;
+module.exports.TRACKING_STATUSES = TRACKING_STATUSES;
+module.exports.SERVICE_LEVELS = SERVICE_LEVELS;
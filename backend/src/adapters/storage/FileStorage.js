@@ -0,0 +1,52 @@
+// Raised when a stored file cannot be written or read
+class FileStorageError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'FileStorageError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Contract for where generated files (shipping labels, ...) are kept. Keys are
+// relative paths such as "labels/<shipment id>.pdf"; callers store the key and
+// never a driver-specific location, so the driver can change without a migration.
+class FileStorage {
+  static get driver() {
+    throw new Error(`${this.name} must define a driver name`);
+  }
+
+  get driver() {
+    return this.constructor.driver;
+  }
+
+  async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    throw this.notSupported('put');
+  }
+
+  // Buffer, or null when nothing is stored under the key
+  async get(key) {
+    throw this.notSupported('get');
+  }
+
+  async exists(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async delete(key) {
+    throw this.notSupported('delete');
+  }
+
+  notSupported(operation) {
+    return new FileStorageError(`${this.constructor.name} does not support ${operation}`);
+  }
+
+  // Keys are plain relative paths; anything that could leave the storage root is refused
+  assertKey(key) {
+    if (typeof key !== 'string' || key === '' || key.startsWith('/') || key.split('/').some(part => part === '' || part === '.' || part === '..')) {
+      throw new FileStorageError(`Invalid storage key: ${key}`, 400);
+    }
+  }
+}
+
+module.exports = FileStorage;
+module.exports.FileStorageError = FileStorageError;
@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+const FileStorage = require('./FileStorage');
+const { FileStorageError } = require('./FileStorage');
+
+// Files on the server's disk under FILE_STORAGE_DIR
+class LocalFileStorage extends FileStorage {
+  constructor({ rootDir = process.env.FILE_STORAGE_DIR || './storage' } = {}) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  static get driver() {
+    return 'local';
+  }
+
+  pathOf(key) {
+    this.assertKey(key);
+    return path.join(this.rootDir, ...key.split('/'));
+  }
+
+  async put(key, buffer, options = {}) {
+    const filePath = this.pathOf(key);
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write next to the target and rename, so readers never see half a file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      throw new FileStorageError(`Failed to store ${key}: ${error.message}`);
+    }
+
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.pathOf(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new FileStorageError(`Failed to read ${key}: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.pathOf(key), { force: true });
+  }
+}
+
+module.exports = LocalFileStorage;
@@ -0,0 +1,18 @@
+const FileStorage = require('./FileStorage');
+const { FileStorageError } = require('./FileStorage');
+const LocalFileStorage = require('./LocalFileStorage');
+
+const drivers = {
+  local: LocalFileStorage
+};
+
+const driver = process.env.FILE_STORAGE_DRIVER || 'local';
+if (!drivers[driver]) {
+  throw new Error(`Unknown FILE_STORAGE_DRIVER: ${driver}. Available: ${Object.keys(drivers).join(', ')}`);
+}
+
+// Export singleton instance
+const fileStorage = new drivers[driver]();
+module.exports = fileStorage;
+module.exports.FileStorage = FileStorage;
+module.exports.FileStorageError = FileStorageError;
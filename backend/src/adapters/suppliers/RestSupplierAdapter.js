@@ -0,0 +1,346 @@
+const axios = require('axios');
+const SupplierAdapter = require('./SupplierAdapter');
+const { SupplierAdapterError } = require('./SupplierAdapter');
+const encryptionService = require('../../utils/encryption');
+const logger = require('../../utils/logger');
+
+// Generic REST/JSON integration driven by suppliers.integration_config:
+//
+//   {
+//     "adapter": "rest",
+//     "timeoutMs": 15000,
+//     "headers": { "Accept-Language": "en" },
+//     "auth": { "type": "bearer" | "header" | "query" | "basic", "header": "X-API-Key", "param": "api_key", "username": "shop" },
+//     "endpoints": {
+//       "submitOrder": { "method": "POST", "path": "/orders" },
+//       "fetchCatalog": { "path": "/products", "itemsPath": "data", "pagination": { "param": "page", "sizeParam": "limit", "size": 100 } },
+//       ...
+//     },
+//     "mappings": {
+//       "order": { "reference": "supplierOrderId", "ship_to.name": "shippingAddress.name" },
+//       "orderItems": { "field": "lines", "fields": { "sku": "supplierSku", "qty": "quantity" } },
+//       "orderStatus": { "externalOrderId": "order.id", "status": "order.state" },
+//       "statusValues": { "in_transit": "shipped" },
+//       "catalog": { "external_product_id": "sku", "supplier_price": "price.amount" },
+//       "stock": { "external_product_id": "sku", "stock_quantity": "available" }
+//     }
+//   }
+//
+// Mappings are { "target path": "source path" } in dot notation: for order and
+// orderItems the target is their payload, for the others it is our shape.
+// Anything left out uses the defaults below, so a supplier implementing the
+// default contract only needs api_endpoint and an API key.
+class RestSupplierAdapter extends SupplierAdapter {
+  constructor(supplier, { httpClient = axios } = {}) {
+    super(supplier);
+    this.config = supplier.integration_config || {};
+    this.httpClient = httpClient;
+    this.timeoutMs = this.config.timeoutMs || 15000;
+  }
+
+  static get defaultEndpoints() {
+    return {
+      submitOrder: { method: 'POST', path: '/orders' },
+      getOrderStatus: { method: 'GET', path: '/orders/{externalOrderId}' },
+      cancelOrder: { method: 'POST', path: '/orders/{externalOrderId}/cancel' },
+      fetchCatalog: { method: 'GET', path: '/products', itemsPath: 'items', pagination: { param: 'page', sizeParam: 'limit', size: 100 } },
+      fetchStock: { method: 'GET', path: '/stock', itemsPath: 'items', pagination: { param: 'page', sizeParam: 'limit', size: 500 } }
+    };
+  }
+
+  static get defaultMappings() {
+    return {
+      orderStatus: {
+        externalOrderId: 'id',
+        status: 'status',
+        trackingNumber: 'tracking_number',
+        carrier: 'carrier',
+        estimatedDeliveryDate: 'estimated_delivery_date'
+      },
+      catalog: {
+        external_product_id: 'external_product_id',
+        external_product_name: 'external_product_name',
+        supplier_price: 'supplier_price',
+        supplier_currency: 'supplier_currency',
+        stock_quantity: 'stock_quantity',
+        lead_time_days: 'lead_time_days',
+        minimum_order_quantity: 'minimum_order_quantity'
+      },
+      stock: {
+        external_product_id: 'external_product_id',
+        stock_quantity: 'stock_quantity'
+      }
+    };
+  }
+
+  // Keys integration_config may contain (sync belongs to the catalog sync); anything else is a typo
+  static validateConfig(config) {
+    const problems = [];
+    const known = ['adapter', 'timeoutMs', 'headers', 'auth', 'endpoints', 'mappings', 'sync'];
+
+    for (const key of Object.keys(config || {})) {
+      if (!known.includes(key)) {
+        problems.push(`Unknown key: ${key}`);
+      }
+    }
+
+    for (const operation of Object.keys(config?.endpoints || {})) {
+      if (!RestSupplierAdapter.defaultEndpoints[operation]) {
+        problems.push(`Unknown endpoint: ${operation}`);
+      }
+    }
+
+    const authTypes = ['bearer', 'header', 'query', 'basic', 'none'];
+    if (config?.auth?.type && !authTypes.includes(config.auth.type)) {
+      problems.push(`Unknown auth type: ${config.auth.type}`);
+    }
+
+    return problems;
+  }
+
+  endpoint(operation) {
+    return { ...RestSupplierAdapter.defaultEndpoints[operation], ...(this.config.endpoints?.[operation] || {}) };
+  }
+
+  mapping(name) {
+    return this.config.mappings?.[name] || RestSupplierAdapter.defaultMappings[name] || null;
+  }
+
+  // Decrypted for this request only; the key is never kept on the adapter
+  credentials() {
+    if (!this.supplier.api_key_encrypted) {
+      return null;
+    }
+
+    const result = encryptionService.decrypt(this.supplier.api_key_encrypted);
+    if (!result.success) {
+      throw new SupplierAdapterError('Supplier API key cannot be decrypted', { supplierId: this.supplierId });
+    }
+
+    return result.data;
+  }
+
+  authenticate(request) {
+    const auth = this.config.auth || { type: 'bearer' };
+    const apiKey = auth.type === 'none' ? null : this.credentials();
+
+    if (!apiKey) {
+      return request;
+    }
+
+    switch (auth.type) {
+      case 'header':
+        request.headers[auth.header || 'X-API-Key'] = apiKey;
+        break;
+      case 'query':
+        request.params = { ...request.params, [auth.param || 'api_key']: apiKey };
+        break;
+      case 'basic':
+        request.auth = { username: auth.username || '', password: apiKey };
+        break;
+      default:
+        request.headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return request;
+  }
+
+  async request(operation, { pathParams = {}, params = {}, data = undefined } = {}) {
+    const endpoint = this.endpoint(operation);
+    const url = endpoint.path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(pathParams[name] ?? ''));
+
+    const request = this.authenticate({
+      baseURL: this.supplier.api_endpoint,
+      url,
+      method: endpoint.method || 'GET',
+      params,
+      data,
+      timeout: this.timeoutMs,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(this.config.headers || {}) }
+    });
+
+    try {
+      const response = await this.httpClient.request(request);
+
+      logger.info('Supplier API response', {
+        supplierId: this.supplierId,
+        operation,
+        method: request.method,
+        url,
+        status: response.status
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status || null;
+
+      logger.error('Supplier API error', {
+        supplierId: this.supplierId,
+        operation,
+        method: request.method,
+        url,
+        status,
+        data: error.response?.data ? JSON.stringify(error.response.data).substring(0, 500) : null,
+        error: error.message
+      });
+
+      throw new SupplierAdapterError(
+        status ? `Supplier API returned ${status} for ${operation}` : `Supplier API unreachable: ${error.message}`,
+        {
+          supplierId: this.supplierId,
+          operation,
+          status,
+          // Timeouts, 429 and 5xx may succeed later; 4xx will not
+          retryable: !status || status === 429 || status >= 500
+        }
+      );
+    }
+  }
+
+  async submitOrder(order) {
+    const data = await this.request('submitOrder', { data: this.buildOrderPayload(order) });
+    const status = this.toOrderStatus(data);
+
+    if (!status.externalOrderId) {
+      throw new SupplierAdapterError('Supplier API did not return an order id', {
+        supplierId: this.supplierId,
+        operation: 'submitOrder'
+      });
+    }
+
+    return status;
+  }
+
+  async getOrderStatus(externalOrderId) {
+    const data = await this.request('getOrderStatus', { pathParams: { externalOrderId } });
+    return this.toOrderStatus(data, externalOrderId);
+  }
+
+  async cancelOrder(externalOrderId, reason = null) {
+    const data = await this.request('cancelOrder', { pathParams: { externalOrderId }, data: { reason } });
+    return { cancelled: true, ...this.toOrderStatus(data || {}, externalOrderId) };
+  }
+
+  async fetchCatalog() {
+    const items = await this.fetchAll('fetchCatalog');
+    const mapping = this.mapping('catalog');
+    return items.map(item => this.mapFields(item, mapping)).filter(entry => entry.external_product_id);
+  }
+
+  async fetchStock() {
+    const items = await this.fetchAll('fetchStock');
+    const mapping = this.mapping('stock');
+    return items.map(item => this.mapFields(item, mapping)).filter(entry => entry.external_product_id);
+  }
+
+  // Follow page-numbered pagination until a short or empty page
+  async fetchAll(operation) {
+    const endpoint = this.endpoint(operation);
+    const pagination = endpoint.pagination;
+    const maxPages = pagination?.maxPages || 200;
+    const items = [];
+
+    for (let page = pagination?.start ?? 1; ; page++) {
+      const params = pagination ? { [pagination.param]: page, [pagination.sizeParam]: pagination.size } : {};
+      const data = await this.request(operation, { params });
+      const pageItems = endpoint.itemsPath ? getPath(data, endpoint.itemsPath) : data;
+
+      if (!Array.isArray(pageItems)) {
+        throw new SupplierAdapterError(`Supplier API response has no list at "${endpoint.itemsPath || '(root)'}"`, {
+          supplierId: this.supplierId,
+          operation
+        });
+      }
+
+      items.push(...pageItems);
+
+      if (!pagination || pageItems.length < pagination.size || page >= maxPages) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  // Their payload from the normalized order; without a mapping the order is sent as is
+  buildOrderPayload(order) {
+    const orderMapping = this.mapping('order');
+    const itemsMapping = this.mapping('orderItems');
+
+    if (!orderMapping && !itemsMapping) {
+      return order;
+    }
+
+    const payload = orderMapping ? this.mapFields(order, orderMapping) : {};
+
+    if (itemsMapping) {
+      setPath(payload, itemsMapping.field || 'items', order.items.map(item => this.mapFields(item, itemsMapping.fields || {})));
+    }
+
+    return payload;
+  }
+
+  toOrderStatus(data, externalOrderId = null) {
+    const mapped = this.mapFields(data, this.mapping('orderStatus'));
+
+    return {
+      externalOrderId: mapped.externalOrderId != null ? String(mapped.externalOrderId) : externalOrderId,
+      status: this.normalizeStatus(mapped.status),
+      trackingNumber: mapped.trackingNumber || null,
+      carrier: mapped.carrier || null,
+      estimatedDeliveryDate: mapped.estimatedDeliveryDate || null,
+      raw: data
+    };
+  }
+
+  normalizeStatus(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const statusValues = this.config.mappings?.statusValues || {};
+    const text = String(value);
+    const mapped = statusValues[text] ?? statusValues[text.toLowerCase()];
+    const status = mapped || text.toLowerCase();
+
+    return SUPPLIER_ORDER_STATUSES.includes(status) ? status : null;
+  }
+
+  // mapping: { targetPath: sourcePath }; missing values are left out
+  mapFields(source, mapping) {
+    const target = {};
+    for (const [targetPath, sourcePath] of Object.entries(mapping || {})) {
+      const value = getPath(source, sourcePath);
+      if (value !== undefined && value !== null) {
+        setPath(target, targetPath, value);
+      }
+    }
+    return target;
+  }
+}
+
+const SUPPLIER_ORDER_STATUSES = [
+  'pending', 'sent', 'acknowledged', 'accepted', 'processing',
+  'shipped', 'delivered', 'rejected', 'cancelled', 'failed'
+];
+
+function getPath(object, pathText) {
+  if (!pathText) {
+    return object;
+  }
+  return pathText.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function setPath(object, pathText, value) {
+  const keys = pathText.split('.');
+  let current = object;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof current[key] !== 'object' || current[key] === null) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+module.exports = RestSupplierAdapter;
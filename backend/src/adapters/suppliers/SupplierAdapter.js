@@ -0,0 +1,66 @@
+// Raised by adapters when the supplier's system refuses or cannot be reached
+class SupplierAdapterError extends Error {
+  constructor(message, { supplierId = null, operation = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'SupplierAdapterError';
+    this.statusCode = 502;
+    this.supplierId = supplierId;
+    this.operation = operation;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Contract every supplier integration implements. Adapters exchange these
+// normalized shapes and translate them to the supplier's own API:
+//
+//   order (submitOrder input):
+//     { supplierOrderId, orderNumber, createdAt, currency, notes,
+//       shippingAddress: { name, addressLine1, addressLine2, postalCode, city, state, country, phone },
+//       items: [{ supplierSku, sku, name, size, color, quantity, unitCost }] }
+//   order status (submitOrder / getOrderStatus result):
+//     { externalOrderId, status, trackingNumber, carrier, estimatedDeliveryDate, raw }
+//     status is one of the supplier_orders statuses, or null when unknown
+//   catalog entry (fetchCatalog): supplier_catalogs fields
+//     { external_product_id, external_product_name, supplier_price, supplier_currency,
+//       stock_quantity, lead_time_days, minimum_order_quantity }
+//   stock entry (fetchStock): { external_product_id, stock_quantity }
+class SupplierAdapter {
+  constructor(supplier) {
+    this.supplier = supplier;
+  }
+
+  get supplierId() {
+    return this.supplier.id;
+  }
+
+  async submitOrder(order) {
+    throw this.notSupported('submitOrder');
+  }
+
+  async getOrderStatus(externalOrderId) {
+    throw this.notSupported('getOrderStatus');
+  }
+
+  async cancelOrder(externalOrderId, reason = null) {
+    throw this.notSupported('cancelOrder');
+  }
+
+  async fetchCatalog() {
+    throw this.notSupported('fetchCatalog');
+  }
+
+  async fetchStock() {
+    throw this.notSupported('fetchStock');
+  }
+
+  notSupported(operation) {
+    return new SupplierAdapterError(`${this.constructor.name} does not support ${operation}`, {
+      supplierId: this.supplierId,
+      operation
+    });
+  }
+}
+
+module.exports = SupplierAdapter;
+module.exports.SupplierAdapterError = SupplierAdapterError;
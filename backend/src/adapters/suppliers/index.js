@@ -0,0 +1,117 @@
+const { query } = require('../../config/database');
+const encryptionService = require('../../utils/encryption');
+const SupplierAdapter = require('./SupplierAdapter');
+const { SupplierAdapterError } = require('./SupplierAdapter');
+const RestSupplierAdapter = require('./RestSupplierAdapter');
+
+// Picks the adapter for a supplier from integration_config.adapter ('rest'
+// when unset). Routing and the sync jobs go through here instead of
+// constructing adapters themselves.
+class SupplierAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.defaultType = 'rest';
+  }
+
+  register(type, AdapterClass) {
+    if (!(AdapterClass.prototype instanceof SupplierAdapter)) {
+      throw new Error(`Adapter "${type}" must extend SupplierAdapter`);
+    }
+    this.adapters.set(type, AdapterClass);
+  }
+
+  get types() {
+    return [...this.adapters.keys()];
+  }
+
+  typeOf(supplier) {
+    return supplier.integration_config?.adapter || this.defaultType;
+  }
+
+  // Orders go out through the API only when the supplier has an endpoint and
+  // has not restricted itself to other integration methods
+  supportsApi(supplier) {
+    return Boolean(supplier.api_endpoint) &&
+      (!supplier.integration_methods || supplier.integration_methods.includes('api'));
+  }
+
+  create(supplier, options = {}) {
+    const type = this.typeOf(supplier);
+    const AdapterClass = this.adapters.get(type);
+
+    if (!AdapterClass) {
+      throw new SupplierAdapterError(`Unknown supplier adapter: ${type}`, { supplierId: supplier.id });
+    }
+    if (!supplier.api_endpoint) {
+      throw new SupplierAdapterError('Supplier has no API endpoint configured', { supplierId: supplier.id });
+    }
+
+    return new AdapterClass(supplier, options);
+  }
+
+  async forSupplier(supplierId, options = {}) {
+    const result = await query(`
+      SELECT id, company_name, api_endpoint, api_key_encrypted, integration_config, integration_methods
+      FROM suppliers
+      WHERE id = $1
+    `, [supplierId]);
+
+    if (result.rows.length === 0) {
+      throw new SupplierAdapterError('Supplier not found', { supplierId });
+    }
+
+    return this.create(result.rows[0], options);
+  }
+
+  // Store endpoint, config and methods; the API key only ever lands encrypted.
+  // apiKey undefined keeps the stored key, null removes it.
+  async saveIntegration(supplierId, { apiEndpoint, apiKey, integrationConfig, integrationMethods }) {
+    let apiKeyEncrypted;
+    if (apiKey) {
+      const encrypted = encryptionService.encrypt(apiKey);
+      if (!encrypted.success) {
+        throw new Error('Failed to encrypt supplier API key');
+      }
+      apiKeyEncrypted = encrypted.data;
+    }
+
+    const result = await query(`
+      UPDATE suppliers
+      SET api_endpoint = CASE WHEN $2::boolean THEN $3 ELSE api_endpoint END,
+          api_key_encrypted = CASE WHEN $4::boolean THEN $5 ELSE api_key_encrypted END,
+          integration_config = CASE WHEN $6::boolean THEN $7::jsonb ELSE integration_config END,
+          integration_methods = CASE WHEN $8::boolean THEN $9::varchar[] ELSE integration_methods END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, api_endpoint, integration_config, integration_methods, api_key_encrypted IS NOT NULL as has_api_key
+    `, [
+      supplierId,
+      apiEndpoint !== undefined, apiEndpoint || null,
+      apiKey !== undefined, apiKeyEncrypted || null,
+      integrationConfig !== undefined, integrationConfig ? JSON.stringify(integrationConfig) : null,
+      integrationMethods !== undefined, integrationMethods || null
+    ]);
+
+    return result.rows[0] || null;
+  }
+
+  // Problems with an integration_config before it is saved; empty when valid
+  validateConfig(config) {
+    const type = config?.adapter || this.defaultType;
+    const AdapterClass = this.adapters.get(type);
+
+    if (!AdapterClass) {
+      return [`Unknown adapter: ${type}. Available: ${this.types.join(', ')}`];
+    }
+
+    return typeof AdapterClass.validateConfig === 'function' ? AdapterClass.validateConfig(config || {}) : [];
+  }
+}
+
+// Export singleton instance
+const supplierAdapters = new SupplierAdapterRegistry();
+supplierAdapters.register('rest', RestSupplierAdapter);
+
+module.exports = supplierAdapters;
+module.exports.SupplierAdapter = SupplierAdapter;
+module.exports.SupplierAdapterError = SupplierAdapterError;
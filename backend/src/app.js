@@ -17,6 +17,15 @@ const shippingRoutes = require('./routes/shipping');
 const categoryRoutes = require('./routes/categories');
 const supplierRoutes = require('./routes/suppliers');
 const adminRoutes = require('./routes/admin');
+const SupplierOrderRerouteService = require('./services/SupplierOrderRerouteService');
+const RepricingService = require('./services/RepricingService');
+const InventoryReservationService = require('./services/InventoryReservationService');
+const InventoryReconciliationService = require('./services/InventoryReconciliationService');
+const SupplierOrderEmailService = require('./services/SupplierOrderEmailService');
+const SupplierOrderStatusSyncService = require('./services/SupplierOrderStatusSyncService');
+const SupplierCatalogSyncService = require('./services/SupplierCatalogSyncService');
+const SupplierPerformanceService = require('./services/SupplierPerformanceService');
+const ShipmentTrackingService = require('./services/ShipmentTrackingService');
 
 const app = express();
 
@@ -60,7 +69,15 @@ app.use(cors({
 }));
 
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Carrier webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/shipping/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -112,6 +129,33 @@ app.listen(PORT, () => {
     environment: process.env.NODE_ENV || 'development',
     port: PORT
   });
+
+  // Cancel and reroute supplier orders that were never acknowledged
+  SupplierOrderRerouteService.startSlaMonitor();
+
+  // Reprice products after cost, exchange rate or pricing rule changes
+  RepricingService.startScheduler();
+
+  // Release stock held by checkouts that were never paid
+  InventoryReservationService.startSweeper();
+
+  // Nightly ledger replay; alerts when stock counters drifted
+  InventoryReconciliationService.startNightlyRun();
+
+  // Parse supplier replies (acknowledgements, tracking numbers, bounces) from the inbound mail folder
+  SupplierOrderEmailService.startInboxWatcher();
+
+  // Pull order status and tracking from suppliers integrated by API
+  SupplierOrderStatusSyncService.startPoller();
+
+  // Pull supplier catalogs and stock when their sync_frequency_hours is due
+  SupplierCatalogSyncService.startScheduler();
+
+  // Nightly supplier scorecards; also refreshes suppliers.rating
+  SupplierPerformanceService.startScheduler();
+
+  // Pull tracking events for carriers that do not push them by webhook
+  ShipmentTrackingService.startPoller();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Strings of the purchase-order email, its PDF and the accept/reject pages.
+// {{placeholders}} are filled in by SupplierOrderEmailService.
+
+module.exports = {
+  en: {
+    subject: 'Purchase order {{orderNumber}}',
+    greeting: 'Hello {{company}},',
+    intro: 'please find our purchase order {{orderNumber}} attached. Please ship the items below directly to our customer.',
+    items: 'Items',
+    shipTo: 'Ship to',
+    reference: 'Reference',
+    date: 'Date',
+    supplierSku: 'Your SKU',
+    sku: 'Our SKU',
+    product: 'Product',
+    size: 'Size',
+    color: 'Color',
+    quantity: 'Qty',
+    unitCost: 'Unit cost',
+    total: 'Total',
+    accept: 'Accept the order',
+    reject: 'Reject the order',
+    linksValid: 'These links are valid until {{expires}}.',
+    replyHint: 'You can also reply to this email to confirm the order or to send us the tracking number and carrier once shipped.',
+    signoff: 'Kind regards',
+    pdfTitle: 'Purchase order',
+    confirmAccept: 'Accept purchase order {{orderNumber}}?',
+    confirmReject: 'Reject purchase order {{orderNumber}}?',
+    reason: 'Reason',
+    submit: 'Confirm',
+    accepted: 'Thank you, purchase order {{orderNumber}} is accepted.',
+    rejected: 'Purchase order {{orderNumber}} is rejected. Thank you for letting us know.',
+    unavailable: 'This purchase order can no longer be changed (status: {{status}}).',
+    invalidLink: 'This link is invalid or has expired.'
+  },
+  de: {
+    subject: 'Bestellung {{orderNumber}}',
+    greeting: 'Hallo {{company}},',
+    intro: 'anbei unsere Bestellung {{orderNumber}}. Bitte versenden Sie die folgenden Artikel direkt an unseren Kunden.',
+    items: 'Artikel',
+    shipTo: 'Lieferadresse',
+    reference: 'Referenz',
+    date: 'Datum',
+    supplierSku: 'Ihre Art.-Nr.',
+    sku: 'Unsere Art.-Nr.',
+    product: 'Produkt',
+    size: 'Größe',
+    color: 'Farbe',
+    quantity: 'Menge',
+    unitCost: 'Einzelpreis',
+    total: 'Gesamt',
+    accept: 'Bestellung annehmen',
+    reject: 'Bestellung ablehnen',
+    linksValid: 'Diese Links sind gültig bis {{expires}}.',
+    replyHint: 'Sie können auch auf diese E-Mail antworten, um die Bestellung zu bestätigen oder uns nach dem Versand Sendungsnummer und Versanddienstleister mitzuteilen.',
+    signoff: 'Mit freundlichen Grüßen',
+    pdfTitle: 'Bestellung',
+    confirmAccept: 'Bestellung {{orderNumber}} annehmen?',
+    confirmReject: 'Bestellung {{orderNumber}} ablehnen?',
+    reason: 'Grund',
+    submit: 'Bestätigen',
+    accepted: 'Vielen Dank, die Bestellung {{orderNumber}} ist angenommen.',
+    rejected: 'Die Bestellung {{orderNumber}} ist abgelehnt. Danke für Ihre Rückmeldung.',
+    unavailable: 'Diese Bestellung kann nicht mehr geändert werden (Status: {{status}}).',
+    invalidLink: 'Dieser Link ist ungültig oder abgelaufen.'
+  },
+  pt: {
+    subject: 'Pedido de compra {{orderNumber}}',
+    greeting: 'Olá {{company}},',
+    intro: 'segue em anexo o nosso pedido de compra {{orderNumber}}. Por favor, envie os artigos abaixo diretamente ao nosso cliente.',
+    items: 'Artigos',
+    shipTo: 'Enviar para',
+    reference: 'Referência',
+    date: 'Data',
+    supplierSku: 'Sua referência',
+    sku: 'Nossa referência',
+    product: 'Produto',
+    size: 'Tamanho',
+    color: 'Cor',
+    quantity: 'Qtd',
+    unitCost: 'Custo unitário',
+    total: 'Total',
+    accept: 'Aceitar o pedido',
+    reject: 'Recusar o pedido',
+    linksValid: 'Estes links são válidos até {{expires}}.',
+    replyHint: 'Também pode responder a este e-mail para confirmar o pedido ou para nos enviar o código de rastreio e a transportadora após o envio.',
+    signoff: 'Com os melhores cumprimentos',
+    pdfTitle: 'Pedido de compra',
+    confirmAccept: 'Aceitar o pedido de compra {{orderNumber}}?',
+    confirmReject: 'Recusar o pedido de compra {{orderNumber}}?',
+    reason: 'Motivo',
+    submit: 'Confirmar',
+    accepted: 'Obrigado, o pedido de compra {{orderNumber}} foi aceite.',
+    rejected: 'O pedido de compra {{orderNumber}} foi recusado. Obrigado pelo aviso.',
+    unavailable: 'Este pedido de compra já não pode ser alterado (estado: {{status}}).',
+    invalidLink: 'Este link é inválido ou expirou.'
+  },
+  fr: {
+    subject: 'Bon de commande {{orderNumber}}',
+    greeting: 'Bonjour {{company}},',
+    intro: 'veuillez trouver ci-joint notre bon de commande {{orderNumber}}. Merci d’expédier les articles ci-dessous directement à notre client.',
+    items: 'Articles',
+    shipTo: 'Livrer à',
+    reference: 'Référence',
+    date: 'Date',
+    supplierSku: 'Votre réf.',
+    sku: 'Notre réf.',
+    product: 'Produit',
+    size: 'Taille',
+    color: 'Couleur',
+    quantity: 'Qté',
+    unitCost: 'Prix unitaire',
+    total: 'Total',
+    accept: 'Accepter la commande',
+    reject: 'Refuser la commande',
+    linksValid: 'Ces liens sont valables jusqu’au {{expires}}.',
+    replyHint: 'Vous pouvez aussi répondre à cet e-mail pour confirmer la commande ou pour nous envoyer le numéro de suivi et le transporteur après l’expédition.',
+    signoff: 'Cordialement',
+    pdfTitle: 'Bon de commande',
+    confirmAccept: 'Accepter le bon de commande {{orderNumber}} ?',
+    confirmReject: 'Refuser le bon de commande {{orderNumber}} ?',
+    reason: 'Motif',
+    submit: 'Confirmer',
+    accepted: 'Merci, le bon de commande {{orderNumber}} est accepté.',
+    rejected: 'Le bon de commande {{orderNumber}} est refusé. Merci de nous avoir prévenus.',
+    unavailable: 'Ce bon de commande ne peut plus être modifié (statut : {{status}}).',
+    invalidLink: 'Ce lien est invalide ou a expiré.'
+  },
+  es: {
+    subject: 'Orden de compra {{orderNumber}}',
+    greeting: 'Hola {{company}}:',
+    intro: 'adjuntamos nuestra orden de compra {{orderNumber}}. Por favor, envíe los artículos siguientes directamente a nuestro cliente.',
+    items: 'Artículos',
+    shipTo: 'Enviar a',
+    reference: 'Referencia',
+    date: 'Fecha',
+    supplierSku: 'Su referencia',
+    sku: 'Nuestra referencia',
+    product: 'Producto',
+    size: 'Talla',
+    color: 'Color',
+    quantity: 'Cant.',
+    unitCost: 'Coste unitario',
+    total: 'Total',
+    accept: 'Aceptar el pedido',
+    reject: 'Rechazar el pedido',
+    linksValid: 'Estos enlaces son válidos hasta el {{expires}}.',
+    replyHint: 'También puede responder a este correo para confirmar el pedido o para enviarnos el número de seguimiento y el transportista una vez enviado.',
+    signoff: 'Saludos cordiales',
+    pdfTitle: 'Orden de compra',
+    confirmAccept: '¿Aceptar la orden de compra {{orderNumber}}?',
+    confirmReject: '¿Rechazar la orden de compra {{orderNumber}}?',
+    reason: 'Motivo',
+    submit: 'Confirmar',
+    accepted: 'Gracias, la orden de compra {{orderNumber}} está aceptada.',
+    rejected: 'La orden de compra {{orderNumber}} está rechazada. Gracias por avisarnos.',
+    unavailable: 'Esta orden de compra ya no se puede modificar (estado: {{status}}).',
+    invalidLink: 'Este enlace no es válido o ha caducado.'
+  }
+};
@@ -0,0 +1,26 @@
+const multer = require('multer');
+const path = require('path');
+
+// Supplier spreadsheets (catalogs, order sheets) are parsed straight from memory and never stored
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+
+    if (['.csv', '.xlsx'].includes(extname)) {
+      return cb(null, true);
+    }
+
+    const error = new Error('Only CSV and XLSX files can be imported');
+    error.statusCode = 400;
+    cb(error);
+  }
+});
+
+module.exports = {
+  catalogUpload
+};
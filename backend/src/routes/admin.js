@@ -0,0 +1,1705 @@
+const express = require('express');
+const { body, param, query: queryValidator, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const OrderStateMachine = require('../services/OrderStateMachine');
+const { InvalidTransitionError } = require('../services/OrderStateMachine');
+const OrderRoutingService = require('../services/OrderRoutingService');
+const { ManualRoutingError } = require('../services/OrderRoutingService');
+const PaymentService = require('../services/PaymentService');
+const SupplierOrderRerouteService = require('../services/SupplierOrderRerouteService');
+const PricingService = require('../services/PricingService');
+const RepricingService = require('../services/RepricingService');
+const PriceHistoryService = require('../services/PriceHistoryService');
+const InventoryReconciliationService = require('../services/InventoryReconciliationService');
+const { InventoryAdjustmentError } = require('../services/InventoryReconciliationService');
+const SupplierCatalogImportService = require('../services/SupplierCatalogImportService');
+const { CatalogImportError } = require('../services/SupplierCatalogImportService');
+const SupplierExportService = require('../services/SupplierExportService');
+const { SupplierExportError } = require('../services/SupplierExportService');
+const { catalogUpload } = require('../middleware/upload');
+const logger = require('../utils/logger');
+const { SupplierOrderStateError } = require('../services/SupplierOrderRerouteService');
+const SupplierOrderEmailService = require('../services/SupplierOrderEmailService');
+const { SupplierOrderEmailError } = require('../services/SupplierOrderEmailService');
+const SupplierOrderDispatchService = require('../services/SupplierOrderDispatchService');
+const { SupplierOrderDispatchError } = require('../services/SupplierOrderDispatchService');
+const supplierAdapters = require('../adapters/suppliers');
+const { SupplierAdapterError } = require('../adapters/suppliers');
+const SupplierCatalogSyncService = require('../services/SupplierCatalogSyncService');
+const { SupplierSyncError } = require('../services/SupplierCatalogSyncService');
+const SupplierCatalogMatchService = require('../services/SupplierCatalogMatchService');
+const { CatalogMatchError } = require('../services/SupplierCatalogMatchService');
+const { PricingError } = require('../services/PricingService');
+const SupplierPerformanceService = require('../services/SupplierPerformanceService');
+const SupplierProductReviewService = require('../services/SupplierProductReviewService');
+const { ProductReviewError } = require('../services/SupplierProductReviewService');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// Get status timeline of any order (including actors)
+router.get('/orders/:id/history', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const orderResult = await query(
+      'SELECT id, order_number, status FROM orders WHERE id = $1',
+      [id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    const history = await OrderStateMachine.getHistory(id);
+
+    res.json({
+      order: orderResult.rows[0],
+      history,
+      allowedTransitions: OrderStateMachine.transitions[orderResult.rows[0].status] || []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change order status manually
+router.put('/orders/:id/status', [
+  param('id').isUUID(),
+  body('status').isIn(OrderStateMachine.statuses),
+  body('reason').trim().isLength({ min: 1, max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid status change',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    const result = await OrderStateMachine.transition(id, status, {
+      actor: { type: 'admin', id: req.user.id },
+      reason
+    });
+
+    // Stop the open payment; should it succeed anyway, the payment webhook refunds it
+    if (result.changed && status === 'cancelled' && result.order.payment_intent_id && result.order.payment_status !== 'paid') {
+      try {
+        await PaymentService.cancelIntent(result.order.payment_intent_id, { orderId: id });
+      } catch (error) {
+        logger.error('Failed to cancel payment intent of cancelled order', {
+          orderId: id,
+          paymentIntentId: result.order.payment_intent_id,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({
+      message: result.changed ? `Order status updated to ${status}` : 'Order status unchanged',
+      order: result.order
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({
+        error: error.message,
+        allowedTransitions: OrderStateMachine.transitions[error.fromStatus] || []
+      });
+    }
+    next(error);
+  }
+});
+
+// Record a supplier rejection (e.g. received by phone) and reroute the items
+router.post('/supplier-orders/:id/reject', [
+  param('id').isUUID(),
+  body('reason').trim().isLength({ min: 1, max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid rejection',
+        details: errors.array()
+      });
+    }
+
+    const result = await SupplierOrderRerouteService.handleRejection(req.params.id, req.body.reason, {
+      type: 'admin',
+      id: req.user.id
+    });
+
+    res.json({
+      message: result.manualReview.length > 0
+        ? 'Supplier order rejected, some items need manual routing'
+        : 'Supplier order rejected and rerouted',
+      rerouted: result.routed,
+      manualReview: result.manualReview.map(entry => entry.orderItemId),
+      supplierOrderIds: result.supplierOrderIds
+    });
+  } catch (error) {
+    if (error instanceof SupplierOrderStateError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Reroute chain of a supplier order: the original and every replacement
+router.get('/supplier-orders/:id/reroutes', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const result = await query(`
+      WITH RECURSIVE root AS (
+        SELECT id, rerouted_from_id FROM supplier_orders WHERE id = $1
+        UNION
+        SELECT so.id, so.rerouted_from_id
+        FROM supplier_orders so
+        JOIN root r ON so.id = r.rerouted_from_id
+      ),
+      chain AS (
+        SELECT so.* FROM supplier_orders so
+        WHERE so.id = (SELECT id FROM root WHERE rerouted_from_id IS NULL LIMIT 1)
+        UNION
+        SELECT so.* FROM supplier_orders so
+        JOIN chain c ON so.rerouted_from_id = c.id
+      )
+      SELECT
+        c.id, c.order_id, c.supplier_id, s.company_name, c.status, c.routing_method,
+        c.rerouted_from_id, c.reroute_attempt, c.reroute_reason,
+        c.rejection_reason, c.rejected_at, c.acknowledged_at, c.created_at
+      FROM chain c
+      JOIN suppliers s ON c.supplier_id = s.id
+      ORDER BY c.reroute_attempt, c.created_at
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Supplier order not found'
+      });
+    }
+
+    res.json({ attempts: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// (Re)send a supplier order: through the supplier API, or as purchase-order email
+router.post('/supplier-orders/:id/notify', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const result = await SupplierOrderDispatchService.dispatchOne(req.params.id);
+
+    res.json({
+      message: 'Purchase order sent',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof SupplierOrderDispatchError || error instanceof SupplierOrderEmailError ||
+        error instanceof SupplierAdapterError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Parsed supplier replies, e.g. outcome=unmatched for emails nobody could assign
+router.get('/supplier-emails/inbound', [
+  queryValidator('outcome').optional().isIn(['acknowledged', 'shipped', 'bounced', 'unmatched', 'unknown_sender', 'ignored', 'failed']),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { outcome = null, page = 1, limit = 20 } = req.query;
+    const { emails, total } = await SupplierOrderEmailService.getInboundEmails({
+      outcome,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      emails,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Order items the routing engine could not place
+router.get('/routing/queue', [
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { items, total } = await OrderRoutingService.getManualReviewQueue({
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      items,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Candidate sources of a queued item with scores and stock
+router.get('/routing/items/:id/candidates', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const result = await OrderRoutingService.getItemCandidates(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Order item not found'
+      });
+    }
+
+    res.json({
+      ...result,
+      weights: OrderRoutingService.weights
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign queued items to sources by hand
+router.post('/routing/assign', [
+  body('assignments').isArray({ min: 1, max: 100 }),
+  body('assignments.*.orderItemId').isUUID(),
+  body('assignments.*.sourceId').isUUID(),
+  body('note').trim().isLength({ min: 1, max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid routing assignment',
+        details: errors.array()
+      });
+    }
+
+    const { assignments, note } = req.body;
+
+    const result = await OrderRoutingService.assignManually(assignments, {
+      adminId: req.user.id,
+      note
+    });
+
+    res.status(201).json({
+      message: 'Order items routed',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ManualRoutingError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Preview pricing of a saved or not yet saved product
+router.post('/pricing/preview', [
+  body('productId').optional().isUUID(),
+  body('categoryId').optional().isUUID(),
+  body('supplierId').optional().isUUID(),
+  body('costPrice').optional().isFloat({ min: 0 }),
+  body('basePrice').optional().isFloat({ min: 0 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid pricing preview',
+        details: errors.array()
+      });
+    }
+
+    const { productId, categoryId, supplierId, costPrice, basePrice } = req.body;
+    let product = null;
+
+    if (productId) {
+      const productResult = await query(
+        'SELECT id, sku, category_id, supplier_id, base_price, cost_price FROM products WHERE id = $1',
+        [productId]
+      );
+
+      if (productResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Product not found'
+        });
+      }
+
+      product = productResult.rows[0];
+    } else if (costPrice === undefined) {
+      return res.status(400).json({
+        error: 'Either productId or costPrice is required'
+      });
+    }
+
+    const preview = await PricingService.evaluate({
+      productId: productId || null,
+      categoryId: categoryId || product?.category_id || null,
+      supplierId: supplierId || product?.supplier_id || null,
+      costPrice: costPrice ?? product?.cost_price ?? null,
+      basePrice: basePrice ?? product?.base_price ?? null
+    });
+
+    res.json({
+      product: product ? { id: product.id, sku: product.sku } : null,
+      preview
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview pricing of every product in a category (including subcategories)
+router.get('/pricing/categories/:id/preview', [
+  param('id').isUUID(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const categoryResult = await query(
+      'SELECT id, name_en, slug FROM categories WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (categoryResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    const preview = await PricingService.previewCategory(req.params.id, {
+      limit: req.query.limit || 200
+    });
+
+    res.json({
+      category: categoryResult.rows[0],
+      ...preview
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Price history of a product and its variants
+router.get('/products/:id/price-history', [
+  param('id').isUUID(),
+  queryValidator('variantId').optional().isUUID(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { variantId, limit = 100 } = req.query;
+
+    const [history, lowest] = await Promise.all([
+      PriceHistoryService.getHistory(id, { variantId, limit }),
+      PriceHistoryService.getLowestPrices([id])
+    ]);
+
+    res.json({
+      history,
+      lowestPrice30d: lowest.get(`${id}:${variantId || ''}`) ?? null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start a repricing run (runs in the background)
+router.post('/repricing/runs', [
+  body('trigger').isIn(['supplier_cost', 'exchange_rate', 'pricing_rule', 'full']),
+  body('supplierId').if(body('trigger').equals('supplier_cost')).isUUID(),
+  body('ruleId').if(body('trigger').equals('pricing_rule')).isUUID(),
+  body('currencies').if(body('trigger').equals('exchange_rate')).isArray({ min: 1 }),
+  body('currencies.*').optional().isLength({ min: 3, max: 3 }).toUpperCase(),
+  body('mode').optional().isIn(['apply', 'review']),
+  body('strategy').optional().isIn(['floor', 'target'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid repricing request',
+        details: errors.array()
+      });
+    }
+
+    const { trigger: type, supplierId, ruleId, currencies, mode, strategy } = req.body;
+
+    if (type === 'pricing_rule') {
+      const ruleResult = await query('SELECT id FROM pricing_rules WHERE id = $1', [ruleId]);
+      if (ruleResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Pricing rule not found'
+        });
+      }
+    }
+
+    // Only the reference matching the trigger type is kept
+    const trigger = {
+      type,
+      supplierId: type === 'supplier_cost' ? supplierId : undefined,
+      ruleId: type === 'pricing_rule' ? ruleId : undefined,
+      currencies: type === 'exchange_rate' ? currencies : undefined
+    };
+
+    const run = await RepricingService.createRun(trigger, {
+      mode,
+      strategy,
+      triggeredBy: req.user.id
+    });
+
+    RepricingService.executeRun(run).catch(error => {
+      logger.error('Repricing run failed', { runId: run.id, error: error.message });
+    });
+
+    res.status(202).json({
+      message: 'Repricing started',
+      run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List repricing runs, newest first
+router.get('/repricing/runs', [
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const [runsResult, countResult] = await Promise.all([
+      query(`
+        SELECT id, trigger_type, trigger_details, mode, strategy, status,
+               products_checked, products_changed, errors, triggered_by, started_at, completed_at
+        FROM repricing_runs
+        ORDER BY started_at DESC
+        LIMIT $1 OFFSET $2
+      `, [limit, (page - 1) * limit]),
+      query('SELECT COUNT(*) as total FROM repricing_runs')
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      runs: runsResult.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Diff report of a run (JSON or CSV)
+router.get('/repricing/runs/:id', [
+  param('id').isUUID(),
+  queryValidator('format').optional().isIn(['json', 'csv'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const report = await RepricingService.getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Repricing run not found'
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="repricing-${req.params.id}.csv"`);
+      return res.send(RepricingService.toCsv(report.changes));
+    }
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Price changes, by default those waiting for approval
+router.get('/repricing/changes', [
+  queryValidator('status').optional().isIn(['pending', 'applied', 'rejected', 'superseded', 'stale']),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 50 } = req.query;
+
+    const [changesResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          pc.*, p.sku, p.name_en as product_name, p.base_price as current_price,
+          pr.rule_name
+        FROM price_changes pc
+        JOIN products p ON pc.product_id = p.id
+        LEFT JOIN pricing_rules pr ON pc.pricing_rule_id = pr.id
+        WHERE pc.status = $1
+        ORDER BY pc.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [status, limit, (page - 1) * limit]),
+      query('SELECT COUNT(*) as total FROM price_changes WHERE status = $1', [status])
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      changes: changesResult.rows,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject staged price changes
+router.post('/repricing/changes/:action', [
+  param('action').isIn(['approve', 'reject']),
+  body('ids').isArray({ min: 1, max: 500 }),
+  body('ids.*').isUUID(),
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid review request',
+        details: errors.array()
+      });
+    }
+
+    const { ids, note } = req.body;
+    const reviewer = { adminId: req.user.id, note };
+
+    if (req.params.action === 'reject') {
+      const rejected = await RepricingService.rejectChanges(ids, reviewer);
+      return res.json({
+        message: `${rejected.length} price change(s) rejected`,
+        rejected
+      });
+    }
+
+    const results = await RepricingService.approveChanges(ids, reviewer);
+
+    res.json({
+      message: `${results.filter(result => result.status === 'applied').length} price change(s) applied`,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay the inventory ledger now and store the mismatch report
+router.post('/inventory/reconciliation/runs', async (req, res, next) => {
+  try {
+    const run = await InventoryReconciliationService.run({
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: run.mismatch_count > 0
+        ? `${run.mismatch_count} variant(s) out of sync`
+        : 'Inventory is in sync with the ledger',
+      run
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List reconciliation runs, newest first
+router.get('/inventory/reconciliation/runs', [
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { runs, total } = await InventoryReconciliationService.getRuns({
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      runs,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mismatch report of a reconciliation run
+router.get('/inventory/reconciliation/runs/:id', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid run ID',
+        details: errors.array()
+      });
+    }
+
+    const run = await InventoryReconciliationService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        error: 'Reconciliation run not found'
+      });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Movement ledger of a variant, newest first
+router.get('/inventory/variants/:id/movements', [
+  param('id').isUUID(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const [movements, { mismatches }] = await Promise.all([
+      InventoryReconciliationService.getMovements(req.params.id, { limit: req.query.limit }),
+      InventoryReconciliationService.findMismatches({ variantIds: [req.params.id] })
+    ]);
+
+    res.json({
+      movements,
+      mismatch: mismatches[0] || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Post a correcting movement (signed quantity) for stock or reserved stock
+router.post('/inventory/adjustments', [
+  body('variantId').isUUID(),
+  body('field').isIn(InventoryReconciliationService.adjustableFields),
+  body('quantity').isInt().toInt(),
+  body('reason').trim().isLength({ min: 1, max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid adjustment',
+        details: errors.array()
+      });
+    }
+
+    const { variantId, field, quantity, reason } = req.body;
+
+    const result = await InventoryReconciliationService.adjust({
+      variantId,
+      field,
+      quantity,
+      reason,
+      adminId: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Inventory adjusted',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof InventoryAdjustmentError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Configure how orders reach a supplier's API (the key is stored encrypted and never returned)
+router.put('/suppliers/:id/integration', [
+  param('id').isUUID(),
+  body('apiEndpoint').optional({ nullable: true }).isURL({ require_tld: false, require_protocol: true }),
+  body('apiKey').optional({ nullable: true }).isString().isLength({ min: 1, max: 500 }),
+  body('integrationConfig').optional({ nullable: true }).isObject(),
+  body('integrationMethods').optional({ nullable: true }).isArray(),
+  body('integrationMethods.*').isIn(['email', 'api', 'csv', 'portal'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid integration settings',
+        details: errors.array()
+      });
+    }
+
+    if (req.body.integrationConfig) {
+      const problems = supplierAdapters.validateConfig(req.body.integrationConfig);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid integration config',
+          details: problems
+        });
+      }
+    }
+
+    const integration = await supplierAdapters.saveIntegration(req.params.id, req.body);
+
+    if (!integration) {
+      return res.status(404).json({
+        error: 'Supplier not found'
+      });
+    }
+
+    logger.info('Supplier integration updated', {
+      supplierId: req.params.id,
+      adminId: req.user.id,
+      apiKeyChanged: req.body.apiKey !== undefined
+    });
+
+    res.json({
+      message: 'Integration settings saved',
+      integration
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Call the supplier's stock endpoint to check endpoint, credentials and mappings
+router.post('/suppliers/:id/integration/test', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid supplier ID',
+        details: errors.array()
+      });
+    }
+
+    const adapter = await supplierAdapters.forSupplier(req.params.id);
+    const stock = await adapter.fetchStock();
+
+    res.json({
+      ok: true,
+      stockEntries: stock.length,
+      sample: stock.slice(0, 5)
+    });
+  } catch (error) {
+    if (error instanceof SupplierAdapterError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        error: error.message,
+        status: error.status
+      });
+    }
+    next(error);
+  }
+});
+
+// Sync frequency and source of a supplier's catalog feed (the FTP password is stored encrypted)
+router.put('/suppliers/:id/sync-settings', [
+  param('id').isUUID(),
+  body('syncFrequencyHours').optional().isInt({ min: 0, max: 720 }).toInt(),
+  body('sync').optional().isObject(),
+  body('sync.url').optional().isURL({ require_tld: false, require_protocol: true }),
+  body('sync.port').optional().isInt({ min: 1, max: 65535 }).toInt(),
+  body('ftpHost').optional().isString().isLength({ min: 1, max: 200 }),
+  body('ftpUsername').optional().isString().isLength({ min: 1, max: 100 }),
+  body('ftpPassword').optional().isString().isLength({ min: 1, max: 200 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid sync settings',
+        details: errors.array()
+      });
+    }
+
+    const settings = await SupplierCatalogSyncService.saveSettings(req.params.id, req.body);
+
+    res.json({
+      message: 'Sync settings saved',
+      settings
+    });
+  } catch (error) {
+    if (error instanceof SupplierSyncError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Sync a supplier's catalog now instead of waiting for its schedule
+router.post('/suppliers/:id/sync', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid supplier ID',
+        details: errors.array()
+      });
+    }
+
+    const run = await SupplierCatalogSyncService.syncSupplier(req.params.id, {
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    res.json({ run });
+  } catch (error) {
+    if (error instanceof SupplierSyncError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Sync log, newest first; filter by supplier or status (e.g. status=failed)
+router.get('/supplier-syncs', [
+  queryValidator('supplierId').optional().isUUID(),
+  queryValidator('status').optional().isIn(['running', 'completed', 'skipped', 'failed']),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { supplierId = null, status = null, page = 1, limit = 20 } = req.query;
+    const { runs, total } = await SupplierCatalogSyncService.getRuns({
+      supplierId,
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      runs,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One sync run with its row errors
+router.get('/supplier-syncs/:id', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid sync run ID',
+        details: errors.array()
+      });
+    }
+
+    const run = await SupplierCatalogSyncService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        error: 'Sync run not found'
+      });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Saved catalog column mapping of a supplier
+router.get('/suppliers/:id/catalog/import/mapping', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid supplier ID',
+        details: errors.array()
+      });
+    }
+
+    const mapping = await SupplierCatalogImportService.getMapping(req.params.id);
+
+    res.json({
+      mapping,
+      fields: SupplierCatalogImportService.fields
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save the catalog column mapping on behalf of a supplier
+router.put('/suppliers/:id/catalog/import/mapping', [
+  param('id').isUUID(),
+  body('columns').isObject(),
+  body('defaultCurrency').optional().isLength({ min: 3, max: 3 }).toUpperCase()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid column mapping',
+        details: errors.array()
+      });
+    }
+
+    const mapping = await SupplierCatalogImportService.saveMapping(req.params.id, req.body);
+
+    res.json({
+      message: 'Column mapping saved',
+      mapping
+    });
+  } catch (error) {
+    if (error instanceof CatalogImportError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+});
+
+// Import a supplier's CSV/XLSX catalog (dry run unless dryRun=false)
+router.post('/suppliers/:id/catalog/import', catalogUpload.single('file'), [
+  param('id').isUUID(),
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('mapping').optional().isJSON()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid import request',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Catalog file is required'
+      });
+    }
+
+    const result = await SupplierCatalogImportService.importFile(req.params.id, req.file, {
+      mapping: req.body.mapping ? JSON.parse(req.body.mapping) : null,
+      dryRun: req.body.dryRun !== false,
+      uploadedBy: { type: 'admin', id: req.user.id }
+    });
+
+    res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    if (error instanceof CatalogImportError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+});
+
+// Catalog imports of a supplier, newest first
+router.get('/suppliers/:id/catalog/imports', [
+  param('id').isUUID(),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { imports, total } = await SupplierCatalogImportService.getImports(req.params.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      imports,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a supplier's catalog or open orders as CSV/XLSX
+router.get('/suppliers/:id/:kind(catalog|orders)/export', [
+  param('id').isUUID(),
+  queryValidator('format').optional().isIn(['csv', 'xlsx'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const file = req.params.kind === 'catalog'
+      ? await SupplierExportService.exportCatalog(req.params.id, format)
+      : await SupplierExportService.exportOrders(req.params.id, format);
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
+  } catch (error) {
+    if (error instanceof SupplierExportError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Import a filled-in order sheet on behalf of a supplier (dry run unless dryRun=false)
+router.post('/suppliers/:id/orders/import', catalogUpload.single('file'), [
+  param('id').isUUID(),
+  body('dryRun').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid import request',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Order sheet is required'
+      });
+    }
+
+    const result = await SupplierExportService.importOrderSheet(req.params.id, req.file, {
+      dryRun: req.body.dryRun !== false,
+      importedBy: { type: 'admin', id: req.user.id }
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof SupplierExportError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+});
+
+// Supplier catalog entries without a product, with suggested matches
+router.get('/supplier-catalog/unmatched', [
+  queryValidator('supplierId').optional().isUUID(),
+  queryValidator('onlyWithSuggestions').optional().isBoolean().toBoolean(),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { supplierId = null, onlyWithSuggestions = false, page = 1, limit = 20 } = req.query;
+    const { entries, total } = await SupplierCatalogMatchService.getQueue({
+      supplierId,
+      onlyWithSuggestions,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// (Re)compute match suggestions, e.g. after products were added
+router.post('/supplier-catalog/suggestions/generate', [
+  body('supplierId').optional().isUUID(),
+  body('limit').optional().isInt({ min: 1, max: 5000 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: errors.array()
+      });
+    }
+
+    const summary = await SupplierCatalogMatchService.generateSuggestions({
+      supplierId: req.body.supplierId || null,
+      limit: req.body.limit || 500
+    });
+
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Link a catalog entry to a product/variant; the supplier becomes an inventory source
+router.post('/supplier-catalog/:id/link', [
+  param('id').isUUID(),
+  body('productId').isUUID(),
+  body('variantId').optional({ nullable: true }).isUUID(),
+  body('priority').optional().isInt({ min: 1, max: 10 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid link request',
+        details: errors.array()
+      });
+    }
+
+    const result = await SupplierCatalogMatchService.confirmMatch(req.params.id, {
+      productId: req.body.productId,
+      variantId: req.body.variantId || null,
+      priority: req.body.priority || 5
+    }, req.user.id);
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof CatalogMatchError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/supplier-catalog/:id/suggestions/:suggestionId/reject', [
+  param('id').isUUID(),
+  param('suggestionId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid suggestion ID',
+        details: errors.array()
+      });
+    }
+
+    await SupplierCatalogMatchService.rejectSuggestion(req.params.id, req.params.suggestionId, req.user.id);
+
+    res.json({ rejected: true });
+  } catch (error) {
+    if (error instanceof CatalogMatchError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Entry has no product on the platform; hide it from the queue
+router.post('/supplier-catalog/:id/dismiss', [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid catalog entry ID',
+        details: errors.array()
+      });
+    }
+
+    await SupplierCatalogMatchService.dismiss(req.params.id, req.user.id);
+
+    res.json({ dismissed: true });
+  } catch (error) {
+    if (error instanceof CatalogMatchError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Create an inactive draft product from a catalog entry and link it
+router.post('/supplier-catalog/:id/promote', [
+  param('id').isUUID(),
+  body('categoryId').isUUID(),
+  body('weightGrams').isInt({ min: 1 }).toInt(),
+  body('sku').optional().trim().isLength({ min: 1, max: 50 }),
+  body('basePrice').optional().isFloat({ min: 0.01 }).toFloat(),
+  body(['name_en', 'name_pt', 'name_de', 'name_fr', 'name_es']).optional().trim().isLength({ min: 1, max: 200 }),
+  body('description_en').optional().trim().isLength({ max: 5000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid promote request',
+        details: errors.array()
+      });
+    }
+
+    const result = await SupplierCatalogMatchService.promoteToProduct(req.params.id, req.body, req.user.id);
+
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof CatalogMatchError || error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Latest scorecard of every supplier with the change vs. the month before
+router.get('/supplier-performance', [
+  queryValidator('category').optional().isIn(['excellent', 'good', 'fair', 'poor'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const suppliers = await SupplierPerformanceService.getOverview({
+      category: req.query.category || null
+    });
+
+    res.json({ suppliers });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recompute scorecards now (current and previous month) instead of waiting for the nightly run
+router.post('/supplier-performance/runs', [
+  body('supplierId').optional().isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: errors.array()
+      });
+    }
+
+    const result = await SupplierPerformanceService.run({
+      supplierId: req.body.supplierId || null
+    });
+
+    logger.info('Supplier scorecards recomputed by admin', { adminId: req.user.id, ...result });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Monthly scorecards of one supplier, oldest first
+router.get('/suppliers/:id/performance', [
+  param('id').isUUID(),
+  queryValidator('months').optional().isInt({ min: 1, max: 36 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: errors.array()
+      });
+    }
+
+    const performance = await SupplierPerformanceService.getTrend(req.params.id, {
+      months: req.query.months || 12
+    });
+
+    if (!performance) {
+      return res.status(404).json({
+        error: 'Supplier not found'
+      });
+    }
+
+    res.json(performance);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Products and product changes submitted by suppliers, oldest first, with their review checklist
+router.get('/product-submissions', [
+  queryValidator('status').optional().isIn(['pending', 'approved', 'rejected', 'active', 'inactive']),
+  queryValidator('supplierId').optional().isUUID(),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'pending', supplierId = null, page = 1, limit = 20 } = req.query;
+    const { submissions, total } = await SupplierProductReviewService.getQueue({
+      status,
+      supplierId,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      submissions,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    if (error instanceof ProductReviewError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// One submission; categoryId/basePrice preview the checklist and margin before approving
+router.get('/product-submissions/:id', [
+  param('id').isUUID(),
+  queryValidator('categoryId').optional().isUUID(),
+  queryValidator('basePrice').optional().isFloat({ min: 0.01 }).toFloat()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: errors.array()
+      });
+    }
+
+    const submission = await SupplierProductReviewService.getSubmission(req.params.id, {
+      categoryId: req.query.categoryId,
+      basePrice: req.query.basePrice
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        error: 'Submission not found'
+      });
+    }
+
+    res.json(submission);
+  } catch (error) {
+    if (error instanceof ProductReviewError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Publish a submission: creates the product (or applies the edit) and links the supplier's stock
+router.post('/product-submissions/:id/approve', [
+  param('id').isUUID(),
+  body('categoryId').optional().isUUID(),
+  body('basePrice').optional().isFloat({ min: 0.01 }).toFloat(),
+  body('sku').optional().trim().isLength({ min: 1, max: 50 }),
+  body('weightGrams').optional().isInt({ min: 1 }).toInt(),
+  body('translations').optional().isObject(),
+  body(['translations.name_en', 'translations.name_pt', 'translations.name_de', 'translations.name_fr', 'translations.name_es'])
+    .optional().trim().isLength({ min: 1, max: 255 }),
+  body(['translations.description_en', 'translations.description_pt', 'translations.description_de', 'translations.description_fr', 'translations.description_es'])
+    .optional().trim().isLength({ max: 5000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid approval request',
+        details: errors.array()
+      });
+    }
+
+    const result = await SupplierProductReviewService.approve(req.params.id, {
+      categoryId: req.body.categoryId,
+      basePrice: req.body.basePrice,
+      sku: req.body.sku,
+      weightGrams: req.body.weightGrams,
+      translations: req.body.translations
+    }, req.user.id);
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ProductReviewError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.details ? { details: error.details } : {})
+      });
+    }
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+});
+
+// Reject a submission; the reason is mailed to the supplier and shown in the portal
+router.post('/product-submissions/:id/reject', [
+  param('id').isUUID(),
+  body('reason').trim().isLength({ min: 1, max: 2000 }).withMessage('A reason is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid rejection request',
+        details: errors.array()
+      });
+    }
+
+    await SupplierProductReviewService.reject(req.params.id, req.body.reason, req.user.id);
+
+    res.json({ rejected: true });
+  } catch (error) {
+    if (error instanceof ProductReviewError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
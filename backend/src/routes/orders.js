@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, param, query: queryValidator, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const OrderService = require('../services/OrderService');
+const { OrderValidationError } = require('../services/OrderService');
+const OrderStateMachine = require('../services/OrderStateMachine');
+const { InvalidTransitionError } = require('../services/OrderStateMachine');
+const OrderShipmentService = require('../services/OrderShipmentService');
+const ShipmentTrackingService = require('../services/ShipmentTrackingService');
+const PaymentService = require('../services/PaymentService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Create order from cart lines (prices, shipping and tax are recomputed server-side)
+router.post('/', authenticateToken, [
+  body('items').isArray({ min: 1, max: 100 }),
+  body('items.*.productId').isUUID(),
+  body('items.*.variantId').optional({ nullable: true }).isUUID(),
+  body('items.*.quantity').isInt({ min: 1, max: 1000 }).toInt(),
+  body('shippingAddress').isObject(),
+  body('shippingAddress.firstName').trim().notEmpty(),
+  body('shippingAddress.lastName').trim().notEmpty(),
+  body('shippingAddress.addressLine1').trim().notEmpty(),
+  body('shippingAddress.city').trim().notEmpty(),
+  body('shippingAddress.postalCode').trim().notEmpty(),
+  body('shippingAddress.country').isLength({ min: 2, max: 2 }).toUpperCase(),
+  body('billingAddress').optional().isObject(),
+  body('currency').optional().isIn(['EUR', 'BRL', 'NAD']),
+  body('shippingOptionId').optional().isString().isLength({ max: 100 }),
+  body('notes').optional().trim().isLength({ max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid order data',
+        details: errors.array()
+      });
+    }
+
+    const { items, shippingAddress, billingAddress, currency = 'EUR', shippingOptionId, notes } = req.body;
+
+    // Merge duplicate lines so stock checks see the full quantity
+    const mergedItems = [];
+    for (const item of items) {
+      const existing = mergedItems.find(line =>
+        line.productId === item.productId && (line.variantId || null) === (item.variantId || null)
+      );
+
+      if (existing) {
+        existing.quantity += item.quantity;
+      } else {
+        mergedItems.push({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          quantity: item.quantity
+        });
+      }
+    }
+
+    const order = await OrderService.createOrder(req.user.id, {
+      items: mergedItems,
+      shippingAddress,
+      billingAddress,
+      currency,
+      shippingOptionId,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order
+    });
+
+  } catch (error) {
+    if (error instanceof OrderValidationError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+});
+
+// Get orders of the authenticated user
+router.get('/', authenticateToken, [
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryValidator('status').optional().isIn(OrderStateMachine.statuses)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereConditions = ['o.user_id = $1'];
+    const queryParams = [req.user.id];
+
+    if (status) {
+      queryParams.push(status);
+      whereConditions.push(`o.status = $${queryParams.length}`);
+    }
+
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+    const [ordersResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          o.id, o.order_number, o.status, o.payment_status, o.currency,
+          o.subtotal, o.tax_amount, o.shipping_cost, o.discount_amount, o.total_amount,
+          o.tracking_number, o.estimated_delivery, o.created_at, o.updated_at,
+          (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi WHERE oi.order_id = o.id) as item_count
+        FROM orders o
+        ${whereClause}
+        ORDER BY o.created_at DESC
+        LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+      `, [...queryParams, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM orders o ${whereClause}`, queryParams)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    const shipmentsByOrder = await OrderShipmentService.getShipmentsForOrders(ordersResult.rows);
+
+    res.json({
+      orders: ordersResult.rows.map(order => ({
+        ...order,
+        fulfillment_status: OrderShipmentService.deriveCustomerStatus(order, shipmentsByOrder.get(order.id)),
+        shipment_count: shipmentsByOrder.get(order.id).length
+      })),
+      pagination: {
+        page,
+        totalPages,
+        totalItems: total,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single order of the authenticated user
+router.get('/:id', authenticateToken, [
+  param('id').isUUID(),
+  queryValidator('language').optional().isIn(['en', 'pt', 'de', 'fr', 'es'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { language = 'en' } = req.query;
+
+    const orderResult = await query(`
+      SELECT *
+      FROM orders
+      WHERE id = $1 AND user_id = $2
+    `, [id, req.user.id]);
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    const itemsResult = await query(`
+      SELECT
+        oi.id, oi.product_id, oi.variant_id, oi.quantity, oi.unit_price, oi.total_price,
+        p.sku,
+        COALESCE(p.name_${language}, p.name_en) as product_name,
+        pv.size,
+        COALESCE(pv.color_${language}, pv.color_en) as color,
+        (
+          SELECT pi.image_url FROM product_images pi
+          WHERE pi.product_id = p.id
+          ORDER BY pi.is_primary DESC, pi.sort_order
+          LIMIT 1
+        ) as image_url
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      LEFT JOIN product_variants pv ON oi.variant_id = pv.id
+      WHERE oi.order_id = $1
+      ORDER BY oi.created_at
+    `, [id]);
+
+    const order = orderResult.rows[0];
+    const shipments = await OrderShipmentService.getShipments(order, language);
+
+    res.json({
+      order: {
+        ...order,
+        items: itemsResult.rows,
+        shipments,
+        fulfillment_status: OrderShipmentService.deriveCustomerStatus(order, shipments)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get status timeline of an order
+router.get('/:id/history', authenticateToken, [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const orderResult = await query(
+      'SELECT id FROM orders WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    const history = await OrderStateMachine.getHistory(id, { includeActors: false });
+
+    res.json({ history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Track every shipment of an order (one per supplier parcel)
+router.get('/:id/tracking', authenticateToken, [
+  param('id').isUUID(),
+  queryValidator('language').optional().isIn(['en', 'pt', 'de', 'fr', 'es'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { language = 'en' } = req.query;
+
+    const orderResult = await query(`
+      SELECT id, order_number, status, total_amount, currency, tracking_number,
+             estimated_delivery, created_at
+      FROM orders
+      WHERE id = $1 AND user_id = $2
+    `, [id, req.user.id]);
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    const order = orderResult.rows[0];
+    const [shipments, timelines] = await Promise.all([
+      OrderShipmentService.getShipments(order, language),
+      ShipmentTrackingService.forOrder(id)
+    ]);
+
+    // Stored carrier timelines; parcels of carriers we do not integrate have none
+    const trackedShipments = shipments.map(shipment => ({
+      ...shipment,
+      tracking: (shipment.trackingNumber && timelines.get(shipment.trackingNumber)) || null
+    }));
+
+    res.json({
+      order: {
+        id: order.id,
+        order_number: order.order_number,
+        status: order.status,
+        total_amount: order.total_amount,
+        currency: order.currency,
+        estimated_delivery: order.estimated_delivery,
+        created_at: order.created_at,
+        fulfillment_status: OrderShipmentService.deriveCustomerStatus(order, shipments)
+      },
+      shipments: trackedShipments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel order (only before it is handed to fulfillment)
+router.put('/:id/cancel', authenticateToken, [
+  param('id').isUUID(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid cancellation request',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const order = await transaction(async (client) => {
+      const owned = await client.query(
+        'SELECT id FROM orders WHERE id = $1 AND user_id = $2',
+        [id, req.user.id]
+      );
+
+      if (owned.rows.length === 0) {
+        return null;
+      }
+
+      // Customers may only cancel before the order is handed to fulfillment
+      const { order: updated } = await OrderStateMachine.transition(id, 'cancelled', {
+        client,
+        actor: { type: 'customer', id: req.user.id },
+        reason: reason || 'Cancelled by customer',
+        allowedFrom: ['pending', 'confirmed']
+      });
+
+      return updated;
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    // Stop the open payment; should it succeed anyway, the payment webhook refunds it
+    if (order.payment_intent_id && order.payment_status !== 'paid') {
+      try {
+        await PaymentService.cancelIntent(order.payment_intent_id, { orderId: id });
+      } catch (error) {
+        logger.error('Failed to cancel payment intent of cancelled order', {
+          orderId: id,
+          paymentIntentId: order.payment_intent_id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Order cancelled by customer', {
+      orderId: id,
+      userId: req.user.id,
+      reason
+    });
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order: {
+        id: order.id,
+        order_number: order.order_number,
+        status: order.status,
+        payment_status: order.payment_status
+      }
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({
+        error: 'Order can no longer be cancelled'
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,11 @@ const Stripe = require('stripe');
 const { body, param, validationResult } = require('express-validator');
 const { query, transaction } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const OrderStateMachine = require('../services/OrderStateMachine');
+const OrderRoutingService = require('../services/OrderRoutingService');
+const InventoryReservationService = require('../services/InventoryReservationService');
+const PaymentService = require('../services/PaymentService');
+const { StockReservationError } = require('../services/InventoryReservationService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -15,8 +20,9 @@ const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
 // Create payment intent
 router.post('/create-intent', authenticateToken, [
-  body('amount').isFloat({ min: 0.50 }), // Minimum 50 cents
-  body('currency').isIn(['EUR', 'BRL', 'NAD']),
+  // Amount and currency come from the order itself when an orderId is given
+  body('amount').if(body('orderId').not().exists()).isFloat({ min: 0.50 }), // Minimum 50 cents
+  body('currency').if(body('orderId').not().exists()).isIn(['EUR', 'BRL', 'NAD']),
   body('orderId').optional().isUUID(),
   body('customerId').optional().isString(),
   body('metadata').optional().isObject()
@@ -31,12 +37,53 @@ router.post('/create-intent', authenticateToken, [
     }
 
     const { 
-      amount, 
-      currency, 
       orderId, 
       customerId, 
       metadata = {} 
     } = req.body;
+    let { amount, currency } = req.body;
+    let reservationExpiresAt = null;
+    let previousPaymentIntentId = null;
+
+    // Never trust client totals for an order: charge what the server computed
+    if (orderId) {
+      const orderResult = await query(
+        `SELECT total_amount, currency, payment_status, status, payment_intent_id 
+         FROM orders WHERE id = $1 AND user_id = $2`,
+        [orderId, req.user.id]
+      );
+
+      if (orderResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const order = orderResult.rows[0];
+      if (order.payment_status === 'paid') {
+        return res.status(409).json({ error: 'Order is already paid' });
+      }
+
+      // Cancelled or refunded orders hold no stock and must not be charged
+      if (order.status !== 'pending') {
+        return res.status(409).json({ error: `Order is ${order.status} and can no longer be paid` });
+      }
+
+      amount = parseFloat(order.total_amount);
+      currency = order.currency;
+      previousPaymentIntentId = order.payment_intent_id;
+
+      // Paying again after the hold expired: the stock must still be there
+      try {
+        reservationExpiresAt = await transaction((client) => InventoryReservationService.renewOrder(client, orderId));
+      } catch (error) {
+        if (error instanceof StockReservationError) {
+          return res.status(error.statusCode).json({
+            error: error.message,
+            details: error.details
+          });
+        }
+        throw error;
+      }
+    }
 
     // Convert amount to smallest currency unit (cents, centavos, etc.)
     const amountInCents = Math.round(amount * 100);
@@ -91,6 +138,29 @@ router.post('/create-intent', authenticateToken, [
       setup_future_usage: 'on_session',
     });
 
+    // The order keeps its open intent so a cancellation can stop it
+    if (orderId) {
+      await query(
+        `UPDATE orders
+         SET payment_intent_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND payment_status <> 'paid'`,
+        [paymentIntent.id, orderId]
+      );
+
+      // Only the newest intent may still be paid
+      if (previousPaymentIntentId && previousPaymentIntentId !== paymentIntent.id) {
+        try {
+          await PaymentService.cancelIntent(previousPaymentIntentId, { orderId });
+        } catch (error) {
+          logger.error('Failed to cancel replaced payment intent', {
+            orderId,
+            paymentIntentId: previousPaymentIntentId,
+            error: error.message
+          });
+        }
+      }
+    }
+
     // Log payment intent creation
     logger.info('Payment intent created', {
       paymentIntentId: paymentIntent.id,
@@ -103,7 +173,8 @@ router.post('/create-intent', authenticateToken, [
     res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
-      customerId: stripeCustomerId
+      customerId: stripeCustomerId,
+      reservationExpiresAt
     });
 
   } catch (error) {
@@ -323,61 +394,119 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
-// Handle successful payment intent
+// Handle successful payment intent. Unexpected errors are thrown so the
+// webhook answers 500 and Stripe retries the event.
 const handlePaymentIntentSucceeded = async (paymentIntent) => {
-  try {
-    const { id, metadata, amount, currency } = paymentIntent;
-    const userId = metadata.userId;
-    const orderId = metadata.orderId;
+  const { id, metadata, amount, currency } = paymentIntent;
+  const userId = metadata.userId;
+  const orderId = metadata.orderId;
 
-    if (orderId) {
-      await transaction(async (client) => {
-        // Update order status
-        await client.query(
-          `UPDATE orders 
-           SET payment_status = 'paid',
-               status = 'confirmed',
-               updated_at = CURRENT_TIMESTAMP
-           WHERE id = $1 AND user_id = $2`,
-          [orderId, userId]
-        );
+  if (!orderId) {
+    return;
+  }
 
-        // Create order items inventory reservation
-        const orderItems = await client.query(
-          `SELECT product_id, variant_id, quantity 
-           FROM order_items WHERE order_id = $1`,
-          [orderId]
-        );
+  const outcome = await transaction(async (client) => {
+    const orderResult = await client.query(
+      'SELECT id, status, payment_status FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [orderId, userId]
+    );
 
-        // Reserve inventory for each item
-        for (const item of orderItems.rows) {
-          await client.query(
-            `UPDATE product_variants 
-             SET reserved_quantity = reserved_quantity + $1
-             WHERE id = $2`,
-            [item.quantity, item.variant_id]
-          );
-
-          // Log inventory movement
-          await client.query(
-            `INSERT INTO inventory_movements (variant_id, type, quantity, reference_id, notes)
-             VALUES ($1, 'reserve', $2, $3, 'Reserved for order')`,
-            [item.variant_id, item.quantity, orderId]
-          );
-        }
-      });
+    if (orderResult.rows.length === 0) {
+      return 'unknown_order';
+    }
 
-      logger.info('Payment succeeded and order updated', {
-        paymentIntentId: id,
-        orderId,
-        userId,
-        amount,
-        currency
-      });
+    const order = orderResult.rows[0];
+
+    // Retry of an event whose money was already given back
+    if (order.payment_status === 'refunded') {
+      return 'refunded';
     }
-  } catch (error) {
-    logger.error('Failed to handle payment intent succeeded', error);
+
+    // The money arrived whatever happened to the order, so record it first
+    await client.query(
+      `UPDATE orders 
+       SET payment_status = 'paid',
+           payment_intent_id = $2,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [orderId, id]
+    );
+
+    // Cancelled while the customer was paying (or after the hold expired): refund below
+    if (order.status === 'cancelled') {
+      return 'refund';
+    }
+
+    // Webhook retries must not touch the reservations twice
+    if (order.status !== 'pending') {
+      return 'already_confirmed';
+    }
+
+    await OrderStateMachine.transition(orderId, 'confirmed', {
+      client,
+      actor: { type: 'system' },
+      reason: 'Payment succeeded',
+      metadata: { paymentIntentId: id },
+      allowedFrom: ['pending']
+    });
+
+    // Stock held at checkout is kept until shipment
+    await InventoryReservationService.commitOrder(client, orderId);
+
+    return 'confirmed';
+  });
+
+  logger.info('Payment succeeded and order updated', {
+    paymentIntentId: id,
+    orderId,
+    userId,
+    amount,
+    currency,
+    outcome
+  });
+
+  if (outcome === 'refund') {
+    await refundCancelledOrder(orderId, id);
   }
+
+  // Hand the paid order to the routing engine (once per order)
+  if (outcome === 'confirmed') {
+    try {
+      await OrderRoutingService.routeOrder(orderId);
+    } catch (error) {
+      logger.error('Order routing failed', { orderId, error: error.message });
+    }
+  }
+};
+
+// A cancelled order got paid: give the money back and close the order as refunded.
+// If Stripe fails the order stays cancelled with payment_status 'paid' and the
+// event is retried.
+const refundCancelledOrder = async (orderId, paymentIntentId) => {
+  const refund = await PaymentService.refundIntent(paymentIntentId, {
+    orderId,
+    reason: 'Order was cancelled before payment completed'
+  });
+
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE orders
+       SET payment_status = 'refunded',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [orderId]
+    );
+
+    await OrderStateMachine.transition(orderId, 'refunded', {
+      client,
+      actor: { type: 'system' },
+      reason: 'Payment received after cancellation was refunded',
+      metadata: { paymentIntentId, refundId: refund.id },
+      allowedFrom: ['cancelled']
+    });
+  });
+
+  logger.warn('Payment for cancelled order refunded', { orderId, paymentIntentId, refundId: refund.id });
 };
 
 // Handle failed payment intent
@@ -388,14 +517,22 @@ const handlePaymentIntentFailed = async (paymentIntent) => {
     const orderId = metadata.orderId;
 
     if (orderId) {
-      await query(
-        `UPDATE orders 
-         SET payment_status = 'failed',
-             notes = $1,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $2 AND user_id = $3`,
-        [last_payment_error?.message || 'Payment failed', orderId, userId]
-      );
+      await transaction(async (client) => {
+        const failed = await client.query(
+          `UPDATE orders 
+           SET payment_status = 'failed',
+               notes = $1,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 AND user_id = $3 AND payment_status <> 'paid'
+           RETURNING id`,
+          [last_payment_error?.message || 'Payment failed', orderId, userId]
+        );
+
+        // Give the held stock back; a new payment attempt holds it again
+        if (failed.rows.length > 0) {
+          await InventoryReservationService.releaseOrder(client, orderId, 'payment_failed');
+        }
+      });
 
       logger.info('Payment failed and order updated', {
         paymentIntentId: id,
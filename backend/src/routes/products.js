@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, query: queryValidator, param, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const PricingService = require('../services/PricingService');
+const { PricingError } = require('../services/PricingService');
+const PriceHistoryService = require('../services/PriceHistoryService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -158,7 +161,8 @@ router.get('/', [
       query(countQuery, queryParams.slice(0, -2)) // Remove limit and offset for count
     ]);
 
-    const products = productsResult.rows;
+    // Strike-through prices must reference the lowest price of the last 30 days
+    const products = await PriceHistoryService.attachLowestPrices(productsResult.rows);
     const total = parseInt(countResult.rows[0].total);
     const totalPages = Math.ceil(total / limit);
 
@@ -269,7 +273,9 @@ router.get('/:id', [
       });
     }
 
-    res.json({ product: result.rows[0] });
+    const [product] = await PriceHistoryService.attachLowestPrices(result.rows);
+
+    res.json({ product });
   } catch (error) {
     next(error);
   }
@@ -332,43 +338,55 @@ router.post('/', authenticateToken, requireAdmin, [
       });
     }
 
-    // Insert product
-    const result = await query(`
-      INSERT INTO products (
-        supplier_id, category_id, sku, name_en, name_pt, name_de, name_fr, name_es,
-        description_en, description_pt, description_de, description_fr, description_es,
-        base_price, cost_price, weight_grams, dimensions_cm, material,
-        care_instructions_en, care_instructions_pt, care_instructions_de, 
-        care_instructions_fr, care_instructions_es, featured
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24
-      ) RETURNING *
-    `, [
-      productData.supplierId,
-      productData.categoryId,
-      productData.sku,
-      productData.name_en,
-      productData.name_pt || null,
-      productData.name_de || null,
-      productData.name_fr || null,
-      productData.name_es || null,
-      productData.description_en || null,
-      productData.description_pt || null,
-      productData.description_de || null,
-      productData.description_fr || null,
-      productData.description_es || null,
-      productData.basePrice,
-      productData.costPrice,
-      productData.weightGrams,
-      productData.dimensionsCm || null,
-      productData.material || null,
-      productData.care_instructions_en || null,
-      productData.care_instructions_pt || null,
-      productData.care_instructions_de || null,
-      productData.care_instructions_fr || null,
-      productData.care_instructions_es || null,
-      productData.featured || false
-    ]);
+    // Enforce the margin floor of the applicable pricing rule
+    await PricingService.assertValidPrice({
+      categoryId: productData.categoryId,
+      supplierId: productData.supplierId,
+      costPrice: productData.costPrice,
+      basePrice: productData.basePrice
+    });
+
+    // Insert product (price_history records the initial price)
+    const result = await transaction(async (client) => {
+      await PriceHistoryService.setChangeContext(client, { source: 'admin', actorId: req.user.id });
+
+      return client.query(`
+        INSERT INTO products (
+          supplier_id, category_id, sku, name_en, name_pt, name_de, name_fr, name_es,
+          description_en, description_pt, description_de, description_fr, description_es,
+          base_price, cost_price, weight_grams, dimensions_cm, material,
+          care_instructions_en, care_instructions_pt, care_instructions_de, 
+          care_instructions_fr, care_instructions_es, featured
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24
+        ) RETURNING *
+      `, [
+        productData.supplierId,
+        productData.categoryId,
+        productData.sku,
+        productData.name_en,
+        productData.name_pt || null,
+        productData.name_de || null,
+        productData.name_fr || null,
+        productData.name_es || null,
+        productData.description_en || null,
+        productData.description_pt || null,
+        productData.description_de || null,
+        productData.description_fr || null,
+        productData.description_es || null,
+        productData.basePrice,
+        productData.costPrice,
+        productData.weightGrams,
+        productData.dimensionsCm || null,
+        productData.material || null,
+        productData.care_instructions_en || null,
+        productData.care_instructions_pt || null,
+        productData.care_instructions_de || null,
+        productData.care_instructions_fr || null,
+        productData.care_instructions_es || null,
+        productData.featured || false
+      ]);
+    });
 
     logger.info('Product created', { 
       productId: result.rows[0].id, 
@@ -381,6 +399,139 @@ router.post('/', authenticateToken, requireAdmin, [
       product: result.rows[0]
     });
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+});
+
+// Update product (admin only)
+router.put('/:id', authenticateToken, requireAdmin, [
+  param('id').isUUID(),
+  body('supplierId').optional().isUUID(),
+  body('categoryId').optional().isUUID(),
+  body('name_en').optional().trim().isLength({ min: 1, max: 255 }),
+  body('name_pt').optional().trim().isLength({ max: 255 }),
+  body('name_de').optional().trim().isLength({ max: 255 }),
+  body('name_fr').optional().trim().isLength({ max: 255 }),
+  body('name_es').optional().trim().isLength({ max: 255 }),
+  body('basePrice').optional().isFloat({ min: 0 }),
+  body('costPrice').optional().isFloat({ min: 0 }),
+  body('weightGrams').optional().isInt({ min: 1 }),
+  body('dimensionsCm').optional().trim(),
+  body('material').optional().trim().isLength({ max: 100 }),
+  body('featured').optional().isBoolean(),
+  body('isActive').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const existingResult = await query('SELECT * FROM products WHERE id = $1', [id]);
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    const existing = existingResult.rows[0];
+
+    // Request field -> column
+    const columns = {
+      supplierId: 'supplier_id',
+      categoryId: 'category_id',
+      name_en: 'name_en',
+      name_pt: 'name_pt',
+      name_de: 'name_de',
+      name_fr: 'name_fr',
+      name_es: 'name_es',
+      description_en: 'description_en',
+      description_pt: 'description_pt',
+      description_de: 'description_de',
+      description_fr: 'description_fr',
+      description_es: 'description_es',
+      basePrice: 'base_price',
+      costPrice: 'cost_price',
+      weightGrams: 'weight_grams',
+      dimensionsCm: 'dimensions_cm',
+      material: 'material',
+      care_instructions_en: 'care_instructions_en',
+      care_instructions_pt: 'care_instructions_pt',
+      care_instructions_de: 'care_instructions_de',
+      care_instructions_fr: 'care_instructions_fr',
+      care_instructions_es: 'care_instructions_es',
+      featured: 'featured',
+      isActive: 'is_active'
+    };
+
+    const updates = [];
+    const values = [];
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (req.body[field] !== undefined) {
+        values.push(req.body[field]);
+        updates.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: 'No fields to update'
+      });
+    }
+
+    // Re-check the margin floor whenever price, cost or the matching rule may change
+    if (['basePrice', 'costPrice', 'categoryId', 'supplierId'].some(field => req.body[field] !== undefined)) {
+      await PricingService.assertValidPrice({
+        productId: id,
+        categoryId: req.body.categoryId || existing.category_id,
+        supplierId: req.body.supplierId || existing.supplier_id,
+        costPrice: req.body.costPrice ?? existing.cost_price,
+        basePrice: req.body.basePrice ?? existing.base_price
+      });
+    }
+
+    values.push(id);
+    const result = await transaction(async (client) => {
+      await PriceHistoryService.setChangeContext(client, { source: 'admin', actorId: req.user.id });
+
+      return client.query(`
+        UPDATE products
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${values.length}
+        RETURNING *
+      `, values);
+    });
+
+    logger.info('Product updated', {
+      productId: id,
+      fields: Object.keys(req.body).filter(field => columns[field]),
+      updatedBy: req.user.id
+    });
+
+    res.json({
+      message: 'Product updated successfully',
+      product: result.rows[0]
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
     next(error);
   }
 });
@@ -1,12 +1,52 @@
 const express = require('express');
 const { body, param, query: queryValidator, validationResult } = require('express-validator');
-const { query, transaction } = require('../config/database');
+const { query } = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const DHLService = require('../services/DHLService');
+const shippingAdapters = require('../adapters/shipping');
+const { ShippingAdapterError } = require('../adapters/shipping');
+const ShipmentService = require('../services/ShipmentService');
+const { ShipmentError } = require('../services/ShipmentService');
+const { ShippingLabelError } = require('../services/ShippingLabelService');
+const ShipmentTrackingService = require('../services/ShipmentTrackingService');
+const { ShipmentTrackingError } = require('../services/ShipmentTrackingService');
+const ShippingRateService = require('../services/ShippingRateService');
+const { ShippingOptionError } = require('../services/ShippingRateService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Tracking updates pushed by carriers; the body is checked against the carrier's signature
+router.post('/webhooks/:carrier', async (req, res, next) => {
+  try {
+    const summary = await ShipmentTrackingService.handleWebhook(req.params.carrier.toLowerCase(), {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      payload: req.body
+    });
+
+    if (summary.unknown > 0) {
+      logger.info('Carrier webhook for unknown tracking numbers', { carrier: req.params.carrier, ...summary });
+    }
+
+    res.json({ received: true, ...summary });
+
+  } catch (error) {
+    if (error instanceof ShipmentTrackingError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Carriers shipments can be created with
+router.get('/carriers', (req, res) => {
+  res.json({
+    carriers: shippingAdapters.describe()
+  });
+});
+
 // Get shipping zones
 router.get('/zones', async (req, res, next) => {
   try {
@@ -34,7 +74,7 @@ router.get('/zones', async (req, res, next) => {
   }
 });
 
-// Calculate shipping cost
+// Calculate shipping cost and the delivery options to choose from at checkout
 router.post('/calculate', [
   body('recipient').isObject(),
   body('recipient.countryCode').isLength({ min: 2, max: 2 }),
@@ -43,7 +83,8 @@ router.post('/calculate', [
   body('items').isArray({ min: 1 }),
   body('items.*.productId').isUUID(),
   body('items.*.quantity').isInt({ min: 1 }),
-  body('sender').optional().isObject()
+  body('sender').optional().isObject(),
+  body('currency').optional().isIn(['EUR', 'BRL', 'NAD'])
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -54,7 +95,7 @@ router.post('/calculate', [
       });
     }
 
-    const { recipient, items, sender } = req.body;
+    const { recipient, items, sender, currency = 'EUR' } = req.body;
 
     // Get product details for weight calculation
     const productIds = items.map(item => item.productId);
@@ -86,84 +127,34 @@ router.post('/calculate', [
       }
     }
 
-    // Find shipping zone
-    const zoneResult = await query(`
-      SELECT * FROM shipping_zones 
-      WHERE $1 = ANY(countries) AND is_active = true
-      ORDER BY base_rate ASC
-      LIMIT 1
-    `, [recipient.countryCode]);
-
-    if (zoneResult.rows.length === 0) {
-      return res.status(400).json({
-        error: 'Shipping not available to this destination'
-      });
-    }
-
-    const zone = zoneResult.rows[0];
-
-    // Calculate shipping cost
-    const baseCost = parseFloat(zone.base_rate);
-    const weightCost = totalWeight * parseFloat(zone.per_kg_rate);
-    const totalShippingCost = baseCost + weightCost;
-
-    // Check for free shipping
-    const freeShippingThreshold = parseFloat(zone.free_shipping_threshold || 0);
-    const finalCost = (totalValue >= freeShippingThreshold) ? 0 : totalShippingCost;
-
-    // Get DHL rates for comparison (optional)
-    let dhlRates = [];
-    if (sender && process.env.DHL_API_KEY) {
-      try {
-        const packages = [{
-          weight: Math.max(totalWeight, 0.1), // Minimum 100g
-          dimensions: {
-            length: 30,
-            width: 20,
-            height: 10
-          },
-          declaredValue: totalValue,
-          currency: 'EUR'
-        }];
-
-        const dhlResult = await DHLService.getShippingRates({
-          sender,
-          recipient,
-          packages
-        });
-
-        if (dhlResult.success) {
-          dhlRates = dhlResult.data;
-        }
-      } catch (error) {
-        logger.warn('DHL rate calculation failed', error);
-      }
-    }
+    // Zone price plus carrier quotes, ranked
+    const { zone, cost, estimatedDelivery, options } = await ShippingRateService.getOptions({
+      recipient,
+      sender,
+      totalWeight,
+      totalValue,
+      currency
+    });
 
     res.json({
-      shippingCost: {
-        baseCost: baseCost,
-        weightCost: weightCost,
-        totalCost: finalCost,
-        originalCost: totalShippingCost,
-        currency: 'EUR',
-        freeShippingApplied: finalCost === 0 && totalShippingCost > 0,
-        freeShippingThreshold: freeShippingThreshold
-      },
-      estimatedDelivery: {
-        minDays: zone.estimated_days_min,
-        maxDays: zone.estimated_days_max
-      },
+      shippingCost: cost,
+      estimatedDelivery,
       totalWeight: totalWeight,
       totalValue: totalValue,
       shippingZone: {
         id: zone.id,
         name: zone.name
       },
-      dhlRates: dhlRates
+      currency,
+      options
     });
 
   } catch (error) {
+    if (error instanceof ShippingOptionError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
     next(error);
   }
 });
@@ -171,9 +162,14 @@ router.post('/calculate', [
 // Create shipment (admin/system use)
 router.post('/create-shipment', authenticateToken, requireAdmin, [
   body('orderId').isUUID(),
-  body('recipient').isObject(),
+  body('carrier').optional().isIn(shippingAdapters.codes),
+  body('serviceLevel').optional().isIn(['standard', 'express']),
+  body('serviceCode').optional().isString(),
+  body('recipient').optional().isObject(),
   body('packages').isArray({ min: 1 }),
-  body('serviceType').optional().isString()
+  body('packages.*.weightKg').isFloat({ min: 0.01 }),
+  body('trackingNumber').optional().trim().isLength({ max: 100 }),
+  body('overrideOption').optional().isBoolean()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -184,101 +180,46 @@ router.post('/create-shipment', authenticateToken, requireAdmin, [
       });
     }
 
-    const { orderId, recipient, packages, serviceType } = req.body;
-
-    // Get order details
-    const orderResult = await query(`
-      SELECT o.*, u.email, u.first_name, u.last_name, u.phone
-      FROM orders o
-      JOIN users u ON o.user_id = u.id
-      WHERE o.id = $1 AND o.status = 'confirmed'
-    `, [orderId]);
-
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Order not found or not ready for shipment'
-      });
-    }
+    const { orderId, carrier, serviceLevel, serviceCode, recipient, packages, trackingNumber, overrideOption } = req.body;
 
-    const order = orderResult.rows[0];
-
-    // Default sender information (from China)
-    const sender = {
-      companyName: process.env.SENDER_COMPANY_NAME || 'Clothes Shipping Store',
-      fullName: process.env.SENDER_CONTACT_NAME || 'Shipping Manager',
-      email: process.env.SENDER_EMAIL || 'shipping@itsjn.com',
-      phone: process.env.SENDER_PHONE || '+86-xxx-xxxx-xxxx',
-      addressLine1: process.env.SENDER_ADDRESS_LINE1 || 'Warehouse Address',
-      city: process.env.SENDER_CITY || 'Shenzhen',
-      postalCode: process.env.SENDER_POSTAL_CODE || '518000',
-      countryCode: 'CN'
-    };
-
-    // Create DHL shipment
-    const shipmentResult = await DHLService.createShipment({
-      orderId,
-      sender,
-      recipient: {
-        ...recipient,
-        firstName: order.first_name,
-        lastName: order.last_name,
-        email: order.email,
-        phone: order.phone
-      },
+    const { shipment, label } = await ShipmentService.createForOrder(orderId, {
+      carrier,
+      serviceLevel,
+      serviceCode,
+      recipient,
       packages,
-      serviceType: serviceType || 'EXPRESS'
-    });
-
-    if (!shipmentResult.success) {
-      return res.status(400).json({
-        error: shipmentResult.error
-      });
-    }
-
-    // Update order with tracking information
-    await transaction(async (client) => {
-      await client.query(`
-        UPDATE orders 
-        SET 
-          status = 'shipped',
-          tracking_number = $1,
-          dhl_shipment_id = $2,
-          estimated_delivery = $3,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $4
-      `, [
-        shipmentResult.data.trackingNumber,
-        shipmentResult.data.shipmentId,
-        shipmentResult.data.estimatedDeliveryDate || null,
-        orderId
-      ]);
-
-      logger.info('Shipment created successfully', {
-        orderId,
-        trackingNumber: shipmentResult.data.trackingNumber,
-        shipmentId: shipmentResult.data.shipmentId
-      });
-    });
+      trackingNumber,
+      overrideOption: overrideOption === true || overrideOption === 'true'
+    }, { type: 'admin', id: req.user.id });
 
     res.json({
       message: 'Shipment created successfully',
       shipment: {
+        id: shipment.id,
         orderId,
-        trackingNumber: shipmentResult.data.trackingNumber,
-        shipmentId: shipmentResult.data.shipmentId,
-        estimatedDeliveryDate: shipmentResult.data.estimatedDeliveryDate,
-        shippingLabel: shipmentResult.data.label
+        carrier: shipment.carrier,
+        serviceLevel: shipment.service_level,
+        trackingNumber: shipment.tracking_number,
+        shipmentId: shipment.external_shipment_id,
+        estimatedDeliveryDate: shipment.estimated_delivery_date,
+        label: label ? { format: label.format, url: `/api/shipping/shipments/${shipment.id}/label` } : null
       }
     });
 
   } catch (error) {
+    if (error instanceof ShipmentError || error instanceof ShippingAdapterError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
     next(error);
   }
 });
 
-// Track shipment
+// Track shipment (stored timeline; carriers are never called from here)
 router.get('/track/:trackingNumber', [
-  param('trackingNumber').trim().notEmpty()
+  param('trackingNumber').trim().notEmpty(),
+  queryValidator('carrier').optional().isIn(shippingAdapters.codes)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -291,22 +232,28 @@ router.get('/track/:trackingNumber', [
 
     const { trackingNumber } = req.params;
 
-    // Get tracking info from DHL
-    const trackingResult = await DHLService.trackShipment(trackingNumber);
-
-    if (!trackingResult.success) {
+    const tracking = await ShipmentTrackingService.forTrackingNumber(trackingNumber, req.query.carrier || null);
+    if (!tracking) {
       return res.status(404).json({
-        error: trackingResult.error
+        error: 'No tracking information for this tracking number'
       });
     }
 
     // Also get order information if user is authenticated
     let orderInfo = null;
     if (req.user) {
+      // Parcels shipped by suppliers carry their own tracking numbers
       const orderResult = await query(`
-        SELECT id, order_number, status, total_amount, currency, created_at
-        FROM orders 
-        WHERE tracking_number = $1 AND user_id = $2
+        SELECT o.id, o.order_number, o.status, o.total_amount, o.currency, o.created_at
+        FROM orders o
+        WHERE o.user_id = $2
+          AND (
+            o.tracking_number = $1
+            OR EXISTS (
+              SELECT 1 FROM supplier_orders so
+              WHERE so.order_id = o.id AND so.tracking_number = $1
+            )
+          )
       `, [trackingNumber, req.user.id]);
 
       if (orderResult.rows.length > 0) {
@@ -315,7 +262,7 @@ router.get('/track/:trackingNumber', [
     }
 
     res.json({
-      tracking: trackingResult.data,
+      tracking,
       order: orderInfo
     });
 
@@ -329,7 +276,8 @@ router.post('/services', [
   body('origin').isObject(),
   body('origin.countryCode').isLength({ min: 2, max: 2 }),
   body('destination').isObject(),
-  body('destination.countryCode').isLength({ min: 2, max: 2 })
+  body('destination.countryCode').isLength({ min: 2, max: 2 }),
+  body('carrier').optional().isIn(shippingAdapters.codes)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -340,21 +288,30 @@ router.post('/services', [
       });
     }
 
-    const { origin, destination } = req.body;
+    const { origin, destination, carrier } = req.body;
+    const adapter = shippingAdapters.select(carrier);
 
-    const servicesResult = await DHLService.getAvailableServices(origin, destination);
-
-    if (!servicesResult.success) {
-      return res.status(400).json({
-        error: servicesResult.error
-      });
-    }
+    // Carriers without a product API offer the services of their tariff
+    const services = typeof adapter.getAvailableServices === 'function'
+      ? await adapter.getAvailableServices(origin, destination)
+      : (await adapter.calculateRates({ sender: origin, recipient: destination, packages: [] })).map(rate => ({
+        code: rate.serviceCode,
+        name: rate.serviceName,
+        serviceLevel: rate.serviceLevel,
+        estimatedDays: rate.transitDaysMax
+      }));
 
     res.json({
-      services: servicesResult.data
+      carrier: adapter.carrier,
+      services
     });
 
   } catch (error) {
+    if (error instanceof ShippingAdapterError) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
     next(error);
   }
 });
@@ -365,7 +322,8 @@ router.post('/validate-address', [
   body('address.countryCode').isLength({ min: 2, max: 2 }),
   body('address.postalCode').trim().notEmpty(),
   body('address.city').trim().notEmpty(),
-  body('address.addressLine1').trim().notEmpty()
+  body('address.addressLine1').trim().notEmpty(),
+  body('carrier').optional().isIn(shippingAdapters.codes)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -376,15 +334,134 @@ router.post('/validate-address', [
       });
     }
 
-    const { address } = req.body;
+    const { address, carrier = 'dhl' } = req.body;
+    const adapter = shippingAdapters.get(carrier);
+
+    if (typeof adapter.validateAddress !== 'function') {
+      return res.status(400).json({
+        error: `${adapter.displayName} does not validate addresses`
+      });
+    }
 
-    const validationResult = await DHLService.validateAddress(address);
+    const validation = await adapter.validateAddress(address);
 
     res.json({
-      validation: validationResult
+      validation
     });
 
   } catch (error) {
+    if (error instanceof ShippingAdapterError) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// List shipments (admin only)
+router.get('/shipments', authenticateToken, requireAdmin, [
+  queryValidator('status').optional().isIn(['created', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned', 'cancelled']),
+  queryValidator('carrier').optional().isIn(shippingAdapters.codes),
+  queryValidator('orderId').optional().isUUID(),
+  queryValidator('printed').optional().isBoolean().toBoolean(),
+  queryValidator('page').optional().isInt({ min: 1 }).toInt(),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array()
+      });
+    }
+
+    const { status = null, carrier = null, orderId = null, printed = null, page = 1, limit = 20 } = req.query;
+    const { shipments, total } = await ShipmentService.list({
+      status,
+      carrier,
+      orderId,
+      printed,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      shipments,
+      pagination: {
+        page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a shipment's label for printing (admin only)
+router.get('/shipments/:shipmentId/label', authenticateToken, requireAdmin, [
+  param('shipmentId').trim().notEmpty(),
+  queryValidator('format').optional().isIn(['PDF', 'ZPL', 'pdf', 'zpl'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid label request',
+        details: errors.array()
+      });
+    }
+
+    const label = await ShipmentService.getLabel(req.params.shipmentId, req.query.format || 'PDF');
+
+    res.set('Content-Type', label.contentType);
+    res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${label.filename}"`);
+    res.send(label.buffer);
+
+  } catch (error) {
+    if (error instanceof ShipmentError || error instanceof ShippingLabelError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Print the labels of several shipments as one PDF (admin only).
+// Shipments whose label could not be added are listed in X-Labels-Failed.
+router.post('/shipments/labels/batch', authenticateToken, requireAdmin, [
+  body('shipmentIds').isArray({ min: 1 }),
+  body('shipmentIds.*').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid label batch request',
+        details: errors.array()
+      });
+    }
+
+    const { buffer, printed, failed } = await ShipmentService.getLabelBatch(req.body.shipmentIds);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="labels-${new Date().toISOString().slice(0, 10)}.pdf"`);
+    res.set('X-Labels-Printed', String(printed.length));
+    res.set('X-Labels-Failed', JSON.stringify(failed));
+    res.send(buffer);
+
+  } catch (error) {
+    if (error instanceof ShippingLabelError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
     next(error);
   }
 });
@@ -406,38 +483,31 @@ router.delete('/shipments/:shipmentId', authenticateToken, requireAdmin, [
     const { shipmentId } = req.params;
     const { reason } = req.body;
 
-    // Cancel with DHL
-    const cancellationResult = await DHLService.cancelShipment(shipmentId, reason);
-
-    if (!cancellationResult.success) {
-      return res.status(400).json({
-        error: cancellationResult.error
-      });
-    }
-
-    // Update order status
-    await query(`
-      UPDATE orders 
-      SET 
-        status = 'processing',
-        tracking_number = NULL,
-        dhl_shipment_id = NULL,
-        notes = COALESCE(notes || ' | ', '') || 'Shipment cancelled: ' || $1,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE dhl_shipment_id = $2
-    `, [reason || 'Admin request', shipmentId]);
+    const shipment = await ShipmentService.cancel(shipmentId, reason, { type: 'admin', id: req.user.id });
 
     logger.info('Shipment cancelled', {
-      shipmentId,
+      shipmentId: shipment.id,
+      carrier: shipment.carrier,
       reason,
       cancelledBy: req.user.id
     });
 
     res.json({
-      message: 'Shipment cancelled successfully'
+      message: 'Shipment cancelled successfully',
+      shipment: {
+        id: shipment.id,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.tracking_number,
+        carrierCancelled: shipment.carrierCancelled
+      }
     });
 
   } catch (error) {
+    if (error instanceof ShipmentError || error instanceof ShippingAdapterError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
     next(error);
   }
 });
@@ -11,6 +11,21 @@ const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { logSecurityEvent } = require('../services/SecurityService');
 const EmailService = require('../services/EmailService');
+const SupplierCatalogImportService = require('../services/SupplierCatalogImportService');
+const { CatalogImportError } = require('../services/SupplierCatalogImportService');
+const SupplierExportService = require('../services/SupplierExportService');
+const { SupplierExportError } = require('../services/SupplierExportService');
+const SupplierOrderService = require('../services/SupplierOrderService');
+const { SupplierOrderTransitionError } = require('../services/SupplierOrderService');
+const SupplierOrderRerouteService = require('../services/SupplierOrderRerouteService');
+const { SupplierOrderStateError } = require('../services/SupplierOrderRerouteService');
+const SupplierOrderEmailService = require('../services/SupplierOrderEmailService');
+const SupplierPerformanceService = require('../services/SupplierPerformanceService');
+const SupplierProductReviewService = require('../services/SupplierProductReviewService');
+const { ProductReviewError } = require('../services/SupplierProductReviewService');
+const SupplierInventoryService = require('../services/SupplierInventoryService');
+const { SupplierInventoryError } = require('../services/SupplierInventoryService');
+const { catalogUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -339,6 +354,9 @@ router.put('/profile', authenticateToken, requireRole('supplier'), [
   body('contactPerson').optional().notEmpty().withMessage('Contact person cannot be empty'),
   body('phone').optional().notEmpty().withMessage('Phone cannot be empty'),
   body('website').optional().isURL().withMessage('Invalid website URL'),
+  body('emailOrderAddress').optional().isEmail().withMessage('Invalid order email address'),
+  body('languagePreference').optional().isIn(['en', 'pt', 'de', 'fr', 'es']).withMessage('Unsupported language'),
+  body('orderAttachmentFormat').optional().isIn(['pdf', 'csv']).withMessage('Attachment format must be pdf or csv'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -352,7 +370,10 @@ router.put('/profile', authenticateToken, requireRole('supplier'), [
       phone,
       address,
       website,
-      description
+      description,
+      emailOrderAddress,
+      languagePreference,
+      orderAttachmentFormat
     } = req.body;
 
     const result = await db.query(`
@@ -363,10 +384,17 @@ router.put('/profile', authenticateToken, requireRole('supplier'), [
         address = COALESCE($5, address),
         website = COALESCE($6, website),
         description = COALESCE($7, description),
+        email_order_address = COALESCE($8, email_order_address),
+        language_preference = COALESCE($9, language_preference),
+        order_attachment_format = COALESCE($10, order_attachment_format),
         updated_at = NOW()
       WHERE id = $1
-      RETURNING id, company_name, email, contact_person, phone, address, website, description
-    `, [req.user.id, companyName, contactPerson, phone, address, website, description]);
+      RETURNING id, company_name, email, contact_person, phone, address, website, description,
+                email_order_address, language_preference, order_attachment_format
+    `, [
+      req.user.id, companyName, contactPerson, phone, address, website, description,
+      emailOrderAddress, languagePreference, orderAttachmentFormat
+    ]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Supplier not found' });
@@ -496,7 +524,8 @@ router.get('/products', authenticateToken, requireRole('supplier'), [
     const offset = (page - 1) * limit;
     const status = req.query.status;
 
-    let whereClause = 'WHERE sp.supplier_id = $1';
+    // Change requests of live products are shown on their product, not as products
+    let whereClause = 'WHERE sp.supplier_id = $1 AND sp.revision_of IS NULL';
     const queryParams = [req.user.id];
 
     if (status) {
@@ -518,7 +547,19 @@ router.get('/products', authenticateToken, requireRole('supplier'), [
             ) ORDER BY spi.sort_order
           ) FILTER (WHERE spi.id IS NOT NULL),
           '[]'
-        ) as images
+        ) as images,
+        (
+          SELECT JSON_BUILD_OBJECT(
+            'id', r.id,
+            'status', r.status,
+            'rejection_reason', r.rejection_reason,
+            'submitted_at', r.submitted_at
+          )
+          FROM supplier_products r
+          WHERE r.revision_of = sp.id
+          ORDER BY r.submitted_at DESC
+          LIMIT 1
+        ) as latest_change
       FROM supplier_products sp
       LEFT JOIN supplier_product_images spi ON sp.id = spi.supplier_product_id
       ${whereClause}
@@ -552,13 +593,58 @@ router.get('/products', authenticateToken, requireRole('supplier'), [
   }
 });
 
+/**
+ * @route PUT /api/suppliers/products/:id
+ * @desc Edit a product; pending/rejected products are resubmitted, live products get a change request for review
+ * @access Private (Supplier)
+ */
+router.put('/products/:id',
+  authenticateToken,
+  requireRole('supplier'),
+  upload.array('images', 10),
+  [
+    param('id').isUUID(),
+    body('name').optional().notEmpty().withMessage('Product name cannot be empty'),
+    body('description').optional().notEmpty().withMessage('Product description cannot be empty'),
+    body('category').optional().notEmpty().withMessage('Category cannot be empty'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Valid price is required'),
+    body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Valid stock quantity is required'),
+    body('weight').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Weight must be in grams'),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const images = (req.files || []).map(file => `/uploads/suppliers/${file.filename}`);
+    const result = await SupplierProductReviewService.submitChanges(req.user.id, req.params.id, req.body, images);
+
+    res.json({
+      message: result.revision
+        ? 'Changes submitted; the product stays on sale unchanged until they are approved'
+        : 'Product updated and pending approval',
+      productId: req.params.id,
+      submissionId: result.id
+    });
+
+  } catch (error) {
+    if (error instanceof ProductReviewError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update supplier product error:', error);
+    res.status(500).json({ message: 'Server error updating product' });
+  }
+});
+
 /**
  * @route GET /api/suppliers/orders
- * @desc Get orders containing supplier's products
+ * @desc Get own supplier orders (purchase orders routed to this supplier)
  * @access Private (Supplier)
  */
 router.get('/orders', authenticateToken, requireRole('supplier'), [
-  query('status').optional().isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled']),
+  query('status').optional().isIn(['pending', 'sent', 'acknowledged', 'accepted', 'processing', 'shipped', 'exception', 'delivered', 'rejected', 'cancelled']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
 ], async (req, res) => {
@@ -570,55 +656,223 @@ router.get('/orders', authenticateToken, requireRole('supplier'), [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const status = req.query.status;
 
-    let whereClause = 'WHERE sp.supplier_id = $1';
-    const queryParams = [req.user.id];
+    const { orders, total } = await SupplierOrderService.listForSupplier(req.user.id, {
+      status: req.query.status || null,
+      limit,
+      offset: (page - 1) * limit
+    });
 
-    if (status) {
-      whereClause += ' AND o.status = $2';
-      queryParams.push(status);
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get supplier orders error:', error);
+    res.status(500).json({ message: 'Server error retrieving orders' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/orders/:id/respond
+ * @desc Accept/reject link from the purchase-order email; shows a confirmation form
+ * @access Public (signed link)
+ */
+router.get('/orders/:id/respond', [
+  param('id').isUUID(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const context = errors.isEmpty() ? await SupplierOrderEmailService.getLinkContext(req.params.id) : null;
+
+    if (!context || !SupplierOrderEmailService.verifyLink(req.params.id, req.query)) {
+      return res.status(400).send(SupplierOrderEmailService.renderMessagePage(context?.language_preference, 'invalidLink'));
     }
 
-    const result = await db.query(`
-      SELECT DISTINCT
-        o.id, o.order_number, o.status, o.total_amount, o.currency,
-        o.created_at, o.updated_at,
-        u.first_name, u.last_name, u.email,
-        JSON_AGG(
-          JSON_BUILD_OBJECT(
-            'product_name', p.name,
-            'quantity', oi.quantity,
-            'unit_price', oi.unit_price,
-            'total_price', oi.total_price
-          )
-        ) as supplier_items
-      FROM orders o
-      JOIN order_items oi ON o.id = oi.order_id
-      JOIN products p ON oi.product_id = p.id
-      JOIN supplier_products sp ON p.id = sp.product_id
-      JOIN users u ON o.user_id = u.id
-      ${whereClause}
-      GROUP BY o.id, u.id
-      ORDER BY o.created_at DESC
-      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
-    `, [...queryParams, limit, offset]);
+    res.send(SupplierOrderEmailService.renderConfirmPage(context, req.query));
 
-    // Get total count
-    const countResult = await db.query(`
-      SELECT COUNT(DISTINCT o.id) as total
-      FROM orders o
-      JOIN order_items oi ON o.id = oi.order_id
-      JOIN products p ON oi.product_id = p.id
-      JOIN supplier_products sp ON p.id = sp.product_id
-      ${whereClause}
-    `, queryParams);
+  } catch (error) {
+    console.error('Supplier order link error:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    const total = parseInt(countResult.rows[0].total);
+/**
+ * @route POST /api/suppliers/orders/:id/respond
+ * @desc Accept or reject a purchase order from the signed email link
+ * @access Public (signed link)
+ */
+router.post('/orders/:id/respond', [
+  param('id').isUUID(),
+  body('reason').optional().trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const context = errors.isEmpty() ? await SupplierOrderEmailService.getLinkContext(req.params.id) : null;
+
+    if (!context || !SupplierOrderEmailService.verifyLink(req.params.id, req.body)) {
+      return res.status(400).send(SupplierOrderEmailService.renderMessagePage(context?.language_preference, 'invalidLink'));
+    }
+
+    const language = context.language_preference;
+    const orderNumber = context.order_number;
+    const actor = { type: 'supplier', id: context.supplier_id };
+
+    if (req.body.action === 'accept') {
+      const { changed, supplierOrder } = await SupplierOrderService.accept(req.params.id, { actor });
+      if (!changed && supplierOrder.status !== 'accepted') {
+        return res.status(409).send(SupplierOrderEmailService.renderMessagePage(language, 'unavailable', { status: supplierOrder.status }));
+      }
+      return res.send(SupplierOrderEmailService.renderMessagePage(language, 'accepted', { orderNumber }));
+    }
+
+    if (context.status === 'rejected') {
+      return res.send(SupplierOrderEmailService.renderMessagePage(language, 'rejected', { orderNumber }));
+    }
+
+    if (!req.body.reason) {
+      return res.status(400).send(SupplierOrderEmailService.renderConfirmPage(context, req.body));
+    }
+
+    await SupplierOrderRerouteService.handleRejection(req.params.id, req.body.reason, actor);
+
+    res.send(SupplierOrderEmailService.renderMessagePage(language, 'rejected', { orderNumber }));
+
+  } catch (error) {
+    if (error instanceof SupplierOrderStateError) {
+      const context = await SupplierOrderEmailService.getLinkContext(req.params.id);
+      return res.status(error.statusCode).send(
+        SupplierOrderEmailService.renderMessagePage(context?.language_preference, 'unavailable', { status: context?.status })
+      );
+    }
+    console.error('Supplier order response error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+/**
+ * @route GET /api/suppliers/catalog/import/mapping
+ * @desc Get the saved catalog column mapping
+ * @access Private (Supplier)
+ */
+router.get('/catalog/import/mapping', authenticateToken, requireRole('supplier'), async (req, res) => {
+  try {
+    const mapping = await SupplierCatalogImportService.getMapping(req.user.id);
 
     res.json({
-      orders: result.rows,
+      mapping,
+      fields: SupplierCatalogImportService.fields
+    });
+
+  } catch (error) {
+    console.error('Get catalog import mapping error:', error);
+    res.status(500).json({ message: 'Server error retrieving column mapping' });
+  }
+});
+
+/**
+ * @route PUT /api/suppliers/catalog/import/mapping
+ * @desc Save the catalog column mapping (catalog field -> file column header)
+ * @access Private (Supplier)
+ */
+router.put('/catalog/import/mapping', authenticateToken, requireRole('supplier'), [
+  body('columns').isObject().withMessage('Column mapping is required'),
+  body('defaultCurrency').optional().isLength({ min: 3, max: 3 }).toUpperCase(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mapping = await SupplierCatalogImportService.saveMapping(req.user.id, req.body);
+
+    res.json({
+      message: 'Column mapping saved',
+      mapping
+    });
+
+  } catch (error) {
+    if (error instanceof CatalogImportError) {
+      return res.status(error.statusCode).json({ message: error.message, details: error.details });
+    }
+    console.error('Save catalog import mapping error:', error);
+    res.status(500).json({ message: 'Server error saving column mapping' });
+  }
+});
+
+/**
+ * @route POST /api/suppliers/catalog/import
+ * @desc Import a CSV/XLSX catalog. Dry run (default) only validates; dryRun=false upserts valid rows
+ * @access Private (Supplier)
+ */
+router.post('/catalog/import',
+  authenticateToken,
+  requireRole('supplier'),
+  catalogUpload.single('file'),
+  [
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('mapping').optional().isJSON().withMessage('Mapping must be a JSON object'),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Catalog file is required' });
+    }
+
+    const result = await SupplierCatalogImportService.importFile(req.user.id, req.file, {
+      mapping: req.body.mapping ? JSON.parse(req.body.mapping) : null,
+      dryRun: req.body.dryRun !== false,
+      uploadedBy: { type: 'supplier', id: req.user.id }
+    });
+
+    res.status(result.dryRun ? 200 : 201).json(result);
+
+  } catch (error) {
+    if (error instanceof CatalogImportError) {
+      return res.status(error.statusCode).json({ message: error.message, details: error.details });
+    }
+    console.error('Supplier catalog import error:', error);
+    res.status(500).json({ message: 'Server error importing catalog' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/catalog/imports
+ * @desc Get previous catalog imports
+ * @access Private (Supplier)
+ */
+router.get('/catalog/imports', authenticateToken, requireRole('supplier'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { imports, total } = await SupplierCatalogImportService.getImports(req.user.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      imports,
       pagination: {
         page,
         limit,
@@ -628,8 +882,410 @@ router.get('/orders', authenticateToken, requireRole('supplier'), [
     });
 
   } catch (error) {
-    console.error('Get supplier orders error:', error);
-    res.status(500).json({ message: 'Server error retrieving orders' });
+    console.error('Get catalog imports error:', error);
+    res.status(500).json({ message: 'Server error retrieving imports' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/analytics/performance
+ * @desc Get own rating and monthly scorecards (acceptance, on-time delivery, ...) for the trend
+ * @access Private (Supplier)
+ */
+router.get('/analytics/performance', authenticateToken, requireRole('supplier'), [
+  query('months').optional().isInt({ min: 1, max: 24 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const performance = await SupplierPerformanceService.getTrend(req.user.id, {
+      months: parseInt(req.query.months) || 6
+    });
+
+    res.json(performance);
+
+  } catch (error) {
+    console.error('Get supplier performance error:', error);
+    res.status(500).json({ message: 'Server error retrieving performance' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/catalog/export
+ * @desc Download the catalog with our linked products and retail prices as CSV or XLSX
+ * @access Private (Supplier)
+ */
+router.get('/catalog/export', authenticateToken, requireRole('supplier'), [
+  query('format').optional().isIn(['csv', 'xlsx']),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await SupplierExportService.exportCatalog(req.user.id, req.query.format || 'csv');
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
+
+  } catch (error) {
+    if (error instanceof SupplierExportError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Supplier catalog export error:', error);
+    res.status(500).json({ message: 'Server error exporting catalog' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/orders/export
+ * @desc Download open orders with shipping addresses and tracking columns to fill in
+ * @access Private (Supplier)
+ */
+router.get('/orders/export', authenticateToken, requireRole('supplier'), [
+  query('format').optional().isIn(['csv', 'xlsx']),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await SupplierExportService.exportOrders(req.user.id, req.query.format || 'csv');
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
+
+  } catch (error) {
+    if (error instanceof SupplierExportError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Supplier order export error:', error);
+    res.status(500).json({ message: 'Server error exporting orders' });
+  }
+});
+
+/**
+ * @route POST /api/suppliers/orders/import
+ * @desc Upload the filled-in order sheet. Dry run (default) only validates; dryRun=false marks orders shipped
+ * @access Private (Supplier)
+ */
+router.post('/orders/import',
+  authenticateToken,
+  requireRole('supplier'),
+  catalogUpload.single('file'),
+  [
+    body('dryRun').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Order sheet is required' });
+    }
+
+    const result = await SupplierExportService.importOrderSheet(req.user.id, req.file, {
+      dryRun: req.body.dryRun !== false,
+      importedBy: { type: 'supplier', id: req.user.id }
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    if (error instanceof SupplierExportError) {
+      return res.status(error.statusCode).json({ message: error.message, details: error.details });
+    }
+    console.error('Supplier order sheet import error:', error);
+    res.status(500).json({ message: 'Server error importing order sheet' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/orders/:id
+ * @desc Get one own supplier order with items and the shipping address
+ * @access Private (Supplier)
+ */
+router.get('/orders/:id', authenticateToken, requireRole('supplier'), [
+  param('id').isUUID(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await SupplierOrderService.getForSupplier(req.user.id, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({ order });
+
+  } catch (error) {
+    console.error('Get supplier order error:', error);
+    res.status(500).json({ message: 'Server error retrieving order' });
+  }
+});
+
+/**
+ * @route PATCH /api/suppliers/orders/:id/status
+ * @desc Acknowledge, accept, reject (notes = reason) or start processing an order
+ * @access Private (Supplier)
+ */
+router.patch('/orders/:id/status', authenticateToken, requireRole('supplier'), [
+  param('id').isUUID(),
+  body('status').isIn(['acknowledged', 'accepted', 'processing', 'rejected']),
+  body('notes').optional().trim().isLength({ max: 1000 }),
+  body('supplierOrderNumber').optional().trim().isLength({ min: 1, max: 100 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notes } = req.body;
+    const actor = { type: 'supplier', id: req.user.id };
+
+    await SupplierOrderService.assertOwner(req.params.id, req.user.id);
+
+    if (status === 'rejected') {
+      if (!notes) {
+        return res.status(400).json({ message: 'A reason is required to reject an order' });
+      }
+      await SupplierOrderRerouteService.handleRejection(req.params.id, notes, actor);
+    } else {
+      const step = status === 'acknowledged'
+        ? await SupplierOrderService.acknowledge(req.params.id, { actor, supplierOrderNumber: req.body.supplierOrderNumber || null })
+        : status === 'accepted'
+          ? await SupplierOrderService.accept(req.params.id, { actor })
+          : await SupplierOrderService.markProcessing(req.params.id, { actor });
+
+      // Repeating the current step is fine; going backwards is not
+      if (!step.changed && step.supplierOrder.status !== status) {
+        return res.status(409).json({
+          message: `Order cannot be marked ${status} (status: ${step.supplierOrder.status})`
+        });
+      }
+
+      if (notes) {
+        await SupplierOrderService.saveSupplierNotes(req.params.id, notes);
+      }
+    }
+
+    const order = await SupplierOrderService.getForSupplier(req.user.id, req.params.id);
+
+    res.json({ message: 'Order status updated', order });
+
+  } catch (error) {
+    if (error instanceof SupplierOrderTransitionError || error instanceof SupplierOrderStateError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update supplier order status error:', error);
+    res.status(500).json({ message: 'Server error updating order' });
+  }
+});
+
+/**
+ * @route POST /api/suppliers/orders/:id/tracking
+ * @desc Ship an order with carrier, tracking number and expected delivery date
+ * @access Private (Supplier)
+ */
+router.post('/orders/:id/tracking', authenticateToken, requireRole('supplier'), [
+  param('id').isUUID(),
+  body('carrier').trim().isLength({ min: 1, max: 50 }),
+  body('trackingNumber').trim().isLength({ min: 1, max: 200 }),
+  body('estimatedDeliveryDate').optional().isISO8601({ strict: true }),
+  body('shippedAt').optional().isISO8601(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await SupplierOrderService.assertOwner(req.params.id, req.user.id);
+
+    await SupplierOrderService.ship(req.params.id, {
+      trackingNumber: req.body.trackingNumber,
+      carrier: req.body.carrier,
+      shippedAt: req.body.shippedAt || null,
+      estimatedDeliveryDate: req.body.estimatedDeliveryDate || null,
+      actor: { type: 'supplier', id: req.user.id }
+    });
+
+    const order = await SupplierOrderService.getForSupplier(req.user.id, req.params.id);
+
+    res.json({ message: 'Order marked as shipped', order });
+
+  } catch (error) {
+    if (error instanceof SupplierOrderTransitionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Add supplier order tracking error:', error);
+    res.status(500).json({ message: 'Server error adding tracking' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/inventory
+ * @desc Get own stock levels (catalog entries) with their on-sale state
+ * @access Private (Supplier)
+ */
+router.get('/inventory', authenticateToken, requireRole('supplier'), [
+  query('search').optional().trim().isLength({ max: 200 }),
+  query('status').optional().isIn(['in_stock', 'out_of_stock', 'low_stock']),
+  query('linked').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { items, total } = await SupplierInventoryService.list(req.user.id, {
+      search: req.query.search || null,
+      status: req.query.status || null,
+      linked: req.query.linked ?? null,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get supplier inventory error:', error);
+    res.status(500).json({ message: 'Server error retrieving inventory' });
+  }
+});
+
+/**
+ * @route PATCH /api/suppliers/inventory/bulk
+ * @desc Set the stock of many items at once ({ updates: [{ id | sku, quantity, notes }] }); returns a result per row
+ * @access Private (Supplier)
+ */
+router.patch('/inventory/bulk', authenticateToken, requireRole('supplier'), [
+  body('updates').isArray({ min: 1 }).withMessage('updates must be a non-empty array'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await SupplierInventoryService.bulkUpdate(req.user.id, req.body.updates);
+
+    res.json(result);
+
+  } catch (error) {
+    if (error instanceof SupplierInventoryError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Bulk update supplier inventory error:', error);
+    res.status(500).json({ message: 'Server error updating inventory' });
+  }
+});
+
+/**
+ * @route PATCH /api/suppliers/inventory/:id
+ * @desc Set the stock of one item; zero stock takes a linked product off sale
+ * @access Private (Supplier)
+ */
+router.patch('/inventory/:id', authenticateToken, requireRole('supplier'), [
+  param('id').isUUID(),
+  body('quantity').isInt({ min: 0 }).withMessage('Valid stock quantity is required').toInt(),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await SupplierInventoryService.updateQuantity(
+      req.user.id,
+      req.params.id,
+      req.body.quantity,
+      req.body.notes || null
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    if (error instanceof SupplierInventoryError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update supplier inventory error:', error);
+    res.status(500).json({ message: 'Server error updating inventory' });
+  }
+});
+
+/**
+ * @route GET /api/suppliers/inventory/:id/history
+ * @desc Get the stock changes of one item, newest first
+ * @access Private (Supplier)
+ */
+router.get('/inventory/:id/history', authenticateToken, requireRole('supplier'), [
+  param('id').isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const history = await SupplierInventoryService.getHistory(req.user.id, req.params.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    if (!history) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    res.json({
+      item: history.item,
+      movements: history.movements,
+      pagination: {
+        page,
+        limit,
+        total: history.total,
+        pages: Math.ceil(history.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get supplier inventory history error:', error);
+    res.status(500).json({ message: 'Server error retrieving inventory history' });
   }
 });
 
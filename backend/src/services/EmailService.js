@@ -0,0 +1,139 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+class EmailService {
+  constructor() {
+    this.from = process.env.EMAIL_FROM || process.env.SMTP_USER;
+    this.supplierPortalUrl = process.env.SUPPLIER_PORTAL_URL || 'http://localhost:3002';
+
+    this.transporter = null;
+  }
+
+  // Created on first use so the app starts without SMTP settings
+  getTransporter() {
+    if (!this.transporter) {
+      const port = parseInt(process.env.SMTP_PORT ?? '587');
+
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  // Domain used for generated Message-IDs
+  get domain() {
+    return (this.from || '').split('@')[1]?.replace(/>$/, '') || 'localhost';
+  }
+
+  // Send one email; resolves with nodemailer's info (messageId, accepted, rejected, response)
+  async send({ to, subject, text, html = null, attachments = [], messageId = null, replyTo = null, headers = {} }) {
+    const info = await this.getTransporter().sendMail({
+      from: this.from,
+      to,
+      replyTo: replyTo || undefined,
+      subject,
+      text,
+      html: html || undefined,
+      attachments,
+      messageId: messageId || undefined,
+      headers
+    });
+
+    logger.info('Email sent', {
+      to,
+      subject,
+      messageId: info.messageId,
+      rejected: info.rejected
+    });
+
+    return info;
+  }
+
+  async sendSupplierVerificationEmail(email, token) {
+    const verificationUrl = `${this.supplierPortalUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: email,
+      subject: 'Verify your supplier account',
+      text: [
+        'Thank you for registering as a supplier.',
+        '',
+        'Please confirm your email address by opening this link:',
+        verificationUrl
+      ].join('\n')
+    });
+  }
+
+  async sendSupplierApprovalEmail(email, companyName) {
+    return this.send({
+      to: email,
+      subject: 'Your supplier account has been approved',
+      text: [
+        `Hello ${companyName},`,
+        '',
+        'Your supplier account has been approved. You can now sign in to the supplier portal:',
+        this.supplierPortalUrl
+      ].join('\n')
+    });
+  }
+
+  async sendSupplierRejectionEmail(email, companyName, notes = null) {
+    return this.send({
+      to: email,
+      subject: 'Your supplier application',
+      text: [
+        `Hello ${companyName},`,
+        '',
+        'Unfortunately we cannot approve your supplier account at this time.',
+        ...(notes ? ['', `Reason: ${notes}`] : [])
+      ].join('\n')
+    });
+  }
+
+  async sendSupplierProductApprovedEmail(email, companyName, productName, { revision = false } = {}) {
+    return this.send({
+      to: email,
+      subject: revision ? `Your changes to ${productName} are live` : `${productName} is now live`,
+      text: [
+        `Hello ${companyName},`,
+        '',
+        revision
+          ? `Your changes to "${productName}" have been approved and are now shown in the shop.`
+          : `"${productName}" has been approved and is now for sale in the shop.`,
+        '',
+        'You can manage the product in the supplier portal:',
+        this.supplierPortalUrl
+      ].join('\n')
+    });
+  }
+
+  async sendSupplierProductRejectedEmail(email, companyName, productName, reason, { revision = false } = {}) {
+    return this.send({
+      to: email,
+      subject: revision ? `Your changes to ${productName} were not approved` : `${productName} was not approved`,
+      text: [
+        `Hello ${companyName},`,
+        '',
+        revision
+          ? `Unfortunately we cannot approve your changes to "${productName}". The product stays on sale unchanged.`
+          : `Unfortunately we cannot approve "${productName}" for the shop.`,
+        '',
+        `Reason: ${reason}`,
+        '',
+        'You can edit the product and submit it again in the supplier portal:',
+        this.supplierPortalUrl
+      ].join('\n')
+    });
+  }
+}
+
+// Export singleton instance
+const emailService = new EmailService();
+module.exports = emailService;
@@ -0,0 +1,322 @@
+const { query, transaction } = require('../config/database');
+const InventoryReservationService = require('./InventoryReservationService');
+const logger = require('../utils/logger');
+
+// Raised when a manual stock correction cannot be posted
+class InventoryAdjustmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InventoryAdjustmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+class InventoryReconciliationService {
+  constructor() {
+    // Nightly run alerts when the summed drift (in units) exceeds this
+    this.driftThreshold = parseInt(process.env.INVENTORY_DRIFT_ALERT_THRESHOLD ?? '5');
+    this.runHourUtc = parseInt(process.env.INVENTORY_RECONCILIATION_HOUR_UTC ?? '2');
+
+    this.adjustableFields = ['stock', 'reserved'];
+
+    this.timer = null;
+  }
+
+  // Replay the movement ledger and compare it with the stored counters:
+  //   stock    = restock - sale + adjustment
+  //   reserved = reserve - release - sale (a sale consumes its reservation)
+  // Reserved stock is also checked against active reservations, and warehouse
+  // rows against the reservations routed to them.
+  async findMismatches({ variantIds = null } = {}) {
+    const result = await query(`
+      WITH ledger AS (
+        SELECT
+          variant_id,
+          SUM(CASE type
+            WHEN 'restock' THEN quantity
+            WHEN 'sale' THEN -quantity
+            WHEN 'adjustment' THEN quantity
+            ELSE 0
+          END) as stock,
+          SUM(CASE type
+            WHEN 'reserve' THEN quantity
+            WHEN 'release' THEN -quantity
+            WHEN 'sale' THEN -quantity
+            ELSE 0
+          END) as reserved
+        FROM inventory_movements
+        GROUP BY variant_id
+      ),
+      reservations AS (
+        SELECT variant_id, SUM(quantity) as quantity
+        FROM inventory_reservations
+        WHERE status = ANY($2::text[])
+        GROUP BY variant_id
+      ),
+      warehouse AS (
+        SELECT
+          fi.variant_id,
+          SUM(fi.quantity_available) as available,
+          SUM(fi.reserved_quantity) as reserved,
+          SUM(COALESCE(wr.quantity, 0)) as reservations
+        FROM fulfillment_inventory fi
+        LEFT JOIN (
+          SELECT fulfillment_inventory_id, SUM(quantity) as quantity
+          FROM inventory_reservations
+          WHERE status = ANY($2::text[])
+          GROUP BY fulfillment_inventory_id
+        ) wr ON wr.fulfillment_inventory_id = fi.id
+        WHERE fi.variant_id IS NOT NULL
+        GROUP BY fi.variant_id
+      )
+      SELECT
+        pv.id as variant_id, pv.product_id, pv.sku,
+        pv.stock_quantity, pv.reserved_quantity,
+        COALESCE(l.stock, 0)::integer as ledger_stock,
+        COALESCE(l.reserved, 0)::integer as ledger_reserved,
+        COALESCE(r.quantity, 0)::integer as reservation_quantity,
+        w.available::integer as warehouse_available,
+        w.reserved::integer as warehouse_reserved,
+        w.reservations::integer as warehouse_reservations
+      FROM product_variants pv
+      LEFT JOIN ledger l ON l.variant_id = pv.id
+      LEFT JOIN reservations r ON r.variant_id = pv.id
+      LEFT JOIN warehouse w ON w.variant_id = pv.id
+      WHERE ($1::uuid[] IS NULL OR pv.id = ANY($1::uuid[]))
+      ORDER BY pv.sku
+    `, [variantIds, InventoryReservationService.activeStatuses]);
+
+    const mismatches = [];
+
+    for (const row of result.rows) {
+      const issues = [];
+      const check = (code, expected, actual) => {
+        if (expected !== actual) {
+          issues.push({ code, expected, actual, drift: actual - expected });
+        }
+      };
+
+      check('stock_ledger_mismatch', row.ledger_stock, row.stock_quantity);
+      check('reserved_ledger_mismatch', row.ledger_reserved, row.reserved_quantity);
+      check('reserved_reservations_mismatch', row.reservation_quantity, row.reserved_quantity);
+
+      if (row.warehouse_available !== null) {
+        check('warehouse_reserved_mismatch', row.warehouse_reservations, row.warehouse_reserved);
+
+        // Warehouse stock is part of what the shop sells, never more
+        if (row.warehouse_available > row.stock_quantity) {
+          issues.push({
+            code: 'warehouse_exceeds_stock',
+            expected: row.stock_quantity,
+            actual: row.warehouse_available,
+            drift: row.warehouse_available - row.stock_quantity
+          });
+        }
+      }
+
+      if (issues.length > 0) {
+        mismatches.push({
+          variantId: row.variant_id,
+          productId: row.product_id,
+          sku: row.sku,
+          stored: { stock: row.stock_quantity, reserved: row.reserved_quantity },
+          ledger: { stock: row.ledger_stock, reserved: row.ledger_reserved },
+          activeReservations: row.reservation_quantity,
+          warehouse: row.warehouse_available !== null
+            ? { available: row.warehouse_available, reserved: row.warehouse_reserved, reservations: row.warehouse_reservations }
+            : null,
+          issues
+        });
+      }
+    }
+
+    return { variantsChecked: result.rows.length, mismatches };
+  }
+
+  // Reconcile all variants and store the report; alerts when drift exceeds the threshold
+  async run({ trigger = 'manual', triggeredBy = null } = {}) {
+    const runResult = await query(`
+      INSERT INTO inventory_reconciliation_runs (trigger_type, drift_threshold, triggered_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [trigger, this.driftThreshold, triggeredBy]);
+
+    const run = runResult.rows[0];
+
+    try {
+      const { variantsChecked, mismatches } = await this.findMismatches();
+      const totalDrift = mismatches.reduce(
+        (sum, mismatch) => sum + mismatch.issues.reduce((issueSum, issue) => issueSum + Math.abs(issue.drift), 0),
+        0
+      );
+      const alerted = totalDrift > this.driftThreshold;
+
+      const completed = await query(`
+        UPDATE inventory_reconciliation_runs
+        SET status = 'completed', variants_checked = $2, mismatch_count = $3,
+            total_drift = $4, alerted = $5, mismatches = $6, completed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [run.id, variantsChecked, mismatches.length, totalDrift, alerted, JSON.stringify(mismatches)]);
+
+      if (alerted) {
+        logger.error('Inventory drift above threshold', {
+          runId: run.id,
+          totalDrift,
+          threshold: this.driftThreshold,
+          mismatchCount: mismatches.length,
+          skus: mismatches.slice(0, 20).map(mismatch => mismatch.sku)
+        });
+      } else {
+        logger.info('Inventory reconciliation completed', {
+          runId: run.id,
+          variantsChecked,
+          mismatchCount: mismatches.length,
+          totalDrift
+        });
+      }
+
+      return completed.rows[0];
+    } catch (error) {
+      await query(`
+        UPDATE inventory_reconciliation_runs
+        SET status = 'failed', error = $2, completed_at = NOW()
+        WHERE id = $1
+      `, [run.id, error.message]);
+      throw error;
+    }
+  }
+
+  // Post a correcting movement. quantity is a signed delta: 'stock' writes an
+  // adjustment movement, 'reserved' a reserve or release movement.
+  async adjust({ variantId, field, quantity, reason, adminId = null }) {
+    if (!this.adjustableFields.includes(field)) {
+      throw new InventoryAdjustmentError(`Unknown field: ${field}`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw new InventoryAdjustmentError('Quantity must be a non-zero integer');
+    }
+
+    return transaction(async (client) => {
+      const variantResult = await client.query(
+        'SELECT id, stock_quantity, reserved_quantity FROM product_variants WHERE id = $1 FOR UPDATE',
+        [variantId]
+      );
+
+      if (variantResult.rows.length === 0) {
+        throw new InventoryAdjustmentError('Variant not found', 404);
+      }
+
+      const variant = variantResult.rows[0];
+      const column = field === 'stock' ? 'stock_quantity' : 'reserved_quantity';
+      const newValue = variant[column] + quantity;
+
+      if (newValue < 0) {
+        throw new InventoryAdjustmentError(`Adjustment would make ${column} negative (currently ${variant[column]})`);
+      }
+
+      const updated = await client.query(`
+        UPDATE product_variants
+        SET ${column} = $2
+        WHERE id = $1
+        RETURNING id, sku, stock_quantity, reserved_quantity
+      `, [variantId, newValue]);
+
+      let type = 'adjustment';
+      let movementQuantity = quantity;
+      if (field === 'reserved') {
+        type = quantity > 0 ? 'reserve' : 'release';
+        movementQuantity = Math.abs(quantity);
+      }
+
+      const movement = await client.query(`
+        INSERT INTO inventory_movements (variant_id, type, quantity, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [variantId, type, movementQuantity, `Manual correction: ${reason}`, adminId]);
+
+      logger.info('Inventory adjusted', {
+        variantId,
+        field,
+        quantity,
+        reason,
+        adminId
+      });
+
+      return { variant: updated.rows[0], movement: movement.rows[0] };
+    });
+  }
+
+  async getRuns({ limit = 20, offset = 0 } = {}) {
+    const [runsResult, countResult] = await Promise.all([
+      query(`
+        SELECT id, trigger_type, status, variants_checked, mismatch_count, total_drift,
+               drift_threshold, alerted, error, triggered_by, started_at, completed_at
+        FROM inventory_reconciliation_runs
+        ORDER BY started_at DESC
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]),
+      query('SELECT COUNT(*) as total FROM inventory_reconciliation_runs')
+    ]);
+
+    return { runs: runsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  async getRun(runId) {
+    const result = await query('SELECT * FROM inventory_reconciliation_runs WHERE id = $1', [runId]);
+    return result.rows[0] || null;
+  }
+
+  // Ledger of one variant, newest first
+  async getMovements(variantId, { limit = 100 } = {}) {
+    const result = await query(`
+      SELECT id, type, quantity, reference_id, notes, created_by, created_at
+      FROM inventory_movements
+      WHERE variant_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [variantId, limit]);
+
+    return result.rows;
+  }
+
+  // Run once a night at the configured UTC hour (checked hourly, at most one scheduled run per day)
+  startNightlyRun() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      if (new Date().getUTCHours() !== this.runHourUtc) {
+        return;
+      }
+
+      try {
+        const existing = await query(`
+          SELECT 1 FROM inventory_reconciliation_runs
+          WHERE trigger_type = 'scheduled' AND started_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+          LIMIT 1
+        `);
+
+        if (existing.rows.length === 0) {
+          await this.run({ trigger: 'scheduled' });
+        }
+      } catch (error) {
+        logger.error('Scheduled inventory reconciliation failed:', error);
+      }
+    }, 60 * 60 * 1000);
+  }
+
+  stopNightlyRun() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const inventoryReconciliationService = new InventoryReconciliationService();
+module.exports = inventoryReconciliationService;
+module.exports.InventoryAdjustmentError = InventoryAdjustmentError;
@@ -0,0 +1,315 @@
+const { transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Raised when stock ran out between adding to cart and holding it for the order
+class StockReservationError extends Error {
+  constructor(details) {
+    super('Some items are no longer in stock');
+    this.name = 'StockReservationError';
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+class InventoryReservationService {
+  constructor() {
+    // Stock is held this long after checkout starts; payment must succeed in time
+    this.ttlMinutes = parseInt(process.env.INVENTORY_RESERVATION_TTL_MINUTES) || 30;
+    this.sweepIntervalMinutes = parseInt(process.env.INVENTORY_RESERVATION_SWEEP_INTERVAL_MINUTES) || 1;
+    this.sweepBatchSize = 100;
+
+    // Reservations that still count towards reserved_quantity
+    this.activeStatuses = ['held', 'committed'];
+
+    this.sweepTimer = null;
+  }
+
+  // Hold stock for every order item that has no active reservation yet.
+  // Held reservations expire after the TTL; committed ones (paid orders) do not.
+  // With force the stock is held even when it is no longer available.
+  async holdOrderItems(client, orderId, { commit = false, force = false } = {}) {
+    const itemsResult = await client.query(`
+      SELECT oi.id, oi.product_id, oi.variant_id, oi.quantity
+      FROM order_items oi
+      WHERE oi.order_id = $1
+        AND oi.variant_id IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM inventory_reservations r
+          WHERE r.order_item_id = oi.id AND r.status = ANY($2::text[])
+        )
+      ORDER BY oi.variant_id
+    `, [orderId, this.activeStatuses]);
+
+    const shortfalls = [];
+    const reserved = [];
+
+    // Variants are locked in id order so concurrent checkouts cannot deadlock
+    for (const item of itemsResult.rows) {
+      const variantResult = await client.query(`
+        UPDATE product_variants
+        SET reserved_quantity = reserved_quantity + $2
+        WHERE id = $1 AND ($3::boolean OR stock_quantity - reserved_quantity >= $2)
+        RETURNING stock_quantity, reserved_quantity
+      `, [item.variant_id, item.quantity, force]);
+
+      if (variantResult.rows.length === 0) {
+        const stock = await client.query(
+          'SELECT stock_quantity - reserved_quantity as available FROM product_variants WHERE id = $1',
+          [item.variant_id]
+        );
+        shortfalls.push({
+          orderItemId: item.id,
+          variantId: item.variant_id,
+          error: 'Insufficient stock',
+          available: Math.max(stock.rows[0]?.available || 0, 0)
+        });
+        continue;
+      }
+
+      const variant = variantResult.rows[0];
+      if (variant.reserved_quantity > variant.stock_quantity) {
+        logger.warn('Variant oversold by paid order', {
+          orderId,
+          variantId: item.variant_id,
+          stock: variant.stock_quantity,
+          reserved: variant.reserved_quantity
+        });
+      }
+
+      const reservationResult = await client.query(`
+        INSERT INTO inventory_reservations (
+          order_id, order_item_id, product_id, variant_id, quantity, status, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7::integer * INTERVAL '1 minute')
+        RETURNING *
+      `, [
+        orderId,
+        item.id,
+        item.product_id,
+        item.variant_id,
+        item.quantity,
+        commit ? 'committed' : 'held',
+        commit ? null : this.ttlMinutes // No expiry once paid
+      ]);
+
+      await this.logMovement(client, item.variant_id, 'reserve', item.quantity, orderId, 'Reserved for order');
+      reserved.push(reservationResult.rows[0]);
+    }
+
+    if (shortfalls.length > 0 && !force) {
+      throw new StockReservationError(shortfalls);
+    }
+
+    return reserved;
+  }
+
+  // Checkout resumed (e.g. new payment attempt): extend held reservations and
+  // hold again whatever expired in the meantime
+  async renewOrder(client, orderId) {
+    await client.query(`
+      UPDATE inventory_reservations
+      SET expires_at = NOW() + $2::integer * INTERVAL '1 minute', updated_at = NOW()
+      WHERE order_id = $1 AND status = 'held'
+    `, [orderId, this.ttlMinutes]);
+
+    await this.holdOrderItems(client, orderId);
+
+    const result = await client.query(
+      "SELECT MIN(expires_at) as expires_at FROM inventory_reservations WHERE order_id = $1 AND status = 'held'",
+      [orderId]
+    );
+
+    return result.rows[0].expires_at;
+  }
+
+  // Payment succeeded: keep the stock until shipment. Items whose hold expired
+  // before the payment arrived are reserved again even if that oversells.
+  async commitOrder(client, orderId) {
+    await client.query(`
+      UPDATE inventory_reservations
+      SET status = 'committed', expires_at = NULL, updated_at = NOW()
+      WHERE order_id = $1 AND status = 'held'
+    `, [orderId]);
+
+    await this.holdOrderItems(client, orderId, { commit: true, force: true });
+  }
+
+  // Item routed to the own warehouse: hold the warehouse stock as well
+  async assignWarehouse(client, item) {
+    const inventoryResult = await client.query(`
+      UPDATE fulfillment_inventory
+      SET reserved_quantity = reserved_quantity + $1, last_updated_at = NOW()
+      WHERE product_id = $2 AND variant_id IS NOT DISTINCT FROM $3
+      RETURNING id
+    `, [item.quantity, item.product_id, item.variant_id]);
+
+    if (inventoryResult.rows.length === 0) {
+      return null;
+    }
+
+    const inventoryId = inventoryResult.rows[0].id;
+
+    await client.query(`
+      UPDATE inventory_reservations
+      SET fulfillment_inventory_id = $2, updated_at = NOW()
+      WHERE order_item_id = $1 AND status = ANY($3::text[])
+    `, [item.id, inventoryId, this.activeStatuses]);
+
+    return inventoryId;
+  }
+
+  // Give the stock of an order back, e.g. after a failed payment or cancellation
+  async releaseOrder(client, orderId, reason) {
+    const result = await client.query(`
+      SELECT * FROM inventory_reservations
+      WHERE order_id = $1 AND status = ANY($2::text[])
+      ORDER BY variant_id
+      FOR UPDATE
+    `, [orderId, this.activeStatuses]);
+
+    await this.releaseReservations(client, result.rows, 'released', reason);
+
+    return result.rows.length;
+  }
+
+  // Shipment left: turn the reservations into sales and take the stock off the shelf
+  async convertOrder(client, orderId, { orderItemIds = null } = {}) {
+    const result = await client.query(`
+      SELECT * FROM inventory_reservations
+      WHERE order_id = $1
+        AND status = ANY($2::text[])
+        AND ($3::uuid[] IS NULL OR order_item_id = ANY($3::uuid[]))
+      ORDER BY variant_id
+      FOR UPDATE
+    `, [orderId, this.activeStatuses, orderItemIds]);
+
+    for (const reservation of result.rows) {
+      await client.query(`
+        UPDATE product_variants
+        SET stock_quantity = GREATEST(stock_quantity - $2, 0),
+            reserved_quantity = GREATEST(reserved_quantity - $2, 0)
+        WHERE id = $1
+      `, [reservation.variant_id, reservation.quantity]);
+
+      if (reservation.fulfillment_inventory_id) {
+        await client.query(`
+          UPDATE fulfillment_inventory
+          SET quantity_available = GREATEST(quantity_available - $2, 0),
+              reserved_quantity = GREATEST(reserved_quantity - $2, 0),
+              last_updated_at = NOW()
+          WHERE id = $1
+        `, [reservation.fulfillment_inventory_id, reservation.quantity]);
+      }
+
+      await client.query(`
+        UPDATE inventory_reservations
+        SET status = 'converted', converted_at = NOW(), expires_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [reservation.id]);
+
+      await this.logMovement(client, reservation.variant_id, 'sale', reservation.quantity, orderId, 'Shipped');
+    }
+
+    return result.rows.length;
+  }
+
+  // Keep reservations in line with the order lifecycle (called by OrderStateMachine)
+  async syncWithOrderStatus(client, orderId, toStatus) {
+    if (toStatus === 'shipped') {
+      return this.convertOrder(client, orderId);
+    }
+
+    if (toStatus === 'cancelled' || toStatus === 'refunded') {
+      return this.releaseOrder(client, orderId, toStatus);
+    }
+
+    return 0;
+  }
+
+  async releaseReservations(client, reservations, status, reason) {
+    for (const reservation of reservations) {
+      await client.query(`
+        UPDATE product_variants
+        SET reserved_quantity = GREATEST(reserved_quantity - $2, 0)
+        WHERE id = $1
+      `, [reservation.variant_id, reservation.quantity]);
+
+      if (reservation.fulfillment_inventory_id) {
+        await client.query(`
+          UPDATE fulfillment_inventory
+          SET reserved_quantity = GREATEST(reserved_quantity - $2, 0), last_updated_at = NOW()
+          WHERE id = $1
+        `, [reservation.fulfillment_inventory_id, reservation.quantity]);
+      }
+
+      await client.query(`
+        UPDATE inventory_reservations
+        SET status = $2, release_reason = $3, released_at = NOW(), expires_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [reservation.id, status, reason]);
+
+      await this.logMovement(client, reservation.variant_id, 'release', reservation.quantity, reservation.order_id, `Released (${reason})`);
+    }
+  }
+
+  // Release held reservations whose checkout never completed
+  async releaseExpired() {
+    return transaction(async (client) => {
+      const result = await client.query(`
+        SELECT * FROM inventory_reservations
+        WHERE status = 'held' AND expires_at < NOW()
+        ORDER BY variant_id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `, [this.sweepBatchSize]);
+
+      await this.releaseReservations(client, result.rows, 'expired', 'expired');
+
+      return result.rows.length;
+    });
+  }
+
+  async logMovement(client, variantId, type, quantity, orderId, notes) {
+    await client.query(`
+      INSERT INTO inventory_movements (variant_id, type, quantity, reference_id, notes)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [variantId, type, quantity, orderId, notes]);
+  }
+
+  // Periodically release checkout reservations past their expiry
+  startSweeper() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    const sweepInterval = this.sweepIntervalMinutes * 60 * 1000;
+
+    this.sweepTimer = setInterval(async () => {
+      try {
+        let released;
+        let total = 0;
+        do {
+          released = await this.releaseExpired();
+          total += released;
+        } while (released === this.sweepBatchSize);
+
+        if (total > 0) {
+          logger.info('Expired inventory reservations released', { released: total });
+        }
+      } catch (error) {
+        logger.error('Inventory reservation sweep failed:', error);
+      }
+    }, sweepInterval);
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const inventoryReservationService = new InventoryReservationService();
+module.exports = inventoryReservationService;
+module.exports.StockReservationError = StockReservationError;
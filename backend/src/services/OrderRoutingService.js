@@ -0,0 +1,628 @@
+const { pool, query, transaction } = require('../config/database');
+const CurrencyService = require('./CurrencyService');
+const InventoryReservationService = require('./InventoryReservationService');
+const SupplierOrderDispatchService = require('./SupplierOrderDispatchService');
+const logger = require('../utils/logger');
+
+// Raised when a manual routing request cannot be applied
+class ManualRoutingError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ManualRoutingError';
+    this.statusCode = statusCode;
+  }
+}
+
+class OrderRoutingService {
+  constructor() {
+    // Relative importance of each criterion (normalized to sum 1)
+    this.defaultWeights = {
+      stock: 0.30,
+      rating: 0.25,
+      cost: 0.20,
+      leadTime: 0.15,
+      location: 0.10
+    };
+    this.weights = this.loadWeights(process.env.ROUTING_WEIGHTS);
+
+    // Stock covering this many times the ordered quantity scores full points
+    this.stockBufferFactor = 5;
+    this.neutralScore = 0.5;
+    this.warehouseCountry = process.env.WAREHOUSE_COUNTRY || 'DE';
+    // Customer orders in these states still need their items fulfilled
+    this.routableOrderStatuses = ['confirmed', 'processing'];
+    this.euCountries = ['DE', 'FR', 'ES', 'IT', 'PT', 'NL', 'BE', 'AT', 'PL', 'CZ', 'HU', 'RO', 'BG', 'HR', 'SK', 'SI', 'LT', 'LV', 'EE', 'CY', 'MT', 'LU', 'IE', 'DK', 'SE', 'FI'];
+  }
+
+  // Parse weights from JSON (e.g. ROUTING_WEIGHTS='{"cost":0.4}'), unknown keys are ignored
+  loadWeights(json) {
+    let overrides = {};
+
+    if (json) {
+      try {
+        overrides = JSON.parse(json);
+      } catch (error) {
+        logger.error('Invalid ROUTING_WEIGHTS, using defaults', { error: error.message });
+      }
+    }
+
+    return this.normalizeWeights({ ...this.defaultWeights, ...overrides });
+  }
+
+  normalizeWeights(weights) {
+    const normalized = {};
+    let sum = 0;
+
+    for (const key of Object.keys(this.defaultWeights)) {
+      const value = Math.max(parseFloat(weights[key]) || 0, 0);
+      normalized[key] = value;
+      sum += value;
+    }
+
+    if (sum === 0) {
+      return { ...this.defaultWeights };
+    }
+
+    for (const key of Object.keys(normalized)) {
+      normalized[key] = Math.round((normalized[key] / sum) * 10000) / 10000;
+    }
+
+    return normalized;
+  }
+
+  setWeights(weights) {
+    this.weights = this.normalizeWeights({ ...this.weights, ...weights });
+    return this.weights;
+  }
+
+  // Route every unrouted item of a paid order
+  async routeOrder(orderId, options = {}) {
+    const result = await transaction(async (client) => {
+      const orderResult = await client.query(
+        'SELECT id, order_number, currency, shipping_address FROM orders WHERE id = $1',
+        [orderId]
+      );
+
+      if (orderResult.rows.length === 0) {
+        throw new Error('Order not found');
+      }
+
+      const order = orderResult.rows[0];
+
+      // Skip items already sitting in a live supplier order or decided before
+      const itemsResult = await client.query(`
+        SELECT oi.*
+        FROM order_items oi
+        WHERE oi.order_id = $1
+          AND NOT EXISTS (
+            SELECT 1 FROM routing_decisions rd WHERE rd.order_item_id = oi.id
+          )
+        ORDER BY oi.created_at
+      `, [orderId]);
+
+      return this.routeItems(client, order, itemsResult.rows, options);
+    });
+
+    logger.info('Order routed', {
+      orderId,
+      routed: result.routed.length,
+      manualReview: result.manualReview.length,
+      supplierOrders: result.supplierOrderIds.length
+    });
+
+    // Supplier orders go out after commit, without holding up the caller
+    SupplierOrderDispatchService.dispatch(result.supplierOrderIds);
+
+    return result;
+  }
+
+  // Route a set of order items inside an open transaction.
+  // options.excludeSourceIds: supplier/warehouse ids that must not be chosen
+  // options.supplierOrderNotes: admin_notes for supplier orders created in this run
+  // options.reroutedFrom: { id, attempt, reason } when replacing a failed supplier order
+  async routeItems(client, order, items, options = {}) {
+    const { excludeSourceIds = [], routingMethod = 'automatic', supplierOrderNotes = null, reroutedFrom = null } = options;
+    const destinationCountry = order.shipping_address?.country;
+    const supplierOrders = new Map();
+    const routed = [];
+    const manualReview = [];
+
+    for (const item of items) {
+      const candidates = await this.loadCandidates(client, item, excludeSourceIds);
+      const scored = await this.scoreCandidates(candidates, item, destinationCountry);
+      const winner = scored.find(candidate => candidate.eligible) || null;
+
+      if (!winner) {
+        await this.recordDecision(client, { order, item, outcome: 'manual_review', candidates: scored });
+        manualReview.push({ orderItemId: item.id, candidates: scored });
+
+        logger.warn('No source available, order item queued for manual review', {
+          orderId: order.id,
+          orderItemId: item.id,
+          candidates: scored.map(candidate => ({ sourceId: candidate.sourceId, reason: candidate.ineligibleReason }))
+        });
+        continue;
+      }
+
+      const supplierOrderId = await this.fulfillFromSource(client, order, item, winner, supplierOrders, {
+        routingMethod,
+        adminNotes: supplierOrderNotes,
+        reroutedFrom
+      });
+
+      await this.recordDecision(client, {
+        order,
+        item,
+        outcome: 'routed',
+        winner,
+        supplierOrderId,
+        candidates: scored
+      });
+
+      routed.push({ orderItemId: item.id, sourceType: winner.sourceType, sourceId: winner.sourceId, supplierOrderId, score: winner.score });
+
+      logger.info('Routing decision', {
+        orderId: order.id,
+        orderItemId: item.id,
+        winner: { sourceType: winner.sourceType, sourceId: winner.sourceId, score: winner.score, breakdown: winner.breakdown },
+        runnersUp: scored.slice(1, 4).map(candidate => ({
+          sourceId: candidate.sourceId,
+          score: candidate.score,
+          eligible: candidate.eligible
+        }))
+      });
+    }
+
+    return { routed, manualReview, supplierOrderIds: [...supplierOrders.values()] };
+  }
+
+  // Hand an item to the chosen source: supplier order line or warehouse reservation.
+  // supplierOrders caches supplier orders created in the current run (one per order and supplier).
+  async fulfillFromSource(client, order, item, source, supplierOrders, options = {}) {
+    const { routingMethod = 'automatic', adminNotes = null, reroutedFrom = null } = options;
+
+    if (source.sourceType !== 'supplier') {
+      // Own warehouse: hold the stock, no supplier order needed
+      await InventoryReservationService.assignWarehouse(client, item);
+
+      return null;
+    }
+
+    const key = `${order.id}:${source.sourceId}`;
+    let supplierOrderId = supplierOrders.get(key);
+
+    if (!supplierOrderId) {
+      supplierOrderId = await this.createSupplierOrder(client, order.id, source.sourceId, routingMethod, adminNotes, reroutedFrom);
+      supplierOrders.set(key, supplierOrderId);
+    }
+
+    await this.addSupplierOrderItem(client, supplierOrderId, order, item, source);
+
+    return supplierOrderId;
+  }
+
+  // Order items whose latest routing decision asks for a human, oldest first
+  async getManualReviewQueue({ limit = 20, offset = 0 } = {}) {
+    const latestDecisions = `
+      SELECT DISTINCT ON (rd.order_item_id) rd.*
+      FROM routing_decisions rd
+      ORDER BY rd.order_item_id, rd.created_at DESC
+    `;
+
+    const [itemsResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          d.order_item_id, d.created_at as queued_at,
+          o.id as order_id, o.order_number, o.status as order_status,
+          o.shipping_address->>'country' as destination_country,
+          oi.product_id, oi.variant_id, oi.quantity,
+          p.sku, p.name_en as product_name,
+          pv.sku as variant_sku, pv.size, pv.color_en as color,
+          (
+            SELECT COUNT(*) FROM supplier_order_items soi
+            JOIN supplier_orders so ON soi.supplier_order_id = so.id
+            WHERE soi.order_item_id = oi.id AND so.status IN ('rejected', 'cancelled', 'failed')
+          ) as failed_attempts
+        FROM (${latestDecisions}) d
+        JOIN order_items oi ON d.order_item_id = oi.id
+        JOIN orders o ON oi.order_id = o.id
+        JOIN products p ON oi.product_id = p.id
+        LEFT JOIN product_variants pv ON oi.variant_id = pv.id
+        WHERE d.outcome = 'manual_review' AND o.status = ANY($1::text[])
+        ORDER BY d.created_at ASC
+        LIMIT $2 OFFSET $3
+      `, [this.routableOrderStatuses, limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM (${latestDecisions}) d
+        JOIN orders o ON d.order_id = o.id
+        WHERE d.outcome = 'manual_review' AND o.status = ANY($1::text[])
+      `, [this.routableOrderStatuses])
+    ]);
+
+    return {
+      items: itemsResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  // Live candidate sources of an order item, scored as the engine would see them.
+  // Suppliers that already rejected or missed the item are flagged, not hidden.
+  async getItemCandidates(orderItemId) {
+    const itemResult = await query(`
+      SELECT oi.*, o.order_number, o.status as order_status, o.currency, o.shipping_address
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE oi.id = $1
+    `, [orderItemId]);
+
+    if (itemResult.rows.length === 0) {
+      return null;
+    }
+
+    const item = itemResult.rows[0];
+    const [candidates, failedResult] = await Promise.all([
+      this.loadCandidates(pool, item),
+      query(`
+        SELECT DISTINCT so.supplier_id
+        FROM supplier_order_items soi
+        JOIN supplier_orders so ON soi.supplier_order_id = so.id
+        WHERE soi.order_item_id = $1 AND so.status IN ('rejected', 'cancelled', 'failed')
+      `, [orderItemId])
+    ]);
+
+    const failedSupplierIds = failedResult.rows.map(row => row.supplier_id);
+    const scored = await this.scoreCandidates(candidates, item, item.shipping_address?.country);
+
+    return {
+      item,
+      candidates: scored.map(candidate => ({
+        ...candidate,
+        previouslyFailed: failedSupplierIds.includes(candidate.sourceId)
+      }))
+    };
+  }
+
+  // Route queued items to sources picked by an admin. Ineligible sources are allowed
+  // (that is the point of an override); every assignment carries the admin's note.
+  async assignManually(assignments, { adminId, note }) {
+    const result = await transaction(async (client) => {
+      const supplierOrders = new Map();
+      const assigned = [];
+
+      for (const { orderItemId, sourceId } of assignments) {
+        const itemResult = await client.query(
+          'SELECT * FROM order_items WHERE id = $1 FOR UPDATE',
+          [orderItemId]
+        );
+
+        if (itemResult.rows.length === 0) {
+          throw new ManualRoutingError(`Order item ${orderItemId} not found`, 404);
+        }
+
+        const item = itemResult.rows[0];
+
+        const latestResult = await client.query(`
+          SELECT outcome FROM routing_decisions
+          WHERE order_item_id = $1
+          ORDER BY created_at DESC
+          LIMIT 1
+        `, [orderItemId]);
+
+        if (latestResult.rows[0]?.outcome !== 'manual_review') {
+          throw new ManualRoutingError(`Order item ${orderItemId} is not waiting for manual routing`);
+        }
+
+        const orderResult = await client.query(
+          'SELECT id, order_number, status, currency, shipping_address FROM orders WHERE id = $1',
+          [item.order_id]
+        );
+        const order = orderResult.rows[0];
+
+        if (!this.routableOrderStatuses.includes(order.status)) {
+          throw new ManualRoutingError(`Order ${order.order_number} is ${order.status} and cannot be routed`);
+        }
+
+        const candidates = await this.loadCandidates(client, item);
+        const scored = await this.scoreCandidates(candidates, item, order.shipping_address?.country);
+        const source = scored.find(candidate => candidate.sourceId === sourceId);
+
+        if (!source) {
+          throw new ManualRoutingError(`Source ${sourceId} does not offer order item ${orderItemId}`, 400);
+        }
+
+        const supplierOrderId = await this.fulfillFromSource(client, order, item, source, supplierOrders, {
+          routingMethod: 'manual',
+          adminNotes: note
+        });
+
+        await this.recordDecision(client, {
+          order,
+          item,
+          outcome: 'routed',
+          winner: source,
+          supplierOrderId,
+          candidates: scored,
+          decidedBy: adminId,
+          notes: note
+        });
+
+        assigned.push({ orderItemId, sourceType: source.sourceType, sourceId, supplierOrderId, eligible: source.eligible });
+      }
+
+      return { assigned, supplierOrderIds: [...supplierOrders.values()] };
+    });
+
+    logger.info('Order items routed manually', {
+      adminId,
+      assigned: result.assigned.map(entry => ({ orderItemId: entry.orderItemId, sourceId: entry.sourceId })),
+      supplierOrders: result.supplierOrderIds.length
+    });
+
+    SupplierOrderDispatchService.dispatch(result.supplierOrderIds);
+
+    return result;
+  }
+
+  // All active sources for an item with the stock and metrics needed for scoring
+  async loadCandidates(client, item, excludeSourceIds = []) {
+    const result = await client.query(`
+      SELECT
+        s.id as inventory_source_id,
+        s.source_type,
+        s.source_id,
+        s.priority,
+        s.cost_price,
+        s.lead_time_days,
+        sup.company_name,
+        sup.country as supplier_country,
+        sup.rating as supplier_rating,
+        sc.id as catalog_id,
+        sc.stock_quantity as catalog_stock,
+        sc.supplier_price,
+        sc.supplier_currency,
+        sc.lead_time_days as catalog_lead_time_days,
+        sc.minimum_order_quantity,
+        fi.quantity_available as warehouse_available,
+        fi.reserved_quantity as warehouse_reserved,
+        perf.performance_score
+      FROM inventory_sources s
+      LEFT JOIN suppliers sup
+        ON s.source_type = 'supplier' AND sup.id = s.source_id
+      LEFT JOIN LATERAL (
+        SELECT c.*
+        FROM supplier_catalogs c
+        WHERE c.supplier_id = s.source_id AND c.product_id = s.product_id AND c.is_active = true
+        ORDER BY (c.metadata->>'variant_id' = $2::uuid::text) DESC NULLS LAST, c.updated_at DESC
+        LIMIT 1
+      ) sc ON s.source_type = 'supplier'
+      LEFT JOIN fulfillment_inventory fi
+        ON s.source_type = 'own_warehouse'
+        AND fi.product_id = s.product_id
+        AND fi.variant_id IS NOT DISTINCT FROM $2
+      LEFT JOIN LATERAL (
+        SELECT p.performance_score
+        FROM supplier_performance p
+        WHERE p.supplier_id = s.source_id AND p.performance_score IS NOT NULL
+        ORDER BY p.period_end DESC
+        LIMIT 1
+      ) perf ON s.source_type = 'supplier'
+      WHERE s.product_id = $1
+        AND s.is_active = true
+        AND (s.variant_id IS NULL OR s.variant_id = $2)
+        AND s.source_type IN ('supplier', 'own_warehouse')
+        AND (s.source_type <> 'supplier' OR sup.is_active = true)
+        AND NOT (s.source_id = ANY($3::uuid[]))
+      ORDER BY s.priority DESC
+    `, [item.product_id, item.variant_id, excludeSourceIds]);
+
+    return result.rows;
+  }
+
+  // Score candidates on stock, rating, cost, lead time and location; best first
+  async scoreCandidates(candidates, item, destinationCountry) {
+    const prepared = [];
+
+    for (const candidate of candidates) {
+      const isSupplier = candidate.source_type === 'supplier';
+      const available = isSupplier
+        ? (candidate.catalog_stock || 0)
+        : (candidate.warehouse_available || 0) - (candidate.warehouse_reserved || 0);
+
+      let ineligibleReason = null;
+      if (available < item.quantity) {
+        ineligibleReason = 'insufficient_stock';
+      } else if (isSupplier && item.quantity < (candidate.minimum_order_quantity || 1)) {
+        ineligibleReason = 'below_minimum_order_quantity';
+      }
+
+      prepared.push({
+        inventorySourceId: candidate.inventory_source_id,
+        sourceType: candidate.source_type,
+        sourceId: candidate.source_id,
+        sourceName: isSupplier ? candidate.company_name : 'Own warehouse',
+        catalogId: candidate.catalog_id || null,
+        priority: candidate.priority,
+        available: Math.max(available, 0),
+        unitCost: await this.resolveUnitCost(candidate),
+        leadTimeDays: candidate.lead_time_days ?? candidate.catalog_lead_time_days ?? null,
+        country: isSupplier ? candidate.supplier_country : this.warehouseCountry,
+        rating: this.ratingScore(candidate),
+        eligible: ineligibleReason === null,
+        ineligibleReason
+      });
+    }
+
+    const eligible = prepared.filter(candidate => candidate.eligible);
+    const costRange = this.range(eligible.map(candidate => candidate.unitCost));
+    const leadRange = this.range(eligible.map(candidate => candidate.leadTimeDays));
+
+    for (const candidate of prepared) {
+      const breakdown = {
+        stock: Math.min(candidate.available / (item.quantity * this.stockBufferFactor), 1),
+        rating: candidate.rating,
+        cost: this.lowerIsBetter(candidate.unitCost, costRange),
+        leadTime: this.lowerIsBetter(candidate.leadTimeDays, leadRange),
+        location: this.locationScore(candidate.country, destinationCountry)
+      };
+
+      let score = 0;
+      for (const [criterion, weight] of Object.entries(this.weights)) {
+        score += weight * breakdown[criterion];
+      }
+
+      candidate.breakdown = Object.fromEntries(
+        Object.entries(breakdown).map(([key, value]) => [key, Math.round(value * 1000) / 1000])
+      );
+      candidate.score = candidate.eligible ? Math.round(score * 10000) / 100 : 0;
+    }
+
+    return prepared.sort((a, b) =>
+      (b.eligible - a.eligible) ||
+      (b.score - a.score) ||
+      ((b.priority || 0) - (a.priority || 0)) ||
+      ((a.unitCost ?? Infinity) - (b.unitCost ?? Infinity))
+    );
+  }
+
+  // Unit cost in EUR: explicit source cost first, then converted catalog price
+  async resolveUnitCost(candidate) {
+    if (candidate.cost_price !== null && candidate.cost_price !== undefined) {
+      return parseFloat(candidate.cost_price);
+    }
+
+    if (candidate.supplier_price === null || candidate.supplier_price === undefined) {
+      return null;
+    }
+
+    const conversion = await CurrencyService.convertCurrency(
+      parseFloat(candidate.supplier_price),
+      candidate.supplier_currency || 'EUR',
+      'EUR'
+    );
+
+    return conversion.success ? conversion.convertedAmount : null;
+  }
+
+  ratingScore(candidate) {
+    if (candidate.source_type === 'own_warehouse') {
+      return 1;
+    }
+
+    if (candidate.performance_score !== null && candidate.performance_score !== undefined) {
+      return Math.min(parseFloat(candidate.performance_score) / 100, 1);
+    }
+
+    const rating = parseFloat(candidate.supplier_rating);
+    return rating > 0 ? Math.min(rating / 5, 1) : this.neutralScore;
+  }
+
+  locationScore(sourceCountry, destinationCountry) {
+    if (!sourceCountry || !destinationCountry) {
+      return this.neutralScore;
+    }
+
+    if (sourceCountry === destinationCountry) {
+      return 1;
+    }
+
+    if (this.euCountries.includes(sourceCountry) && this.euCountries.includes(destinationCountry)) {
+      return 0.8;
+    }
+
+    return 0.2;
+  }
+
+  range(values) {
+    const known = values.filter(value => value !== null && value !== undefined);
+    if (known.length === 0) {
+      return null;
+    }
+    return { min: Math.min(...known), max: Math.max(...known) };
+  }
+
+  lowerIsBetter(value, range) {
+    if (value === null || value === undefined || !range) {
+      return this.neutralScore;
+    }
+    if (range.max === range.min) {
+      return 1;
+    }
+    // Ineligible candidates may fall outside the eligible range
+    return Math.min(Math.max((range.max - value) / (range.max - range.min), 0), 1);
+  }
+
+  async createSupplierOrder(client, orderId, supplierId, routingMethod, adminNotes = null, reroutedFrom = null) {
+    const result = await client.query(`
+      INSERT INTO supplier_orders (
+        order_id, supplier_id, status, routing_method, admin_notes,
+        rerouted_from_id, reroute_attempt, reroute_reason
+      ) VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      orderId,
+      supplierId,
+      routingMethod,
+      adminNotes,
+      reroutedFrom ? reroutedFrom.id : null,
+      reroutedFrom ? reroutedFrom.attempt : 0,
+      reroutedFrom ? reroutedFrom.reason : null
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  async addSupplierOrderItem(client, supplierOrderId, order, item, source) {
+    const unitPrice = parseFloat(item.unit_price);
+    const unitPriceEur = order.currency === 'EUR'
+      ? unitPrice
+      : (await CurrencyService.convertCurrency(unitPrice, order.currency, 'EUR')).convertedAmount;
+
+    const unitCost = source.unitCost ?? 0;
+    const margin = source.unitCost !== null && unitPriceEur
+      ? Math.round(((unitPriceEur - source.unitCost) / unitPriceEur) * 10000) / 100
+      : null;
+
+    await client.query(`
+      INSERT INTO supplier_order_items (
+        supplier_order_id, order_item_id, product_id, variant_id,
+        quantity, unit_cost, unit_price, margin_percentage
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      supplierOrderId,
+      item.id,
+      item.product_id,
+      item.variant_id,
+      item.quantity,
+      unitCost,
+      unitPrice,
+      margin
+    ]);
+  }
+
+  async recordDecision(client, { order, item, outcome, winner = null, supplierOrderId = null, candidates, decidedBy = null, notes = null }) {
+    await client.query(`
+      INSERT INTO routing_decisions (
+        order_id, order_item_id, outcome, source_type, source_id,
+        supplier_order_id, score, weights, candidates, decided_by, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      order.id,
+      item.id,
+      outcome,
+      winner ? winner.sourceType : null,
+      winner ? winner.sourceId : null,
+      supplierOrderId,
+      winner ? winner.score : null,
+      JSON.stringify(this.weights),
+      JSON.stringify(candidates),
+      decidedBy,
+      notes
+    ]);
+  }
+}
+
+// Export singleton instance
+const orderRoutingService = new OrderRoutingService();
+module.exports = orderRoutingService;
+module.exports.ManualRoutingError = ManualRoutingError;
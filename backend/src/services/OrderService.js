@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const { pool, transaction } = require('../config/database');
+const CurrencyService = require('./CurrencyService');
+const ShippingRateService = require('./ShippingRateService');
+const { ShippingOptionError } = require('./ShippingRateService');
+const OrderStateMachine = require('./OrderStateMachine');
+const InventoryReservationService = require('./InventoryReservationService');
+const { StockReservationError } = require('./InventoryReservationService');
+const logger = require('../utils/logger');
+
+// Raised for cart problems the customer can fix (unknown product, no stock, ...)
+class OrderValidationError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'OrderValidationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class OrderService {
+  constructor() {
+    this.baseCurrency = 'EUR'; // Catalog prices and zone rates are stored in EUR
+    this.orderNumberPrefix = 'ORD';
+    this.orderNumberAttempts = 5;
+  }
+
+  // Generate a human-readable order number: ORD-YYYYMMDD-XXXXXX
+  generateOrderNumber(date = new Date()) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+    const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+
+    let suffix = '';
+    for (let i = 0; i < 6; i++) {
+      suffix += alphabet[crypto.randomInt(0, alphabet.length)];
+    }
+
+    return `${this.orderNumberPrefix}-${datePart}-${suffix}`;
+  }
+
+  // Pick an order number not yet used (checked inside the order transaction)
+  async reserveOrderNumber(client) {
+    for (let attempt = 0; attempt < this.orderNumberAttempts; attempt++) {
+      const orderNumber = this.generateOrderNumber();
+      const existing = await client.query(
+        'SELECT 1 FROM orders WHERE order_number = $1',
+        [orderNumber]
+      );
+
+      if (existing.rows.length === 0) {
+        return orderNumber;
+      }
+    }
+
+    throw new Error('Failed to generate a unique order number');
+  }
+
+  // Load catalog data for the cart lines and price them from the database
+  async priceCartLines(client, items) {
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const variantIds = [...new Set(items.filter(item => item.variantId).map(item => item.variantId))];
+
+    const productsResult = await client.query(`
+      SELECT id, supplier_id, sku, name_en, base_price, cost_price, weight_grams
+      FROM products
+      WHERE id = ANY($1::uuid[]) AND is_active = true
+    `, [productIds]);
+
+    const variantsResult = variantIds.length > 0
+      ? await client.query(`
+          SELECT id, product_id, sku, price_adjustment, stock_quantity, reserved_quantity
+          FROM product_variants
+          WHERE id = ANY($1::uuid[]) AND is_active = true
+        `, [variantIds])
+      : { rows: [] };
+
+    const products = new Map(productsResult.rows.map(row => [row.id, row]));
+    const variants = new Map(variantsResult.rows.map(row => [row.id, row]));
+
+    const problems = [];
+    const lines = items.map((item, index) => {
+      const product = products.get(item.productId);
+      if (!product) {
+        problems.push({ index, productId: item.productId, error: 'Product not found or inactive' });
+        return null;
+      }
+
+      let variant = null;
+      if (item.variantId) {
+        variant = variants.get(item.variantId);
+        if (!variant || variant.product_id !== product.id) {
+          problems.push({ index, variantId: item.variantId, error: 'Variant not found for product' });
+          return null;
+        }
+
+        const available = variant.stock_quantity - variant.reserved_quantity;
+        if (available < item.quantity) {
+          problems.push({ index, variantId: variant.id, error: 'Insufficient stock', available: Math.max(available, 0) });
+          return null;
+        }
+      }
+
+      const unitPrice = parseFloat(product.base_price) + (variant ? parseFloat(variant.price_adjustment || 0) : 0);
+
+      return {
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        supplierId: product.supplier_id,
+        sku: variant ? variant.sku : product.sku,
+        name: product.name_en,
+        quantity: item.quantity,
+        unitPrice: CurrencyService.roundToCurrencyPrecision(unitPrice, this.baseCurrency),
+        weightKg: (product.weight_grams || 0) / 1000
+      };
+    });
+
+    if (problems.length > 0) {
+      throw new OrderValidationError('Some cart items cannot be ordered', 409, problems);
+    }
+
+    return lines;
+  }
+
+  // Re-quote the chosen shipping option for the cart. Carrier options are priced
+  // live, so this runs before the order transaction takes a connection.
+  async quoteShipping(lines, shippingAddress, currency, shippingOptionId = null) {
+    const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+    const totalWeight = lines.reduce((sum, line) => sum + line.weightKg * line.quantity, 0);
+
+    try {
+      return await ShippingRateService.resolveOption(shippingOptionId, {
+        recipient: {
+          countryCode: shippingAddress.country,
+          postalCode: shippingAddress.postalCode,
+          city: shippingAddress.city,
+          state: shippingAddress.state || null,
+          addressLine1: shippingAddress.addressLine1
+        },
+        totalWeight,
+        totalValue: subtotal,
+        currency
+      });
+    } catch (error) {
+      if (error instanceof ShippingOptionError) {
+        throw new OrderValidationError(error.message, error.statusCode);
+      }
+      throw error;
+    }
+  }
+
+  // Recompute subtotal and VAT in EUR, then convert to the order currency.
+  // Shipping is the re-quoted option from quoteShipping, already in that currency.
+  async calculateTotals(lines, shippingAddress, currency, shipping) {
+    const countryCode = shippingAddress.country;
+    const { zone, option } = shipping;
+
+    const rate = await this.getConversionRate(currency);
+    const convert = (amount) => CurrencyService.roundToCurrencyPrecision(amount * rate, currency);
+
+    const convertedLines = lines.map(line => {
+      const unitPrice = convert(line.unitPrice);
+      return {
+        ...line,
+        unitPrice,
+        totalPrice: CurrencyService.roundToCurrencyPrecision(unitPrice * line.quantity, currency)
+      };
+    });
+
+    const convertedSubtotal = CurrencyService.roundToCurrencyPrecision(
+      convertedLines.reduce((sum, line) => sum + line.totalPrice, 0),
+      currency
+    );
+    const shippingCost = option.price;
+
+    // VAT is charged on goods and shipping alike
+    const tax = CurrencyService.calculateTax(convertedSubtotal + shippingCost, currency, countryCode);
+
+    return {
+      lines: convertedLines,
+      currency,
+      exchangeRate: rate,
+      subtotal: convertedSubtotal,
+      shippingCost,
+      taxRate: tax.taxRate,
+      taxAmount: tax.taxAmount,
+      discountAmount: 0,
+      totalAmount: tax.totalAmount,
+      shippingZone: { id: zone.id, name: zone.name },
+      shippingOption: option,
+      estimatedDelivery: option.deliveryWindow
+    };
+  }
+
+  async getConversionRate(currency) {
+    if (currency === this.baseCurrency) {
+      return 1;
+    }
+
+    const conversion = await CurrencyService.convertCurrency(1, this.baseCurrency, currency);
+    if (!conversion.success) {
+      throw new Error(`Exchange rate not available for ${currency}`);
+    }
+
+    return conversion.rate;
+  }
+
+  // Create an order from cart lines; every amount is computed server-side
+  async createOrder(userId, orderData) {
+    const { items, shippingAddress, billingAddress, currency, shippingOptionId, notes } = orderData;
+
+    // Stock is checked again when it is held inside the transaction
+    const pricedLines = await this.priceCartLines(pool, items);
+    const shipping = await this.quoteShipping(pricedLines, shippingAddress, currency, shippingOptionId);
+
+    const order = await transaction(async (client) => {
+      const totals = await this.calculateTotals(pricedLines, shippingAddress, currency, shipping);
+      const orderNumber = await this.reserveOrderNumber(client);
+
+      const orderResult = await client.query(`
+        INSERT INTO orders (
+          order_number, user_id, status, currency, subtotal, tax_amount,
+          shipping_cost, discount_amount, total_amount, payment_status,
+          shipping_address, billing_address, estimated_delivery, notes,
+          shipping_option_id, shipping_carrier, shipping_service_level, shipping_service_code
+        ) VALUES (
+          $1, $2, 'pending', $3, $4, $5, $6, $7, $8, 'pending', $9, $10,
+          CURRENT_DATE + $11::integer, $12, $13, $14, $15, $16
+        ) RETURNING *
+      `, [
+        orderNumber,
+        userId,
+        totals.currency,
+        totals.subtotal,
+        totals.taxAmount,
+        totals.shippingCost,
+        totals.discountAmount,
+        totals.totalAmount,
+        JSON.stringify(shippingAddress),
+        JSON.stringify(billingAddress || shippingAddress),
+        totals.estimatedDelivery.maxDays,
+        notes || null,
+        totals.shippingOption.id,
+        totals.shippingOption.carrier,
+        totals.shippingOption.serviceLevel,
+        totals.shippingOption.serviceCode
+      ]);
+
+      const createdOrder = orderResult.rows[0];
+      await OrderStateMachine.recordInitialStatus(client, createdOrder.id, createdOrder.status, {
+        type: 'customer',
+        id: userId
+      });
+
+      const orderItems = [];
+
+      for (const line of totals.lines) {
+        const itemResult = await client.query(`
+          INSERT INTO order_items (
+            order_id, product_id, variant_id, quantity, unit_price, total_price, supplier_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `, [
+          createdOrder.id,
+          line.productId,
+          line.variantId,
+          line.quantity,
+          line.unitPrice,
+          line.totalPrice,
+          line.supplierId
+        ]);
+
+        orderItems.push(itemResult.rows[0]);
+      }
+
+      // Hold the stock while the customer pays; the sweeper releases it after the TTL
+      try {
+        await InventoryReservationService.holdOrderItems(client, createdOrder.id);
+      } catch (error) {
+        if (error instanceof StockReservationError) {
+          throw new OrderValidationError('Some cart items cannot be ordered', 409, error.details);
+        }
+        throw error;
+      }
+
+      return {
+        ...createdOrder,
+        items: orderItems,
+        tax_rate: totals.taxRate,
+        shipping_zone: totals.shippingZone,
+        shipping_option: totals.shippingOption
+      };
+    });
+
+    logger.info('Order created', {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      userId,
+      totalAmount: order.total_amount,
+      currency: order.currency
+    });
+
+    return order;
+  }
+}
+
+// Export singleton instance
+const orderService = new OrderService();
+module.exports = orderService;
+module.exports.OrderValidationError = OrderValidationError;
@@ -0,0 +1,185 @@
+const { query } = require('../config/database');
+
+class OrderShipmentService {
+  constructor() {
+    // Supplier orders in these states were replaced by a reroute and are not shown
+    this.supersededStatuses = ['rejected', 'cancelled', 'failed'];
+
+    // Customer-facing status of a supplier order
+    this.shipmentStatusMap = {
+      pending: 'processing',
+      sent: 'processing',
+      acknowledged: 'processing',
+      accepted: 'processing',
+      processing: 'processing',
+      shipped: 'shipped',
+      exception: 'exception',
+      delivered: 'delivered'
+    };
+
+    // Customer-facing status of an own-warehouse parcel, from its carrier shipment
+    this.carrierStatusMap = {
+      created: 'shipped',
+      in_transit: 'shipped',
+      out_for_delivery: 'shipped',
+      exception: 'exception',
+      delivered: 'delivered'
+    };
+
+    // Order statuses that override whatever the shipments say
+    this.terminalOrderStatuses = ['pending', 'cancelled', 'refunded'];
+  }
+
+  // Shipments of several orders, keyed by order id. One shipment per live
+  // supplier order; items fulfilled from the own warehouse (or not routed yet)
+  // form one more shipment tracked on the order itself.
+  async getShipmentsForOrders(orders, language = 'en') {
+    const shipmentsByOrder = new Map(orders.map(order => [order.id, []]));
+    if (orders.length === 0) {
+      return shipmentsByOrder;
+    }
+
+    const orderIds = orders.map(order => order.id);
+
+    const [supplierOrdersResult, itemsResult, carrierShipmentsResult] = await Promise.all([
+      query(`
+        SELECT
+          so.id, so.order_id, so.status, so.shipping_carrier, so.tracking_number,
+          so.estimated_delivery_date, so.shipped_at, so.delivered_at, so.created_at
+        FROM supplier_orders so
+        WHERE so.order_id = ANY($1::uuid[])
+          AND so.status <> ALL($2::text[])
+        ORDER BY so.created_at
+      `, [orderIds, this.supersededStatuses]),
+      query(`
+        SELECT
+          oi.id, oi.order_id, oi.product_id, oi.variant_id, oi.quantity,
+          p.sku,
+          COALESCE(p.name_${language}, p.name_en) as product_name,
+          pv.size,
+          COALESCE(pv.color_${language}, pv.color_en) as color,
+          (
+            SELECT soi.supplier_order_id
+            FROM supplier_order_items soi
+            JOIN supplier_orders so ON soi.supplier_order_id = so.id
+            WHERE soi.order_item_id = oi.id AND so.status <> ALL($2::text[])
+            ORDER BY so.created_at DESC
+            LIMIT 1
+          ) as supplier_order_id
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        LEFT JOIN product_variants pv ON oi.variant_id = pv.id
+        WHERE oi.order_id = ANY($1::uuid[])
+        ORDER BY oi.created_at
+      `, [orderIds, this.supersededStatuses]),
+      // Latest live carrier shipment of the own-warehouse parcel
+      query(`
+        SELECT DISTINCT ON (s.order_id)
+          s.order_id, s.carrier, s.tracking_number, s.status, s.estimated_delivery_date,
+          s.delivered_at, s.created_at
+        FROM shipments s
+        WHERE s.order_id = ANY($1::uuid[])
+          AND s.supplier_order_id IS NULL
+          AND s.status <> 'cancelled'
+        ORDER BY s.order_id, s.created_at DESC
+      `, [orderIds])
+    ]);
+
+    const carrierShipments = new Map(carrierShipmentsResult.rows.map(shipment => [shipment.order_id, shipment]));
+
+    const itemsBySupplierOrder = new Map();
+    const warehouseItems = new Map();
+
+    for (const { supplier_order_id: supplierOrderId, order_id: orderId, ...item } of itemsResult.rows) {
+      const target = supplierOrderId ? itemsBySupplierOrder : warehouseItems;
+      const key = supplierOrderId || orderId;
+      if (!target.has(key)) {
+        target.set(key, []);
+      }
+      target.get(key).push(item);
+    }
+
+    for (const supplierOrder of supplierOrdersResult.rows) {
+      shipmentsByOrder.get(supplierOrder.order_id).push({
+        id: supplierOrder.id,
+        status: this.shipmentStatusMap[supplierOrder.status] || 'processing',
+        carrier: supplierOrder.shipping_carrier,
+        trackingNumber: supplierOrder.tracking_number,
+        estimatedDelivery: supplierOrder.estimated_delivery_date,
+        shippedAt: supplierOrder.shipped_at,
+        deliveredAt: supplierOrder.delivered_at,
+        items: itemsBySupplierOrder.get(supplierOrder.id) || []
+      });
+    }
+
+    for (const order of orders) {
+      const items = warehouseItems.get(order.id);
+      if (!items) {
+        continue;
+      }
+
+      const carrierShipment = carrierShipments.get(order.id);
+
+      shipmentsByOrder.get(order.id).push({
+        id: null,
+        status: this.warehouseShipmentStatus(order, carrierShipment),
+        carrier: carrierShipment ? carrierShipment.carrier : null,
+        trackingNumber: order.tracking_number,
+        estimatedDelivery: order.estimated_delivery,
+        shippedAt: carrierShipment ? carrierShipment.created_at : null,
+        deliveredAt: carrierShipment ? carrierShipment.delivered_at : null,
+        items
+      });
+    }
+
+    return shipmentsByOrder;
+  }
+
+  async getShipments(order, language = 'en') {
+    const shipmentsByOrder = await this.getShipmentsForOrders([order], language);
+    return shipmentsByOrder.get(order.id);
+  }
+
+  // Own-warehouse parcels are shipped through the order's own carrier shipment
+  warehouseShipmentStatus(order, carrierShipment = null) {
+    if (order.status === 'delivered') {
+      return 'delivered';
+    }
+    if (carrierShipment && this.carrierStatusMap[carrierShipment.status]) {
+      return this.carrierStatusMap[carrierShipment.status];
+    }
+    return order.tracking_number ? 'shipped' : 'processing';
+  }
+
+  // Overall status shown to the customer, e.g. "partially_shipped" while
+  // some parcels are still being prepared
+  deriveCustomerStatus(order, shipments) {
+    if (this.terminalOrderStatuses.includes(order.status) || shipments.length === 0) {
+      return order.status;
+    }
+
+    const delivered = shipments.filter(shipment => shipment.status === 'delivered').length;
+    const exceptions = shipments.filter(shipment => shipment.status === 'exception').length;
+    const shipped = shipments.filter(shipment => shipment.status === 'shipped').length + exceptions + delivered;
+
+    if (delivered === shipments.length) {
+      return 'delivered';
+    }
+    // A parcel the carrier could not deliver needs the customer's attention first
+    if (exceptions > 0) {
+      return 'exception';
+    }
+    if (shipped === shipments.length) {
+      return delivered > 0 ? 'partially_delivered' : 'shipped';
+    }
+    if (shipped > 0) {
+      return 'partially_shipped';
+    }
+
+    return order.status === 'confirmed' ? 'confirmed' : 'processing';
+  }
+}
+
+// Export singleton instance
+const orderShipmentService = new OrderShipmentService();
+module.exports = orderShipmentService;
@@ -0,0 +1,151 @@
+const { query, transaction } = require('../config/database');
+const InventoryReservationService = require('./InventoryReservationService');
+const logger = require('../utils/logger');
+
+// Raised when a caller asks for a transition the lifecycle does not allow
+class InvalidTransitionError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`Illegal order status transition: ${fromStatus} -> ${toStatus}`);
+    this.name = 'InvalidTransitionError';
+    this.statusCode = 409;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+class OrderStateMachine {
+  constructor() {
+    // Allowed transitions per status (mirrors the orders.status CHECK constraint)
+    this.transitions = {
+      pending: ['confirmed', 'cancelled'],
+      confirmed: ['processing', 'shipped', 'cancelled', 'refunded'],
+      processing: ['shipped', 'cancelled', 'refunded'],
+      shipped: ['delivered', 'exception', 'processing', 'refunded'], // processing = shipment voided
+      exception: ['shipped', 'delivered', 'processing', 'refunded'], // carrier could not deliver a parcel
+      delivered: ['refunded'],
+      cancelled: ['refunded'],
+      refunded: []
+    };
+
+    this.actorTypes = ['customer', 'admin', 'supplier', 'system'];
+  }
+
+  get statuses() {
+    return Object.keys(this.transitions);
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return (this.transitions[fromStatus] || []).includes(toStatus);
+  }
+
+  // Record the first status of a freshly inserted order
+  async recordInitialStatus(client, orderId, status, actor = { type: 'system' }, reason = 'Order created') {
+    await this.insertHistory(client, { orderId, fromStatus: null, toStatus: status, actor, reason });
+  }
+
+  // Move an order to a new status and audit the change.
+  // Re-applying the current status is a no-op so webhook retries stay idempotent.
+  async transition(orderId, toStatus, options = {}) {
+    const { client, ...rest } = options;
+
+    if (client) {
+      return this.applyTransition(client, orderId, toStatus, rest);
+    }
+
+    return transaction((txClient) => this.applyTransition(txClient, orderId, toStatus, rest));
+  }
+
+  async applyTransition(client, orderId, toStatus, options) {
+    const { actor = { type: 'system' }, reason = null, metadata = null, allowedFrom = null } = options;
+
+    if (!this.transitions[toStatus]) {
+      throw new Error(`Unknown order status: ${toStatus}`);
+    }
+
+    if (!this.actorTypes.includes(actor.type)) {
+      throw new Error(`Unknown actor type: ${actor.type}`);
+    }
+
+    const current = await client.query(
+      'SELECT id, status FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (current.rows.length === 0) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const fromStatus = current.rows[0].status;
+
+    if (fromStatus === toStatus) {
+      return { changed: false, fromStatus, toStatus, order: current.rows[0] };
+    }
+
+    if ((allowedFrom && !allowedFrom.includes(fromStatus)) || !this.canTransition(fromStatus, toStatus)) {
+      throw new InvalidTransitionError(fromStatus, toStatus);
+    }
+
+    const updated = await client.query(`
+      UPDATE orders
+      SET status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [toStatus, orderId]);
+
+    await this.insertHistory(client, { orderId, fromStatus, toStatus, actor, reason, metadata });
+
+    // Shipped orders turn their reservations into sales, cancelled ones give the stock back
+    await InventoryReservationService.syncWithOrderStatus(client, orderId, toStatus);
+
+    logger.info('Order status changed', {
+      orderId,
+      fromStatus,
+      toStatus,
+      actorType: actor.type,
+      actorId: actor.id || null,
+      reason
+    });
+
+    return { changed: true, fromStatus, toStatus, order: updated.rows[0] };
+  }
+
+  async insertHistory(client, { orderId, fromStatus, toStatus, actor = {}, reason, metadata = null }) {
+    await client.query(`
+      INSERT INTO order_status_history (
+        order_id, from_status, to_status, actor_type, actor_id, reason, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      orderId,
+      fromStatus,
+      toStatus,
+      actor.type || 'system',
+      actor.id || null,
+      reason || null,
+      metadata ? JSON.stringify(metadata) : null
+    ]);
+  }
+
+  // Timeline of an order, oldest first
+  async getHistory(orderId, { includeActors = true } = {}) {
+    const result = await query(`
+      SELECT id, from_status, to_status, actor_type, actor_id, reason, created_at
+      FROM order_status_history
+      WHERE order_id = $1
+      ORDER BY created_at ASC
+    `, [orderId]);
+
+    if (includeActors) {
+      return result.rows;
+    }
+
+    // Customer/supplier views must not learn internal user ids
+    return result.rows.map(({ actor_id, ...entry }) => entry);
+  }
+}
+
+// Export singleton instance
+const orderStateMachine = new OrderStateMachine();
+module.exports = orderStateMachine;
+module.exports.InvalidTransitionError = InvalidTransitionError;
@@ -0,0 +1,48 @@
+const Stripe = require('stripe');
+const logger = require('../utils/logger');
+
+// Stripe calls made for an order outside the checkout itself: stopping an
+// intent nobody should pay anymore and refunding money that arrived anyway
+class PaymentService {
+  constructor() {
+    this.stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+    // Intents in these states may still be charged and can be cancelled
+    this.cancellableStatuses = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+  }
+
+  // Cancel an order's open intent; succeeded or already cancelled ones are left alone
+  async cancelIntent(paymentIntentId, { orderId = null } = {}) {
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (!this.cancellableStatuses.includes(paymentIntent.status)) {
+      return { cancelled: false, status: paymentIntent.status };
+    }
+
+    const cancelled = await this.stripe.paymentIntents.cancel(paymentIntentId, {
+      cancellation_reason: 'abandoned'
+    });
+
+    logger.info('Payment intent cancelled', { paymentIntentId, orderId });
+
+    return { cancelled: true, status: cancelled.status };
+  }
+
+  // Refund the full amount; keyed on the intent so webhook retries refund only once
+  async refundIntent(paymentIntentId, { orderId = null, reason = null } = {}) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      metadata: { orderId: orderId || '', reason: reason || '' }
+    }, {
+      idempotencyKey: `refund-${paymentIntentId}`
+    });
+
+    logger.info('Payment refunded', { paymentIntentId, orderId, refundId: refund.id, reason });
+
+    return refund;
+  }
+}
+
+// Export singleton instance
+const paymentService = new PaymentService();
+module.exports = paymentService;
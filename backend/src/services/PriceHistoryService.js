@@ -0,0 +1,106 @@
+const { query } = require('../config/database');
+
+class PriceHistoryService {
+  constructor() {
+    // EU Omnibus Directive: a price reduction must reference the lowest price
+    // applied during the 30 days before the reduction
+    this.referenceDays = 30;
+  }
+
+  // Tag price changes made in this transaction; the price_history triggers
+  // read these settings. Must run inside a transaction (settings are local).
+  async setChangeContext(client, { source, actorId = null }) {
+    await client.query(
+      "SELECT set_config('app.price_change_source', $1, true), set_config('app.price_change_actor', $2, true)",
+      [source, actorId || '']
+    );
+  }
+
+  // Lowest price of each product and variant in the 30 days before its current
+  // price took effect (including the price in force when that window opened).
+  // Returns a Map keyed by `${productId}:${variantId || ''}`; null = no prior price.
+  async getLowestPrices(productIds) {
+    const lowest = new Map();
+    if (productIds.length === 0) {
+      return lowest;
+    }
+
+    const result = await query(`
+      WITH current_prices AS (
+        SELECT DISTINCT ON (product_id, variant_id)
+          product_id, variant_id, created_at as effective_at
+        FROM price_history
+        WHERE product_id = ANY($1::uuid[])
+        ORDER BY product_id, variant_id, created_at DESC
+      )
+      SELECT
+        cp.product_id,
+        cp.variant_id,
+        (
+          SELECT MIN(h.price)
+          FROM price_history h
+          WHERE h.product_id = cp.product_id
+            AND h.variant_id IS NOT DISTINCT FROM cp.variant_id
+            AND h.created_at < cp.effective_at
+            AND h.created_at >= (
+              -- Start of the window, or the last change before it if that price was still in force
+              SELECT COALESCE(MAX(w.created_at), cp.effective_at - $2::integer * INTERVAL '1 day')
+              FROM price_history w
+              WHERE w.product_id = cp.product_id
+                AND w.variant_id IS NOT DISTINCT FROM cp.variant_id
+                AND w.created_at <= cp.effective_at - $2::integer * INTERVAL '1 day'
+            )
+        ) as lowest_price
+      FROM current_prices cp
+    `, [productIds, this.referenceDays]);
+
+    for (const row of result.rows) {
+      lowest.set(
+        `${row.product_id}:${row.variant_id || ''}`,
+        row.lowest_price !== null ? parseFloat(row.lowest_price) : null
+      );
+    }
+
+    return lowest;
+  }
+
+  // Add lowestPrice30d to products (and their variants) as returned by the catalog API
+  async attachLowestPrices(products) {
+    const lowest = await this.getLowestPrices(products.map(product => product.id));
+
+    return products.map(product => ({
+      ...product,
+      lowestPrice30d: lowest.get(`${product.id}:`) ?? null,
+      variants: Array.isArray(product.variants)
+        ? product.variants.map(variant => ({
+          ...variant,
+          lowestPrice30d: lowest.get(`${product.id}:${variant.id}`) ?? null
+        }))
+        : product.variants
+    }));
+  }
+
+  async getHistory(productId, { variantId, limit = 100 } = {}) {
+    const params = [productId, limit];
+    let variantCondition = '';
+
+    if (variantId !== undefined) {
+      params.push(variantId);
+      variantCondition = 'AND h.variant_id IS NOT DISTINCT FROM $3';
+    }
+
+    const result = await query(`
+      SELECT h.id, h.variant_id, h.price, h.source, h.changed_by, h.created_at
+      FROM price_history h
+      WHERE h.product_id = $1 ${variantCondition}
+      ORDER BY h.created_at DESC
+      LIMIT $2
+    `, params);
+
+    return result.rows;
+  }
+}
+
+// Export singleton instance
+const priceHistoryService = new PriceHistoryService();
+module.exports = priceHistoryService;
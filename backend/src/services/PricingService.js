@@ -0,0 +1,319 @@
+const { pool, query } = require('../config/database');
+const CurrencyService = require('./CurrencyService');
+
+// Raised when a price breaks the margin floor or bounds of its pricing rule
+class PricingError extends Error {
+  constructor(message, details = null, statusCode = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class PricingService {
+  constructor() {
+    this.baseCurrency = 'EUR'; // Retail and cost prices are stored in EUR
+
+    // Used when no pricing rule matches (mirrors the pricing_rules column defaults)
+    this.defaultRule = {
+      id: null,
+      rule_name: 'Default margins',
+      rule_type: 'global',
+      margin_type: 'percentage',
+      margin_minimum: 35,
+      margin_target: 45,
+      margin_premium: 55,
+      minimum_price: 10,
+      maximum_price: null,
+      priority: 0
+    };
+
+    // Among rules of equal priority the narrower scope wins
+    this.scopeRank = { product: 4, supplier: 3, category: 2, global: 1 };
+    this.tiers = ['minimum', 'target', 'premium'];
+  }
+
+  // Winning rule for a product: highest priority, then narrowest scope, then
+  // closest category (rules on parent categories apply to their children)
+  async resolveRule({ productId = null, categoryId = null, supplierId = null }, date = new Date(), client = null) {
+    const db = client || pool;
+    const day = date.toISOString().slice(0, 10);
+
+    const result = await db.query(`
+      WITH RECURSIVE category_path AS (
+        SELECT id, parent_id, 0 as depth FROM categories WHERE id = $2
+        UNION ALL
+        SELECT c.id, c.parent_id, cp.depth + 1
+        FROM categories c
+        JOIN category_path cp ON c.id = cp.parent_id
+        WHERE cp.depth < 10
+      )
+      SELECT r.*, cp.depth as category_depth
+      FROM pricing_rules r
+      LEFT JOIN category_path cp ON r.category_id = cp.id
+      WHERE r.is_active = true
+        AND (r.effective_from IS NULL OR r.effective_from <= $4::date)
+        AND (r.effective_until IS NULL OR r.effective_until >= $4::date)
+        AND (
+          r.rule_type = 'global'
+          OR (r.rule_type = 'product' AND r.product_id = $1)
+          OR (r.rule_type = 'category' AND cp.id IS NOT NULL)
+          OR (r.rule_type = 'supplier' AND r.supplier_id = $3)
+        )
+    `, [productId, categoryId, supplierId, day]);
+
+    if (result.rows.length === 0) {
+      return { ...this.defaultRule };
+    }
+
+    const [winner] = result.rows.sort((a, b) =>
+      ((b.priority || 0) - (a.priority || 0)) ||
+      ((this.scopeRank[b.rule_type] || 0) - (this.scopeRank[a.rule_type] || 0)) ||
+      ((a.category_depth ?? 0) - (b.category_depth ?? 0)) ||
+      (new Date(b.updated_at) - new Date(a.updated_at))
+    );
+
+    return winner;
+  }
+
+  // Cost basis in EUR: the product cost price, else the supplier catalog price
+  async resolveCost({ costPrice = null, productId = null, supplierId = null }, client = null) {
+    const cost = parseFloat(costPrice);
+    if (cost > 0) {
+      return { cost, source: 'cost_price' };
+    }
+
+    if (!productId) {
+      return { cost: null, source: null };
+    }
+
+    const db = client || pool;
+    const catalogResult = await db.query(`
+      SELECT id, supplier_id, supplier_price, supplier_currency
+      FROM supplier_catalogs
+      WHERE product_id = $1 AND is_active = true
+      ORDER BY (supplier_id = $2) DESC NULLS LAST, updated_at DESC
+      LIMIT 1
+    `, [productId, supplierId]);
+
+    if (catalogResult.rows.length === 0) {
+      return { cost: null, source: null };
+    }
+
+    const entry = catalogResult.rows[0];
+    const currency = entry.supplier_currency || this.baseCurrency;
+    const price = parseFloat(entry.supplier_price);
+
+    if (currency === this.baseCurrency) {
+      return { cost: price, source: 'supplier_catalog', catalogId: entry.id };
+    }
+
+    const conversion = await CurrencyService.convertCurrency(price, currency, this.baseCurrency);
+    if (!conversion.success) {
+      throw new Error(`Exchange rate not available for ${currency}`);
+    }
+
+    return {
+      cost: conversion.convertedAmount,
+      source: 'supplier_catalog',
+      catalogId: entry.id,
+      originalPrice: price,
+      originalCurrency: currency,
+      exchangeRate: conversion.rate
+    };
+  }
+
+  // Retail price that yields the margin: cost / (1 - margin) or cost + fixed amount
+  priceForMargin(cost, margin, marginType = 'percentage') {
+    const value = parseFloat(margin);
+
+    if (marginType === 'fixed') {
+      return cost + value;
+    }
+
+    if (value >= 100) {
+      throw new Error(`Percentage margin must be below 100 (got ${value})`);
+    }
+
+    return cost / (1 - value / 100);
+  }
+
+  // Margin of a price over cost, in the unit of the rule (percent or EUR)
+  marginOf(price, cost, marginType = 'percentage') {
+    if (marginType === 'fixed') {
+      return this.round(price - cost);
+    }
+
+    return price > 0 ? this.round(((price - cost) / price) * 100) : null;
+  }
+
+  // Suggested retail price for each margin tier, clamped to the rule's price bounds
+  calculateTiers(cost, rule) {
+    const tiers = {};
+
+    for (const tier of this.tiers) {
+      const margin = parseFloat(rule[`margin_${tier}`]);
+      let price = this.round(this.priceForMargin(cost, margin, rule.margin_type));
+      const adjustments = [];
+
+      if (rule.minimum_price !== null && price < parseFloat(rule.minimum_price)) {
+        price = parseFloat(rule.minimum_price);
+        adjustments.push('raised_to_minimum_price');
+      }
+
+      if (rule.maximum_price !== null && price > parseFloat(rule.maximum_price)) {
+        price = parseFloat(rule.maximum_price);
+        adjustments.push('capped_at_maximum_price');
+      }
+
+      tiers[tier] = {
+        price,
+        margin: this.marginOf(price, cost, rule.margin_type),
+        adjustments
+      };
+    }
+
+    return tiers;
+  }
+
+  // Full pricing picture for a saved or unsaved product
+  async evaluate({ productId = null, categoryId = null, supplierId = null, costPrice = null, basePrice = null }, client = null) {
+    const [rule, costBasis] = await Promise.all([
+      this.resolveRule({ productId, categoryId, supplierId }, new Date(), client),
+      this.resolveCost({ costPrice, productId, supplierId }, client)
+    ]);
+
+    const result = {
+      rule: this.summarizeRule(rule),
+      costBasis,
+      tiers: null,
+      basePrice: basePrice !== null && basePrice !== undefined ? parseFloat(basePrice) : null,
+      margin: null,
+      meetsMinimumMargin: null,
+      violations: []
+    };
+
+    if (costBasis.cost === null) {
+      return result;
+    }
+
+    const cost = costBasis.cost;
+    result.tiers = this.calculateTiers(cost, rule);
+
+    if (result.basePrice !== null) {
+      const minimumMargin = parseFloat(rule.margin_minimum);
+      const minimumMarginPrice = this.round(this.priceForMargin(cost, minimumMargin, rule.margin_type));
+      result.margin = this.marginOf(result.basePrice, cost, rule.margin_type);
+
+      // Compared in cents: €10 at 35% gives €15.38 (34.98%), which is accepted
+      if (result.basePrice < minimumMarginPrice) {
+        result.violations.push({
+          code: 'below_minimum_margin',
+          margin: result.margin,
+          minimumMargin,
+          minimumPrice: minimumMarginPrice
+        });
+      }
+
+      if (rule.minimum_price !== null && result.basePrice < parseFloat(rule.minimum_price)) {
+        result.violations.push({ code: 'below_minimum_price', minimumPrice: parseFloat(rule.minimum_price) });
+      }
+
+      if (rule.maximum_price !== null && result.basePrice > parseFloat(rule.maximum_price)) {
+        result.violations.push({ code: 'above_maximum_price', maximumPrice: parseFloat(rule.maximum_price) });
+      }
+
+      result.meetsMinimumMargin = !result.violations.some(violation => violation.code === 'below_minimum_margin');
+    }
+
+    return result;
+  }
+
+  // Throw a PricingError when the price breaks its rule; returns the evaluation otherwise
+  async assertValidPrice(productData, client = null) {
+    const evaluation = await this.evaluate(productData, client);
+
+    if (evaluation.violations.length > 0) {
+      throw new PricingError('Price violates pricing rule', {
+        rule: evaluation.rule,
+        basePrice: evaluation.basePrice,
+        margin: evaluation.margin,
+        violations: evaluation.violations,
+        suggestedPrices: evaluation.tiers
+      });
+    }
+
+    return evaluation;
+  }
+
+  // Pricing of every active product in a category (and its subcategories)
+  async previewCategory(categoryId, { limit = 200 } = {}) {
+    const productsResult = await query(`
+      WITH RECURSIVE subcategories AS (
+        SELECT id, 0 as depth FROM categories WHERE id = $1
+        UNION ALL
+        SELECT c.id, s.depth + 1
+        FROM categories c
+        JOIN subcategories s ON c.parent_id = s.id
+        WHERE s.depth < 10
+      )
+      SELECT p.id, p.sku, p.name_en, p.category_id, p.supplier_id, p.base_price, p.cost_price
+      FROM products p
+      WHERE p.category_id IN (SELECT id FROM subcategories) AND p.is_active = true
+      ORDER BY p.sku
+      LIMIT $2
+    `, [categoryId, limit]);
+
+    const products = [];
+    for (const product of productsResult.rows) {
+      const evaluation = await this.evaluate({
+        productId: product.id,
+        categoryId: product.category_id,
+        supplierId: product.supplier_id,
+        costPrice: product.cost_price,
+        basePrice: product.base_price
+      });
+
+      products.push({
+        id: product.id,
+        sku: product.sku,
+        name: product.name_en,
+        ...evaluation
+      });
+    }
+
+    return {
+      products,
+      summary: {
+        total: products.length,
+        belowMinimumMargin: products.filter(product => product.meetsMinimumMargin === false).length,
+        withoutCost: products.filter(product => product.costBasis.cost === null).length
+      }
+    };
+  }
+
+  summarizeRule(rule) {
+    return {
+      id: rule.id,
+      name: rule.rule_name,
+      type: rule.rule_type,
+      marginType: rule.margin_type,
+      marginMinimum: parseFloat(rule.margin_minimum),
+      marginTarget: parseFloat(rule.margin_target),
+      marginPremium: parseFloat(rule.margin_premium),
+      minimumPrice: rule.minimum_price !== null ? parseFloat(rule.minimum_price) : null,
+      maximumPrice: rule.maximum_price !== null ? parseFloat(rule.maximum_price) : null,
+      priority: rule.priority
+    };
+  }
+
+  round(value) {
+    return CurrencyService.roundToCurrencyPrecision(value, this.baseCurrency);
+  }
+}
+
+// Export singleton instance
+const pricingService = new PricingService();
+module.exports = pricingService;
+module.exports.PricingError = PricingError;
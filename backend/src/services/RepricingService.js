@@ -0,0 +1,516 @@
+const { query, transaction } = require('../config/database');
+const PricingService = require('./PricingService');
+const PriceHistoryService = require('./PriceHistoryService');
+const logger = require('../utils/logger');
+
+// Raised when a staged price change cannot be reviewed
+class PriceChangeError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'PriceChangeError';
+    this.statusCode = statusCode;
+  }
+}
+
+class RepricingService {
+  constructor() {
+    this.mode = process.env.REPRICING_MODE === 'apply' ? 'apply' : 'review';
+    this.strategy = process.env.REPRICING_STRATEGY === 'target' ? 'target' : 'floor';
+    this.intervalHours = parseFloat(process.env.REPRICING_INTERVAL_HOURS) || 6;
+    // Exchange rate moves smaller than this (in %) do not trigger repricing
+    this.rateChangeThreshold = parseFloat(process.env.REPRICING_RATE_THRESHOLD_PERCENT) || 1;
+
+    this.baseCurrency = 'EUR';
+    this.reportColumns = [
+      'sku', 'product_name', 'old_price', 'new_price', 'old_cost', 'new_cost',
+      'old_margin', 'new_margin', 'reason', 'adjustment', 'status'
+    ];
+
+    this.timer = null;
+  }
+
+  // Reprice products affected by a change.
+  // trigger: { type: 'supplier_cost', supplierId } | { type: 'exchange_rate', currencies }
+  //        | { type: 'pricing_rule', ruleId } | { type: 'full' } | { type: 'scheduled' }
+  async run(trigger, options = {}) {
+    const run = await this.createRun(trigger, options);
+    return this.executeRun(run);
+  }
+
+  async createRun(trigger, { mode = this.mode, strategy = this.strategy, triggeredBy = null } = {}) {
+    const rates = await this.currentRates();
+
+    const result = await query(`
+      INSERT INTO repricing_runs (trigger_type, trigger_details, mode, strategy, exchange_rates, triggered_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [trigger.type, JSON.stringify(trigger), mode, strategy, JSON.stringify(rates), triggeredBy]);
+
+    return result.rows[0];
+  }
+
+  async executeRun(run) {
+    const trigger = run.trigger_details;
+    const { mode, strategy } = run;
+    const errors = [];
+    let checked = 0;
+    let changed = 0;
+
+    try {
+      const affected = await this.findAffectedProducts(trigger, run.exchange_rates || {});
+
+      for (const [productId, reason] of affected) {
+        checked++;
+        try {
+          if (await this.repriceProduct(run, productId, reason)) {
+            changed++;
+          }
+        } catch (error) {
+          errors.push({ productId, error: error.message });
+          logger.error('Repricing failed for product', { runId: run.id, productId, error: error.message });
+        }
+      }
+
+      await query(`
+        UPDATE repricing_runs
+        SET status = 'completed', products_checked = $2, products_changed = $3,
+            errors = $4, completed_at = NOW()
+        WHERE id = $1
+      `, [run.id, checked, changed, errors.length > 0 ? JSON.stringify(errors) : null]);
+    } catch (error) {
+      await query(`
+        UPDATE repricing_runs
+        SET status = 'failed', products_checked = $2, products_changed = $3,
+            errors = $4, completed_at = NOW()
+        WHERE id = $1
+      `, [run.id, checked, changed, JSON.stringify([...errors, { error: error.message }])]);
+      throw error;
+    }
+
+    logger.info('Repricing run completed', {
+      runId: run.id,
+      trigger: trigger.type,
+      mode,
+      strategy,
+      checked,
+      changed,
+      errors: errors.length
+    });
+
+    return { runId: run.id, checked, changed, errors };
+  }
+
+  // Map of product id -> reason for every product the trigger may affect
+  async findAffectedProducts(trigger, rates) {
+    const affected = new Map();
+    const add = (rows, reason) => {
+      for (const row of rows) {
+        if (!affected.has(row.id)) {
+          affected.set(row.id, reason);
+        }
+      }
+    };
+
+    switch (trigger.type) {
+      case 'supplier_cost':
+        add(await this.productsForSupplier(trigger.supplierId), 'supplier_cost');
+        break;
+
+      case 'exchange_rate':
+        add(await this.productsForCurrencies(trigger.currencies), 'exchange_rate');
+        break;
+
+      case 'pricing_rule': {
+        const ruleResult = await query('SELECT * FROM pricing_rules WHERE id = $1', [trigger.ruleId]);
+        if (ruleResult.rows.length === 0) {
+          throw new PriceChangeError('Pricing rule not found', 404);
+        }
+        add(await this.productsForRule(ruleResult.rows[0]), 'pricing_rule');
+        break;
+      }
+
+      case 'full':
+        add(await this.allProducts(), 'full');
+        break;
+
+      case 'scheduled': {
+        const lastRun = await this.lastScheduledRun();
+
+        // Nothing to compare against yet: check the whole catalog once
+        if (!lastRun) {
+          add(await this.allProducts(), 'full');
+          break;
+        }
+
+        const since = lastRun.started_at;
+
+        const catalogResult = await query(`
+          SELECT DISTINCT product_id as id
+          FROM supplier_catalogs
+          WHERE product_id IS NOT NULL AND updated_at > $1
+        `, [since]);
+        add(catalogResult.rows, 'supplier_cost');
+
+        const changedCurrencies = this.changedCurrencies(lastRun.exchange_rates || {}, rates);
+        if (changedCurrencies.length > 0) {
+          add(await this.productsForCurrencies(changedCurrencies), 'exchange_rate');
+        }
+
+        // Rules edited since the last run, or starting/ending in between
+        const rulesResult = await query(`
+          SELECT * FROM pricing_rules
+          WHERE updated_at > $1
+             OR created_at > $1
+             OR effective_from BETWEEN $1::date AND CURRENT_DATE
+             OR effective_until BETWEEN ($1::date - 1) AND (CURRENT_DATE - 1)
+        `, [since]);
+        for (const rule of rulesResult.rows) {
+          add(await this.productsForRule(rule), 'pricing_rule');
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown repricing trigger: ${trigger.type}`);
+    }
+
+    return affected;
+  }
+
+  async allProducts() {
+    const result = await query('SELECT id FROM products WHERE is_active = true');
+    return result.rows;
+  }
+
+  async productsForSupplier(supplierId) {
+    const result = await query(`
+      SELECT p.id
+      FROM products p
+      WHERE p.is_active = true
+        AND (
+          p.supplier_id = $1
+          OR EXISTS (
+            SELECT 1 FROM supplier_catalogs sc
+            WHERE sc.product_id = p.id AND sc.supplier_id = $1
+          )
+        )
+    `, [supplierId]);
+    return result.rows;
+  }
+
+  // Products costed from catalog prices in one of these currencies
+  async productsForCurrencies(currencies) {
+    const result = await query(`
+      SELECT DISTINCT p.id
+      FROM products p
+      JOIN supplier_catalogs sc ON sc.product_id = p.id AND sc.is_active = true
+      WHERE p.is_active = true AND sc.supplier_currency = ANY($1::text[])
+    `, [currencies]);
+    return result.rows;
+  }
+
+  async productsForRule(rule) {
+    switch (rule.rule_type) {
+      case 'product': {
+        const result = await query('SELECT id FROM products WHERE id = $1 AND is_active = true', [rule.product_id]);
+        return result.rows;
+      }
+      case 'supplier':
+        return this.productsForSupplier(rule.supplier_id);
+      case 'category': {
+        const result = await query(`
+          WITH RECURSIVE subcategories AS (
+            SELECT id, 0 as depth FROM categories WHERE id = $1
+            UNION ALL
+            SELECT c.id, s.depth + 1
+            FROM categories c
+            JOIN subcategories s ON c.parent_id = s.id
+            WHERE s.depth < 10
+          )
+          SELECT p.id FROM products p
+          WHERE p.category_id IN (SELECT id FROM subcategories) AND p.is_active = true
+        `, [rule.category_id]);
+        return result.rows;
+      }
+      default:
+        return this.allProducts();
+    }
+  }
+
+  // Recalculate one product; returns true when a change was applied or staged
+  async repriceProduct(run, productId, reason) {
+    const productResult = await query(
+      'SELECT id, sku, category_id, supplier_id, base_price, cost_price FROM products WHERE id = $1',
+      [productId]
+    );
+    const product = productResult.rows[0];
+    if (!product) {
+      return false;
+    }
+
+    const oldPrice = parseFloat(product.base_price);
+    const oldCost = product.cost_price !== null ? parseFloat(product.cost_price) : null;
+
+    // Current supplier cost wins over the stored cost price, which may be outdated
+    const catalogCost = await PricingService.resolveCost({ productId, supplierId: product.supplier_id });
+    const costBasis = catalogCost.cost !== null ? catalogCost : { cost: oldCost, source: 'cost_price' };
+
+    if (costBasis.cost === null) {
+      return false;
+    }
+
+    const newCost = PricingService.round(costBasis.cost);
+    const evaluation = await PricingService.evaluate({
+      productId,
+      categoryId: product.category_id,
+      supplierId: product.supplier_id,
+      costPrice: newCost,
+      basePrice: oldPrice
+    });
+
+    let newPrice = oldPrice;
+    let adjustment = null;
+
+    if (evaluation.violations.length > 0) {
+      newPrice = evaluation.tiers.target.price;
+      adjustment = evaluation.violations[0].code;
+    } else if (run.strategy === 'target' && evaluation.tiers.target.price !== oldPrice) {
+      newPrice = evaluation.tiers.target.price;
+      adjustment = 'target_margin';
+    }
+
+    const costChanged = oldCost === null || Math.abs(newCost - oldCost) >= 0.01;
+    if (newPrice === oldPrice && !costChanged) {
+      return false;
+    }
+
+    const change = {
+      runId: run.id,
+      productId,
+      ruleId: evaluation.rule.id,
+      oldPrice,
+      newPrice,
+      oldCost,
+      newCost,
+      oldMargin: oldCost !== null ? PricingService.marginOf(oldPrice, oldCost, evaluation.rule.marginType) : null,
+      newMargin: PricingService.marginOf(newPrice, newCost, evaluation.rule.marginType),
+      costSource: costBasis.source,
+      reason,
+      adjustment: adjustment || 'cost_only'
+    };
+
+    await transaction(async (client) => {
+      if (run.mode === 'apply') {
+        const applied = await this.applyPrice(client, change, run.triggered_by);
+        await this.insertChange(client, change, applied ? 'applied' : 'stale');
+        return;
+      }
+
+      // A newer proposal replaces the one still waiting for review
+      await client.query(`
+        UPDATE price_changes SET status = 'superseded'
+        WHERE product_id = $1 AND status = 'pending'
+      `, [productId]);
+
+      await this.insertChange(client, change, 'pending');
+    });
+
+    return true;
+  }
+
+  // Write the new price and cost unless the price moved since the change was computed
+  async applyPrice(client, change, actorId = null) {
+    await PriceHistoryService.setChangeContext(client, { source: 'repricing', actorId });
+
+    const result = await client.query(`
+      UPDATE products
+      SET base_price = $2, cost_price = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND base_price = $4
+      RETURNING id
+    `, [change.productId, change.newPrice, change.newCost, change.oldPrice]);
+
+    return result.rows.length > 0;
+  }
+
+  async insertChange(client, change, status) {
+    const result = await client.query(`
+      INSERT INTO price_changes (
+        run_id, product_id, pricing_rule_id, old_price, new_price, old_cost, new_cost,
+        old_margin, new_margin, cost_source, reason, adjustment, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
+      change.runId,
+      change.productId,
+      change.ruleId,
+      change.oldPrice,
+      change.newPrice,
+      change.oldCost,
+      change.newCost,
+      change.oldMargin,
+      change.newMargin,
+      change.costSource,
+      change.reason,
+      change.adjustment,
+      status
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  // Apply staged changes; changes whose product price moved meanwhile become stale
+  async approveChanges(changeIds, { adminId, note = null }) {
+    const results = [];
+
+    for (const changeId of changeIds) {
+      const outcome = await transaction(async (client) => {
+        const changeResult = await client.query(
+          'SELECT * FROM price_changes WHERE id = $1 FOR UPDATE',
+          [changeId]
+        );
+        const change = changeResult.rows[0];
+
+        if (!change) {
+          return { id: changeId, status: 'not_found' };
+        }
+        if (change.status !== 'pending') {
+          return { id: changeId, status: change.status, error: 'Price change is not pending' };
+        }
+
+        const applied = await this.applyPrice(client, {
+          productId: change.product_id,
+          newPrice: change.new_price,
+          newCost: change.new_cost,
+          oldPrice: change.old_price
+        }, adminId);
+        const status = applied ? 'applied' : 'stale';
+
+        await client.query(`
+          UPDATE price_changes
+          SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+          WHERE id = $1
+        `, [changeId, status, adminId, note]);
+
+        return { id: changeId, productId: change.product_id, status };
+      });
+
+      results.push(outcome);
+    }
+
+    logger.info('Price changes reviewed', {
+      adminId,
+      applied: results.filter(result => result.status === 'applied').length,
+      stale: results.filter(result => result.status === 'stale').length
+    });
+
+    return results;
+  }
+
+  async rejectChanges(changeIds, { adminId, note = null }) {
+    const result = await query(`
+      UPDATE price_changes
+      SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+      WHERE id = ANY($1::uuid[]) AND status = 'pending'
+      RETURNING id
+    `, [changeIds, adminId, note]);
+
+    return result.rows.map(row => row.id);
+  }
+
+  // Diff report of a run: one row per product with old/new price, margin and reason
+  async getReport(runId) {
+    const runResult = await query('SELECT * FROM repricing_runs WHERE id = $1', [runId]);
+    if (runResult.rows.length === 0) {
+      return null;
+    }
+
+    const changesResult = await query(`
+      SELECT
+        pc.id, pc.product_id, p.sku, p.name_en as product_name,
+        pc.old_price, pc.new_price, pc.old_cost, pc.new_cost,
+        pc.old_margin, pc.new_margin, pc.cost_source,
+        pc.reason, pc.adjustment, pc.status,
+        pr.rule_name, pc.reviewed_at, pc.review_note
+      FROM price_changes pc
+      JOIN products p ON pc.product_id = p.id
+      LEFT JOIN pricing_rules pr ON pc.pricing_rule_id = pr.id
+      WHERE pc.run_id = $1
+      ORDER BY p.sku
+    `, [runId]);
+
+    return { run: runResult.rows[0], changes: changesResult.rows };
+  }
+
+  toCsv(changes) {
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [this.reportColumns.join(',')];
+    for (const change of changes) {
+      lines.push(this.reportColumns.map(column => escape(change[column])).join(','));
+    }
+    return lines.join('\n');
+  }
+
+  async currentRates() {
+    const result = await query(
+      'SELECT to_currency, rate FROM exchange_rates WHERE from_currency = $1',
+      [this.baseCurrency]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.to_currency, parseFloat(row.rate)]));
+  }
+
+  changedCurrencies(previousRates, currentRates) {
+    return Object.entries(currentRates)
+      .filter(([currency, rate]) => {
+        const previous = previousRates[currency];
+        if (!previous) {
+          return true;
+        }
+        return Math.abs((rate - previous) / previous) * 100 >= this.rateChangeThreshold;
+      })
+      .map(([currency]) => currency);
+  }
+
+  async lastScheduledRun() {
+    const result = await query(`
+      SELECT * FROM repricing_runs
+      WHERE trigger_type = 'scheduled' AND status = 'completed'
+      ORDER BY started_at DESC
+      LIMIT 1
+    `);
+    return result.rows[0] || null;
+  }
+
+  // Periodically reprice products touched by cost, rate or rule changes
+  startScheduler() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        await this.run({ type: 'scheduled' });
+      } catch (error) {
+        logger.error('Scheduled repricing failed:', error);
+      }
+    }, this.intervalHours * 60 * 60 * 1000);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const repricingService = new RepricingService();
+module.exports = repricingService;
+module.exports.PriceChangeError = PriceChangeError;
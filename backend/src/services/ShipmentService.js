@@ -0,0 +1,429 @@
+const { query, transaction } = require('../config/database');
+const shippingAdapters = require('../adapters/shipping');
+const { ShippingAdapterError } = require('../adapters/shipping');
+const OrderStateMachine = require('./OrderStateMachine');
+const ShippingLabelService = require('./ShippingLabelService');
+const { ShippingLabelError } = require('./ShippingLabelService');
+const logger = require('../utils/logger');
+
+// Raised for shipments that cannot be created or cancelled
+class ShipmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShipmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Shipments of own-warehouse parcels. The carrier is chosen per shipment and
+// recorded in shipments.carrier, so tracking, labels and cancellation always
+// go back to the carrier that created the shipment.
+class ShipmentService {
+  constructor() {
+    this.shippableStatuses = ['confirmed', 'processing'];
+    // Shipments in these states are past the point where the carrier can void them
+    this.finalStatuses = ['delivered', 'returned', 'cancelled'];
+  }
+
+  // Default sender (warehouse in China)
+  get sender() {
+    return {
+      companyName: process.env.SENDER_COMPANY_NAME || 'Clothes Shipping Store',
+      name: process.env.SENDER_CONTACT_NAME || 'Shipping Manager',
+      email: process.env.SENDER_EMAIL || 'shipping@itsjn.com',
+      phone: process.env.SENDER_PHONE || '+86-xxx-xxxx-xxxx',
+      addressLine1: process.env.SENDER_ADDRESS_LINE1 || 'Warehouse Address',
+      city: process.env.SENDER_CITY || 'Shenzhen',
+      postalCode: process.env.SENDER_POSTAL_CODE || '518000',
+      countryCode: process.env.SENDER_COUNTRY_CODE || 'CN'
+    };
+  }
+
+  // Normalized recipient from the order's shipping address; overrides win
+  recipientOf(order, overrides = {}) {
+    const address = order.shipping_address || {};
+
+    return {
+      name: [address.firstName || order.first_name, address.lastName || order.last_name].filter(Boolean).join(' '),
+      companyName: address.company || null,
+      addressLine1: address.addressLine1,
+      addressLine2: address.addressLine2 || null,
+      postalCode: address.postalCode,
+      city: address.city,
+      state: address.state || null,
+      countryCode: address.country,
+      email: order.email,
+      phone: address.phone || order.phone || null,
+      ...overrides
+    };
+  }
+
+  async getOrder(orderId) {
+    const result = await query(`
+      SELECT o.*, u.email, u.first_name, u.last_name, u.phone
+      FROM orders o
+      JOIN users u ON o.user_id = u.id
+      WHERE o.id = $1
+    `, [orderId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Carrier and service of the option the customer paid for at checkout. The
+  // zone price names no carrier and ships standard with the default carrier.
+  // Staff may only ship differently with overrideOption.
+  chosenService(order, { carrier = null, serviceLevel = null, serviceCode = null, overrideOption = false }) {
+    if (overrideOption || !order.shipping_option_id) {
+      return { carrier, serviceLevel, serviceCode };
+    }
+
+    const chosen = {
+      carrier: order.shipping_carrier || null,
+      serviceLevel: order.shipping_service_level || 'standard',
+      serviceCode: order.shipping_service_code || null
+    };
+
+    const conflicts = [
+      chosen.carrier && carrier && carrier !== chosen.carrier ? `carrier ${chosen.carrier}` : null,
+      serviceLevel && serviceLevel !== chosen.serviceLevel ? `${chosen.serviceLevel} service` : null,
+      chosen.serviceCode && serviceCode && serviceCode !== chosen.serviceCode ? `service ${chosen.serviceCode}` : null
+    ].filter(Boolean);
+
+    if (conflicts.length > 0) {
+      throw new ShipmentError(`The customer chose ${conflicts.join(', ')} (${order.shipping_option_id}); set overrideOption to ship differently`, 409);
+    }
+
+    return {
+      carrier: chosen.carrier || carrier,
+      serviceLevel: chosen.serviceLevel,
+      serviceCode: chosen.serviceCode || serviceCode
+    };
+  }
+
+  async createForOrder(orderId, { carrier = null, serviceLevel = null, serviceCode = null, packages, recipient = {}, trackingNumber = null, overrideOption = false } = {}, actor = { type: 'system' }) {
+    const order = await this.getOrder(orderId);
+
+    if (!order || !this.shippableStatuses.includes(order.status)) {
+      throw new ShipmentError('Order not found or not ready for shipment', 404);
+    }
+
+    const service = this.chosenService(order, { carrier, serviceLevel, serviceCode, overrideOption });
+    const adapter = shippingAdapters.select(service.carrier);
+
+    const shipment = await adapter.createShipment({
+      reference: order.order_number,
+      serviceLevel: service.serviceLevel,
+      serviceCode: service.serviceCode,
+      trackingNumber,
+      sender: this.sender,
+      recipient: this.recipientOf(order, recipient),
+      packages: packages.map(pkg => ({
+        weightKg: parseFloat(pkg.weightKg ?? pkg.weight),
+        dimensions: pkg.dimensions || null,
+        declaredValue: pkg.declaredValue ?? Math.round(parseFloat(order.subtotal) / packages.length * 100) / 100,
+        currency: pkg.currency || order.currency || 'EUR'
+      }))
+    });
+
+    let row;
+    try {
+      row = await transaction(async (client) => {
+        const inserted = await client.query(`
+          INSERT INTO shipments (
+            order_id, carrier, service_level, service_code, external_shipment_id, tracking_number,
+            cost, currency, estimated_delivery_date, packages, carrier_response, created_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *
+        `, [
+          orderId,
+          shipment.carrier,
+          shipment.serviceLevel,
+          shipment.serviceCode,
+          shipment.externalShipmentId,
+          shipment.trackingNumber,
+          shipment.cost ? shipment.cost.amount : null,
+          shipment.cost ? shipment.cost.currency : null,
+          shipment.estimatedDeliveryDate ? String(shipment.estimatedDeliveryDate).slice(0, 10) : null,
+          JSON.stringify(packages),
+          shipment.raw ? JSON.stringify(this.withoutLabel(shipment.raw)) : null,
+          actor.type === 'admin' ? actor.id : null
+        ]);
+
+        await client.query(`
+          UPDATE orders
+          SET
+            tracking_number = $1,
+            estimated_delivery = COALESCE($2, estimated_delivery),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3
+        `, [shipment.trackingNumber, inserted.rows[0].estimated_delivery_date, orderId]);
+
+        await OrderStateMachine.transition(orderId, 'shipped', {
+          client,
+          actor,
+          reason: 'Shipment created',
+          metadata: { shipmentId: inserted.rows[0].id, carrier: shipment.carrier, trackingNumber: shipment.trackingNumber }
+        });
+
+        return inserted.rows[0];
+      });
+    } catch (error) {
+      // The carrier already has the shipment; void it so it is not billed
+      await adapter.cancelShipment({ external_shipment_id: shipment.externalShipmentId, created_at: new Date() }, 'Order update failed')
+        .catch(cancelError => logger.error('Failed to void orphaned shipment', {
+          orderId,
+          carrier: shipment.carrier,
+          trackingNumber: shipment.trackingNumber,
+          error: cancelError.message
+        }));
+      throw error;
+    }
+
+    logger.info('Shipment created successfully', {
+      orderId,
+      shipmentId: row.id,
+      carrier: row.carrier,
+      trackingNumber: row.tracking_number,
+      shippingOptionId: order.shipping_option_id,
+      overrideOption
+    });
+
+    // A label that cannot be stored now is fetched again on first download
+    let label = null;
+    if (shipment.label) {
+      label = await ShippingLabelService.store(row, shipment.label, adapter.rendersLabels ? 'generated' : 'carrier')
+        .catch(error => {
+          logger.warn('Failed to store shipping label', { shipmentId: row.id, error: error.message });
+          return null;
+        });
+    }
+
+    return { shipment: row, label: label ? { id: label.id, format: label.format } : null };
+  }
+
+  // Carrier responses can hold the base64 label, which is not kept in the row
+  withoutLabel(raw) {
+    const {
+      documents, labelImage, LabelResponse, ...rest
+    } = raw;
+    return rest;
+  }
+
+  // By shipments.id or the carrier's shipment ID
+  async find(shipmentId) {
+    const result = await query(`
+      SELECT * FROM shipments
+      WHERE id::text = $1 OR external_shipment_id = $1 OR tracking_number = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [shipmentId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Shipments for the warehouse, with the formats of their stored labels;
+  // printed = false lists those whose label was never downloaded
+  async list({ status = null, carrier = null, orderId = null, printed = null, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`s.status = $${params.length}`);
+    }
+    if (carrier) {
+      params.push(carrier);
+      conditions.push(`s.carrier = $${params.length}`);
+    }
+    if (orderId) {
+      params.push(orderId);
+      conditions.push(`s.order_id = $${params.length}`);
+    }
+    if (printed !== null) {
+      conditions.push(`labels.printed_at IS ${printed ? 'NOT NULL' : 'NULL'}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const fromClause = `
+      FROM shipments s
+      JOIN orders o ON s.order_id = o.id
+      LEFT JOIN LATERAL (
+        SELECT array_agg(sl.format ORDER BY sl.format) as formats, MAX(sl.printed_at) as printed_at
+        FROM shipment_labels sl
+        WHERE sl.shipment_id = s.id
+      ) labels ON true
+      ${whereClause}
+    `;
+
+    const [shipmentsResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          s.id, s.order_id, o.order_number, s.carrier, s.service_level, s.service_code,
+          s.tracking_number, s.status, s.cost, s.currency, s.estimated_delivery_date,
+          s.created_at, s.cancelled_at,
+          COALESCE(labels.formats, '{}') as label_formats, labels.printed_at
+        ${fromClause}
+        ORDER BY s.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total ${fromClause}`, params)
+    ]);
+
+    return {
+      shipments: shipmentsResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  // Stored label, or fetched from the carrier (rendered, for the generic
+  // adapter) and stored on first use
+  async labelOf(shipmentId, format) {
+    const labelFormat = ShippingLabelService.formatOf(format);
+    const shipment = await this.find(shipmentId);
+
+    if (!shipment) {
+      throw new ShipmentError('Shipment not found', 404);
+    }
+    if (shipment.status === 'cancelled') {
+      throw new ShipmentError('Shipment was cancelled; its label must not be used', 409);
+    }
+
+    const stored = await ShippingLabelService.load(shipment.id, labelFormat);
+    if (stored) {
+      return { shipment, label: stored };
+    }
+
+    const adapter = shippingAdapters.forShipment(shipment);
+    const order = await this.getOrder(shipment.order_id);
+
+    let label;
+    try {
+      label = await adapter.generateLabel(shipment, {
+        format: labelFormat,
+        sender: this.sender,
+        recipient: this.recipientOf(order),
+        reference: order.order_number
+      });
+    } catch (error) {
+      if (error instanceof ShippingAdapterError) {
+        throw new ShippingLabelError(`No ${labelFormat} label available: ${error.message}`, error.retryable ? 502 : 422);
+      }
+      throw error;
+    }
+
+    if (label.format !== labelFormat) {
+      throw new ShippingLabelError(`${adapter.displayName} provides ${label.format} labels only`, 422);
+    }
+
+    return {
+      shipment,
+      label: await ShippingLabelService.store(shipment, label, adapter.rendersLabels ? 'generated' : 'carrier')
+    };
+  }
+
+  async getLabel(shipmentId, format = 'PDF') {
+    const { shipment, label } = await this.labelOf(shipmentId, format);
+    await ShippingLabelService.markPrinted([label.id]);
+
+    return {
+      format: label.format,
+      contentType: label.content_type,
+      filename: ShippingLabelService.filename(shipment, label.format),
+      buffer: label.buffer
+    };
+  }
+
+  // PDF labels of several shipments merged for printing in one go. Labels
+  // that cannot be had are listed in failed instead of failing the batch.
+  async getLabelBatch(shipmentIds) {
+    if (shipmentIds.length > ShippingLabelService.maxBatchSize) {
+      throw new ShippingLabelError(`At most ${ShippingLabelService.maxBatchSize} labels can be printed at once`);
+    }
+
+    const labels = [];
+    const failed = [];
+
+    // One after another: carriers rate-limit label downloads
+    for (const shipmentId of [...new Set(shipmentIds)]) {
+      try {
+        const { shipment, label } = await this.labelOf(shipmentId, 'PDF');
+        labels.push({ shipmentId: shipment.id, id: label.id, buffer: label.buffer });
+      } catch (error) {
+        if (!(error instanceof ShipmentError || error instanceof ShippingLabelError)) {
+          throw error;
+        }
+        failed.push({ shipmentId, error: error.message });
+      }
+    }
+
+    const merged = await ShippingLabelService.merge(labels);
+    failed.push(...merged.failed);
+
+    if (merged.included.length === 0) {
+      throw new ShippingLabelError('None of the labels could be printed', 422, failed);
+    }
+
+    await ShippingLabelService.markPrinted(labels.filter(label => merged.included.includes(label.shipmentId)).map(label => label.id));
+
+    logger.info('Shipping labels printed', { printed: merged.included.length, failed: failed.length });
+
+    return { buffer: merged.buffer, printed: merged.included, failed };
+  }
+
+  async cancel(shipmentId, reason = null, actor = { type: 'system' }) {
+    const shipment = await this.find(shipmentId);
+
+    if (!shipment) {
+      throw new ShipmentError('Shipment not found', 404);
+    }
+    if (this.finalStatuses.includes(shipment.status)) {
+      throw new ShipmentError(`Shipment is ${shipment.status} and cannot be cancelled`, 409);
+    }
+
+    const cancellationReason = reason || 'Admin request';
+    const result = await shippingAdapters.forShipment(shipment).cancelShipment(shipment, cancellationReason);
+
+    await transaction(async (client) => {
+      await client.query(`
+        UPDATE shipments
+        SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $1
+        WHERE id = $2
+      `, [cancellationReason, shipment.id]);
+
+      const orderResult = await client.query(`
+        UPDATE orders
+        SET
+          tracking_number = NULL,
+          notes = COALESCE(notes || ' | ', '') || 'Shipment cancelled: ' || $1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND tracking_number = $3
+        RETURNING id
+      `, [cancellationReason, shipment.order_id, shipment.tracking_number]);
+
+      if (orderResult.rows.length > 0) {
+        await OrderStateMachine.transition(shipment.order_id, 'processing', {
+          client,
+          actor,
+          reason: `Shipment cancelled: ${cancellationReason}`,
+          metadata: { shipmentId: shipment.id, carrier: shipment.carrier },
+          allowedFrom: ['shipped', 'exception']
+        });
+      }
+    });
+
+    logger.info('Shipment cancelled', {
+      shipmentId: shipment.id,
+      carrier: shipment.carrier,
+      reason: cancellationReason,
+      carrierCancelled: result.carrierCancelled
+    });
+
+    return { ...shipment, status: 'cancelled', carrierCancelled: result.carrierCancelled };
+  }
+}
+
+// Export singleton instance
+const shipmentService = new ShipmentService();
+module.exports = shipmentService;
+module.exports.ShipmentError = ShipmentError;
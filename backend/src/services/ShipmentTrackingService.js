@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const shippingAdapters = require('../adapters/shipping');
+const OrderShipmentService = require('./OrderShipmentService');
+const OrderStateMachine = require('./OrderStateMachine');
+const SupplierOrderService = require('./SupplierOrderService');
+const logger = require('../utils/logger');
+
+// Raised for carrier webhooks that cannot be accepted
+class ShipmentTrackingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShipmentTrackingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Tracking timelines of shipments. Carriers with webhooks push their events,
+// the others are polled; either way events land in shipment_events and the
+// shipment, its supplier order and the customer order follow the newest one.
+// Tracking pages only read what is stored here.
+class ShipmentTrackingService {
+  constructor() {
+    this.pollIntervalMinutes = parseInt(process.env.SHIPMENT_TRACKING_POLL_INTERVAL_MINUTES ?? '30');
+    this.batchSize = parseInt(process.env.SHIPMENT_TRACKING_POLL_BATCH_SIZE ?? '100');
+
+    // Shipments the carrier may still report on
+    this.openStatuses = ['created', 'in_transit', 'out_for_delivery', 'exception'];
+
+    // Adapter tracking status -> shipments.status; unknown leaves the shipment as it is
+    this.shipmentStatuses = {
+      pending: 'created',
+      in_transit: 'in_transit',
+      out_for_delivery: 'out_for_delivery',
+      delivered: 'delivered',
+      exception: 'exception',
+      returned: 'returned'
+    };
+
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  eventKey(event) {
+    return crypto.createHash('sha256')
+      .update(`${new Date(event.timestamp).toISOString()}|${event.code || ''}|${event.description || ''}`)
+      .digest('hex');
+  }
+
+  // Store a tracking result (pulled or pushed) of one shipment.
+  // Returns the updated shipment when its status changed, otherwise null.
+  async record(shipment, tracking, source) {
+    const events = (tracking.events || [])
+      .filter(event => event.timestamp && !Number.isNaN(new Date(event.timestamp).getTime()));
+
+    const { updated, inserted } = await transaction(async (client) => {
+      let inserted = 0;
+
+      for (const event of events) {
+        const result = await client.query(`
+          INSERT INTO shipment_events (shipment_id, status, code, description, location, occurred_at, source, event_key)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (shipment_id, event_key) DO NOTHING
+        `, [
+          shipment.id,
+          event.status || 'unknown',
+          event.code ? String(event.code).slice(0, 100) : null,
+          event.description || null,
+          event.location ? JSON.stringify(event.location) : null,
+          new Date(event.timestamp).toISOString(),
+          source,
+          this.eventKey(event)
+        ]);
+        inserted += result.rowCount;
+      }
+
+      // The newest event decides, so a late push of an old scan cannot move the parcel back
+      const latestResult = await client.query(`
+        SELECT status, description, occurred_at
+        FROM shipment_events
+        WHERE shipment_id = $1 AND status <> 'unknown'
+        ORDER BY occurred_at DESC
+        LIMIT 1
+      `, [shipment.id]);
+
+      const latest = latestResult.rows[0] || null;
+      const status = this.shipmentStatuses[latest ? latest.status : tracking.status] || null;
+
+      const result = await client.query(`
+        UPDATE shipments
+        SET
+          status = COALESCE($2, status),
+          status_description = COALESCE($3, status_description),
+          estimated_delivery_date = COALESCE($4, estimated_delivery_date),
+          origin = COALESCE($5, origin),
+          destination = COALESCE($6, destination),
+          delivered_at = CASE WHEN COALESCE($2, status) = 'delivered' THEN COALESCE(delivered_at, $7, NOW()) ELSE NULL END,
+          last_event_at = COALESCE($7, last_event_at)
+        WHERE id = $1 AND status <> 'cancelled'
+        RETURNING *
+      `, [
+        shipment.id,
+        status,
+        tracking.statusDescription || (latest ? latest.description : null),
+        tracking.estimatedDeliveryDate ? String(tracking.estimatedDeliveryDate).slice(0, 10) : null,
+        tracking.origin ? JSON.stringify(tracking.origin) : null,
+        tracking.destination ? JSON.stringify(tracking.destination) : null,
+        latest ? latest.occurred_at : null
+      ]);
+
+      return { updated: result.rows[0] || null, inserted };
+    });
+
+    if (!updated || updated.status === shipment.status) {
+      return null;
+    }
+
+    logger.info('Shipment status changed', {
+      shipmentId: shipment.id,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.tracking_number,
+      fromStatus: shipment.status,
+      toStatus: updated.status,
+      newEvents: inserted,
+      source
+    });
+
+    await this.advance(updated, shipment.status);
+
+    return updated;
+  }
+
+  // Carry a shipment's new status over to its supplier order and customer order
+  async advance(shipment, previousStatus) {
+    const actor = { type: 'system' };
+
+    if (shipment.supplier_order_id) {
+      try {
+        if (shipment.status === 'delivered') {
+          await SupplierOrderService.markDelivered(shipment.supplier_order_id, { deliveredAt: shipment.delivered_at, actor });
+        } else if (shipment.status === 'exception') {
+          await SupplierOrderService.markDeliveryException(shipment.supplier_order_id, { actor });
+        } else if (previousStatus === 'exception') {
+          await SupplierOrderService.markDeliveryException(shipment.supplier_order_id, { resumed: true, actor });
+        }
+      } catch (error) {
+        // The shipment is updated either way; the supplier order can be moved by hand
+        logger.error('Failed to update supplier order from tracking', {
+          shipmentId: shipment.id,
+          supplierOrderId: shipment.supplier_order_id,
+          error: error.message
+        });
+      }
+    }
+
+    await this.advanceOrder(shipment);
+  }
+
+  // Shipped orders become delivered once every parcel arrived, and exception
+  // while one of them is stuck; orders still being fulfilled are left alone
+  async advanceOrder(shipment) {
+    const orderResult = await query('SELECT * FROM orders WHERE id = $1', [shipment.order_id]);
+    const order = orderResult.rows[0];
+
+    if (!order || !['shipped', 'exception'].includes(order.status)) {
+      return;
+    }
+
+    const parcels = await OrderShipmentService.getShipments(order);
+
+    let toStatus = 'shipped';
+    let reason = 'Parcel back in transit';
+    if (parcels.length > 0 && parcels.every(parcel => parcel.status === 'delivered')) {
+      toStatus = 'delivered';
+      reason = 'All parcels delivered';
+    } else if (parcels.some(parcel => parcel.status === 'exception')) {
+      toStatus = 'exception';
+      reason = `Delivery exception: ${shipment.status_description || 'reported by carrier'}`;
+    }
+
+    if (toStatus === order.status) {
+      return;
+    }
+
+    try {
+      await OrderStateMachine.transition(order.id, toStatus, {
+        actor: { type: 'system' },
+        reason,
+        metadata: { shipmentId: shipment.id, carrier: shipment.carrier, trackingNumber: shipment.tracking_number },
+        allowedFrom: ['shipped', 'exception']
+      });
+    } catch (error) {
+      logger.error('Failed to advance order from tracking', {
+        orderId: order.id,
+        shipmentId: shipment.id,
+        toStatus,
+        error: error.message
+      });
+    }
+  }
+
+  // Verified carrier push; tracking numbers we did not ship are ignored
+  async handleWebhook(carrier, { rawBody, headers, payload }) {
+    if (!shippingAdapters.codes.includes(carrier)) {
+      throw new ShipmentTrackingError('Unknown carrier', 404);
+    }
+
+    const adapter = shippingAdapters.get(carrier);
+    if (!adapter.supportsWebhooks) {
+      throw new ShipmentTrackingError(`${adapter.displayName} webhooks are not configured`, 404);
+    }
+    if (!adapter.verifyWebhook(rawBody, headers)) {
+      logger.warn('Carrier webhook signature rejected', { carrier });
+      throw new ShipmentTrackingError('Invalid signature', 401);
+    }
+
+    const trackings = adapter.parseWebhook(payload);
+    const summary = { received: trackings.length, updated: 0, unknown: 0 };
+    if (trackings.length === 0) {
+      return summary;
+    }
+
+    const shipmentsResult = await query(
+      'SELECT * FROM shipments WHERE carrier = $1 AND tracking_number = ANY($2::text[])',
+      [carrier, trackings.map(tracking => tracking.trackingNumber)]
+    );
+    const shipments = new Map(shipmentsResult.rows.map(shipment => [shipment.tracking_number, shipment]));
+
+    for (const tracking of trackings) {
+      const shipment = shipments.get(tracking.trackingNumber);
+      if (!shipment) {
+        summary.unknown++;
+        continue;
+      }
+
+      if (await this.record(shipment, tracking, 'webhook')) {
+        summary.updated++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Carriers whose shipments are polled: tracked, without webhooks and reachable
+  pollingCarriers() {
+    return shippingAdapters.codes
+      .map(code => shippingAdapters.get(code))
+      .filter(adapter => adapter.tracksShipments && !adapter.supportsWebhooks)
+      .filter(adapter => shippingAdapters.mode === 'fixtures' || adapter.isConfigured)
+      .map(adapter => adapter.carrier);
+  }
+
+  async pollOpenShipments() {
+    const summary = { checked: 0, updated: 0, failed: 0 };
+
+    const carriers = this.pollingCarriers();
+    if (carriers.length === 0) {
+      return summary;
+    }
+
+    const result = await query(`
+      SELECT *
+      FROM shipments
+      WHERE status = ANY($1::text[])
+        AND tracking_number IS NOT NULL
+        AND carrier = ANY($2::text[])
+        AND (last_polled_at IS NULL OR last_polled_at < NOW() - make_interval(mins => $3))
+      ORDER BY last_polled_at NULLS FIRST
+      LIMIT $4
+    `, [this.openStatuses, carriers, this.pollIntervalMinutes, this.batchSize]);
+
+    for (const shipment of result.rows) {
+      summary.checked++;
+
+      try {
+        const tracking = await shippingAdapters.forShipment(shipment).getTrackingInfo(shipment.tracking_number);
+        if (await this.record(shipment, tracking, 'poll')) {
+          summary.updated++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.error('Shipment tracking poll failed', {
+          shipmentId: shipment.id,
+          carrier: shipment.carrier,
+          trackingNumber: shipment.tracking_number,
+          error: error.message
+        });
+      } finally {
+        // Failed shipments wait for the next round too, so one bad number cannot block the batch
+        await query('UPDATE shipments SET last_polled_at = NOW() WHERE id = $1', [shipment.id]);
+      }
+    }
+
+    return summary;
+  }
+
+  // Stored tracking of a shipment, in the adapters' tracking shape
+  toTracking(shipment, events) {
+    return {
+      carrier: shipment.carrier,
+      trackingNumber: shipment.tracking_number,
+      status: shipment.status === 'created' ? 'pending' : shipment.status,
+      statusDescription: shipment.status_description,
+      estimatedDeliveryDate: shipment.estimated_delivery_date,
+      origin: shipment.origin,
+      destination: shipment.destination,
+      lastUpdatedAt: shipment.last_event_at,
+      events: events.map(event => ({
+        timestamp: event.occurred_at,
+        status: event.status,
+        code: event.code,
+        description: event.description,
+        location: event.location
+      }))
+    };
+  }
+
+  // Tracking of several shipments keyed by tracking number, events newest first
+  async timelines(shipments) {
+    if (shipments.length === 0) {
+      return new Map();
+    }
+
+    const eventsResult = await query(`
+      SELECT shipment_id, status, code, description, location, occurred_at
+      FROM shipment_events
+      WHERE shipment_id = ANY($1::uuid[])
+      ORDER BY occurred_at DESC
+    `, [shipments.map(shipment => shipment.id)]);
+
+    return new Map(shipments.map(shipment => [
+      shipment.tracking_number,
+      this.toTracking(shipment, eventsResult.rows.filter(event => event.shipment_id === shipment.id))
+    ]));
+  }
+
+  // Tracking of every live shipment of an order, keyed by tracking number
+  async forOrder(orderId) {
+    const result = await query(`
+      SELECT * FROM shipments
+      WHERE order_id = $1 AND tracking_number IS NOT NULL AND status <> 'cancelled'
+    `, [orderId]);
+
+    return this.timelines(result.rows);
+  }
+
+  // Tracking of a tracking number, or null when we never shipped it
+  async forTrackingNumber(trackingNumber, carrier = null) {
+    const result = await query(`
+      SELECT * FROM shipments
+      WHERE tracking_number = $1 AND status <> 'cancelled'
+        AND ($2::text IS NULL OR carrier = $2)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [trackingNumber, carrier]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const timelines = await this.timelines(result.rows);
+    return timelines.get(trackingNumber);
+  }
+
+  startPoller() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    const pollInterval = this.pollIntervalMinutes * 60 * 1000;
+
+    this.pollTimer = setInterval(async () => {
+      // A slow carrier API must not stack polls
+      if (this.polling) {
+        return;
+      }
+
+      this.polling = true;
+      try {
+        const result = await this.pollOpenShipments();
+        if (result.checked > 0) {
+          logger.info('Shipment tracking poll completed', result);
+        }
+      } catch (error) {
+        logger.error('Shipment tracking poll failed:', error);
+      } finally {
+        this.polling = false;
+      }
+    }, pollInterval);
+  }
+
+  stopPoller() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const shipmentTrackingService = new ShipmentTrackingService();
+module.exports = shipmentTrackingService;
+module.exports.ShipmentTrackingError = ShipmentTrackingError;
@@ -0,0 +1,132 @@
+const { PDFDocument } = require('pdf-lib');
+const { query } = require('../config/database');
+const fileStorage = require('../adapters/storage');
+const logger = require('../utils/logger');
+
+// Raised for labels that cannot be stored, fetched or merged
+class ShippingLabelError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ShippingLabelError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Label files of shipments. Each shipment has at most one label per format,
+// kept in file storage and indexed in shipment_labels; ShipmentService
+// decides when a label has to be fetched from the carrier.
+class ShippingLabelService {
+  constructor() {
+    this.formats = {
+      PDF: { contentType: 'application/pdf', extension: 'pdf' },
+      ZPL: { contentType: 'application/x-zpl', extension: 'zpl' }
+    };
+    this.maxBatchSize = parseInt(process.env.SHIPPING_LABEL_BATCH_MAX ?? '100');
+  }
+
+  formatOf(format) {
+    const normalized = String(format || 'PDF').toUpperCase();
+    if (!this.formats[normalized]) {
+      throw new ShippingLabelError(`Unsupported label format: ${format}. Use ${Object.keys(this.formats).join(' or ')}`);
+    }
+    return normalized;
+  }
+
+  storageKey(shipmentId, format) {
+    return `labels/${shipmentId}.${this.formats[format].extension}`;
+  }
+
+  filename(shipment, format) {
+    return `label-${shipment.carrier}-${shipment.tracking_number || shipment.id}.${this.formats[format].extension}`;
+  }
+
+  // label is the adapter's { format, data } with base64 data
+  async store(shipment, label, source = 'carrier') {
+    const format = this.formatOf(label.format);
+    const buffer = Buffer.from(label.data, 'base64');
+    const key = this.storageKey(shipment.id, format);
+
+    await fileStorage.put(key, buffer, { contentType: this.formats[format].contentType });
+
+    const result = await query(`
+      INSERT INTO shipment_labels (shipment_id, format, storage_key, content_type, size_bytes, source)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (shipment_id, format) DO UPDATE SET
+        storage_key = EXCLUDED.storage_key,
+        content_type = EXCLUDED.content_type,
+        size_bytes = EXCLUDED.size_bytes,
+        source = EXCLUDED.source,
+        printed_at = NULL,
+        created_at = NOW()
+      RETURNING *
+    `, [shipment.id, format, key, this.formats[format].contentType, buffer.length, source]);
+
+    logger.info('Shipping label stored', {
+      shipmentId: shipment.id,
+      carrier: shipment.carrier,
+      format,
+      sizeBytes: buffer.length
+    });
+
+    return { ...result.rows[0], buffer };
+  }
+
+  // Stored label, or null when there is none or its file is gone
+  async load(shipmentId, format) {
+    const result = await query(
+      'SELECT * FROM shipment_labels WHERE shipment_id = $1 AND format = $2',
+      [shipmentId, format]
+    );
+
+    const label = result.rows[0];
+    if (!label) {
+      return null;
+    }
+
+    const buffer = await fileStorage.get(label.storage_key);
+    if (!buffer) {
+      logger.warn('Shipping label file missing', { shipmentId, format, storageKey: label.storage_key });
+      return null;
+    }
+
+    return { ...label, buffer };
+  }
+
+  async markPrinted(labelIds) {
+    if (labelIds.length === 0) {
+      return;
+    }
+
+    await query(
+      'UPDATE shipment_labels SET printed_at = NOW() WHERE id = ANY($1::uuid[])',
+      [labelIds]
+    );
+  }
+
+  // One PDF with the pages of every label ({ shipmentId, buffer }), in the
+  // given order; labels that are not readable PDFs are reported in failed
+  async merge(labels) {
+    const merged = await PDFDocument.create();
+    const included = [];
+    const failed = [];
+
+    for (const label of labels) {
+      try {
+        const source = await PDFDocument.load(label.buffer);
+        const pages = await merged.copyPages(source, source.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+        included.push(label.shipmentId);
+      } catch (error) {
+        failed.push({ shipmentId: label.shipmentId, error: `Label is not a readable PDF: ${error.message}` });
+      }
+    }
+
+    return { buffer: Buffer.from(await merged.save()), included, failed };
+  }
+}
+
+// Export singleton instance
+const shippingLabelService = new ShippingLabelService();
+module.exports = shippingLabelService;
+module.exports.ShippingLabelError = ShippingLabelError;
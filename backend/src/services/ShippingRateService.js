@@ -0,0 +1,218 @@
+const shippingAdapters = require('../adapters/shipping');
+const ShippingZoneService = require('./ShippingZoneService');
+const CurrencyService = require('./CurrencyService');
+const ShipmentService = require('./ShipmentService');
+const logger = require('../utils/logger');
+
+// Raised when no delivery option can be offered or the chosen one is gone
+class ShippingOptionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShippingOptionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Delivery options offered at checkout: the zone price plus the quotes of
+// every enabled carrier that can buy the label later. Option IDs describe
+// the option (zone:<zone id>, <carrier>:<service code>), so the same cart
+// gets the same IDs and order creation re-quotes the chosen option instead
+// of trusting a price sent by the client.
+class ShippingRateService {
+  constructor() {
+    this.baseCurrency = 'EUR'; // Zone rates are maintained in EUR
+    this.quoteTimeoutMs = parseInt(process.env.SHIPPING_QUOTE_TIMEOUT_MS ?? '5000');
+    // Days between order and hand-over to the carrier, added to carrier transit times
+    this.handlingDays = parseInt(process.env.SHIPPING_HANDLING_DAYS ?? '1');
+    this.defaultDimensions = { length: 30, width: 20, height: 10 };
+  }
+
+  parseOptionId(optionId) {
+    const [kind, ...rest] = String(optionId || '').split(':');
+    const value = rest.join(':');
+
+    if (!kind || !value) {
+      return null;
+    }
+
+    return kind === 'zone'
+      ? { type: 'zone', zoneId: value }
+      : { type: 'carrier', carrier: kind, serviceCode: value };
+  }
+
+  // Carriers whose quotes can be turned into a label; in fixtures mode all of them
+  quotingCarriers(codes = null) {
+    return shippingAdapters.all()
+      .filter(adapter => !codes || codes.includes(adapter.carrier))
+      .filter(adapter => shippingAdapters.mode === 'fixtures' || adapter.isConfigured);
+  }
+
+  async conversionRate(fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+      return 1;
+    }
+
+    const conversion = await CurrencyService.convertCurrency(1, fromCurrency, toCurrency);
+    if (!conversion.success) {
+      throw new Error(`Exchange rate not available for ${fromCurrency} to ${toCurrency}`);
+    }
+
+    return conversion.rate;
+  }
+
+  deliveryWindow(minDays, maxDays, from = new Date()) {
+    const dateIn = (days) => {
+      const date = new Date(from);
+      date.setDate(date.getDate() + days);
+      return date.toISOString().slice(0, 10);
+    };
+
+    return {
+      minDays,
+      maxDays,
+      earliestDate: dateIn(minDays),
+      latestDate: dateIn(maxDays)
+    };
+  }
+
+  // Carrier quotes that fail or time out are left out rather than failing checkout
+  async collectQuotes(adapters, request) {
+    const quotes = await Promise.all(adapters.map(async (adapter) => {
+      let timer;
+      try {
+        return await Promise.race([
+          adapter.calculateRates(request),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No quote within ${this.quoteTimeoutMs}ms`)), this.quoteTimeoutMs);
+          })
+        ]);
+      } catch (error) {
+        logger.warn('Carrier quote failed', { carrier: adapter.carrier, error: error.message });
+        return [];
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+
+    return quotes.flat();
+  }
+
+  // Ranked options for a parcel (weight in kg, value in EUR); carriers = null quotes every carrier
+  async getOptions({ recipient, sender = null, totalWeight, totalValue, currency = this.baseCurrency, client = null }, { carriers = null } = {}) {
+    const quote = await ShippingZoneService.quote(recipient.countryCode, totalWeight, totalValue, client);
+
+    if (!quote.success) {
+      throw new ShippingOptionError(quote.error);
+    }
+
+    const { zone, cost } = quote;
+    const rate = await this.conversionRate(this.baseCurrency, currency);
+    const toCustomerCurrency = (amountEur) => CurrencyService.roundToCurrencyPrecision(amountEur * rate, currency);
+
+    // Free shipping from the zone threshold applies to the zone price only
+    const options = [{
+      id: `zone:${zone.id}`,
+      type: 'zone',
+      carrier: null,
+      carrierName: null,
+      serviceLevel: 'standard',
+      serviceCode: null,
+      serviceName: zone.name,
+      price: toCustomerCurrency(cost.totalCost),
+      currency,
+      freeShippingApplied: cost.freeShippingApplied,
+      deliveryWindow: this.deliveryWindow(zone.estimated_days_min, zone.estimated_days_max),
+      live: false
+    }];
+
+    const adapters = carriers && carriers.length === 0 ? [] : this.quotingCarriers(carriers);
+    const rates = await this.collectQuotes(adapters, {
+      sender: sender || ShipmentService.sender,
+      recipient,
+      packages: [{
+        weightKg: Math.max(totalWeight, 0.1), // Minimum 100g
+        dimensions: this.defaultDimensions,
+        declaredValue: totalValue,
+        currency: this.baseCurrency
+      }]
+    });
+
+    for (const carrierRate of rates) {
+      let amountEur;
+      try {
+        amountEur = carrierRate.amount * await this.conversionRate(carrierRate.currency || this.baseCurrency, this.baseCurrency);
+      } catch (error) {
+        logger.warn('Carrier quote skipped', { carrier: carrierRate.carrier, serviceCode: carrierRate.serviceCode, error: error.message });
+        continue;
+      }
+
+      // Carriers without transit times promise what the zone promises
+      const minDays = Number.isInteger(carrierRate.transitDaysMin) ? carrierRate.transitDaysMin + this.handlingDays : zone.estimated_days_min;
+      const maxDays = Number.isInteger(carrierRate.transitDaysMax) ? carrierRate.transitDaysMax + this.handlingDays : zone.estimated_days_max;
+
+      options.push({
+        id: `${carrierRate.carrier}:${carrierRate.serviceCode}`,
+        type: 'carrier',
+        carrier: carrierRate.carrier,
+        carrierName: shippingAdapters.get(carrierRate.carrier).displayName,
+        serviceLevel: carrierRate.serviceLevel,
+        serviceCode: carrierRate.serviceCode,
+        serviceName: carrierRate.serviceName,
+        price: toCustomerCurrency(amountEur),
+        currency,
+        freeShippingApplied: false,
+        deliveryWindow: this.deliveryWindow(minDays, maxDays),
+        live: carrierRate.live
+      });
+    }
+
+    return {
+      zone,
+      cost,
+      estimatedDelivery: quote.estimatedDelivery,
+      options: this.rank(options)
+    };
+  }
+
+  // Cheapest first, then the earliest latest-delivery date; ties keep the zone price first
+  rank(options) {
+    const ranked = [...options].sort((a, b) =>
+      a.price - b.price || a.deliveryWindow.maxDays - b.deliveryWindow.maxDays
+    );
+    const fastest = Math.min(...ranked.map(option => option.deliveryWindow.maxDays));
+
+    return ranked.map((option, index) => ({
+      ...option,
+      rank: index + 1,
+      cheapest: index === 0,
+      fastest: option.deliveryWindow.maxDays === fastest
+    }));
+  }
+
+  // Re-quote the option chosen at checkout; no option means the zone price.
+  // Only the chosen carrier is asked, so other carriers being down does not matter.
+  async resolveOption(optionId, params) {
+    const parsed = optionId ? this.parseOptionId(optionId) : { type: 'zone' };
+
+    if (!parsed) {
+      throw new ShippingOptionError('Invalid shipping option');
+    }
+
+    const { zone, options } = await this.getOptions(params, {
+      carriers: parsed.type === 'zone' ? [] : [parsed.carrier]
+    });
+
+    const option = options.find(candidate => (optionId ? candidate.id === optionId : candidate.type === 'zone'));
+
+    if (!option) {
+      throw new ShippingOptionError('The selected shipping option is no longer available', 409);
+    }
+
+    return { zone, option };
+  }
+}
+
+// Export singleton instance
+const shippingRateService = new ShippingRateService();
+module.exports = shippingRateService;
+module.exports.ShippingOptionError = ShippingOptionError;
@@ -0,0 +1,68 @@
+const { query } = require('../config/database');
+
+class ShippingZoneService {
+  constructor() {
+    this.baseCurrency = 'EUR'; // Zone rates are maintained in EUR
+  }
+
+  // Find the cheapest active zone serving a country
+  async findZoneForCountry(countryCode, client = null) {
+    const runner = client || { query };
+
+    const result = await runner.query(`
+      SELECT * FROM shipping_zones
+      WHERE $1 = ANY(countries) AND is_active = true
+      ORDER BY base_rate ASC
+      LIMIT 1
+    `, [countryCode]);
+
+    return result.rows[0] || null;
+  }
+
+  // Calculate zone shipping cost for a parcel (weight in kg, value in EUR)
+  calculateCost(zone, totalWeight, totalValue) {
+    const baseCost = parseFloat(zone.base_rate);
+    const weightCost = totalWeight * parseFloat(zone.per_kg_rate);
+    const totalShippingCost = baseCost + weightCost;
+
+    // Check for free shipping
+    const freeShippingThreshold = parseFloat(zone.free_shipping_threshold || 0);
+    const finalCost = (totalValue >= freeShippingThreshold) ? 0 : totalShippingCost;
+
+    return {
+      baseCost: baseCost,
+      weightCost: weightCost,
+      totalCost: Math.round(finalCost * 100) / 100,
+      originalCost: Math.round(totalShippingCost * 100) / 100,
+      currency: this.baseCurrency,
+      freeShippingApplied: finalCost === 0 && totalShippingCost > 0,
+      freeShippingThreshold: freeShippingThreshold
+    };
+  }
+
+  // Resolve the zone and cost in one call
+  async quote(countryCode, totalWeight, totalValue, client = null) {
+    const zone = await this.findZoneForCountry(countryCode, client);
+
+    if (!zone) {
+      return {
+        success: false,
+        error: 'Shipping not available to this destination'
+      };
+    }
+
+    return {
+      success: true,
+      zone,
+      cost: this.calculateCost(zone, totalWeight, totalValue),
+      estimatedDelivery: {
+        minDays: zone.estimated_days_min,
+        maxDays: zone.estimated_days_max
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const shippingZoneService = new ShippingZoneService();
+module.exports = shippingZoneService;
@@ -0,0 +1,458 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { query, transaction } = require('../config/database');
+const CurrencyService = require('./CurrencyService');
+const SupplierInventoryService = require('./SupplierInventoryService');
+const { parseCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Raised for files or mappings that cannot be imported at all
+class CatalogImportError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'CatalogImportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class SupplierCatalogImportService {
+  constructor() {
+    // supplier_catalogs fields a file column can be mapped to
+    this.fields = {
+      external_product_id: { required: true, type: 'text', maxLength: 200 },
+      external_product_name: { required: false, type: 'text', maxLength: 500 },
+      supplier_price: { required: true, type: 'decimal', min: 0 },
+      supplier_currency: { required: false, type: 'currency' },
+      stock_quantity: { required: false, type: 'integer', min: 0, default: 0 },
+      lead_time_days: { required: false, type: 'integer', min: 0, default: 14 },
+      minimum_order_quantity: { required: false, type: 'integer', min: 1, default: 1 }
+    };
+
+    this.sqlTypes = { text: 'varchar', currency: 'varchar', decimal: 'numeric', integer: 'integer' };
+
+    this.fileTypes = ['csv', 'xlsx'];
+    this.maxRows = 20000;
+  }
+
+  get fieldNames() {
+    return Object.keys(this.fields);
+  }
+
+  fileTypeOf(fileName) {
+    const type = path.extname(fileName || '').slice(1).toLowerCase();
+    return this.fileTypes.includes(type) ? type : null;
+  }
+
+  async getMapping(supplierId) {
+    const result = await query(
+      'SELECT column_mapping, default_currency, updated_at FROM supplier_import_mappings WHERE supplier_id = $1',
+      [supplierId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { column_mapping: columns, default_currency: defaultCurrency, updated_at: updatedAt } = result.rows[0];
+    return { columns, defaultCurrency, updatedAt };
+  }
+
+  async saveMapping(supplierId, { columns, defaultCurrency = 'EUR' }) {
+    this.assertValidMapping(columns, defaultCurrency);
+
+    const result = await query(`
+      INSERT INTO supplier_import_mappings (supplier_id, column_mapping, default_currency)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (supplier_id) DO UPDATE
+      SET column_mapping = EXCLUDED.column_mapping,
+          default_currency = EXCLUDED.default_currency,
+          updated_at = NOW()
+      RETURNING column_mapping, default_currency, updated_at
+    `, [supplierId, JSON.stringify(columns), defaultCurrency]);
+
+    const saved = result.rows[0];
+    return { columns: saved.column_mapping, defaultCurrency: saved.default_currency, updatedAt: saved.updated_at };
+  }
+
+  assertValidMapping(columns, defaultCurrency) {
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+      throw new CatalogImportError('Column mapping must be an object of field -> column header');
+    }
+
+    const unknown = Object.keys(columns).filter(field => !this.fields[field]);
+    if (unknown.length > 0) {
+      throw new CatalogImportError('Unknown catalog fields in mapping', 400, { unknown, fields: this.fieldNames });
+    }
+
+    const missing = this.fieldNames.filter(field => this.fields[field].required && !columns[field]);
+    if (missing.length > 0) {
+      throw new CatalogImportError('Required catalog fields are not mapped', 400, { missing });
+    }
+
+    if (!CurrencyService.isValidCurrency(defaultCurrency)) {
+      throw new CatalogImportError(`Unsupported currency: ${defaultCurrency}`);
+    }
+  }
+
+  // Read the first sheet (or the CSV) into header names and row objects
+  async readFile(buffer, fileType) {
+    let table;
+
+    if (fileType === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.load(buffer);
+      } catch (error) {
+        throw new CatalogImportError('File is not a valid XLSX workbook');
+      }
+
+      const sheet = workbook.worksheets[0];
+      table = [];
+      if (sheet) {
+        sheet.eachRow({ includeEmpty: false }, (row) => {
+          const values = [];
+          for (let column = 1; column <= sheet.columnCount; column++) {
+            values.push(this.cellText(row.getCell(column).value));
+          }
+          table.push(values);
+        });
+      }
+    } else {
+      table = parseCsv(buffer.toString('utf8'));
+    }
+
+    if (table.length === 0) {
+      throw new CatalogImportError('File is empty');
+    }
+
+    const headers = table[0].map(header => String(header).trim());
+    const duplicates = headers.filter((header, index) => header && headers.indexOf(header) !== index);
+    if (duplicates.length > 0) {
+      throw new CatalogImportError('Duplicate column headers', 400, { duplicates: [...new Set(duplicates)] });
+    }
+
+    if (table.length - 1 > this.maxRows) {
+      throw new CatalogImportError(`File has more than ${this.maxRows} rows`, 413);
+    }
+
+    const rows = table.slice(1).map(values => Object.fromEntries(
+      headers
+        .map((header, index) => [header, values[index] !== undefined ? String(values[index]).trim() : ''])
+        .filter(([header]) => header)
+    ));
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  // Plain text of an ExcelJS cell value (rich text, formulas, hyperlinks, dates)
+  cellText(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'object') {
+      if (value.richText) {
+        return value.richText.map(part => part.text).join('');
+      }
+      if (value.result !== undefined) {
+        return this.cellText(value.result);
+      }
+      if (value.text !== undefined) {
+        return this.cellText(value.text);
+      }
+      return '';
+    }
+    return String(value);
+  }
+
+  // "12,50", "1.234,50" and "1,234.50" are all accepted
+  parseDecimal(text) {
+    let normalized = text.replace(/\s/g, '');
+    const lastComma = normalized.lastIndexOf(',');
+    const lastDot = normalized.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+      normalized = normalized.replace(/\./g, '').replace(',', '.');
+    } else {
+      normalized = normalized.replace(/,/g, '');
+    }
+
+    return /^-?\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+  }
+
+  parseInteger(text) {
+    const value = this.parseDecimal(text);
+    return Number.isInteger(value) ? value : NaN;
+  }
+
+  // Validate one row; returns the catalog values, the unmapped columns and any errors
+  validateRow(raw, mapping) {
+    const values = {};
+    const errors = [];
+
+    for (const [field, column] of Object.entries(mapping.columns)) {
+      const rule = this.fields[field];
+      const text = raw[column] ?? '';
+
+      if (text === '') {
+        if (rule.required) {
+          errors.push({ field, column, message: 'Value is required' });
+        }
+        continue;
+      }
+
+      switch (rule.type) {
+        case 'text':
+          if (text.length > rule.maxLength) {
+            errors.push({ field, column, message: `Longer than ${rule.maxLength} characters` });
+          } else {
+            values[field] = text;
+          }
+          break;
+        case 'currency': {
+          const currency = text.toUpperCase();
+          if (!CurrencyService.isValidCurrency(currency)) {
+            errors.push({ field, column, message: `Unsupported currency: ${text}` });
+          } else {
+            values[field] = currency;
+          }
+          break;
+        }
+        default: {
+          const number = rule.type === 'integer' ? this.parseInteger(text) : this.parseDecimal(text);
+          if (Number.isNaN(number)) {
+            errors.push({ field, column, message: `Not a valid ${rule.type === 'integer' ? 'whole number' : 'number'}: ${text}` });
+          } else if (number < rule.min) {
+            errors.push({ field, column, message: `Must be at least ${rule.min}` });
+          } else {
+            values[field] = number;
+          }
+        }
+      }
+    }
+
+    values.supplier_currency = values.supplier_currency || mapping.defaultCurrency;
+
+    // Columns the mapping does not use are kept with the catalog entry
+    const mappedColumns = new Set(Object.values(mapping.columns));
+    const extra = Object.fromEntries(
+      Object.entries(raw).filter(([column, text]) => !mappedColumns.has(column) && text !== '')
+    );
+
+    return { values, extra, errors };
+  }
+
+  // Import a catalog file. With dryRun nothing is written except the import log;
+  // otherwise valid rows are upserted on (supplier_id, external_product_id) and
+  // invalid rows are skipped. Returns the row-by-row report either way.
+  async importFile(supplierId, file, { mapping: mappingOverride = null, dryRun = true, uploadedBy }) {
+    const supplierResult = await query('SELECT id FROM suppliers WHERE id = $1', [supplierId]);
+    if (supplierResult.rows.length === 0) {
+      throw new CatalogImportError('Supplier not found', 404);
+    }
+
+    const fileType = this.fileTypeOf(file.originalname);
+    if (!fileType) {
+      throw new CatalogImportError('Only CSV and XLSX files can be imported');
+    }
+
+    const { headers, rows } = await this.readFile(file.buffer, fileType);
+
+    const mapping = mappingOverride || await this.getMapping(supplierId);
+    if (!mapping) {
+      throw new CatalogImportError('No column mapping saved for this supplier', 400, { headers, fields: this.fieldNames });
+    }
+    this.assertValidMapping(mapping.columns, mapping.defaultCurrency);
+
+    const missingColumns = Object.values(mapping.columns).filter(column => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      throw new CatalogImportError('Mapped columns are missing from the file', 400, { missingColumns, headers });
+    }
+
+    const report = [];
+    const seen = new Map();
+
+    rows.forEach((raw, index) => {
+      const { values, extra, errors } = this.validateRow(raw, mapping);
+      const line = index + 2; // Header is line 1
+
+      if (values.external_product_id && seen.has(values.external_product_id)) {
+        errors.push({
+          field: 'external_product_id',
+          column: mapping.columns.external_product_id,
+          message: `Duplicate of line ${seen.get(values.external_product_id)}`
+        });
+      } else if (values.external_product_id) {
+        seen.set(values.external_product_id, line);
+      }
+
+      report.push({
+        line,
+        externalProductId: values.external_product_id || null,
+        action: errors.length > 0 ? 'invalid' : null,
+        errors,
+        values,
+        extra
+      });
+    });
+
+    const valid = report.filter(row => row.action !== 'invalid');
+
+    if (dryRun) {
+      const existing = await query(`
+        SELECT external_product_id FROM supplier_catalogs
+        WHERE supplier_id = $1 AND external_product_id = ANY($2::text[])
+      `, [supplierId, valid.map(row => row.externalProductId)]);
+      const existingIds = new Set(existing.rows.map(row => row.external_product_id));
+
+      for (const row of valid) {
+        row.action = existingIds.has(row.externalProductId) ? 'update' : 'create';
+      }
+    } else {
+      const upsert = this.buildUpsert(Object.keys(mapping.columns));
+
+      await transaction(async (client) => {
+        for (const row of valid) {
+          const result = await client.query(upsert.sql, upsert.params(supplierId, row));
+          row.action = result.rows[0].inserted ? 'create' : 'update';
+        }
+
+        // Products the import left without stock go off sale, restocked ones come back
+        await SupplierInventoryService.refreshSupplierAvailability(client, supplierId);
+      });
+    }
+
+    const summary = {
+      total: report.length,
+      valid: valid.length,
+      invalid: report.length - valid.length,
+      created: valid.filter(row => row.action === 'create').length,
+      updated: valid.filter(row => row.action === 'update').length
+    };
+
+    const mappedColumns = new Set(Object.values(mapping.columns));
+    const unmappedColumns = headers.filter(header => !mappedColumns.has(header));
+
+    const logResult = await query(`
+      INSERT INTO supplier_catalog_imports (
+        supplier_id, file_name, file_type, dry_run, column_mapping,
+        rows_total, rows_invalid, rows_created, rows_updated, report,
+        uploaded_by_type, uploaded_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id, created_at
+    `, [
+      supplierId,
+      file.originalname,
+      fileType,
+      dryRun,
+      JSON.stringify(mapping.columns),
+      summary.total,
+      summary.invalid,
+      summary.created,
+      summary.updated,
+      JSON.stringify(report.map(({ line, externalProductId, action, errors }) => ({ line, externalProductId, action, errors }))),
+      uploadedBy.type,
+      uploadedBy.id || null
+    ]);
+
+    logger.info('Supplier catalog imported', {
+      importId: logResult.rows[0].id,
+      supplierId,
+      dryRun,
+      ...summary
+    });
+
+    return {
+      importId: logResult.rows[0].id,
+      dryRun,
+      summary,
+      unmappedColumns,
+      rows: report
+    };
+  }
+
+  // Upsert statement for the mapped fields. Fields missing from the file, or
+  // empty cells, keep the stored value on update and the column default on insert.
+  buildUpsert(mappedFields, { syncMethod = 'csv' } = {}) {
+    const fields = this.fieldNames.filter(field =>
+      field !== 'external_product_id' && (mappedFields.includes(field) || field === 'supplier_currency')
+    );
+
+    // $1 supplier, $2 external id, then one parameter per field, metadata last
+    const param = (field) => {
+      const rule = this.fields[field];
+      return `$${fields.indexOf(field) + 3}::${this.sqlTypes[rule.type]}`;
+    };
+    const metadataParam = `$${fields.length + 3}::jsonb`;
+
+    const insertValues = fields.map(field => {
+      const rule = this.fields[field];
+      return rule.default !== undefined ? `COALESCE(${param(field)}, ${rule.default})` : param(field);
+    });
+    const updates = fields.map(field => `${field} = COALESCE(${param(field)}, supplier_catalogs.${field})`);
+
+    const stockMapped = fields.includes('stock_quantity');
+    if (stockMapped) {
+      const stock = param('stock_quantity');
+      insertValues.push(`CASE WHEN COALESCE(${stock}, 0) > 0 THEN 'in_stock' ELSE 'out_of_stock' END`);
+      updates.push(`stock_status = CASE
+            WHEN ${stock} IS NULL THEN supplier_catalogs.stock_status
+            WHEN ${stock} > 0 THEN 'in_stock'
+            ELSE 'out_of_stock'
+          END`);
+    }
+
+    const sql = `
+      INSERT INTO supplier_catalogs (
+        supplier_id, external_product_id, ${fields.join(', ')},${stockMapped ? ' stock_status,' : ''}
+        metadata, sync_method, last_sync_at
+      ) VALUES (
+        $1, $2, ${insertValues.join(', ')},
+        ${metadataParam}, '${syncMethod}', NOW()
+      )
+      ON CONFLICT (supplier_id, external_product_id) DO UPDATE
+      SET ${updates.join(',\n          ')},
+          -- Unmapped columns of the latest import replace those of earlier ones
+          metadata = COALESCE(supplier_catalogs.metadata, '{}'::jsonb) || ${metadataParam},
+          is_active = true,
+          sync_method = '${syncMethod}',
+          last_sync_at = NOW(),
+          updated_at = NOW()
+      RETURNING (xmax = 0) as inserted
+    `;
+
+    return {
+      sql,
+      params: (supplierId, row) => [
+        supplierId,
+        row.values.external_product_id,
+        ...fields.map(field => row.values[field] ?? null),
+        JSON.stringify({ columns: row.extra })
+      ]
+    };
+  }
+
+  async getImports(supplierId, { limit = 20, offset = 0 } = {}) {
+    const [importsResult, countResult] = await Promise.all([
+      query(`
+        SELECT id, file_name, file_type, dry_run, rows_total, rows_invalid,
+               rows_created, rows_updated, uploaded_by_type, created_at
+        FROM supplier_catalog_imports
+        WHERE supplier_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [supplierId, limit, offset]),
+      query('SELECT COUNT(*) as total FROM supplier_catalog_imports WHERE supplier_id = $1', [supplierId])
+    ]);
+
+    return { imports: importsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+}
+
+// Export singleton instance
+const supplierCatalogImportService = new SupplierCatalogImportService();
+module.exports = supplierCatalogImportService;
+module.exports.CatalogImportError = CatalogImportError;
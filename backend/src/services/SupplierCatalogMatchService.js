@@ -0,0 +1,558 @@
+const { query, transaction } = require('../config/database');
+const CurrencyService = require('./CurrencyService');
+const PricingService = require('./PricingService');
+const PriceHistoryService = require('./PriceHistoryService');
+const logger = require('../utils/logger');
+
+// Raised when a catalog entry cannot be linked or promoted
+class CatalogMatchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CatalogMatchError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Suggests which platform product (or variant) an unlinked supplier catalog
+// entry is, and links it once an admin confirms. Each confirmed link adds an
+// inventory source, so the routing engine gains one more supplier to choose from.
+class SupplierCatalogMatchService {
+  constructor() {
+    this.minScore = 0.4;
+    this.maxSuggestions = 5;
+    this.maxNameCandidates = 50;
+
+    // Name similarity vs. matching size/color/material, when the entry has attributes
+    this.nameWeight = 0.7;
+    this.attributeWeight = 0.3;
+
+    this.languages = ['en', 'de', 'pt', 'fr', 'es'];
+
+    // Catalog metadata columns (from imports and feeds) recognized as attributes
+    this.attributeColumns = {
+      size: /^(size|gr(ö|oe)(ß|ss)e|tamanho|taille|talla)$/i,
+      color: /^(colou?r|farbe|cor|couleur)$/i,
+      material: /^(material|stoff|mati[èe]re|tecido)$/i
+    };
+  }
+
+  normalizeSku(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  normalizeText(value) {
+    return String(value || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Dice coefficient over character trigrams: 1 = same words, 0 = nothing in common
+  similarity(a, b) {
+    const trigrams = (text) => {
+      const padded = `  ${this.normalizeText(text)} `;
+      const grams = new Map();
+      for (let i = 0; i < padded.length - 2; i++) {
+        const gram = padded.slice(i, i + 3);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+      }
+      return grams;
+    };
+
+    const left = trigrams(a);
+    const right = trigrams(b);
+    let shared = 0;
+    let total = 0;
+
+    for (const [gram, count] of left) {
+      shared += Math.min(count, right.get(gram) || 0);
+      total += count;
+    }
+    for (const count of right.values()) {
+      total += count;
+    }
+
+    return total > 0 ? (2 * shared) / total : 0;
+  }
+
+  // size/color/material of a catalog entry, from its metadata columns
+  attributesOf(entry) {
+    const columns = entry.metadata?.columns || {};
+    const attributes = {};
+
+    for (const [attribute, pattern] of Object.entries(this.attributeColumns)) {
+      const column = Object.keys(columns).find(name => pattern.test(name.trim()));
+      if (column && String(columns[column]).trim()) {
+        attributes[attribute] = String(columns[column]).trim();
+      }
+    }
+
+    return attributes;
+  }
+
+  // Score one product (and its best variant) against a catalog entry
+  scoreCandidate(entry, attributes, product) {
+    const names = this.languages.map(language => product[`name_${language}`]).filter(Boolean);
+    const name = entry.external_product_name
+      ? Math.max(0, ...names.map(productName => this.similarity(entry.external_product_name, productName)))
+      : 0;
+
+    const variants = product.variants || [];
+    const candidates = variants.length > 0 ? variants : [null];
+    let best = null;
+
+    for (const variant of candidates) {
+      const reasons = { name: Math.round(name * 100) / 100 };
+      let considered = 0;
+      let matched = 0;
+
+      if (attributes.size) {
+        considered++;
+        reasons.size = Boolean(variant?.size) && variant.size.toUpperCase() === attributes.size.toUpperCase();
+        matched += reasons.size ? 1 : 0;
+      }
+      if (attributes.color) {
+        considered++;
+        const color = this.normalizeText(attributes.color);
+        reasons.color = Boolean(variant) &&
+          this.languages.some(language => variant[`color_${language}`] && this.normalizeText(variant[`color_${language}`]) === color);
+        matched += reasons.color ? 1 : 0;
+      }
+      if (attributes.material) {
+        considered++;
+        reasons.material = Boolean(product.material) && this.similarity(product.material, attributes.material) >= 0.6;
+        matched += reasons.material ? 1 : 0;
+      }
+
+      const score = considered > 0
+        ? this.nameWeight * name + this.attributeWeight * (matched / considered)
+        : name;
+
+      if (!best || score > best.score) {
+        // Pointing at a variant only makes sense when its size/color matched
+        const variantMatched = variant && (reasons.size || reasons.color);
+        best = { productId: product.id, variantId: variantMatched ? variant.id : null, score, reasons };
+      }
+    }
+
+    return best;
+  }
+
+  // Compute suggestions for unlinked, undismissed entries (least recently checked first)
+  async generateSuggestions({ supplierId = null, catalogIds = null, limit = 500 } = {}) {
+    const entriesResult = await query(`
+      SELECT id, supplier_id, external_product_id, external_product_name, metadata
+      FROM supplier_catalogs
+      WHERE product_id IS NULL
+        AND match_dismissed_at IS NULL
+        AND is_active = true
+        AND ($1::uuid IS NULL OR supplier_id = $1)
+        AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+      ORDER BY match_checked_at NULLS FIRST, created_at
+      LIMIT $3
+    `, [supplierId, catalogIds, limit]);
+
+    const entries = entriesResult.rows;
+    const summary = { checked: entries.length, suggested: 0, suggestions: 0 };
+
+    if (entries.length === 0) {
+      return summary;
+    }
+
+    const skuMatches = await this.findSkuMatches(entries);
+
+    for (const entry of entries) {
+      const suggestions = skuMatches.get(this.normalizeSku(entry.external_product_id)) || [];
+
+      if (suggestions.length === 0) {
+        suggestions.push(...await this.findNameMatches(entry));
+      }
+
+      // Pairs an admin already decided on conflict and are not suggested again
+      const inserted = await transaction(async (client) => {
+        let count = 0;
+
+        // Open suggestions are recomputed; confirmed and rejected ones are decisions and stay
+        await client.query(
+          "DELETE FROM supplier_catalog_matches WHERE catalog_id = $1 AND status = 'suggested'",
+          [entry.id]
+        );
+
+        for (const suggestion of suggestions) {
+          const result = await client.query(`
+            INSERT INTO supplier_catalog_matches (catalog_id, product_id, variant_id, score, reasons)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT DO NOTHING
+          `, [entry.id, suggestion.productId, suggestion.variantId, Math.min(1, suggestion.score).toFixed(3), JSON.stringify(suggestion.reasons)]);
+          count += result.rowCount;
+        }
+
+        await client.query('UPDATE supplier_catalogs SET match_checked_at = NOW() WHERE id = $1', [entry.id]);
+
+        return count;
+      });
+
+      if (inserted > 0) {
+        summary.suggested++;
+        summary.suggestions += inserted;
+      }
+    }
+
+    logger.info('Supplier catalog match suggestions generated', { supplierId, ...summary });
+
+    return summary;
+  }
+
+  // Products and variants whose SKU equals the supplier SKU (ignoring case and separators)
+  async findSkuMatches(entries) {
+    const skus = [...new Set(entries.map(entry => this.normalizeSku(entry.external_product_id)).filter(Boolean))];
+    const matches = new Map();
+
+    const result = await query(`
+      SELECT p.id as product_id, NULL::uuid as variant_id, regexp_replace(upper(p.sku), '[^A-Z0-9]', '', 'g') as sku
+      FROM products p
+      WHERE regexp_replace(upper(p.sku), '[^A-Z0-9]', '', 'g') = ANY($1::text[])
+      UNION ALL
+      SELECT v.product_id, v.id, regexp_replace(upper(v.sku), '[^A-Z0-9]', '', 'g')
+      FROM product_variants v
+      WHERE regexp_replace(upper(v.sku), '[^A-Z0-9]', '', 'g') = ANY($1::text[])
+    `, [skus]);
+
+    for (const row of result.rows) {
+      if (!matches.has(row.sku)) {
+        matches.set(row.sku, []);
+      }
+      matches.get(row.sku).push({
+        productId: row.product_id,
+        variantId: row.variant_id,
+        score: 1,
+        reasons: { sku: row.variant_id ? 'variant' : 'product' }
+      });
+    }
+
+    return matches;
+  }
+
+  // Candidates sharing a word with the entry name, ranked by similarity and attributes
+  async findNameMatches(entry) {
+    const words = [...new Set(this.normalizeText(entry.external_product_name).split(' ').filter(word => word.length >= 3))];
+    if (words.length === 0) {
+      return [];
+    }
+
+    const patterns = words.map(word => `%${word}%`);
+    const productsResult = await query(`
+      SELECT p.id, p.name_en, p.name_de, p.name_pt, p.name_fr, p.name_es, p.material,
+             COALESCE(
+               (SELECT json_agg(json_build_object(
+                  'id', v.id, 'size', v.size, 'color_en', v.color_en, 'color_de', v.color_de,
+                  'color_pt', v.color_pt, 'color_fr', v.color_fr, 'color_es', v.color_es))
+                FROM product_variants v WHERE v.product_id = p.id AND v.is_active = true),
+               '[]'::json
+             ) as variants
+      FROM products p
+      WHERE p.name_en ILIKE ANY($1::text[])
+         OR p.name_de ILIKE ANY($1::text[])
+         OR p.name_pt ILIKE ANY($1::text[])
+         OR p.name_fr ILIKE ANY($1::text[])
+         OR p.name_es ILIKE ANY($1::text[])
+      LIMIT $2
+    `, [patterns, this.maxNameCandidates]);
+
+    const attributes = this.attributesOf(entry);
+
+    return productsResult.rows
+      .map(product => this.scoreCandidate(entry, attributes, product))
+      .filter(candidate => candidate.score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxSuggestions);
+  }
+
+  // Unlinked entries with their open suggestions, best suggestion first
+  async getQueue({ supplierId = null, onlyWithSuggestions = false, limit = 20, offset = 0 } = {}) {
+    const where = `
+      sc.product_id IS NULL
+      AND sc.match_dismissed_at IS NULL
+      AND sc.is_active = true
+      AND ($1::uuid IS NULL OR sc.supplier_id = $1)
+      AND (NOT $2::boolean OR EXISTS (
+        SELECT 1 FROM supplier_catalog_matches m WHERE m.catalog_id = sc.id AND m.status = 'suggested'
+      ))
+    `;
+
+    const [entriesResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          sc.id, sc.supplier_id, s.company_name, sc.external_product_id, sc.external_product_name,
+          sc.supplier_price, sc.supplier_currency, sc.stock_quantity, sc.metadata, sc.match_checked_at,
+          COALESCE(suggestions.list, '[]'::json) as suggestions
+        FROM supplier_catalogs sc
+        JOIN suppliers s ON sc.supplier_id = s.id
+        LEFT JOIN LATERAL (
+          SELECT json_agg(json_build_object(
+                   'id', m.id, 'productId', m.product_id, 'variantId', m.variant_id,
+                   'score', m.score, 'reasons', m.reasons,
+                   'productSku', p.sku, 'productName', p.name_en,
+                   'variantSku', v.sku, 'size', v.size, 'color', v.color_en
+                 ) ORDER BY m.score DESC) as list,
+                 MAX(m.score) as best_score
+          FROM supplier_catalog_matches m
+          JOIN products p ON m.product_id = p.id
+          LEFT JOIN product_variants v ON m.variant_id = v.id
+          WHERE m.catalog_id = sc.id AND m.status = 'suggested'
+        ) suggestions ON true
+        WHERE ${where}
+        ORDER BY suggestions.best_score DESC NULLS LAST, sc.created_at
+        LIMIT $3 OFFSET $4
+      `, [supplierId, onlyWithSuggestions, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM supplier_catalogs sc WHERE ${where}`, [supplierId, onlyWithSuggestions])
+    ]);
+
+    return { entries: entriesResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  // Link an entry to a product (optionally a variant) and add the supplier as inventory source
+  async confirmMatch(catalogId, { productId, variantId = null, priority = 5 }, adminId) {
+    const result = await transaction(async (client) => {
+      const entry = await this.lockEntry(client, catalogId);
+
+      if (entry.product_id && entry.product_id !== productId) {
+        throw new CatalogMatchError('Catalog entry is already linked to another product', 409);
+      }
+
+      const productResult = await client.query('SELECT id FROM products WHERE id = $1', [productId]);
+      if (productResult.rows.length === 0) {
+        throw new CatalogMatchError('Product not found', 404);
+      }
+
+      if (variantId) {
+        const variantResult = await client.query(
+          'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+          [variantId, productId]
+        );
+        if (variantResult.rows.length === 0) {
+          throw new CatalogMatchError('Variant does not belong to the product');
+        }
+      }
+
+      const inventorySource = await this.link(client, entry, { productId, variantId, priority });
+
+      // Record the decision; a manual pick that was never suggested is recorded too
+      await client.query(`
+        INSERT INTO supplier_catalog_matches (catalog_id, product_id, variant_id, score, reasons, status, decided_by, decided_at)
+        VALUES ($1, $2, $3, 1, '{"manual": true}', 'confirmed', $4, NOW())
+        ON CONFLICT (catalog_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))
+        DO UPDATE SET status = 'confirmed', decided_by = EXCLUDED.decided_by, decided_at = NOW()
+      `, [catalogId, productId, variantId, adminId]);
+
+      await client.query(`
+        UPDATE supplier_catalog_matches
+        SET status = 'rejected', decided_by = $2, decided_at = NOW()
+        WHERE catalog_id = $1 AND status = 'suggested'
+      `, [catalogId, adminId]);
+
+      return { catalogId, productId, variantId, supplierId: entry.supplier_id, inventorySource };
+    });
+
+    logger.info('Supplier catalog entry linked', { ...result, inventorySource: result.inventorySource.id, adminId });
+
+    return result;
+  }
+
+  async rejectSuggestion(catalogId, matchId, adminId) {
+    const result = await query(`
+      UPDATE supplier_catalog_matches
+      SET status = 'rejected', decided_by = $3, decided_at = NOW()
+      WHERE id = $1 AND catalog_id = $2 AND status = 'suggested'
+      RETURNING id
+    `, [matchId, catalogId, adminId]);
+
+    if (result.rows.length === 0) {
+      throw new CatalogMatchError('Open suggestion not found', 404);
+    }
+  }
+
+  // No product for this entry; it leaves the queue until it is linked or promoted
+  async dismiss(catalogId, adminId) {
+    const result = await query(`
+      UPDATE supplier_catalogs
+      SET match_dismissed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND product_id IS NULL
+      RETURNING id
+    `, [catalogId]);
+
+    if (result.rows.length === 0) {
+      throw new CatalogMatchError('Unlinked catalog entry not found', 404);
+    }
+
+    await query(`
+      UPDATE supplier_catalog_matches
+      SET status = 'rejected', decided_by = $2, decided_at = NOW()
+      WHERE catalog_id = $1 AND status = 'suggested'
+    `, [catalogId, adminId]);
+  }
+
+  // Create an inactive (draft) product from the entry and link it. The retail
+  // price defaults to the target margin of the applicable pricing rule.
+  async promoteToProduct(catalogId, data, adminId) {
+    const result = await transaction(async (client) => {
+      const entry = await this.lockEntry(client, catalogId);
+
+      if (entry.product_id) {
+        throw new CatalogMatchError('Catalog entry is already linked to a product', 409);
+      }
+
+      const categoryResult = await client.query('SELECT id FROM categories WHERE id = $1', [data.categoryId]);
+      if (categoryResult.rows.length === 0) {
+        throw new CatalogMatchError('Category not found', 404);
+      }
+
+      const costPrice = await this.costInEur(entry);
+      const attributes = this.attributesOf(entry);
+
+      let basePrice = data.basePrice;
+      if (basePrice === undefined || basePrice === null) {
+        const evaluation = await PricingService.evaluate({
+          categoryId: data.categoryId,
+          supplierId: entry.supplier_id,
+          costPrice
+        }, client);
+        basePrice = evaluation.tiers.target.price;
+      }
+
+      const sku = data.sku || this.draftSku(entry);
+      const existing = await client.query('SELECT id FROM products WHERE sku = $1', [sku]);
+      if (existing.rows.length > 0) {
+        throw new CatalogMatchError(`SKU already exists: ${sku}`, 409);
+      }
+
+      await PriceHistoryService.setChangeContext(client, { source: 'admin', actorId: adminId });
+
+      const productResult = await client.query(`
+        INSERT INTO products (
+          supplier_id, category_id, sku, name_en, name_pt, name_de, name_fr, name_es,
+          description_en, base_price, cost_price, weight_grams, material, is_active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, false)
+        RETURNING *
+      `, [
+        entry.supplier_id,
+        data.categoryId,
+        sku,
+        data.name_en || (entry.external_product_name || entry.external_product_id).slice(0, 255),
+        data.name_pt || null,
+        data.name_de || null,
+        data.name_fr || null,
+        data.name_es || null,
+        data.description_en || null,
+        basePrice,
+        costPrice,
+        data.weightGrams,
+        attributes.material || null
+      ]);
+      const product = productResult.rows[0];
+
+      // Size/color of the supplier item become the product's first variant
+      let variantId = null;
+      if (attributes.size || attributes.color) {
+        const variantSku = [sku, attributes.size, attributes.color]
+          .filter(Boolean)
+          .map(part => this.normalizeSku(part))
+          .join('-')
+          .slice(0, 50);
+
+        const variantResult = await client.query(`
+          INSERT INTO product_variants (product_id, sku, size, color_en, stock_quantity, is_active)
+          VALUES ($1, $2, $3, $4, 0, true)
+          RETURNING id
+        `, [product.id, variantSku, attributes.size || null, attributes.color || null]);
+        variantId = variantResult.rows[0].id;
+      }
+
+      const inventorySource = await this.link(client, entry, { productId: product.id, variantId, priority: 5, costPrice });
+
+      await client.query(`
+        UPDATE supplier_catalog_matches
+        SET status = 'rejected', decided_by = $2, decided_at = NOW()
+        WHERE catalog_id = $1 AND status = 'suggested'
+      `, [catalogId, adminId]);
+
+      return { product, variantId, inventorySource };
+    });
+
+    logger.info('Supplier catalog entry promoted to draft product', {
+      catalogId,
+      productId: result.product.id,
+      sku: result.product.sku,
+      adminId
+    });
+
+    return result;
+  }
+
+  async lockEntry(client, catalogId) {
+    const result = await client.query('SELECT * FROM supplier_catalogs WHERE id = $1 FOR UPDATE', [catalogId]);
+    if (result.rows.length === 0) {
+      throw new CatalogMatchError('Catalog entry not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  // Inside an open transaction: set the link and create (or reactivate) the inventory source
+  async link(client, entry, { productId, variantId, priority, costPrice = null }) {
+    const cost = costPrice ?? await this.costInEur(entry);
+
+    await client.query(`
+      UPDATE supplier_catalogs
+      SET product_id = $2,
+          metadata = CASE WHEN $3::uuid IS NULL THEN metadata - 'variant_id'
+                          ELSE COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('variant_id', $3::uuid) END,
+          match_dismissed_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [entry.id, productId, variantId]);
+
+    const existing = await client.query(`
+      UPDATE inventory_sources
+      SET is_active = true, cost_price = $4, lead_time_days = $5, updated_at = NOW()
+      WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2
+        AND source_type = 'supplier' AND source_id = $3
+      RETURNING *
+    `, [productId, variantId, entry.supplier_id, cost, entry.lead_time_days]);
+
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO inventory_sources (product_id, variant_id, source_type, source_id, priority, cost_price, lead_time_days)
+      VALUES ($1, $2, 'supplier', $3, $4, $5, $6)
+      RETURNING *
+    `, [productId, variantId, entry.supplier_id, priority, cost, entry.lead_time_days]);
+
+    return inserted.rows[0];
+  }
+
+  async costInEur(entry) {
+    const price = parseFloat(entry.supplier_price);
+    const currency = entry.supplier_currency || PricingService.baseCurrency;
+
+    const conversion = await CurrencyService.convertCurrency(price, currency, PricingService.baseCurrency);
+    if (!conversion.success) {
+      throw new CatalogMatchError(`Exchange rate not available for ${currency}`, 503);
+    }
+
+    return conversion.convertedAmount;
+  }
+
+  // e.g. S1A2B3C-TSHIRT001; admins can pass their own SKU instead
+  draftSku(entry) {
+    return `S${entry.supplier_id.replace(/-/g, '').slice(0, 6).toUpperCase()}-${this.normalizeSku(entry.external_product_id)}`.slice(0, 50);
+  }
+}
+
+// Export singleton instance
+const supplierCatalogMatchService = new SupplierCatalogMatchService();
+module.exports = supplierCatalogMatchService;
+module.exports.CatalogMatchError = CatalogMatchError;
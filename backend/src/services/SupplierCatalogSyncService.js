@@ -0,0 +1,618 @@
+const path = require('path');
+const { Writable } = require('stream');
+const axios = require('axios');
+const ftp = require('basic-ftp');
+const SftpClient = require('ssh2-sftp-client');
+const { query, transaction } = require('../config/database');
+const supplierAdapters = require('../adapters/suppliers');
+const SupplierCatalogImportService = require('./SupplierCatalogImportService');
+const RepricingService = require('./RepricingService');
+const SupplierCatalogMatchService = require('./SupplierCatalogMatchService');
+const SupplierInventoryService = require('./SupplierInventoryService');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+// Raised when a sync cannot be started or its source cannot be read
+class SupplierSyncError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SupplierSyncError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Pulls supplier catalogs and stock on each supplier's sync_frequency_hours.
+// The source is set in suppliers.integration_config.sync:
+//
+//   { "method": "api" | "ftp" | "sftp" | "csv",
+//     "scope": "catalog" | "stock",            // stock only updates quantities of known entries
+//     "directory": "/outbound", "pattern": "^stock_.*\\.csv$", "port": 22,   // ftp/sftp drop folder
+//     "url": "https://supplier.example/feed.csv", "fileType": "csv" }        // csv feed
+//
+// Without a sync block, suppliers with an API are synced through their adapter.
+// FTP/SFTP use suppliers.ftp_host, ftp_username and ftp_password_encrypted;
+// files are read with the supplier's saved catalog column mapping.
+class SupplierCatalogSyncService {
+  constructor() {
+    this.checkIntervalMinutes = parseInt(process.env.SUPPLIER_SYNC_CHECK_INTERVAL_MINUTES ?? '15');
+    this.ftpTimeoutMs = parseInt(process.env.SUPPLIER_SYNC_FTP_TIMEOUT_MS ?? '30000');
+
+    this.methods = ['api', 'ftp', 'sftp', 'csv'];
+    this.scopes = ['catalog', 'stock'];
+    this.defaultPattern = '\\.(csv|xlsx)$';
+
+    // Errors kept per run; the count is always complete
+    this.maxLoggedErrors = 200;
+
+    this.running = new Set();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  syncSettings(supplier) {
+    const settings = supplier.integration_config?.sync || {};
+    const method = settings.method || (supplierAdapters.supportsApi(supplier) ? 'api' : null);
+    return { ...settings, method, scope: settings.scope || 'catalog' };
+  }
+
+  // Suppliers whose last sync is older than their sync_frequency_hours
+  async getDueSuppliers() {
+    const result = await query(`
+      SELECT id
+      FROM suppliers
+      WHERE is_active = true
+        AND sync_frequency_hours > 0
+        AND (integration_config ? 'sync' OR api_endpoint IS NOT NULL)
+        AND (last_sync_at IS NULL OR last_sync_at <= NOW() - make_interval(hours => sync_frequency_hours))
+      ORDER BY last_sync_at NULLS FIRST
+    `);
+
+    return result.rows.map(row => row.id);
+  }
+
+  async runDueSyncs() {
+    const supplierIds = await this.getDueSuppliers();
+    const summary = { due: supplierIds.length, completed: 0, skipped: 0, failed: 0 };
+
+    for (const supplierId of supplierIds) {
+      try {
+        const run = await this.syncSupplier(supplierId, { trigger: 'scheduled' });
+        summary[run.status === 'completed' ? 'completed' : run.status === 'skipped' ? 'skipped' : 'failed']++;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Scheduled supplier sync could not start', { supplierId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // Run one sync and log it. Source failures end in a failed run, not an exception.
+  async syncSupplier(supplierId, { trigger = 'manual', triggeredBy = null } = {}) {
+    const supplierResult = await query(`
+      SELECT id, company_name, api_endpoint, api_key_encrypted, integration_config, integration_methods,
+             ftp_host, ftp_username, ftp_password_encrypted
+      FROM suppliers
+      WHERE id = $1
+    `, [supplierId]);
+
+    if (supplierResult.rows.length === 0) {
+      throw new SupplierSyncError('Supplier not found', 404);
+    }
+
+    const supplier = supplierResult.rows[0];
+    const settings = this.syncSettings(supplier);
+
+    if (!this.methods.includes(settings.method)) {
+      throw new SupplierSyncError('No sync source configured for this supplier');
+    }
+    if (!this.scopes.includes(settings.scope)) {
+      throw new SupplierSyncError(`Unknown sync scope: ${settings.scope}`);
+    }
+    if (this.running.has(supplierId)) {
+      throw new SupplierSyncError('A sync of this supplier is already running', 409);
+    }
+
+    this.running.add(supplierId);
+
+    let run;
+    try {
+      const runResult = await query(`
+        INSERT INTO supplier_sync_runs (supplier_id, source, scope, trigger_type, triggered_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [supplierId, settings.method, settings.scope, trigger, triggeredBy]);
+      run = runResult.rows[0];
+    } catch (error) {
+      this.running.delete(supplierId);
+      throw error;
+    }
+
+    let outcome;
+    try {
+      const feed = await this.fetchFeed(supplier, settings);
+
+      if (feed.unchanged) {
+        outcome = { status: 'skipped', fileName: feed.fileName, fileModifiedAt: feed.modifiedAt, errorMessage: 'File unchanged since the last sync' };
+      } else {
+        const stats = await this.applyFeed(supplier, settings, feed);
+        outcome = { status: 'completed', fileName: feed.fileName, fileModifiedAt: feed.modifiedAt, ...stats };
+      }
+    } catch (error) {
+      logger.error('Supplier sync failed', { supplierId, runId: run.id, source: settings.method, error: error.message });
+      outcome = { status: 'failed', errorMessage: error.message };
+    } finally {
+      this.running.delete(supplierId);
+    }
+
+    // Failed runs count as a sync too, so a broken source is retried on schedule rather than every check
+    await query('UPDATE suppliers SET last_sync_at = NOW() WHERE id = $1', [supplierId]);
+
+    const finished = await this.finishRun(run.id, outcome);
+
+    logger.info('Supplier sync finished', {
+      supplierId,
+      runId: run.id,
+      source: settings.method,
+      scope: settings.scope,
+      status: finished.status,
+      added: finished.rows_added,
+      updated: finished.rows_updated,
+      deactivated: finished.rows_deactivated,
+      errors: finished.rows_errors
+    });
+
+    // New supplier prices flow into product prices like any other cost change
+    if (outcome.pricesChanged > 0) {
+      RepricingService.run({ type: 'supplier_cost', supplierId }).catch(error => {
+        logger.error('Repricing after supplier sync failed', { supplierId, error: error.message });
+      });
+    }
+
+    // New entries go straight into the matching queue with suggestions
+    if (finished.rows_added > 0) {
+      SupplierCatalogMatchService.generateSuggestions({ supplierId }).catch(error => {
+        logger.error('Match suggestions after supplier sync failed', { supplierId, error: error.message });
+      });
+    }
+
+    return finished;
+  }
+
+  async finishRun(runId, outcome) {
+    const errors = outcome.errors || [];
+
+    const result = await query(`
+      UPDATE supplier_sync_runs
+      SET status = $2, file_name = $3, file_modified_at = $4,
+          rows_total = $5, rows_added = $6, rows_updated = $7, rows_deactivated = $8,
+          rows_errors = $9, errors = $10, error_message = $11, finished_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      runId,
+      outcome.status,
+      outcome.fileName || null,
+      outcome.fileModifiedAt || null,
+      outcome.total || 0,
+      outcome.added || 0,
+      outcome.updated || 0,
+      outcome.deactivated || 0,
+      errors.length,
+      errors.length > 0 ? JSON.stringify(errors.slice(0, this.maxLoggedErrors)) : null,
+      outcome.errorMessage || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  // Raw rows of the source plus the mapping that turns them into catalog values
+  async fetchFeed(supplier, settings) {
+    if (settings.method === 'api') {
+      const adapter = supplierAdapters.create(supplier);
+      const entries = settings.scope === 'stock' ? await adapter.fetchStock() : await adapter.fetchCatalog();
+
+      // Adapter entries already use catalog field names; validate them like file cells
+      const rows = entries.map(entry => Object.fromEntries(
+        Object.entries(entry).map(([field, value]) => [field, value === null || value === undefined ? '' : String(value)])
+      ));
+      const fields = SupplierCatalogImportService.fieldNames.filter(field =>
+        (settings.scope === 'catalog' && SupplierCatalogImportService.fields[field].required) ||
+        rows.some(row => row[field] !== undefined && row[field] !== '')
+      );
+
+      return {
+        rows,
+        mapping: {
+          columns: Object.fromEntries(fields.map(field => [field, field])),
+          defaultCurrency: 'EUR'
+        }
+      };
+    }
+
+    const mapping = await SupplierCatalogImportService.getMapping(supplier.id);
+    if (!mapping) {
+      throw new SupplierSyncError('No catalog column mapping saved for this supplier');
+    }
+
+    const file = settings.method === 'csv'
+      ? await this.downloadFeed(settings)
+      : await this.downloadLatestFile(supplier, settings);
+
+    if (file.modifiedAt && await this.alreadySynced(supplier.id, file)) {
+      return { unchanged: true, fileName: file.name, modifiedAt: file.modifiedAt };
+    }
+
+    const fileType = settings.fileType || SupplierCatalogImportService.fileTypeOf(file.name);
+    if (!SupplierCatalogImportService.fileTypes.includes(fileType)) {
+      throw new SupplierSyncError(`Unsupported feed file: ${file.name}`);
+    }
+
+    const { headers, rows } = await SupplierCatalogImportService.readFile(file.buffer, fileType);
+    const missingColumns = Object.values(mapping.columns).filter(column => !headers.includes(column));
+
+    // A stock feed only needs the SKU and quantity columns
+    const needed = settings.scope === 'stock'
+      ? [mapping.columns.external_product_id, mapping.columns.stock_quantity]
+      : Object.values(mapping.columns);
+    const missingNeeded = missingColumns.filter(column => needed.includes(column));
+    if (missingNeeded.length > 0) {
+      throw new SupplierSyncError(`Mapped columns are missing from ${file.name}: ${missingNeeded.join(', ')}`);
+    }
+
+    return {
+      rows,
+      mapping: {
+        ...mapping,
+        columns: Object.fromEntries(Object.entries(mapping.columns).filter(([, column]) => headers.includes(column)))
+      },
+      fileName: file.name,
+      modifiedAt: file.modifiedAt
+    };
+  }
+
+  async alreadySynced(supplierId, file) {
+    const result = await query(`
+      SELECT 1 FROM supplier_sync_runs
+      WHERE supplier_id = $1 AND status = 'completed' AND file_name = $2 AND file_modified_at = $3
+      LIMIT 1
+    `, [supplierId, file.name, file.modifiedAt]);
+
+    return result.rows.length > 0;
+  }
+
+  async downloadFeed(settings) {
+    if (!settings.url) {
+      throw new SupplierSyncError('CSV sync needs integration_config.sync.url');
+    }
+
+    const response = await axios.get(settings.url, {
+      responseType: 'arraybuffer',
+      timeout: this.ftpTimeoutMs,
+      maxContentLength: 50 * 1024 * 1024
+    });
+
+    return {
+      name: path.basename(new URL(settings.url).pathname) || 'feed.csv',
+      modifiedAt: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : null,
+      buffer: Buffer.from(response.data)
+    };
+  }
+
+  // Newest file in the supplier's drop folder matching the pattern
+  async downloadLatestFile(supplier, settings) {
+    if (!supplier.ftp_host || !supplier.ftp_username) {
+      throw new SupplierSyncError('FTP host and username are not configured');
+    }
+
+    let password = '';
+    if (supplier.ftp_password_encrypted) {
+      const decrypted = encryptionService.decrypt(supplier.ftp_password_encrypted);
+      if (!decrypted.success) {
+        throw new SupplierSyncError('FTP password cannot be decrypted');
+      }
+      password = decrypted.data;
+    }
+
+    const directory = settings.directory || '/';
+    const pattern = new RegExp(settings.pattern || this.defaultPattern, 'i');
+    const connection = { host: supplier.ftp_host, port: settings.port, user: supplier.ftp_username, password };
+
+    return settings.method === 'sftp'
+      ? this.downloadLatestSftp(connection, directory, pattern)
+      : this.downloadLatestFtp(connection, directory, pattern, settings.secure);
+  }
+
+  async downloadLatestFtp(connection, directory, pattern, secure = false) {
+    const client = new ftp.Client(this.ftpTimeoutMs);
+
+    try {
+      await client.access({
+        host: connection.host,
+        port: connection.port || 21,
+        user: connection.user,
+        password: connection.password,
+        secure: Boolean(secure)
+      });
+
+      const files = (await client.list(directory))
+        .filter(file => file.isFile && pattern.test(file.name))
+        .sort((a, b) => (b.modifiedAt?.getTime() || 0) - (a.modifiedAt?.getTime() || 0));
+
+      if (files.length === 0) {
+        throw new SupplierSyncError(`No file matching ${pattern} in ${directory}`);
+      }
+
+      const chunks = [];
+      await client.downloadTo(new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        }
+      }), path.posix.join(directory, files[0].name));
+
+      return { name: files[0].name, modifiedAt: files[0].modifiedAt || null, buffer: Buffer.concat(chunks) };
+    } finally {
+      client.close();
+    }
+  }
+
+  async downloadLatestSftp(connection, directory, pattern) {
+    const client = new SftpClient();
+
+    try {
+      await client.connect({
+        host: connection.host,
+        port: connection.port || 22,
+        username: connection.user,
+        password: connection.password,
+        readyTimeout: this.ftpTimeoutMs
+      });
+
+      const files = (await client.list(directory))
+        .filter(file => file.type === '-' && pattern.test(file.name))
+        .sort((a, b) => b.modifyTime - a.modifyTime);
+
+      if (files.length === 0) {
+        throw new SupplierSyncError(`No file matching ${pattern} in ${directory}`);
+      }
+
+      const buffer = await client.get(path.posix.join(directory, files[0].name));
+
+      return { name: files[0].name, modifiedAt: new Date(files[0].modifyTime), buffer };
+    } finally {
+      await client.end().catch(() => {});
+    }
+  }
+
+  // Validate the rows, upsert them and set entries missing from the feed out of stock
+  async applyFeed(supplier, settings, feed) {
+    const errors = [];
+    const valid = [];
+    const seen = new Map();
+
+    feed.rows.forEach((raw, index) => {
+      const line = feed.fileName ? index + 2 : index + 1; // Files have a header line
+      const { values, extra, errors: rowErrors } = SupplierCatalogImportService.validateRow(raw, feed.mapping);
+      const externalProductId = values.external_product_id || null;
+
+      if (!externalProductId && rowErrors.length === 0) {
+        rowErrors.push({ field: 'external_product_id', message: 'Value is required' });
+      }
+      if (externalProductId && seen.has(externalProductId)) {
+        rowErrors.push({ field: 'external_product_id', message: `Duplicate of line ${seen.get(externalProductId)}` });
+      } else if (externalProductId) {
+        seen.set(externalProductId, line);
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ line, externalProductId, errors: rowErrors });
+      } else {
+        valid.push({ line, values, extra });
+      }
+    });
+
+    // An empty or entirely broken feed is more likely a supplier-side problem than an empty catalog
+    if (valid.length === 0) {
+      throw new SupplierSyncError(`Feed has no valid rows (${feed.rows.length} rows, ${errors.length} invalid)`);
+    }
+
+    const stats = { total: feed.rows.length, added: 0, updated: 0, deactivated: 0, pricesChanged: 0, errors };
+    const syncMethod = settings.method === 'api' ? 'api' : 'csv';
+
+    await transaction(async (client) => {
+      if (settings.scope === 'stock') {
+        for (const row of valid) {
+          if (row.values.stock_quantity === undefined) {
+            errors.push({ line: row.line, externalProductId: row.values.external_product_id, errors: [{ field: 'stock_quantity', message: 'Value is required' }] });
+            continue;
+          }
+
+          const updated = await client.query(`
+            UPDATE supplier_catalogs
+            SET stock_quantity = $3,
+                stock_status = CASE WHEN $3 > 0 THEN 'in_stock' ELSE 'out_of_stock' END,
+                sync_method = $4, last_sync_at = NOW(), updated_at = NOW()
+            WHERE supplier_id = $1 AND external_product_id = $2
+            RETURNING id
+          `, [supplier.id, row.values.external_product_id, row.values.stock_quantity, syncMethod]);
+
+          if (updated.rows.length === 0) {
+            errors.push({ line: row.line, externalProductId: row.values.external_product_id, errors: [{ message: 'Unknown product; sync the catalog first' }] });
+          } else {
+            stats.updated++;
+          }
+        }
+      } else {
+        const previous = await client.query(
+          'SELECT external_product_id, supplier_price, supplier_currency FROM supplier_catalogs WHERE supplier_id = $1',
+          [supplier.id]
+        );
+        const previousPrices = new Map(previous.rows.map(row => [row.external_product_id, row]));
+        const upsert = SupplierCatalogImportService.buildUpsert(Object.keys(feed.mapping.columns), { syncMethod });
+
+        for (const row of valid) {
+          const result = await client.query(upsert.sql, upsert.params(supplier.id, row));
+
+          if (result.rows[0].inserted) {
+            stats.added++;
+          } else {
+            stats.updated++;
+            const before = previousPrices.get(row.values.external_product_id);
+            if (before && (parseFloat(before.supplier_price) !== row.values.supplier_price ||
+                (row.values.supplier_currency && before.supplier_currency !== row.values.supplier_currency))) {
+              stats.pricesChanged++;
+            }
+          }
+        }
+      }
+
+      const missing = await client.query(`
+        UPDATE supplier_catalogs
+        SET stock_quantity = 0, stock_status = 'out_of_stock', last_sync_at = NOW(), updated_at = NOW()
+        WHERE supplier_id = $1
+          AND is_active = true
+          AND NOT (external_product_id = ANY($2::text[]))
+          AND (stock_status IS DISTINCT FROM 'out_of_stock' OR stock_quantity <> 0)
+        RETURNING id
+      `, [supplier.id, [...seen.keys()]]);
+      stats.deactivated = missing.rows.length;
+
+      // Products the feed left without stock go off sale, restocked ones come back
+      await SupplierInventoryService.refreshSupplierAvailability(client, supplier.id);
+    });
+
+    return stats;
+  }
+
+  async getRuns({ supplierId = null, status = null, limit = 20, offset = 0 } = {}) {
+    const [runsResult, countResult] = await Promise.all([
+      query(`
+        SELECT r.id, r.supplier_id, s.company_name, r.source, r.scope, r.trigger_type, r.status,
+               r.file_name, r.rows_total, r.rows_added, r.rows_updated, r.rows_deactivated, r.rows_errors,
+               r.error_message, r.started_at, r.finished_at
+        FROM supplier_sync_runs r
+        JOIN suppliers s ON r.supplier_id = s.id
+        WHERE ($1::uuid IS NULL OR r.supplier_id = $1)
+          AND ($2::text IS NULL OR r.status = $2)
+        ORDER BY r.started_at DESC
+        LIMIT $3 OFFSET $4
+      `, [supplierId, status, limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM supplier_sync_runs
+        WHERE ($1::uuid IS NULL OR supplier_id = $1)
+          AND ($2::text IS NULL OR status = $2)
+      `, [supplierId, status])
+    ]);
+
+    return { runs: runsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  async getRun(runId) {
+    const result = await query(`
+      SELECT r.*, s.company_name
+      FROM supplier_sync_runs r
+      JOIN suppliers s ON r.supplier_id = s.id
+      WHERE r.id = $1
+    `, [runId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Save frequency and source; the FTP password only ever lands encrypted.
+  // Fields left undefined keep their stored value.
+  async saveSettings(supplierId, { syncFrequencyHours, sync, ftpHost, ftpUsername, ftpPassword }) {
+    if (sync) {
+      if (!this.methods.includes(sync.method)) {
+        throw new SupplierSyncError(`Unknown sync method: ${sync.method}`);
+      }
+      if (sync.scope && !this.scopes.includes(sync.scope)) {
+        throw new SupplierSyncError(`Unknown sync scope: ${sync.scope}`);
+      }
+      if (sync.pattern) {
+        try {
+          new RegExp(sync.pattern);
+        } catch (error) {
+          throw new SupplierSyncError(`Invalid file pattern: ${error.message}`);
+        }
+      }
+    }
+
+    let ftpPasswordEncrypted = null;
+    if (ftpPassword) {
+      const encrypted = encryptionService.encrypt(ftpPassword);
+      if (!encrypted.success) {
+        throw new Error('Failed to encrypt FTP password');
+      }
+      ftpPasswordEncrypted = encrypted.data;
+    }
+
+    const result = await query(`
+      UPDATE suppliers
+      SET sync_frequency_hours = COALESCE($2, sync_frequency_hours),
+          integration_config = CASE
+            WHEN $3::jsonb IS NULL THEN integration_config
+            ELSE jsonb_set(COALESCE(integration_config, '{}'::jsonb), '{sync}', $3::jsonb)
+          END,
+          ftp_host = COALESCE($4, ftp_host),
+          ftp_username = COALESCE($5, ftp_username),
+          ftp_password_encrypted = COALESCE($6, ftp_password_encrypted),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, sync_frequency_hours, last_sync_at, integration_config->'sync' as sync, ftp_host, ftp_username
+    `, [
+      supplierId,
+      syncFrequencyHours ?? null,
+      sync ? JSON.stringify(sync) : null,
+      ftpHost || null,
+      ftpUsername || null,
+      ftpPasswordEncrypted
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new SupplierSyncError('Supplier not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  startScheduler() {
+    if (this.timer) {
+      return;
+    }
+
+    const checkInterval = this.checkIntervalMinutes * 60 * 1000;
+
+    this.timer = setInterval(async () => {
+      // Feeds can take longer than the interval; never run two checks at once
+      if (this.checking) {
+        return;
+      }
+
+      this.checking = true;
+      try {
+        const result = await this.runDueSyncs();
+        if (result.due > 0) {
+          logger.info('Supplier sync check completed', result);
+        }
+      } catch (error) {
+        logger.error('Supplier sync check failed:', error);
+      } finally {
+        this.checking = false;
+      }
+    }, checkInterval);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const supplierCatalogSyncService = new SupplierCatalogSyncService();
+module.exports = supplierCatalogSyncService;
+module.exports.SupplierSyncError = SupplierSyncError;
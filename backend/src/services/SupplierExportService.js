@@ -0,0 +1,361 @@
+const ExcelJS = require('exceljs');
+const { query, transaction } = require('../config/database');
+const SupplierCatalogImportService = require('./SupplierCatalogImportService');
+const { CatalogImportError } = require('./SupplierCatalogImportService');
+const SupplierOrderService = require('./SupplierOrderService');
+const { toCsv, neutralizeFormula } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Raised for exports or order sheets that cannot be processed at all
+class SupplierExportError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'SupplierExportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SupplierExportService {
+  constructor() {
+    this.formats = {
+      csv: 'text/csv; charset=utf-8',
+      xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+
+    this.catalogColumns = [
+      'external_product_id', 'external_product_name', 'supplier_price', 'supplier_currency',
+      'stock_quantity', 'stock_status', 'lead_time_days', 'minimum_order_quantity', 'is_active',
+      'product_sku', 'product_name', 'retail_price_eur', 'last_sync_at'
+    ];
+
+    // One line per supplier order item; the last three columns are filled in by the supplier
+    this.orderColumns = [
+      'supplier_order_id', 'order_number', 'ordered_at', 'status',
+      'supplier_sku', 'product_sku', 'product_name', 'size', 'color', 'quantity', 'unit_cost_eur',
+      'recipient_name', 'address_line1', 'address_line2', 'postal_code', 'city', 'state', 'country', 'phone',
+      'tracking_number', 'shipping_carrier', 'shipped_at'
+    ];
+
+    this.closedStatuses = ['rejected', 'cancelled', 'failed'];
+  }
+
+  contentType(format) {
+    return this.formats[format];
+  }
+
+  fileName(prefix, format) {
+    return `${prefix}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  }
+
+  async assertSupplier(supplierId) {
+    const result = await query('SELECT id, company_name FROM suppliers WHERE id = $1', [supplierId]);
+    if (result.rows.length === 0) {
+      throw new SupplierExportError('Supplier not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  // Catalog entries with the product they are linked to and its current retail price
+  async exportCatalog(supplierId, format = 'csv') {
+    await this.assertSupplier(supplierId);
+
+    const result = await query(`
+      SELECT
+        sc.external_product_id, sc.external_product_name, sc.supplier_price, sc.supplier_currency,
+        sc.stock_quantity, sc.stock_status, sc.lead_time_days, sc.minimum_order_quantity, sc.is_active,
+        p.sku as product_sku, p.name_en as product_name, p.base_price as retail_price_eur,
+        sc.last_sync_at
+      FROM supplier_catalogs sc
+      LEFT JOIN products p ON sc.product_id = p.id
+      WHERE sc.supplier_id = $1
+      ORDER BY sc.external_product_id
+    `, [supplierId]);
+
+    return {
+      fileName: this.fileName('catalog', format),
+      contentType: this.contentType(format),
+      body: await this.write(format, 'Catalog', this.catalogColumns, result.rows)
+    };
+  }
+
+  // Open supplier orders, one line per item, with the shipping address and
+  // empty tracking columns for the supplier to fill in and send back
+  async exportOrders(supplierId, format = 'csv') {
+    await this.assertSupplier(supplierId);
+
+    const rows = await this.getOrderRows(supplierId);
+
+    return {
+      fileName: this.fileName('orders', format),
+      contentType: this.contentType(format),
+      body: await this.write(format, 'Orders', this.orderColumns, rows)
+    };
+  }
+
+  // Order sheet lines of a supplier's open orders (or of the given ones)
+  async getOrderRows(supplierId, { supplierOrderIds = null } = {}) {
+    const result = await query(`
+      SELECT
+        so.id as supplier_order_id, o.order_number, so.created_at as ordered_at, so.status,
+        sc.external_product_id as supplier_sku,
+        COALESCE(pv.sku, p.sku) as product_sku, p.name_en as product_name,
+        pv.size, pv.color_en as color, soi.quantity, soi.unit_cost as unit_cost_eur,
+        o.shipping_address,
+        so.tracking_number, so.shipping_carrier, so.shipped_at
+      FROM supplier_orders so
+      JOIN orders o ON so.order_id = o.id
+      JOIN supplier_order_items soi ON soi.supplier_order_id = so.id
+      JOIN products p ON soi.product_id = p.id
+      LEFT JOIN product_variants pv ON soi.variant_id = pv.id
+      LEFT JOIN LATERAL (
+        SELECT c.external_product_id
+        FROM supplier_catalogs c
+        WHERE c.supplier_id = so.supplier_id AND c.product_id = soi.product_id
+        ORDER BY (c.metadata->>'variant_id' = soi.variant_id::text) DESC NULLS LAST, c.updated_at DESC
+        LIMIT 1
+      ) sc ON true
+      WHERE so.supplier_id = $1
+        AND so.status = ANY($2::text[])
+        AND ($3::uuid[] IS NULL OR so.id = ANY($3::uuid[]))
+      ORDER BY so.created_at, so.id, soi.created_at
+    `, [supplierId, SupplierOrderService.openStatuses, supplierOrderIds]);
+
+    return result.rows.map(({ shipping_address: address, ...row }) => {
+      const shippingAddress = address || {};
+      return {
+        ...row,
+        recipient_name: [shippingAddress.firstName, shippingAddress.lastName].filter(Boolean).join(' '),
+        address_line1: shippingAddress.addressLine1 || '',
+        address_line2: shippingAddress.addressLine2 || '',
+        postal_code: shippingAddress.postalCode || '',
+        city: shippingAddress.city || '',
+        state: shippingAddress.state || '',
+        country: shippingAddress.country || '',
+        phone: shippingAddress.phone || ''
+      };
+    });
+  }
+
+  async write(format, sheetName, columns, rows) {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = columns.map(column => ({
+        header: column,
+        key: column,
+        width: Math.max(column.length + 2, 14)
+      }));
+      sheet.getRow(1).font = { bold: true };
+      // Customer-entered address fields must not become formulas when edited
+      rows.forEach(row => sheet.addRow(Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [key, neutralizeFormula(value)])
+      )));
+      return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    // BOM so Excel opens the UTF-8 file with umlauts intact
+    return Buffer.from(`\uFEFF${toCsv(columns, rows, { escapeFormulas: true })}`, 'utf8');
+  }
+
+  // Re-import a filled-in order sheet. Every supplier order with a tracking
+  // number and carrier is marked shipped (shipped_at defaults to now) and the
+  // customer orders move on: to shipped once all their shipments left,
+  // otherwise to processing. With dryRun nothing is written.
+  async importOrderSheet(supplierId, file, { dryRun = true, importedBy }) {
+    await this.assertSupplier(supplierId);
+
+    const fileType = SupplierCatalogImportService.fileTypeOf(file.originalname);
+    if (!fileType) {
+      throw new SupplierExportError('Only CSV and XLSX files can be imported');
+    }
+
+    let headers;
+    let rows;
+    try {
+      ({ headers, rows } = await SupplierCatalogImportService.readFile(file.buffer, fileType));
+    } catch (error) {
+      if (error instanceof CatalogImportError) {
+        throw new SupplierExportError(error.message, error.statusCode, error.details);
+      }
+      throw error;
+    }
+
+    const missingColumns = ['supplier_order_id', 'tracking_number', 'shipping_carrier']
+      .filter(column => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      throw new SupplierExportError('Order sheet columns are missing', 400, { missingColumns, headers });
+    }
+
+    const report = rows.map((raw, index) => this.validateOrderRow(raw, index + 2)); // Header is line 1
+
+    // Lines of one supplier order must agree on the shipment
+    const byOrder = new Map();
+    for (const row of report.filter(line => line.action === null)) {
+      if (!byOrder.has(row.supplierOrderId)) {
+        byOrder.set(row.supplierOrderId, []);
+      }
+      byOrder.get(row.supplierOrderId).push(row);
+    }
+
+    const shipments = [];
+    for (const [supplierOrderId, lines] of byOrder) {
+      const [first] = lines;
+      const conflict = lines.some(line =>
+        line.values.trackingNumber !== first.values.trackingNumber ||
+        line.values.carrier !== first.values.carrier ||
+        line.values.shippedAt?.getTime() !== first.values.shippedAt?.getTime()
+      );
+
+      if (conflict) {
+        lines.forEach(line => this.invalidate(line, `Lines of supplier order ${supplierOrderId} have different tracking details`));
+      } else {
+        shipments.push({ supplierOrderId, lines, ...first.values });
+      }
+    }
+
+    const existing = await query(`
+      SELECT id, order_id, status, tracking_number, shipping_carrier
+      FROM supplier_orders
+      WHERE supplier_id = $1 AND id = ANY($2::uuid[])
+    `, [supplierId, shipments.map(shipment => shipment.supplierOrderId)]);
+    const supplierOrders = new Map(existing.rows.map(row => [row.id, row]));
+
+    const toShip = [];
+    const toRetrack = [];
+
+    for (const shipment of shipments) {
+      const supplierOrder = supplierOrders.get(shipment.supplierOrderId);
+      let action;
+
+      if (!supplierOrder) {
+        shipment.lines.forEach(line => this.invalidate(line, 'Unknown supplier order'));
+        continue;
+      }
+
+      if (this.closedStatuses.includes(supplierOrder.status)) {
+        shipment.lines.forEach(line => this.invalidate(line, `Supplier order is ${supplierOrder.status}`));
+        continue;
+      }
+
+      if (SupplierOrderService.openStatuses.includes(supplierOrder.status)) {
+        action = 'shipped';
+        toShip.push({ ...shipment, orderId: supplierOrder.order_id });
+      } else if (
+        supplierOrder.tracking_number !== shipment.trackingNumber ||
+        supplierOrder.shipping_carrier !== shipment.carrier
+      ) {
+        // Already shipped: only correct the tracking details
+        action = 'tracking_updated';
+        toRetrack.push(shipment);
+      } else {
+        action = 'unchanged';
+      }
+
+      shipment.lines.forEach((line) => {
+        line.action = action;
+        line.orderId = supplierOrder.order_id;
+      });
+    }
+
+    if (!dryRun && (toShip.length > 0 || toRetrack.length > 0)) {
+      await transaction(async (client) => {
+        for (const shipment of toShip) {
+          await SupplierOrderService.markShipped(client, shipment.supplierOrderId, shipment);
+        }
+
+        for (const shipment of toRetrack) {
+          await client.query(`
+            UPDATE supplier_orders
+            SET tracking_number = $2, shipping_carrier = $3, updated_at = NOW()
+            WHERE id = $1
+          `, [shipment.supplierOrderId, shipment.trackingNumber, shipment.carrier]);
+        }
+      });
+
+      await SupplierOrderService.advanceOrders([...new Set(toShip.map(shipment => shipment.orderId))], importedBy);
+    }
+
+    const summary = {
+      total: report.length,
+      shipped: new Set(report.filter(row => row.action === 'shipped').map(row => row.supplierOrderId)).size,
+      trackingUpdated: new Set(report.filter(row => row.action === 'tracking_updated').map(row => row.supplierOrderId)).size,
+      skipped: report.filter(row => row.action === 'skipped').length,
+      invalid: report.filter(row => row.action === 'invalid').length
+    };
+
+    logger.info('Supplier order sheet imported', {
+      supplierId,
+      fileName: file.originalname,
+      dryRun,
+      ...summary
+    });
+
+    return {
+      dryRun,
+      summary,
+      rows: report.map(({ values, ...row }) => row)
+    };
+  }
+
+  validateOrderRow(raw, line) {
+    const supplierOrderId = raw.supplier_order_id || null;
+    const row = { line, supplierOrderId, action: null, errors: [], values: {} };
+
+    const trackingNumber = raw.tracking_number || '';
+    const carrier = raw.shipping_carrier || '';
+    const shippedAtText = raw.shipped_at || '';
+
+    // Nothing filled in yet: the order is still being prepared
+    if (!trackingNumber && !carrier && !shippedAtText) {
+      row.action = 'skipped';
+      return row;
+    }
+
+    if (!supplierOrderId || !UUID_PATTERN.test(supplierOrderId)) {
+      row.errors.push({ column: 'supplier_order_id', message: 'Not a valid supplier order id' });
+    }
+
+    if (!trackingNumber) {
+      row.errors.push({ column: 'tracking_number', message: 'Value is required' });
+    } else if (trackingNumber.length > 200) {
+      row.errors.push({ column: 'tracking_number', message: 'Longer than 200 characters' });
+    }
+
+    if (!carrier) {
+      row.errors.push({ column: 'shipping_carrier', message: 'Value is required' });
+    } else if (carrier.length > 50) {
+      row.errors.push({ column: 'shipping_carrier', message: 'Longer than 50 characters' });
+    }
+
+    let shippedAt = null;
+    if (shippedAtText) {
+      shippedAt = new Date(shippedAtText);
+      if (Number.isNaN(shippedAt.getTime())) {
+        row.errors.push({ column: 'shipped_at', message: `Not a valid date: ${shippedAtText}` });
+      } else if (shippedAt > new Date()) {
+        row.errors.push({ column: 'shipped_at', message: 'Date is in the future' });
+      }
+    }
+
+    if (row.errors.length > 0) {
+      row.action = 'invalid';
+    } else {
+      row.values = { trackingNumber, carrier, shippedAt };
+    }
+
+    return row;
+  }
+
+  invalidate(row, message) {
+    row.action = 'invalid';
+    row.errors.push({ column: 'supplier_order_id', message });
+  }
+}
+
+// Export singleton instance
+const supplierExportService = new SupplierExportService();
+module.exports = supplierExportService;
+module.exports.SupplierExportError = SupplierExportError;
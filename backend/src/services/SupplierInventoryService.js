@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Raised for inventory updates that cannot be applied
+class SupplierInventoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SupplierInventoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Stock suppliers keep in supplier_catalogs, updated through the portal.
+// Every change is written to supplier_inventory_movements. A product or
+// variant whose sources are all out of stock is taken off sale
+// (off_sale_reason = 'out_of_stock') and put back on sale on restock.
+class SupplierInventoryService {
+  constructor() {
+    this.maxBulkRows = parseInt(process.env.SUPPLIER_INVENTORY_MAX_BULK_ROWS ?? '1000');
+    this.lowStockThreshold = parseInt(process.env.SUPPLIER_INVENTORY_LOW_STOCK_THRESHOLD ?? '5');
+    this.offSaleReason = 'out_of_stock';
+  }
+
+  stockStatusOf(quantity) {
+    return quantity > 0 ? 'in_stock' : 'out_of_stock';
+  }
+
+  async list(supplierId, { search = null, status = null, linked = null, limit = 20, offset = 0 } = {}) {
+    const conditions = ['c.supplier_id = $1', 'c.is_active = true'];
+    const params = [supplierId];
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(c.external_product_id ILIKE $${params.length} OR c.external_product_name ILIKE $${params.length})`);
+    }
+    if (status === 'low_stock') {
+      params.push(this.lowStockThreshold);
+      conditions.push(`c.stock_quantity > 0 AND c.stock_quantity <= $${params.length}`);
+    } else if (status) {
+      params.push(status);
+      conditions.push(`c.stock_status = $${params.length}`);
+    }
+    if (linked !== null) {
+      conditions.push(linked ? 'c.product_id IS NOT NULL' : 'c.product_id IS NULL');
+    }
+
+    const where = conditions.join(' AND ');
+
+    const [itemsResult, countResult] = await Promise.all([
+      query(`
+        SELECT c.id, c.external_product_id as sku, c.external_product_name as name,
+               c.stock_quantity, c.stock_status, c.lead_time_days, c.last_sync_at, c.updated_at,
+               c.product_id, p.name_en as product_name,
+               COALESCE(v.is_active, p.is_active) as on_sale,
+               COALESCE(v.off_sale_reason, p.off_sale_reason) as off_sale_reason,
+               last_movement.created_at as last_movement_at
+        FROM supplier_catalogs c
+        LEFT JOIN products p ON c.product_id = p.id
+        LEFT JOIN product_variants v ON v.id = (c.metadata->>'variant_id')::uuid
+        LEFT JOIN LATERAL (
+          SELECT m.created_at
+          FROM supplier_inventory_movements m
+          WHERE m.catalog_id = c.id
+          ORDER BY m.created_at DESC
+          LIMIT 1
+        ) last_movement ON true
+        WHERE ${where}
+        ORDER BY c.external_product_id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM supplier_catalogs c WHERE ${where}`, params)
+    ]);
+
+    return { items: itemsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  async updateQuantity(supplierId, catalogId, quantity, notes = null) {
+    const result = await transaction(async (client) => {
+      const entryResult = await client.query(
+        'SELECT * FROM supplier_catalogs WHERE id = $1 AND supplier_id = $2 FOR UPDATE',
+        [catalogId, supplierId]
+      );
+
+      if (entryResult.rows.length === 0) {
+        throw new SupplierInventoryError('Inventory item not found', 404);
+      }
+
+      const entry = entryResult.rows[0];
+      const movement = await this.apply(client, entry, quantity, { source: 'portal', notes });
+      const offSale = await this.refreshAvailability(client, [entry]);
+      await this.markTookOffSale(client, [{ entry, movement }], offSale);
+
+      return { entry, movement, offSale };
+    });
+
+    return this.resultOf(result.entry, quantity, result.movement, result.offSale);
+  }
+
+  // Rows are { id } or { sku } (external_product_id) with quantity and optional notes.
+  // Rows that fail are reported and skipped; the others are applied together.
+  async bulkUpdate(supplierId, updates) {
+    if (updates.length > this.maxBulkRows) {
+      throw new SupplierInventoryError(`At most ${this.maxBulkRows} rows per bulk update`);
+    }
+
+    const batchId = crypto.randomUUID();
+    const results = updates.map((update, index) => ({
+      index,
+      id: update?.id || null,
+      sku: update?.sku !== undefined && update?.sku !== null ? String(update.sku) : null,
+      success: false
+    }));
+
+    const valid = [];
+    const seen = new Map();
+    updates.forEach((update, index) => {
+      const row = results[index];
+      const quantity = Number(update?.quantity);
+
+      if (!row.id && !row.sku) {
+        row.error = 'id or sku is required';
+      } else if (!Number.isInteger(quantity) || quantity < 0) {
+        row.error = 'quantity must be a non-negative integer';
+      } else if (update.notes !== undefined && update.notes !== null && String(update.notes).length > 1000) {
+        row.error = 'notes must be at most 1000 characters';
+      } else {
+        const key = row.id ? `id:${row.id}` : `sku:${row.sku}`;
+        if (seen.has(key)) {
+          row.error = `Duplicate of row ${seen.get(key)}`;
+        } else {
+          seen.set(key, index);
+          valid.push({ index, quantity, notes: update.notes ? String(update.notes) : null });
+        }
+      }
+    });
+
+    await transaction(async (client) => {
+      const ids = valid.map(({ index }) => results[index].id).filter(Boolean);
+      const skus = valid.map(({ index }) => results[index].sku).filter(Boolean);
+
+      // Locked in id order so a concurrent sync or bulk update cannot deadlock
+      const entriesResult = await client.query(`
+        SELECT * FROM supplier_catalogs
+        WHERE supplier_id = $1
+          AND (id::text = ANY($2::text[]) OR external_product_id = ANY($3::text[]))
+        ORDER BY id
+        FOR UPDATE
+      `, [supplierId, ids, skus]);
+
+      const byId = new Map(entriesResult.rows.map(entry => [entry.id, entry]));
+      const bySku = new Map(entriesResult.rows.map(entry => [entry.external_product_id, entry]));
+      const applied = [];
+      const appliedIds = new Map();
+
+      for (const { index, quantity, notes } of valid) {
+        const row = results[index];
+        const entry = row.id ? byId.get(row.id) : bySku.get(row.sku);
+
+        if (!entry) {
+          row.error = 'Inventory item not found';
+          continue;
+        }
+        // Same item addressed once by id and once by sku
+        if (appliedIds.has(entry.id)) {
+          row.error = `Duplicate of row ${appliedIds.get(entry.id)}`;
+          continue;
+        }
+        appliedIds.set(entry.id, index);
+
+        const movement = await this.apply(client, entry, quantity, { source: 'bulk', batchId, notes });
+        applied.push({ row, entry, quantity, movement });
+      }
+
+      const offSale = await this.refreshAvailability(client, applied.map(({ entry }) => entry));
+      await this.markTookOffSale(client, applied, offSale);
+
+      for (const { row, entry, quantity, movement } of applied) {
+        Object.assign(row, this.resultOf(entry, quantity, movement, offSale));
+      }
+    });
+
+    const updated = results.filter(row => row.success).length;
+
+    logger.info('Supplier bulk inventory update', {
+      supplierId,
+      batchId,
+      rows: updates.length,
+      updated,
+      failed: updates.length - updated
+    });
+
+    return { batchId, updated, failed: updates.length - updated, results };
+  }
+
+  // Write the new quantity and its movement; unchanged quantities are not recorded
+  async apply(client, entry, quantity, { source, batchId = null, notes = null }) {
+    const previousQuantity = parseInt(entry.stock_quantity || 0);
+    const newStatus = this.stockStatusOf(quantity);
+
+    if (previousQuantity === quantity && entry.stock_status === newStatus) {
+      return null;
+    }
+
+    await client.query(`
+      UPDATE supplier_catalogs
+      SET stock_quantity = $2, stock_status = $3, updated_at = NOW()
+      WHERE id = $1
+    `, [entry.id, quantity, newStatus]);
+
+    // Products the supplier submitted through the portal show the same stock
+    await client.query(`
+      UPDATE supplier_products
+      SET stock_quantity = $3
+      WHERE supplier_id = $1 AND sku = $2 AND revision_of IS NULL
+    `, [entry.supplier_id, entry.external_product_id, quantity]);
+
+    const movementResult = await client.query(`
+      INSERT INTO supplier_inventory_movements (
+        supplier_id, catalog_id, external_product_id, previous_quantity, new_quantity, quantity_change,
+        previous_status, new_status, source, batch_id, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id
+    `, [
+      entry.supplier_id,
+      entry.id,
+      entry.external_product_id,
+      previousQuantity,
+      quantity,
+      quantity - previousQuantity,
+      entry.stock_status,
+      newStatus,
+      source,
+      batchId,
+      notes
+    ]);
+
+    return { id: movementResult.rows[0].id, previousQuantity };
+  }
+
+  async markTookOffSale(client, applied, offSale) {
+    const movementIds = applied
+      .filter(({ entry, movement }) => movement && offSale.has(entry.id))
+      .map(({ movement }) => movement.id);
+
+    if (movementIds.length > 0) {
+      await client.query(
+        'UPDATE supplier_inventory_movements SET took_off_sale = true WHERE id = ANY($1::uuid[])',
+        [movementIds]
+      );
+    }
+  }
+
+  resultOf(entry, quantity, movement, offSale) {
+    return {
+      success: true,
+      id: entry.id,
+      sku: entry.external_product_id,
+      previousQuantity: movement ? movement.previousQuantity : parseInt(entry.stock_quantity || 0),
+      quantity,
+      stockStatus: this.stockStatusOf(quantity),
+      changed: Boolean(movement),
+      tookOffSale: offSale.has(entry.id)
+    };
+  }
+
+  // Take linked products/variants without any stock left off sale and put
+  // restocked ones back. Returns the ids of the catalog entries whose change
+  // took their product or variant off sale.
+  async refreshAvailability(client, entries) {
+    const targets = new Map();
+    for (const entry of entries) {
+      if (!entry.product_id) {
+        continue;
+      }
+      const variantId = entry.metadata?.variant_id || null;
+      const key = `${entry.product_id}|${variantId || ''}`;
+      if (!targets.has(key)) {
+        targets.set(key, { productId: entry.product_id, variantId, catalogIds: [] });
+      }
+      targets.get(key).catalogIds.push(entry.id);
+    }
+
+    const offSale = new Set();
+
+    for (const { productId, variantId, catalogIds } of targets.values()) {
+      const stockResult = await client.query(`
+        SELECT
+          EXISTS (
+            SELECT 1
+            FROM inventory_sources s
+            JOIN suppliers sup ON sup.id = s.source_id AND sup.is_active = true
+            JOIN supplier_catalogs c
+              ON c.supplier_id = s.source_id AND c.product_id = s.product_id AND c.is_active = true
+            WHERE s.product_id = $1
+              AND s.source_type = 'supplier'
+              AND s.is_active = true
+              AND c.stock_quantity > 0
+              AND ($2::uuid IS NULL OR s.variant_id IS NULL OR s.variant_id = $2)
+              AND ($2::uuid IS NULL OR c.metadata->>'variant_id' IS NULL OR c.metadata->>'variant_id' = $2::text)
+          ) OR EXISTS (
+            SELECT 1
+            FROM inventory_sources s
+            JOIN fulfillment_inventory fi
+              ON fi.product_id = s.product_id AND fi.variant_id IS NOT DISTINCT FROM s.variant_id
+            WHERE s.product_id = $1
+              AND s.source_type = 'own_warehouse'
+              AND s.is_active = true
+              AND ($2::uuid IS NULL OR s.variant_id IS NULL OR s.variant_id = $2)
+              AND fi.quantity_available - fi.reserved_quantity > 0
+          ) as in_stock
+      `, [productId, variantId]);
+
+      const table = variantId ? 'product_variants' : 'products';
+      const id = variantId || productId;
+
+      if (stockResult.rows[0].in_stock) {
+        const restored = await client.query(`
+          UPDATE ${table} SET is_active = true, off_sale_reason = NULL
+          WHERE id = $1 AND off_sale_reason = $2
+          RETURNING id
+        `, [id, this.offSaleReason]);
+
+        if (restored.rows.length > 0) {
+          logger.info('Restocked item back on sale', { table, id });
+        }
+        continue;
+      }
+
+      const deactivated = await client.query(`
+        UPDATE ${table} SET is_active = false, off_sale_reason = $2
+        WHERE id = $1 AND is_active = true
+        RETURNING id
+      `, [id, this.offSaleReason]);
+
+      if (deactivated.rows.length > 0) {
+        catalogIds.forEach(catalogId => offSale.add(catalogId));
+        logger.warn('Item without stock taken off sale', { table, id, catalogIds });
+      }
+    }
+
+    return offSale;
+  }
+
+  // Same check for every linked entry of a supplier, after a feed sync or import
+  async refreshSupplierAvailability(client, supplierId) {
+    const entries = await client.query(
+      'SELECT id, product_id, metadata FROM supplier_catalogs WHERE supplier_id = $1 AND product_id IS NOT NULL',
+      [supplierId]
+    );
+
+    return this.refreshAvailability(client, entries.rows);
+  }
+
+  // History of one entry, newest first; null when the entry is not the supplier's
+  async getHistory(supplierId, catalogId, { limit = 20, offset = 0 } = {}) {
+    const entryResult = await query(
+      'SELECT id, external_product_id as sku, external_product_name as name, stock_quantity, stock_status FROM supplier_catalogs WHERE id = $1 AND supplier_id = $2',
+      [catalogId, supplierId]
+    );
+
+    if (entryResult.rows.length === 0) {
+      return null;
+    }
+
+    const [movementsResult, countResult] = await Promise.all([
+      query(`
+        SELECT id, previous_quantity, new_quantity, quantity_change, previous_status, new_status,
+               source, batch_id, notes, took_off_sale, created_at
+        FROM supplier_inventory_movements
+        WHERE catalog_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [catalogId, limit, offset]),
+      query('SELECT COUNT(*) as total FROM supplier_inventory_movements WHERE catalog_id = $1', [catalogId])
+    ]);
+
+    return {
+      item: entryResult.rows[0],
+      movements: movementsResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+}
+
+// Export singleton instance
+const supplierInventoryService = new SupplierInventoryService();
+module.exports = supplierInventoryService;
+module.exports.SupplierInventoryError = SupplierInventoryError;
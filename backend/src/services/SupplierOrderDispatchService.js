@@ -0,0 +1,248 @@
+const { query } = require('../config/database');
+const supplierAdapters = require('../adapters/suppliers');
+const SupplierExportService = require('./SupplierExportService');
+const SupplierOrderEmailService = require('./SupplierOrderEmailService');
+const logger = require('../utils/logger');
+
+// Raised when a supplier order cannot be (re)sent through any channel
+class SupplierOrderDispatchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SupplierOrderDispatchError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Sends freshly routed supplier orders out: through the supplier's API when it
+// has one, otherwise (or when the API fails) as an emailed purchase order
+class SupplierOrderDispatchService {
+  constructor() {
+    this.dispatchableStatuses = ['pending', 'sent'];
+  }
+
+  // Never throws: failures are recorded on the supplier order and can be resent
+  async dispatch(supplierOrderIds) {
+    if (!supplierOrderIds || supplierOrderIds.length === 0) {
+      return;
+    }
+
+    for (const supplierOrderId of supplierOrderIds) {
+      try {
+        await this.dispatchOne(supplierOrderId, { onlyPending: true });
+      } catch (error) {
+        logger.error('Failed to dispatch supplier order', { supplierOrderId, error: error.message });
+      }
+    }
+  }
+
+  // Send one supplier order. Returns null when there is nothing to send.
+  async dispatchOne(supplierOrderId, { onlyPending = false } = {}) {
+    const supplierOrder = await this.getSupplierOrder(supplierOrderId);
+
+    if (!supplierOrder) {
+      throw new SupplierOrderDispatchError('Supplier order not found', 404);
+    }
+
+    if (onlyPending && supplierOrder.status !== 'pending') {
+      return null;
+    }
+
+    if (!this.dispatchableStatuses.includes(supplierOrder.status)) {
+      throw new SupplierOrderDispatchError(`Supplier order cannot be sent (status: ${supplierOrder.status})`, 409);
+    }
+
+    // Already accepted by the supplier's API; sending it again would duplicate it
+    if (supplierOrder.notification_method === 'api' && supplierOrder.supplier_order_number) {
+      throw new SupplierOrderDispatchError('Supplier order was already submitted through the supplier API', 409);
+    }
+
+    const { supplier } = supplierOrder;
+    const canEmail = Boolean(supplier.email_order_address) &&
+      (!supplier.integration_methods || supplier.integration_methods.includes('email'));
+
+    if (supplierAdapters.supportsApi(supplier)) {
+      try {
+        return await this.submitViaApi(supplierOrder);
+      } catch (error) {
+        if (!canEmail) {
+          throw error;
+        }
+        logger.warn('Supplier API submission failed, falling back to email', {
+          supplierOrderId,
+          supplierId: supplierOrder.supplier_id,
+          error: error.message
+        });
+      }
+    }
+
+    if (!supplier.email_order_address) {
+      if (onlyPending) {
+        return null;
+      }
+      throw new SupplierOrderDispatchError('Supplier has neither an API nor an order email address');
+    }
+
+    if (onlyPending && !canEmail) {
+      return null;
+    }
+
+    return SupplierOrderEmailService.sendPurchaseOrder(supplierOrderId);
+  }
+
+  async submitViaApi(supplierOrder) {
+    const adapter = supplierAdapters.create(supplierOrder.supplier);
+    const order = await this.buildOrder(supplierOrder);
+    const attempt = {
+      channel: 'api',
+      adapter: supplierAdapters.typeOf(supplierOrder.supplier),
+      attemptedAt: new Date().toISOString()
+    };
+
+    let status;
+    try {
+      status = await adapter.submitOrder(order);
+    } catch (error) {
+      await this.recordSubmission(supplierOrder.id, {
+        ...attempt,
+        status: 'failed',
+        error: error.message,
+        httpStatus: error.status || null
+      });
+      throw error;
+    }
+
+    await this.recordSubmission(supplierOrder.id, {
+      ...attempt,
+      status: 'sent',
+      externalOrderId: status.externalOrderId,
+      supplierStatus: status.status,
+      response: status.raw
+    }, status.externalOrderId);
+
+    logger.info('Supplier order submitted through API', {
+      supplierOrderId: supplierOrder.id,
+      supplierId: supplierOrder.supplier_id,
+      externalOrderId: status.externalOrderId
+    });
+
+    return { channel: 'api', status: 'sent', externalOrderId: status.externalOrderId };
+  }
+
+  // Ask the supplier to cancel an order it already accepted through its API.
+  // Best effort: the supplier order is cancelled on our side either way.
+  async cancelAtSupplier(supplierOrderId, reason) {
+    try {
+      const supplierOrder = await this.getSupplierOrder(supplierOrderId);
+
+      if (!supplierOrder || supplierOrder.notification_method !== 'api' || !supplierOrder.supplier_order_number ||
+          !supplierAdapters.supportsApi(supplierOrder.supplier)) {
+        return false;
+      }
+
+      const adapter = supplierAdapters.create(supplierOrder.supplier);
+      await adapter.cancelOrder(supplierOrder.supplier_order_number, reason);
+
+      logger.info('Supplier order cancelled through API', {
+        supplierOrderId,
+        externalOrderId: supplierOrder.supplier_order_number
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to cancel supplier order through API', { supplierOrderId, error: error.message });
+      return false;
+    }
+  }
+
+  async getSupplierOrder(supplierOrderId) {
+    const result = await query(`
+      SELECT
+        so.id, so.status, so.supplier_id, so.supplier_order_number, so.notification_method,
+        so.created_at, so.order_id,
+        o.order_number, o.notes,
+        s.company_name, s.email_order_address, s.integration_methods,
+        s.api_endpoint, s.api_key_encrypted, s.integration_config
+      FROM supplier_orders so
+      JOIN orders o ON so.order_id = o.id
+      JOIN suppliers s ON so.supplier_id = s.id
+      WHERE so.id = $1
+    `, [supplierOrderId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    // Adapters are built from the supplier, not the supplier order
+    const {
+      company_name, email_order_address, integration_methods, api_endpoint, api_key_encrypted, integration_config,
+      ...supplierOrder
+    } = result.rows[0];
+
+    return {
+      ...supplierOrder,
+      supplier: {
+        id: supplierOrder.supplier_id,
+        company_name,
+        email_order_address,
+        integration_methods,
+        api_endpoint,
+        api_key_encrypted,
+        integration_config
+      }
+    };
+  }
+
+  // The normalized order of the SupplierAdapter contract
+  async buildOrder(supplierOrder) {
+    const rows = await SupplierExportService.getOrderRows(supplierOrder.supplier_id, {
+      supplierOrderIds: [supplierOrder.id]
+    });
+    const first = rows[0] || {};
+
+    return {
+      supplierOrderId: supplierOrder.id,
+      orderNumber: supplierOrder.order_number,
+      createdAt: supplierOrder.created_at,
+      currency: 'EUR',
+      notes: supplierOrder.notes || null,
+      shippingAddress: {
+        name: first.recipient_name || '',
+        addressLine1: first.address_line1 || '',
+        addressLine2: first.address_line2 || '',
+        postalCode: first.postal_code || '',
+        city: first.city || '',
+        state: first.state || '',
+        country: first.country || '',
+        phone: first.phone || ''
+      },
+      items: rows.map(row => ({
+        supplierSku: row.supplier_sku,
+        sku: row.product_sku,
+        name: row.product_name,
+        size: row.size,
+        color: row.color,
+        quantity: row.quantity,
+        unitCost: row.unit_cost_eur !== null ? parseFloat(row.unit_cost_eur) : null
+      }))
+    };
+  }
+
+  // Same bookkeeping as an emailed purchase order, with the supplier's order id
+  async recordSubmission(supplierOrderId, submission, externalOrderId = null) {
+    await query(`
+      UPDATE supplier_orders
+      SET notification_response = COALESCE(notification_response, '{}'::jsonb) || $2::jsonb,
+          notification_method = 'api',
+          notification_sent_at = CASE WHEN $3::text IS NOT NULL THEN NOW() ELSE notification_sent_at END,
+          supplier_order_number = COALESCE($3, supplier_order_number),
+          status = CASE WHEN $3::text IS NOT NULL AND status = 'pending' THEN 'sent' ELSE status END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [supplierOrderId, JSON.stringify(submission), externalOrderId]);
+  }
+}
+
+// Export singleton instance
+const supplierOrderDispatchService = new SupplierOrderDispatchService();
+module.exports = supplierOrderDispatchService;
+module.exports.SupplierOrderDispatchError = SupplierOrderDispatchError;
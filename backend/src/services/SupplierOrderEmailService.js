@@ -0,0 +1,705 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { simpleParser } = require('mailparser');
+const { query } = require('../config/database');
+const EmailService = require('./EmailService');
+const SupplierExportService = require('./SupplierExportService');
+const SupplierOrderService = require('./SupplierOrderService');
+const encryptionService = require('../utils/encryption');
+const translations = require('../locales/supplierOrderEmail');
+const logger = require('../utils/logger');
+
+// Raised when a purchase order cannot be (re)sent
+class SupplierOrderEmailError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SupplierOrderEmailError';
+    this.statusCode = statusCode;
+  }
+}
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+class SupplierOrderEmailService {
+  constructor() {
+    // Public base URL of this API, used in the accept/reject links
+    this.linkBaseUrl = process.env.SUPPLIER_ORDER_LINK_BASE_URL || 'http://localhost:3001';
+    this.linkTtlHours = parseInt(process.env.SUPPLIER_ORDER_LINK_TTL_HOURS ?? '72');
+
+    // Raw MIME files (.eml) dropped here by the mail server are parsed and moved to processed/ or failed/
+    this.inboundDir = process.env.SUPPLIER_INBOUND_MAIL_DIR || './mail/inbound';
+    this.inboundIntervalMinutes = parseInt(process.env.SUPPLIER_INBOUND_MAIL_INTERVAL_MINUTES ?? '5');
+
+    this.actions = ['accept', 'reject'];
+    this.sendableStatuses = ['pending', 'sent'];
+    this.locales = { en: 'en-GB', de: 'de-DE', pt: 'pt-PT', fr: 'fr-FR', es: 'es-ES' };
+
+    // Our Message-ID embeds the supplier order id, so replies and bounces can be matched
+    this.messageIdPattern = new RegExp(`po-(${UUID})\\.`, 'i');
+    this.referencePattern = new RegExp(`\\b(${UUID})\\b`, 'i');
+
+    // Reply confirms the order (en, de, pt, fr, es)
+    this.acknowledgementPatterns = [
+      /\b(confirm(ed|ing)?|acknowledged?|accepted|received)\b/i,
+      /(bestätig|akzeptiert|erhalten)/i,
+      /\b(confirmad[oa]|confirmamos|aceite|aceito|recebid[oa])\b/i,
+      /\b(confirm[ée]e?|accept[ée]e?|re[çc]ue?)\b/i,
+      /\b(aceptad[oa]|recibid[oa])\b/i
+    ];
+
+    // Tracking number after a label such as "Tracking number:" or "Sendungsnummer"
+    this.trackingLabelPattern = /(?:tracking(?:\s*(?:number|no\.?|nr\.?|code|#))?|sendungs(?:nummer|nr\.?)|paketnummer|c[oó]digo de (?:rastreio|seguimiento)|n[uú]mero de (?:seguimiento|rastreio)|num[ée]ro de suivi)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{7,34})/i;
+
+    // Numbers recognizable without a label, with their carrier
+    this.trackingFormats = [
+      { carrier: 'UPS', pattern: /\b(1Z[0-9A-Z]{16})\b/ },
+      { carrier: 'DHL', pattern: /\b(JJD\d{16,20})\b/ }
+    ];
+
+    this.carrierPatterns = [
+      { carrier: 'DHL', pattern: /\bDHL\b/i },
+      { carrier: 'DPD', pattern: /\bDPD\b/i },
+      { carrier: 'Hermes', pattern: /\bHermes\b/i },
+      { carrier: 'GLS', pattern: /\bGLS\b/i },
+      { carrier: 'UPS', pattern: /\bUPS\b/ },
+      { carrier: 'FedEx', pattern: /\bFed\s?Ex\b/i },
+      { carrier: 'Correios', pattern: /\bCorreios\b/i }
+    ];
+
+    // Start of the quoted original in a reply
+    this.quoteStartPattern = /^(>|On .+wrote:|Am .+schrieb|Le .+a écrit|El .+escribió|Em .+escreveu|-{2,}\s*(Original|Ursprüngliche)|(From|Von|De):\s)/i;
+
+    this.inboxTimer = null;
+    this.processingInbox = false;
+  }
+
+  translator(language) {
+    const strings = translations[language] || translations.en;
+    return (key, params = {}) => strings[key].replace(/\{\{(\w+)\}\}/g, (match, name) => params[name] ?? '');
+  }
+
+  // Email the purchase order with the PDF or CSV attached and signed accept/reject links
+  async sendPurchaseOrder(supplierOrderId) {
+    const result = await query(`
+      SELECT
+        so.id, so.status, so.supplier_id, so.created_at,
+        o.order_number,
+        s.company_name, s.email_order_address, s.integration_methods,
+        s.language_preference, s.order_attachment_format
+      FROM supplier_orders so
+      JOIN orders o ON so.order_id = o.id
+      JOIN suppliers s ON so.supplier_id = s.id
+      WHERE so.id = $1
+    `, [supplierOrderId]);
+
+    if (result.rows.length === 0) {
+      throw new SupplierOrderEmailError('Supplier order not found', 404);
+    }
+
+    const supplierOrder = result.rows[0];
+
+    if (!supplierOrder.email_order_address) {
+      throw new SupplierOrderEmailError('Supplier has no order email address');
+    }
+
+    if (!this.sendableStatuses.includes(supplierOrder.status)) {
+      throw new SupplierOrderEmailError(`Purchase order cannot be sent (status: ${supplierOrder.status})`, 409);
+    }
+
+    const language = translations[supplierOrder.language_preference] ? supplierOrder.language_preference : 'en';
+    const t = this.translator(language);
+    const rows = await SupplierExportService.getOrderRows(supplierOrder.supplier_id, { supplierOrderIds: [supplierOrderId] });
+
+    const expiresAt = new Date(Date.now() + this.linkTtlHours * 60 * 60 * 1000);
+    const links = {
+      accept: this.buildLink(supplierOrderId, 'accept', expiresAt),
+      reject: this.buildLink(supplierOrderId, 'reject', expiresAt)
+    };
+
+    const format = supplierOrder.order_attachment_format === 'csv' ? 'csv' : 'pdf';
+    const attachment = format === 'csv'
+      ? {
+        filename: `PO-${supplierOrder.order_number}.csv`,
+        content: await SupplierExportService.write('csv', 'Orders', SupplierExportService.orderColumns, rows),
+        contentType: 'text/csv'
+      }
+      : {
+        filename: `PO-${supplierOrder.order_number}.pdf`,
+        content: await this.renderPdf(supplierOrder, rows, language),
+        contentType: 'application/pdf'
+      };
+
+    const content = this.renderEmail(supplierOrder, rows, links, expiresAt, language);
+    const messageId = `<po-${supplierOrderId}.${Date.now()}@${EmailService.domain}>`;
+    const attempt = {
+      channel: 'email',
+      to: supplierOrder.email_order_address,
+      messageId,
+      language,
+      attachment: format,
+      linksExpireAt: expiresAt.toISOString(),
+      attemptedAt: new Date().toISOString()
+    };
+
+    let info;
+    try {
+      info = await EmailService.send({
+        to: supplierOrder.email_order_address,
+        subject: `${t('subject', { orderNumber: supplierOrder.order_number })} [${t('reference')}: ${supplierOrderId}]`,
+        text: content.text,
+        html: content.html,
+        attachments: [attachment],
+        messageId
+      });
+    } catch (error) {
+      await this.recordDelivery(supplierOrderId, { ...attempt, status: 'failed', error: error.message });
+      throw error;
+    }
+
+    const delivered = info.accepted && info.accepted.length > 0;
+
+    await this.recordDelivery(supplierOrderId, {
+      ...attempt,
+      status: delivered ? 'sent' : 'failed',
+      accepted: info.accepted,
+      rejected: info.rejected,
+      response: info.response
+    }, delivered);
+
+    if (!delivered) {
+      throw new SupplierOrderEmailError(`Mail server rejected ${supplierOrder.email_order_address}`, 502);
+    }
+
+    logger.info('Purchase order emailed', {
+      supplierOrderId,
+      supplierId: supplierOrder.supplier_id,
+      to: supplierOrder.email_order_address,
+      attachment: format
+    });
+
+    return { messageId, to: supplierOrder.email_order_address, status: 'sent' };
+  }
+
+  // Merge the delivery status into notification_response (replies are kept);
+  // a sent email moves the supplier order from pending to sent
+  async recordDelivery(supplierOrderId, delivery, sent = false) {
+    await query(`
+      UPDATE supplier_orders
+      SET notification_response = COALESCE(notification_response, '{}'::jsonb) || $2::jsonb,
+          notification_method = 'email',
+          notification_sent_at = CASE WHEN $3::boolean THEN NOW() ELSE notification_sent_at END,
+          status = CASE WHEN $3::boolean AND status = 'pending' THEN 'sent' ELSE status END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [supplierOrderId, JSON.stringify(delivery), sent]);
+  }
+
+  buildLink(supplierOrderId, action, expiresAt) {
+    const expires = expiresAt.getTime();
+    const { signature } = encryptionService.sign({ supplierOrderId, action, expires });
+
+    const params = new URLSearchParams({ action, expires: String(expires), signature });
+    return `${this.linkBaseUrl}/api/suppliers/orders/${supplierOrderId}/respond?${params}`;
+  }
+
+  verifyLink(supplierOrderId, { action, expires, signature }) {
+    if (!this.actions.includes(action) || !/^\d+$/.test(String(expires)) || !/^[0-9a-f]{64}$/.test(String(signature))) {
+      return false;
+    }
+
+    if (Date.now() > Number(expires)) {
+      return false;
+    }
+
+    const verification = encryptionService.verify({ supplierOrderId, action, expires: Number(expires) }, signature);
+    return verification.success && verification.isValid;
+  }
+
+  // What the accept/reject pages need to know about the order
+  async getLinkContext(supplierOrderId) {
+    const result = await query(`
+      SELECT so.id, so.status, so.supplier_id, o.order_number, s.language_preference
+      FROM supplier_orders so
+      JOIN orders o ON so.order_id = o.id
+      JOIN suppliers s ON so.supplier_id = s.id
+      WHERE so.id = $1
+    `, [supplierOrderId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Links open a confirmation form so mail scanners following them change nothing
+  renderConfirmPage(context, { action, expires, signature }) {
+    const t = this.translator(context.language_preference);
+    const title = t(action === 'accept' ? 'confirmAccept' : 'confirmReject', { orderNumber: context.order_number });
+
+    return this.renderPage(context.language_preference, title, `
+      <form method="post">
+        <input type="hidden" name="action" value="${escapeHtml(action)}">
+        <input type="hidden" name="expires" value="${escapeHtml(expires)}">
+        <input type="hidden" name="signature" value="${escapeHtml(signature)}">
+        ${action === 'reject'
+          ? `<p><label>${escapeHtml(t('reason'))}<br><textarea name="reason" rows="4" cols="50" required maxlength="1000"></textarea></label></p>`
+          : ''}
+        <button type="submit">${escapeHtml(t('submit'))}</button>
+      </form>
+    `);
+  }
+
+  renderMessagePage(language, key, params = {}) {
+    return this.renderPage(language, this.translator(language)(key, params));
+  }
+
+  renderPage(language, title, body = '') {
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(translations[language] ? language : 'en')}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 40em; margin: 3em auto;">
+  <h2>${escapeHtml(title)}</h2>
+  ${body}
+</body>
+</html>`;
+  }
+
+  addressLines(row) {
+    return [
+      row.recipient_name,
+      row.address_line1,
+      row.address_line2,
+      [row.postal_code, row.city].filter(Boolean).join(' '),
+      row.state,
+      row.country,
+      row.phone
+    ].filter(Boolean);
+  }
+
+  formatMoney(amount, language) {
+    return new Intl.NumberFormat(this.locales[language], { style: 'currency', currency: 'EUR' })
+      .format(parseFloat(amount) || 0);
+  }
+
+  orderTotal(rows) {
+    return rows.reduce((sum, row) => sum + (parseFloat(row.unit_cost_eur) || 0) * row.quantity, 0);
+  }
+
+  renderEmail(supplierOrder, rows, links, expiresAt, language) {
+    const t = this.translator(language);
+    const orderNumber = supplierOrder.order_number;
+    const expires = expiresAt.toLocaleString(this.locales[language], { timeZone: 'UTC', timeZoneName: 'short' });
+    const address = rows.length > 0 ? this.addressLines(rows[0]) : [];
+    const itemLine = row => `${row.quantity} x ${row.product_name}` +
+      `${row.size || row.color ? ` (${[row.size, row.color].filter(Boolean).join(', ')})` : ''}` +
+      ` - ${t('supplierSku')}: ${row.supplier_sku || '-'}, ${t('sku')}: ${row.product_sku}`;
+
+    const text = [
+      t('greeting', { company: supplierOrder.company_name }),
+      '',
+      t('intro', { orderNumber }),
+      '',
+      `${t('items')}:`,
+      ...rows.map(row => `- ${itemLine(row)}`),
+      `${t('total')}: ${this.formatMoney(this.orderTotal(rows), language)}`,
+      '',
+      `${t('shipTo')}:`,
+      ...address,
+      '',
+      `${t('accept')}: ${links.accept}`,
+      `${t('reject')}: ${links.reject}`,
+      t('linksValid', { expires }),
+      '',
+      t('replyHint'),
+      '',
+      t('signoff'),
+      '',
+      `${t('reference')}: ${supplierOrder.id}`
+    ].join('\n');
+
+    const html = `
+      <p>${escapeHtml(t('greeting', { company: supplierOrder.company_name }))}</p>
+      <p>${escapeHtml(t('intro', { orderNumber }))}</p>
+      <h3>${escapeHtml(t('items'))}</h3>
+      <ul>${rows.map(row => `<li>${escapeHtml(itemLine(row))}</li>`).join('')}</ul>
+      <p><strong>${escapeHtml(t('total'))}: ${escapeHtml(this.formatMoney(this.orderTotal(rows), language))}</strong></p>
+      <h3>${escapeHtml(t('shipTo'))}</h3>
+      <p>${address.map(escapeHtml).join('<br>')}</p>
+      <p>
+        <a href="${escapeHtml(links.accept)}">${escapeHtml(t('accept'))}</a> &nbsp;|&nbsp;
+        <a href="${escapeHtml(links.reject)}">${escapeHtml(t('reject'))}</a>
+      </p>
+      <p><small>${escapeHtml(t('linksValid', { expires }))}</small></p>
+      <p>${escapeHtml(t('replyHint'))}</p>
+      <p>${escapeHtml(t('signoff'))}</p>
+      <p><small>${escapeHtml(t('reference'))}: ${supplierOrder.id}</small></p>
+    `;
+
+    return { text, html };
+  }
+
+  renderPdf(supplierOrder, rows, language) {
+    const t = this.translator(language);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica-Bold').fontSize(18).text(`${t('pdfTitle')} ${supplierOrder.order_number}`);
+      doc.font('Helvetica').fontSize(10).moveDown(0.5)
+        .text(`${t('reference')}: ${supplierOrder.id}`)
+        .text(`${t('date')}: ${new Date(supplierOrder.created_at).toLocaleDateString(this.locales[language])}`)
+        .text(supplierOrder.company_name);
+
+      if (rows.length > 0) {
+        doc.moveDown().font('Helvetica-Bold').fontSize(12).text(t('shipTo'));
+        doc.font('Helvetica').fontSize(10).text(this.addressLines(rows[0]).join('\n'));
+      }
+
+      const columns = [
+        { key: 'supplier_sku', label: t('supplierSku'), width: 80 },
+        { key: 'product_name', label: t('product'), width: 170 },
+        { key: 'size', label: t('size'), width: 45 },
+        { key: 'color', label: t('color'), width: 60 },
+        { key: 'quantity', label: t('quantity'), width: 35 },
+        { key: 'unit_cost', label: t('unitCost'), width: 55 },
+        { key: 'line_total', label: t('total'), width: 50 }
+      ];
+
+      const drawRow = (values, y, bold = false) => {
+        let x = doc.page.margins.left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        for (const column of columns) {
+          doc.text(String(values[column.key] ?? ''), x, y, { width: column.width - 5, height: 12, ellipsis: true });
+          x += column.width;
+        }
+      };
+
+      doc.moveDown().font('Helvetica-Bold').fontSize(12).text(t('items'), doc.page.margins.left);
+      let y = doc.y + 5;
+      drawRow(Object.fromEntries(columns.map(column => [column.key, column.label])), y, true);
+
+      for (const row of rows) {
+        y += 16;
+        if (y > doc.page.height - doc.page.margins.bottom - 40) {
+          doc.addPage();
+          y = doc.page.margins.top;
+        }
+        drawRow({
+          ...row,
+          supplier_sku: row.supplier_sku || row.product_sku,
+          unit_cost: this.formatMoney(row.unit_cost_eur, language),
+          line_total: this.formatMoney((parseFloat(row.unit_cost_eur) || 0) * row.quantity, language)
+        }, y);
+      }
+
+      doc.font('Helvetica-Bold').fontSize(10)
+        .text(`${t('total')}: ${this.formatMoney(this.orderTotal(rows), language)}`, doc.page.margins.left, y + 24);
+
+      doc.end();
+    });
+  }
+
+  // Parse every .eml file in the inbound folder
+  async processInbox() {
+    if (this.processingInbox) {
+      return { processed: 0, failed: 0 };
+    }
+
+    this.processingInbox = true;
+    const processedDir = path.join(this.inboundDir, 'processed');
+    const failedDir = path.join(this.inboundDir, 'failed');
+    let processed = 0;
+    let failed = 0;
+
+    try {
+      await fs.mkdir(processedDir, { recursive: true });
+      await fs.mkdir(failedDir, { recursive: true });
+
+      const entries = await fs.readdir(this.inboundDir, { withFileTypes: true });
+      const files = entries.filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.eml'));
+
+      for (const { name } of files) {
+        const filePath = path.join(this.inboundDir, name);
+        try {
+          await this.handleInboundEmail(await fs.readFile(filePath), name);
+          await fs.rename(filePath, path.join(processedDir, name));
+          processed++;
+        } catch (error) {
+          logger.error('Failed to process inbound supplier email', { fileName: name, error: error.message });
+          await this.logInbound({ fileName: name, outcome: 'failed', details: { error: error.message } }).catch(() => {});
+          await fs.rename(filePath, path.join(failedDir, name));
+          failed++;
+        }
+      }
+    } finally {
+      this.processingInbox = false;
+    }
+
+    return { processed, failed };
+  }
+
+  // Match a raw MIME email to a supplier order and apply what it says:
+  // a delivery report marks the purchase order bounced, a tracking number
+  // ships the order, a confirmation acknowledges it
+  async handleInboundEmail(raw, fileName) {
+    const parsed = await simpleParser(raw);
+    const messageId = parsed.messageId || null;
+
+    if (messageId) {
+      const seen = await query('SELECT outcome FROM supplier_inbound_emails WHERE message_id = $1', [messageId]);
+      if (seen.rows.length > 0) {
+        return { outcome: 'duplicate' };
+      }
+    }
+
+    const from = parsed.from?.value?.[0]?.address?.toLowerCase() || null;
+    const subject = parsed.subject || '';
+    const text = parsed.text || '';
+    const isBounce = this.isDeliveryReport(parsed);
+    const entry = { messageId, fileName, from, subject, receivedAt: parsed.date || null };
+
+    const supplierOrderId = this.findOrderReference(parsed, isBounce ? raw.toString('utf8') : null);
+    const supplierOrder = supplierOrderId
+      ? (await query(`
+          SELECT so.id, so.status, so.supplier_id, s.email, s.email_order_address
+          FROM supplier_orders so
+          JOIN suppliers s ON so.supplier_id = s.id
+          WHERE so.id = $1
+        `, [supplierOrderId])).rows[0]
+      : null;
+
+    if (!supplierOrder) {
+      return this.logInbound({ ...entry, outcome: 'unmatched' });
+    }
+
+    entry.supplierId = supplierOrder.supplier_id;
+    entry.supplierOrderId = supplierOrder.id;
+
+    if (isBounce) {
+      await this.recordDelivery(supplierOrder.id, {
+        status: 'bounced',
+        bouncedAt: new Date().toISOString(),
+        diagnostic: text.slice(0, 500)
+      });
+      logger.warn('Purchase order email bounced', { supplierOrderId: supplierOrder.id });
+      return this.logInbound({ ...entry, outcome: 'bounced' });
+    }
+
+    const body = this.stripQuotedText(text);
+
+    if (!this.isSupplierSender(from, supplierOrder)) {
+      // A colleague at the supplier's domain is left to an admin: on shared
+      // providers such as gmail.com anyone can send from that domain
+      const domainMatch = this.isSupplierDomain(from, supplierOrder);
+      if (domainMatch) {
+        logger.warn('Supplier order reply from unknown address at supplier domain', {
+          supplierOrderId: supplierOrder.id,
+          from
+        });
+      }
+      return this.logInbound({
+        ...entry,
+        outcome: 'unknown_sender',
+        details: domainMatch ? { domainMatch: true, excerpt: body.slice(0, 500) } : null
+      });
+    }
+
+    const actor = { type: 'supplier', id: supplierOrder.supplier_id };
+    const tracking = this.extractTracking(`${subject}\n${body}`);
+    let outcome = 'ignored';
+
+    if (tracking && SupplierOrderService.openStatuses.includes(supplierOrder.status)) {
+      await SupplierOrderService.ship(supplierOrder.id, { ...tracking, actor });
+      outcome = 'shipped';
+    } else if (this.acknowledgementPatterns.some(pattern => pattern.test(`${subject}\n${body}`))) {
+      const { changed } = await SupplierOrderService.acknowledge(supplierOrder.id, { actor });
+      outcome = changed ? 'acknowledged' : 'ignored';
+    }
+
+    await query(`
+      UPDATE supplier_orders
+      SET notification_response = jsonb_set(
+        COALESCE(notification_response, '{}'::jsonb),
+        '{replies}',
+        COALESCE(notification_response->'replies', '[]'::jsonb) || $2::jsonb
+      )
+      WHERE id = $1
+    `, [supplierOrder.id, JSON.stringify([{
+      messageId,
+      from,
+      subject,
+      outcome,
+      trackingNumber: tracking?.trackingNumber || null,
+      receivedAt: entry.receivedAt
+    }])]);
+
+    return this.logInbound({
+      ...entry,
+      outcome,
+      trackingNumber: tracking?.trackingNumber,
+      carrier: tracking?.carrier,
+      details: { excerpt: body.slice(0, 500) }
+    });
+  }
+
+  isDeliveryReport(parsed) {
+    const contentType = parsed.headers.get('content-type');
+    return contentType?.value === 'multipart/report' &&
+      String(contentType.params?.['report-type']).toLowerCase() === 'delivery-status';
+  }
+
+  // Our Message-ID in In-Reply-To/References wins; otherwise the reference in
+  // the subject or body. Bounces carry the original headers in the raw message.
+  findOrderReference(parsed, rawText = null) {
+    const references = [].concat(parsed.inReplyTo || [], parsed.references || []);
+    const candidates = [...references, rawText].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const match = this.messageIdPattern.exec(candidate);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+    }
+
+    for (const candidate of [parsed.subject, parsed.text]) {
+      const match = candidate && this.referencePattern.exec(candidate);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+    }
+
+    return null;
+  }
+
+  // Only replies from the order address or the account address are applied
+  isSupplierSender(from, supplierOrder) {
+    return Boolean(from) && this.supplierAddresses(supplierOrder).includes(from);
+  }
+
+  isSupplierDomain(from, supplierOrder) {
+    if (!from) {
+      return false;
+    }
+    const domains = this.supplierAddresses(supplierOrder).map(address => address.split('@')[1]);
+    return domains.includes(from.split('@')[1]);
+  }
+
+  supplierAddresses(supplierOrder) {
+    return [supplierOrder.email, supplierOrder.email_order_address]
+      .filter(Boolean)
+      .map(address => address.toLowerCase());
+  }
+
+  // Only the new part of a reply counts; our own email quoted below mentions
+  // "confirm" and "tracking number" too
+  stripQuotedText(text) {
+    const lines = text.split(/\r?\n/);
+    const quoteStart = lines.findIndex(line => this.quoteStartPattern.test(line.trim()));
+    return (quoteStart === -1 ? lines : lines.slice(0, quoteStart)).join('\n').trim();
+  }
+
+  extractTracking(text) {
+    let trackingNumber = null;
+    let carrier = null;
+
+    for (const format of this.trackingFormats) {
+      const match = format.pattern.exec(text);
+      if (match) {
+        trackingNumber = match[1];
+        carrier = format.carrier;
+        break;
+      }
+    }
+
+    if (!trackingNumber) {
+      const match = this.trackingLabelPattern.exec(text);
+      // A label followed by a plain word (e.g. "tracking information") is not a number
+      if (!match || !/\d/.test(match[1])) {
+        return null;
+      }
+      trackingNumber = match[1].toUpperCase();
+    }
+
+    if (!carrier) {
+      carrier = this.carrierPatterns.find(entry => entry.pattern.test(text))?.carrier || null;
+    }
+
+    return { trackingNumber, carrier };
+  }
+
+  async logInbound({
+    messageId = null, fileName, supplierId = null, supplierOrderId = null, from = null, subject = null,
+    outcome, trackingNumber = null, carrier = null, details = null, receivedAt = null
+  }) {
+    await query(`
+      INSERT INTO supplier_inbound_emails (
+        message_id, file_name, supplier_id, supplier_order_id, from_address, subject,
+        outcome, tracking_number, shipping_carrier, details, received_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (message_id) DO NOTHING
+    `, [
+      messageId, fileName, supplierId, supplierOrderId, from, subject,
+      outcome, trackingNumber, carrier, details ? JSON.stringify(details) : null, receivedAt
+    ]);
+
+    logger.info('Inbound supplier email processed', { fileName, supplierOrderId, outcome });
+
+    return { outcome, supplierOrderId, trackingNumber, carrier };
+  }
+
+  async getInboundEmails({ outcome = null, limit = 20, offset = 0 } = {}) {
+    const [emailsResult, countResult] = await Promise.all([
+      query(`
+        SELECT e.*, s.company_name
+        FROM supplier_inbound_emails e
+        LEFT JOIN suppliers s ON e.supplier_id = s.id
+        WHERE ($1::text IS NULL OR e.outcome = $1)
+        ORDER BY e.processed_at DESC
+        LIMIT $2 OFFSET $3
+      `, [outcome, limit, offset]),
+      query('SELECT COUNT(*) as total FROM supplier_inbound_emails WHERE ($1::text IS NULL OR outcome = $1)', [outcome])
+    ]);
+
+    return { emails: emailsResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  // Poll the inbound folder for supplier replies
+  startInboxWatcher() {
+    if (this.inboxTimer) {
+      return;
+    }
+
+    this.inboxTimer = setInterval(async () => {
+      try {
+        const result = await this.processInbox();
+        if (result.processed > 0 || result.failed > 0) {
+          logger.info('Supplier inbox processed', result);
+        }
+      } catch (error) {
+        logger.error('Supplier inbox check failed:', error);
+      }
+    }, this.inboundIntervalMinutes * 60 * 1000);
+  }
+
+  stopInboxWatcher() {
+    if (this.inboxTimer) {
+      clearInterval(this.inboxTimer);
+      this.inboxTimer = null;
+    }
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Export singleton instance
+const supplierOrderEmailService = new SupplierOrderEmailService();
+module.exports = supplierOrderEmailService;
+module.exports.SupplierOrderEmailError = SupplierOrderEmailError;
@@ -0,0 +1,255 @@
+const { query, transaction } = require('../config/database');
+const OrderRoutingService = require('./OrderRoutingService');
+const SupplierOrderDispatchService = require('./SupplierOrderDispatchService');
+const logger = require('../utils/logger');
+
+// Raised when a supplier order is no longer in a state that can be rejected
+class SupplierOrderStateError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'SupplierOrderStateError';
+    this.statusCode = statusCode;
+  }
+}
+
+class SupplierOrderRerouteService {
+  constructor() {
+    // Suppliers must acknowledge within this many hours of being notified
+    this.ackSlaHours = parseFloat(process.env.SUPPLIER_ACK_SLA_HOURS) || 24;
+    this.maxRerouteAttempts = parseInt(process.env.SUPPLIER_MAX_REROUTES) || 3;
+    this.checkIntervalMinutes = parseInt(process.env.SUPPLIER_SLA_CHECK_INTERVAL_MINUTES) || 15;
+
+    this.rejectableStatuses = ['pending', 'sent', 'acknowledged', 'accepted'];
+    this.unacknowledgedStatuses = ['pending', 'sent'];
+
+    this.slaTimer = null;
+  }
+
+  // Supplier declined the order: keep the rejected row for metrics, route its items elsewhere
+  async handleRejection(supplierOrderId, reason, actor = { type: 'system' }) {
+    const result = await transaction(async (client) => {
+      const supplierOrder = await this.lockSupplierOrder(client, supplierOrderId);
+
+      if (!supplierOrder) {
+        throw new SupplierOrderStateError('Supplier order not found', 404);
+      }
+
+      if (!this.rejectableStatuses.includes(supplierOrder.status)) {
+        throw new SupplierOrderStateError(`Supplier order can no longer be rejected (status: ${supplierOrder.status})`);
+      }
+
+      await client.query(`
+        UPDATE supplier_orders
+        SET status = 'rejected', rejected_at = NOW(), rejection_reason = $2, updated_at = NOW()
+        WHERE id = $1
+      `, [supplierOrderId, reason]);
+
+      return this.rerouteItems(client, supplierOrder, 'rejected');
+    });
+
+    logger.info('Supplier order rejected', {
+      supplierOrderId,
+      reason,
+      actorType: actor.type,
+      actorId: actor.id || null,
+      rerouted: result.routed.length,
+      manualReview: result.manualReview.length
+    });
+
+    SupplierOrderDispatchService.dispatch(result.supplierOrderIds);
+
+    return result;
+  }
+
+  // Supplier never acknowledged: cancel the supplier order and reroute its items.
+  // Returns null when the order was acknowledged or handled in the meantime.
+  async handleTimeout(supplierOrderId) {
+    const result = await transaction(async (client) => {
+      const supplierOrder = await this.lockSupplierOrder(client, supplierOrderId);
+
+      if (!supplierOrder ||
+          !this.unacknowledgedStatuses.includes(supplierOrder.status) ||
+          supplierOrder.acknowledged_at) {
+        return null;
+      }
+
+      // Not a rejection: rejection_reason stays empty so supplier metrics only count real rejections
+      await client.query(`
+        UPDATE supplier_orders
+        SET status = 'cancelled',
+            admin_notes = CONCAT_WS(E'\\n', admin_notes, $2::text),
+            updated_at = NOW()
+        WHERE id = $1
+      `, [supplierOrderId, `Cancelled: not acknowledged within ${this.ackSlaHours}h`]);
+
+      return this.rerouteItems(client, supplierOrder, 'sla_timeout');
+    });
+
+    if (result) {
+      logger.warn('Supplier order timed out', {
+        supplierOrderId,
+        slaHours: this.ackSlaHours,
+        rerouted: result.routed.length,
+        manualReview: result.manualReview.length
+      });
+
+      // Suppliers integrated by API may still have it in their queue
+      await SupplierOrderDispatchService.cancelAtSupplier(supplierOrderId, `Not acknowledged within ${this.ackSlaHours}h`);
+
+      SupplierOrderDispatchService.dispatch(result.supplierOrderIds);
+    }
+
+    return result;
+  }
+
+  async lockSupplierOrder(client, supplierOrderId) {
+    const result = await client.query(
+      'SELECT * FROM supplier_orders WHERE id = $1 FOR UPDATE',
+      [supplierOrderId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Re-run routing for the items of a failed supplier order, excluding every
+  // supplier that already failed them. The new supplier orders link back to it.
+  async rerouteItems(client, supplierOrder, reason) {
+    const emptyResult = { routed: [], manualReview: [], supplierOrderIds: [] };
+
+    const orderResult = await client.query(
+      'SELECT id, order_number, status, currency, shipping_address FROM orders WHERE id = $1',
+      [supplierOrder.order_id]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order || !OrderRoutingService.routableOrderStatuses.includes(order.status)) {
+      logger.info('Customer order no longer needs fulfillment, skipping reroute', {
+        supplierOrderId: supplierOrder.id,
+        orderId: supplierOrder.order_id,
+        orderStatus: order ? order.status : null
+      });
+      return emptyResult;
+    }
+
+    const itemsResult = await client.query(`
+      SELECT oi.*
+      FROM supplier_order_items soi
+      JOIN order_items oi ON soi.order_item_id = oi.id
+      WHERE soi.supplier_order_id = $1
+      ORDER BY oi.created_at
+    `, [supplierOrder.id]);
+
+    if (itemsResult.rows.length === 0) {
+      return emptyResult;
+    }
+
+    const attempt = (supplierOrder.reroute_attempt || 0) + 1;
+
+    if (attempt > this.maxRerouteAttempts) {
+      const manualReview = [];
+      for (const item of itemsResult.rows) {
+        await OrderRoutingService.recordDecision(client, { order, item, outcome: 'manual_review', candidates: [] });
+        manualReview.push({ orderItemId: item.id, candidates: [] });
+      }
+
+      logger.warn('Reroute limit reached, order items queued for manual review', {
+        supplierOrderId: supplierOrder.id,
+        orderId: order.id,
+        attempts: attempt - 1
+      });
+
+      return { ...emptyResult, manualReview };
+    }
+
+    const excludeSourceIds = await this.getFailedSupplierIds(client, supplierOrder.id);
+
+    return OrderRoutingService.routeItems(client, order, itemsResult.rows, {
+      excludeSourceIds,
+      reroutedFrom: { id: supplierOrder.id, attempt, reason }
+    });
+  }
+
+  // Suppliers along the reroute chain ending at this supplier order
+  async getFailedSupplierIds(client, supplierOrderId) {
+    const result = await client.query(`
+      WITH RECURSIVE chain AS (
+        SELECT id, supplier_id, rerouted_from_id
+        FROM supplier_orders
+        WHERE id = $1
+        UNION
+        SELECT so.id, so.supplier_id, so.rerouted_from_id
+        FROM supplier_orders so
+        JOIN chain c ON so.id = c.rerouted_from_id
+      )
+      SELECT DISTINCT supplier_id FROM chain
+    `, [supplierOrderId]);
+
+    return result.rows.map(row => row.supplier_id);
+  }
+
+  // Supplier orders still waiting for acknowledgement past the SLA
+  async findOverdueSupplierOrders() {
+    const result = await query(`
+      SELECT id
+      FROM supplier_orders
+      WHERE status = ANY($1::text[])
+        AND acknowledged_at IS NULL
+        AND COALESCE(notification_sent_at, created_at) < NOW() - ($2::numeric * INTERVAL '1 hour')
+      ORDER BY created_at
+    `, [this.unacknowledgedStatuses, this.ackSlaHours]);
+
+    return result.rows.map(row => row.id);
+  }
+
+  async processOverdueSupplierOrders() {
+    const overdueIds = await this.findOverdueSupplierOrders();
+    let processed = 0;
+
+    for (const supplierOrderId of overdueIds) {
+      try {
+        if (await this.handleTimeout(supplierOrderId)) {
+          processed++;
+        }
+      } catch (error) {
+        logger.error('Failed to reroute timed out supplier order', {
+          supplierOrderId,
+          error: error.message
+        });
+      }
+    }
+
+    return { checked: overdueIds.length, processed };
+  }
+
+  // Periodically cancel and reroute supplier orders that missed the SLA
+  startSlaMonitor() {
+    if (this.slaTimer) {
+      return;
+    }
+
+    const checkInterval = this.checkIntervalMinutes * 60 * 1000;
+
+    this.slaTimer = setInterval(async () => {
+      try {
+        const result = await this.processOverdueSupplierOrders();
+        if (result.checked > 0) {
+          logger.info('Supplier SLA check completed', result);
+        }
+      } catch (error) {
+        logger.error('Supplier SLA check failed:', error);
+      }
+    }, checkInterval);
+  }
+
+  stopSlaMonitor() {
+    if (this.slaTimer) {
+      clearInterval(this.slaTimer);
+      this.slaTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const supplierOrderRerouteService = new SupplierOrderRerouteService();
+module.exports = supplierOrderRerouteService;
+module.exports.SupplierOrderStateError = SupplierOrderStateError;
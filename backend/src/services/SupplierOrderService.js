@@ -0,0 +1,360 @@
+const { query, transaction } = require('../config/database');
+const shippingAdapters = require('../adapters/shipping');
+const InventoryReservationService = require('./InventoryReservationService');
+const OrderShipmentService = require('./OrderShipmentService');
+const OrderStateMachine = require('./OrderStateMachine');
+const logger = require('../utils/logger');
+
+// Raised when a supplier order is not in a state that allows the requested step
+class SupplierOrderTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'SupplierOrderTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+class SupplierOrderService {
+  constructor() {
+    // Supplier orders still waiting to be shipped
+    this.openStatuses = ['pending', 'sent', 'acknowledged', 'accepted', 'processing'];
+    this.acknowledgeableStatuses = ['pending', 'sent'];
+    this.acceptableStatuses = ['pending', 'sent', 'acknowledged'];
+    this.processableStatuses = ['pending', 'sent', 'acknowledged', 'accepted'];
+  }
+
+  // Supplier confirmed receipt of the order (stops the acknowledgement SLA)
+  async acknowledge(supplierOrderId, { actor = { type: 'system' }, supplierOrderNumber = null } = {}) {
+    const result = await query(`
+      UPDATE supplier_orders
+      SET status = 'acknowledged', acknowledged_at = NOW(),
+          supplier_order_number = COALESCE($3, supplier_order_number), updated_at = NOW()
+      WHERE id = $1 AND status = ANY($2::text[])
+      RETURNING *
+    `, [supplierOrderId, this.acknowledgeableStatuses, supplierOrderNumber]);
+
+    return this.logStep(result, supplierOrderId, 'acknowledged', actor);
+  }
+
+  // Supplier committed to fulfilling the order
+  async accept(supplierOrderId, { actor = { type: 'system' } } = {}) {
+    const result = await query(`
+      UPDATE supplier_orders
+      SET status = 'accepted', acknowledged_at = COALESCE(acknowledged_at, NOW()),
+          accepted_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = ANY($2::text[])
+      RETURNING *
+    `, [supplierOrderId, this.acceptableStatuses]);
+
+    const step = await this.logStep(result, supplierOrderId, 'accepted', actor);
+    if (step.changed) {
+      await this.startOrder(step.supplierOrder.order_id, actor, 'Supplier accepted the order');
+    }
+    return step;
+  }
+
+  // Supplier started picking/packing; an order that skipped accepting is accepted implicitly
+  async markProcessing(supplierOrderId, { actor = { type: 'system' } } = {}) {
+    const result = await query(`
+      UPDATE supplier_orders
+      SET status = 'processing', acknowledged_at = COALESCE(acknowledged_at, NOW()),
+          accepted_at = COALESCE(accepted_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status = ANY($2::text[])
+      RETURNING *
+    `, [supplierOrderId, this.processableStatuses]);
+
+    const step = await this.logStep(result, supplierOrderId, 'processing', actor);
+    if (step.changed) {
+      await this.startOrder(step.supplierOrder.order_id, actor, 'Supplier is processing the order');
+    }
+    return step;
+  }
+
+  // Mark one supplier order shipped and move its customer order along
+  async ship(supplierOrderId, { trackingNumber, carrier, shippedAt = null, estimatedDeliveryDate = null, actor = { type: 'system' } }) {
+    const orderId = await transaction(client =>
+      this.markShipped(client, supplierOrderId, { trackingNumber, carrier, shippedAt, estimatedDeliveryDate })
+    );
+
+    if (!orderId) {
+      const current = await query('SELECT status FROM supplier_orders WHERE id = $1', [supplierOrderId]);
+      if (current.rows.length === 0) {
+        throw new SupplierOrderTransitionError('Supplier order not found', 404);
+      }
+      throw new SupplierOrderTransitionError(`Supplier order cannot be shipped (status: ${current.rows[0].status})`);
+    }
+
+    logger.info('Supplier order shipped', {
+      supplierOrderId,
+      trackingNumber,
+      carrier,
+      actorType: actor.type,
+      actorId: actor.id || null
+    });
+
+    await this.advanceOrders([orderId], actor);
+
+    return orderId;
+  }
+
+  // Inside an open transaction: set the tracking details and turn the
+  // reservations of the shipped items into sales. Returns the customer order
+  // id, or null when the supplier order was no longer open.
+  async markShipped(client, supplierOrderId, { trackingNumber, carrier, shippedAt = null, estimatedDeliveryDate = null }) {
+    const updated = await client.query(`
+      UPDATE supplier_orders
+      SET status = 'shipped', tracking_number = $2, shipping_carrier = $3,
+          shipped_at = COALESCE($4, NOW()), estimated_delivery_date = COALESCE($6, estimated_delivery_date),
+          acknowledged_at = COALESCE(acknowledged_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status = ANY($5::text[])
+      RETURNING order_id
+    `, [supplierOrderId, trackingNumber, carrier, shippedAt, this.openStatuses, estimatedDeliveryDate]);
+
+    if (updated.rows.length === 0) {
+      return null;
+    }
+
+    const orderId = updated.rows[0].order_id;
+
+    // Parcels of carriers we integrate are tracked like our own shipments
+    const carrierCode = String(carrier || '').trim().toLowerCase();
+    if (trackingNumber && shippingAdapters.codes.includes(carrierCode)) {
+      await client.query(`
+        INSERT INTO shipments (order_id, supplier_order_id, carrier, tracking_number, status, estimated_delivery_date)
+        VALUES ($1, $2, $3, $4, 'in_transit', $5)
+        ON CONFLICT (carrier, tracking_number) WHERE tracking_number IS NOT NULL DO NOTHING
+      `, [orderId, supplierOrderId, carrierCode, trackingNumber, estimatedDeliveryDate]);
+    }
+
+    // The items of this parcel left the supplier; the rest of the order may still be waiting
+    const items = await client.query(
+      'SELECT order_item_id FROM supplier_order_items WHERE supplier_order_id = $1',
+      [supplierOrderId]
+    );
+    await InventoryReservationService.convertOrder(client, orderId, {
+      orderItemIds: items.rows.map(item => item.order_item_id)
+    });
+
+    return orderId;
+  }
+
+  // The carrier delivered the supplier's parcel
+  async markDelivered(supplierOrderId, { deliveredAt = null, actor = { type: 'system' } } = {}) {
+    const result = await query(`
+      UPDATE supplier_orders
+      SET status = 'delivered', delivered_at = COALESCE($3, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status = ANY($2::text[])
+      RETURNING *
+    `, [supplierOrderId, ['shipped', 'exception'], deliveredAt]);
+
+    return this.logStep(result, supplierOrderId, 'delivered', actor);
+  }
+
+  // The carrier could not deliver the parcel; resumed = it is moving again
+  async markDeliveryException(supplierOrderId, { resumed = false, actor = { type: 'system' } } = {}) {
+    const [fromStatus, toStatus] = resumed ? ['exception', 'shipped'] : ['shipped', 'exception'];
+
+    const result = await query(`
+      UPDATE supplier_orders
+      SET status = $3, updated_at = NOW()
+      WHERE id = $1 AND status = $2
+      RETURNING *
+    `, [supplierOrderId, fromStatus, toStatus]);
+
+    return this.logStep(result, supplierOrderId, resumed ? 'back in transit' : 'delivery exception', actor);
+  }
+
+  // Move customer orders along after supplier parcels shipped: to shipped once
+  // every shipment left, otherwise to processing
+  async advanceOrders(orderIds, actor = { type: 'system' }) {
+    if (orderIds.length === 0) {
+      return;
+    }
+
+    const ordersResult = await query('SELECT * FROM orders WHERE id = ANY($1::uuid[])', [orderIds]);
+    const shipmentsByOrder = await OrderShipmentService.getShipmentsForOrders(ordersResult.rows);
+
+    for (const order of ordersResult.rows) {
+      const shipments = shipmentsByOrder.get(order.id);
+      const allShipped = shipments.length > 0 &&
+        shipments.every(shipment => ['shipped', 'exception', 'delivered'].includes(shipment.status));
+
+      const toStatus = allShipped ? 'shipped' : 'processing';
+      if (!['confirmed', 'processing'].includes(order.status) || order.status === toStatus) {
+        continue;
+      }
+
+      try {
+        await OrderStateMachine.transition(order.id, toStatus, {
+          actor,
+          reason: allShipped ? 'All supplier parcels shipped' : 'Supplier parcel shipped',
+          allowedFrom: ['confirmed', 'processing']
+        });
+      } catch (error) {
+        // The supplier orders are updated either way; the order can be moved by hand
+        logger.error('Failed to advance order after supplier shipment', {
+          orderId: order.id,
+          toStatus,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // A supplier started on the order: a confirmed customer order moves to processing
+  async startOrder(orderId, actor, reason) {
+    try {
+      const order = await query('SELECT status FROM orders WHERE id = $1', [orderId]);
+      if (order.rows[0]?.status !== 'confirmed') {
+        return;
+      }
+
+      await OrderStateMachine.transition(orderId, 'processing', {
+        actor,
+        reason,
+        allowedFrom: ['confirmed']
+      });
+    } catch (error) {
+      // Same as after shipments: the supplier order is updated either way
+      logger.error('Failed to advance order after supplier accepted', {
+        orderId,
+        error: error.message
+      });
+    }
+  }
+
+  // Supplier portal: own supplier orders only, with just what is needed to
+  // pack and ship (recipient and address, no email, billing data or prices)
+  async listForSupplier(supplierId, { status = null, limit = 20, offset = 0 } = {}) {
+    const [ordersResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          so.id, o.order_number, so.status, so.supplier_order_number,
+          so.tracking_number, so.shipping_carrier, so.estimated_delivery_date,
+          so.notification_sent_at, so.acknowledged_at, so.accepted_at, so.shipped_at,
+          so.delivered_at, so.rejected_at, so.created_at, so.updated_at,
+          o.shipping_address->>'country' as shipping_country,
+          items.item_count, items.quantity, items.total_cost
+        FROM supplier_orders so
+        JOIN orders o ON so.order_id = o.id
+        LEFT JOIN LATERAL (
+          SELECT COUNT(*) as item_count, SUM(soi.quantity) as quantity, SUM(soi.quantity * soi.unit_cost) as total_cost
+          FROM supplier_order_items soi
+          WHERE soi.supplier_order_id = so.id
+        ) items ON true
+        WHERE so.supplier_id = $1
+          AND ($2::text IS NULL OR so.status = $2)
+        ORDER BY so.created_at DESC
+        LIMIT $3 OFFSET $4
+      `, [supplierId, status, limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM supplier_orders so
+        WHERE so.supplier_id = $1 AND ($2::text IS NULL OR so.status = $2)
+      `, [supplierId, status])
+    ]);
+
+    return { orders: ordersResult.rows, total: parseInt(countResult.rows[0].total) };
+  }
+
+  async getForSupplier(supplierId, supplierOrderId) {
+    const result = await query(`
+      SELECT
+        so.id, o.order_number, so.status, so.supplier_order_number,
+        so.tracking_number, so.shipping_carrier, so.estimated_delivery_date,
+        so.notification_sent_at, so.acknowledged_at, so.accepted_at, so.shipped_at,
+        so.delivered_at, so.rejected_at, so.rejection_reason, so.supplier_notes,
+        so.created_at, so.updated_at, o.shipping_address
+      FROM supplier_orders so
+      JOIN orders o ON so.order_id = o.id
+      WHERE so.id = $1 AND so.supplier_id = $2
+    `, [supplierOrderId, supplierId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { shipping_address: address, ...supplierOrder } = result.rows[0];
+
+    const itemsResult = await query(`
+      SELECT
+        soi.id, sc.external_product_id as supplier_sku,
+        COALESCE(pv.sku, p.sku) as product_sku, p.name_en as product_name,
+        pv.size, pv.color_en as color, soi.quantity, soi.unit_cost
+      FROM supplier_order_items soi
+      JOIN products p ON soi.product_id = p.id
+      LEFT JOIN product_variants pv ON soi.variant_id = pv.id
+      LEFT JOIN LATERAL (
+        SELECT c.external_product_id
+        FROM supplier_catalogs c
+        WHERE c.supplier_id = $2 AND c.product_id = soi.product_id
+        ORDER BY (c.metadata->>'variant_id' = soi.variant_id::text) DESC NULLS LAST, c.updated_at DESC
+        LIMIT 1
+      ) sc ON true
+      WHERE soi.supplier_order_id = $1
+      ORDER BY soi.created_at
+    `, [supplierOrderId, supplierId]);
+
+    const shippingAddress = address || {};
+
+    return {
+      ...supplierOrder,
+      shippingAddress: {
+        name: [shippingAddress.firstName, shippingAddress.lastName].filter(Boolean).join(' '),
+        addressLine1: shippingAddress.addressLine1 || null,
+        addressLine2: shippingAddress.addressLine2 || null,
+        postalCode: shippingAddress.postalCode || null,
+        city: shippingAddress.city || null,
+        state: shippingAddress.state || null,
+        country: shippingAddress.country || null,
+        // Carriers need a phone number for delivery notices
+        phone: shippingAddress.phone || null
+      },
+      items: itemsResult.rows
+    };
+  }
+
+  // Throws 404 unless the supplier order belongs to the supplier
+  async assertOwner(supplierOrderId, supplierId) {
+    const result = await query(
+      'SELECT status FROM supplier_orders WHERE id = $1 AND supplier_id = $2',
+      [supplierOrderId, supplierId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new SupplierOrderTransitionError('Supplier order not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async saveSupplierNotes(supplierOrderId, notes) {
+    await query(
+      'UPDATE supplier_orders SET supplier_notes = $2, updated_at = NOW() WHERE id = $1',
+      [supplierOrderId, notes]
+    );
+  }
+
+  async logStep(result, supplierOrderId, status, actor) {
+    if (result.rows.length === 0) {
+      const current = await query('SELECT status FROM supplier_orders WHERE id = $1', [supplierOrderId]);
+      if (current.rows.length === 0) {
+        throw new SupplierOrderTransitionError('Supplier order not found', 404);
+      }
+      return { changed: false, supplierOrder: current.rows[0] };
+    }
+
+    logger.info(`Supplier order ${status}`, {
+      supplierOrderId,
+      actorType: actor.type,
+      actorId: actor.id || null
+    });
+
+    return { changed: true, supplierOrder: result.rows[0] };
+  }
+}
+
+// Export singleton instance
+const supplierOrderService = new SupplierOrderService();
+module.exports = supplierOrderService;
+module.exports.SupplierOrderTransitionError = SupplierOrderTransitionError;
@@ -0,0 +1,146 @@
+const { query } = require('../config/database');
+const supplierAdapters = require('../adapters/suppliers');
+const SupplierOrderService = require('./SupplierOrderService');
+const SupplierOrderRerouteService = require('./SupplierOrderRerouteService');
+const logger = require('../utils/logger');
+
+// Polls the status of supplier orders submitted through a supplier API and
+// applies what the supplier reports, like a portal or email reply would
+class SupplierOrderStatusSyncService {
+  constructor() {
+    this.pollIntervalMinutes = parseInt(process.env.SUPPLIER_API_POLL_INTERVAL_MINUTES ?? '10');
+    this.batchSize = parseInt(process.env.SUPPLIER_API_POLL_BATCH_SIZE ?? '100');
+
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  async pollOpenOrders() {
+    const result = await query(`
+      SELECT
+        so.id, so.status, so.supplier_order_number,
+        s.id as supplier_id, s.api_endpoint, s.api_key_encrypted, s.integration_config, s.integration_methods
+      FROM supplier_orders so
+      JOIN suppliers s ON so.supplier_id = s.id
+      WHERE so.notification_method = 'api'
+        AND so.supplier_order_number IS NOT NULL
+        AND so.status = ANY($1::text[])
+      ORDER BY so.updated_at
+      LIMIT $2
+    `, [SupplierOrderService.openStatuses, this.batchSize]);
+
+    const summary = { checked: 0, updated: 0, failed: 0 };
+
+    for (const row of result.rows) {
+      const supplier = {
+        id: row.supplier_id,
+        api_endpoint: row.api_endpoint,
+        api_key_encrypted: row.api_key_encrypted,
+        integration_config: row.integration_config,
+        integration_methods: row.integration_methods
+      };
+
+      if (!supplierAdapters.supportsApi(supplier)) {
+        continue;
+      }
+
+      summary.checked++;
+
+      try {
+        const status = await supplierAdapters.create(supplier).getOrderStatus(row.supplier_order_number);
+        if (await this.applyStatus(row, status)) {
+          summary.updated++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.error('Supplier order status poll failed', {
+          supplierOrderId: row.id,
+          supplierId: row.supplier_id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  // Returns true when the supplier order moved
+  async applyStatus(supplierOrder, status) {
+    const actor = { type: 'supplier', id: supplierOrder.supplier_id };
+
+    switch (status.status) {
+      case 'acknowledged':
+        return (await SupplierOrderService.acknowledge(supplierOrder.id, { actor })).changed;
+
+      case 'accepted':
+        return (await SupplierOrderService.accept(supplierOrder.id, { actor })).changed;
+
+      case 'processing':
+        return (await SupplierOrderService.markProcessing(supplierOrder.id, { actor })).changed;
+
+      case 'shipped':
+      case 'delivered':
+        // Without a tracking number the parcel cannot be followed; wait for the next poll
+        if (!status.trackingNumber) {
+          return false;
+        }
+        await SupplierOrderService.ship(supplierOrder.id, {
+          trackingNumber: status.trackingNumber,
+          carrier: status.carrier,
+          estimatedDeliveryDate: status.estimatedDeliveryDate,
+          actor
+        });
+        return true;
+
+      case 'rejected':
+      case 'cancelled':
+        await SupplierOrderRerouteService.handleRejection(
+          supplierOrder.id,
+          status.raw?.reason || `Supplier API reported ${status.status}`,
+          actor
+        );
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  startPoller() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    const pollInterval = this.pollIntervalMinutes * 60 * 1000;
+
+    this.pollTimer = setInterval(async () => {
+      // A slow supplier API must not stack polls
+      if (this.polling) {
+        return;
+      }
+
+      this.polling = true;
+      try {
+        const result = await this.pollOpenOrders();
+        if (result.checked > 0) {
+          logger.info('Supplier API status poll completed', result);
+        }
+      } catch (error) {
+        logger.error('Supplier API status poll failed:', error);
+      } finally {
+        this.polling = false;
+      }
+    }, pollInterval);
+  }
+
+  stopPoller() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const supplierOrderStatusSyncService = new SupplierOrderStatusSyncService();
+module.exports = supplierOrderStatusSyncService;
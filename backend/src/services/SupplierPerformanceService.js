@@ -0,0 +1,348 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Monthly supplier scorecards (supplier_performance) from supplier order
+// outcomes. Each metric becomes a 0-1 component; the weighted components give
+// performance_score (0-100), which the routing engine prefers over the
+// manually kept suppliers.rating. suppliers.rating (0-5) is then set from the
+// recent scorecards, so both stay consistent.
+//
+// defect_rate and customer_rating stay empty: orders record no defect cause
+// and there are no product reviews yet.
+class SupplierPerformanceService {
+  constructor() {
+    this.weights = {
+      acceptance: 0.3,
+      onTime: 0.3,
+      acknowledgement: 0.15,
+      fulfillment: 0.15,
+      returns: 0.1
+    };
+
+    // Score bands: full marks at the first value, zero at the second
+    this.acknowledgementHours = [2, 48];
+    this.fulfillmentDays = [2, 10];
+    this.maxReturnRate = 0.2;
+
+    this.categories = [
+      { min: 85, name: 'excellent' },
+      { min: 70, name: 'good' },
+      { min: 50, name: 'fair' },
+      { min: 0, name: 'poor' }
+    ];
+
+    // Fewer orders than this in a month give a scorecard without a score
+    this.minOrders = parseInt(process.env.SUPPLIER_SCORECARD_MIN_ORDERS ?? '5');
+    // suppliers.rating averages this many recent scored months
+    this.ratingPeriods = parseInt(process.env.SUPPLIER_SCORECARD_RATING_MONTHS ?? '3');
+    this.runHourUtc = parseInt(process.env.SUPPLIER_SCORECARD_HOUR_UTC ?? '3');
+
+    this.timer = null;
+  }
+
+  // Calendar month containing date, as YYYY-MM-DD strings (UTC)
+  monthOf(date) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+    return { periodStart: start.toISOString().slice(0, 10), periodEnd: end.toISOString().slice(0, 10) };
+  }
+
+  // Recompute the current and the previous month (late deliveries and returns
+  // still change last month), then refresh suppliers.rating
+  async run({ date = new Date(), supplierId = null } = {}) {
+    const current = this.monthOf(date);
+    const previous = this.monthOf(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+
+    const scorecards = [
+      ...await this.computePeriod({ ...previous, supplierId }),
+      ...await this.computePeriod({ ...current, supplierId })
+    ];
+
+    const ratings = await this.updateRatings(supplierId);
+
+    logger.info('Supplier scorecards computed', {
+      supplierId,
+      periods: [previous.periodStart, current.periodStart],
+      scorecards: scorecards.length,
+      ratingsUpdated: ratings
+    });
+
+    return { scorecards: scorecards.length, ratingsUpdated: ratings };
+  }
+
+  // Aggregate the supplier orders created in the period and upsert one row per supplier
+  async computePeriod({ periodStart, periodEnd, supplierId = null }) {
+    const metricsResult = await query(`
+      SELECT
+        so.supplier_id,
+        COUNT(*) as orders_total,
+        COUNT(*) FILTER (
+          WHERE so.accepted_at IS NOT NULL OR so.status IN ('accepted', 'processing', 'shipped', 'delivered')
+        ) as orders_accepted,
+        COUNT(*) FILTER (WHERE so.status = 'rejected' OR so.rejected_at IS NOT NULL) as orders_rejected,
+        COUNT(*) FILTER (WHERE so.status IN ('shipped', 'delivered')) as orders_fulfilled,
+        COUNT(*) FILTER (WHERE so.status = 'cancelled') as orders_cancelled,
+        AVG(EXTRACT(EPOCH FROM (so.acknowledged_at - so.notification_sent_at)) / 3600)
+          FILTER (WHERE so.acknowledged_at IS NOT NULL AND so.notification_sent_at IS NOT NULL) as average_acknowledgement_hours,
+        AVG(EXTRACT(EPOCH FROM (so.shipped_at - so.notification_sent_at)) / 86400)
+          FILTER (WHERE so.shipped_at IS NOT NULL AND so.notification_sent_at IS NOT NULL) as average_fulfillment_days,
+        COUNT(*) FILTER (WHERE so.delivered_at IS NOT NULL AND so.estimated_delivery_date IS NOT NULL) as deliveries_with_estimate,
+        COUNT(*) FILTER (
+          WHERE so.delivered_at IS NOT NULL AND so.estimated_delivery_date IS NOT NULL
+            AND so.delivered_at::date <= so.estimated_delivery_date
+        ) as deliveries_on_time,
+        COUNT(*) FILTER (WHERE so.delivered_at IS NOT NULL) as orders_delivered,
+        COUNT(*) FILTER (
+          WHERE so.delivered_at IS NOT NULL AND EXISTS (
+            SELECT 1 FROM order_status_history h
+            WHERE h.order_id = so.order_id AND h.from_status = 'delivered' AND h.to_status = 'refunded'
+          )
+        ) as orders_returned
+      FROM supplier_orders so
+      WHERE so.created_at >= $1::date
+        AND so.created_at < $2::date + 1
+        AND so.status NOT IN ('pending', 'failed')
+        AND ($3::uuid IS NULL OR so.supplier_id = $3)
+      GROUP BY so.supplier_id
+    `, [periodStart, periodEnd, supplierId]);
+
+    const scorecards = [];
+
+    for (const row of metricsResult.rows) {
+      const scorecard = this.score(row);
+
+      await query(`
+        INSERT INTO supplier_performance (
+          supplier_id, period_start, period_end,
+          orders_total, orders_accepted, orders_rejected, orders_fulfilled, orders_cancelled,
+          average_acknowledgement_hours, average_fulfillment_days, on_time_delivery_rate, return_rate,
+          performance_score, rating_category
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        ON CONFLICT (supplier_id, period_start, period_end) DO UPDATE SET
+          orders_total = EXCLUDED.orders_total,
+          orders_accepted = EXCLUDED.orders_accepted,
+          orders_rejected = EXCLUDED.orders_rejected,
+          orders_fulfilled = EXCLUDED.orders_fulfilled,
+          orders_cancelled = EXCLUDED.orders_cancelled,
+          average_acknowledgement_hours = EXCLUDED.average_acknowledgement_hours,
+          average_fulfillment_days = EXCLUDED.average_fulfillment_days,
+          on_time_delivery_rate = EXCLUDED.on_time_delivery_rate,
+          return_rate = EXCLUDED.return_rate,
+          performance_score = EXCLUDED.performance_score,
+          rating_category = EXCLUDED.rating_category,
+          updated_at = NOW()
+      `, [
+        row.supplier_id,
+        periodStart,
+        periodEnd,
+        scorecard.ordersTotal,
+        scorecard.ordersAccepted,
+        scorecard.ordersRejected,
+        scorecard.ordersFulfilled,
+        scorecard.ordersCancelled,
+        scorecard.averageAcknowledgementHours,
+        scorecard.averageFulfillmentDays,
+        scorecard.onTimeDeliveryRate,
+        scorecard.returnRate,
+        scorecard.performanceScore,
+        scorecard.ratingCategory
+      ]);
+
+      scorecards.push({ supplierId: row.supplier_id, periodStart, periodEnd, ...scorecard });
+    }
+
+    return scorecards;
+  }
+
+  // Metrics row -> rounded scorecard values, components and weighted score.
+  // Components without data (e.g. nothing delivered yet) are left out and the
+  // remaining weights are scaled up.
+  score(row) {
+    const count = (value) => parseInt(value || 0);
+    const round = (value, digits) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+    const band = (value, [best, worst]) => Math.max(0, Math.min(1, (worst - value) / (worst - best)));
+
+    const ordersTotal = count(row.orders_total);
+    const ordersAccepted = count(row.orders_accepted);
+    const ordersRejected = count(row.orders_rejected);
+    const ordersCancelled = count(row.orders_cancelled);
+    const decided = ordersAccepted + ordersRejected + ordersCancelled;
+    const withEstimate = count(row.deliveries_with_estimate);
+    const delivered = count(row.orders_delivered);
+
+    const ackHours = row.average_acknowledgement_hours !== null ? parseFloat(row.average_acknowledgement_hours) : null;
+    const fulfillmentDays = row.average_fulfillment_days !== null ? parseFloat(row.average_fulfillment_days) : null;
+    const onTimeRate = withEstimate > 0 ? count(row.deliveries_on_time) / withEstimate : null;
+    const returnRate = delivered > 0 ? count(row.orders_returned) / delivered : null;
+
+    const components = {
+      acceptance: decided > 0 ? ordersAccepted / decided : null,
+      onTime: onTimeRate,
+      acknowledgement: ackHours !== null ? band(ackHours, this.acknowledgementHours) : null,
+      fulfillment: fulfillmentDays !== null ? band(fulfillmentDays, this.fulfillmentDays) : null,
+      returns: returnRate !== null ? 1 - Math.min(returnRate / this.maxReturnRate, 1) : null
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, value] of Object.entries(components)) {
+      if (value !== null) {
+        weighted += value * this.weights[name];
+        totalWeight += this.weights[name];
+      }
+    }
+
+    const performanceScore = ordersTotal >= this.minOrders && totalWeight > 0
+      ? round((weighted / totalWeight) * 100, 2)
+      : null;
+
+    return {
+      ordersTotal,
+      ordersAccepted,
+      ordersRejected,
+      ordersFulfilled: count(row.orders_fulfilled),
+      ordersCancelled,
+      averageAcknowledgementHours: round(ackHours, 2),
+      averageFulfillmentDays: round(fulfillmentDays, 2),
+      onTimeDeliveryRate: onTimeRate !== null ? round(onTimeRate * 100, 2) : null,
+      returnRate: round(returnRate, 4),
+      components,
+      performanceScore,
+      ratingCategory: this.categoryOf(performanceScore)
+    };
+  }
+
+  categoryOf(score) {
+    if (score === null || score === undefined) {
+      return null;
+    }
+    return this.categories.find(category => score >= category.min).name;
+  }
+
+  // suppliers.rating (0-5) = order-weighted average score of the recent scored months
+  async updateRatings(supplierId = null) {
+    const result = await query(`
+      WITH recent AS (
+        SELECT supplier_id, performance_score, orders_total,
+               ROW_NUMBER() OVER (PARTITION BY supplier_id ORDER BY period_end DESC) as position
+        FROM supplier_performance
+        WHERE performance_score IS NOT NULL
+          AND ($1::uuid IS NULL OR supplier_id = $1)
+      ),
+      ratings AS (
+        SELECT supplier_id, SUM(performance_score * orders_total) / NULLIF(SUM(orders_total), 0) as score
+        FROM recent
+        WHERE position <= $2
+        GROUP BY supplier_id
+      )
+      UPDATE suppliers s
+      SET rating = ROUND(r.score / 20, 2), updated_at = NOW()
+      FROM ratings r
+      WHERE s.id = r.supplier_id AND r.score IS NOT NULL
+        AND s.rating IS DISTINCT FROM ROUND(r.score / 20, 2)
+      RETURNING s.id
+    `, [supplierId, this.ratingPeriods]);
+
+    return result.rowCount;
+  }
+
+  // Scorecards of one supplier, oldest first, for trend charts
+  async getTrend(supplierId, { months = 12 } = {}) {
+    const supplierResult = await query('SELECT rating FROM suppliers WHERE id = $1', [supplierId]);
+    if (supplierResult.rows.length === 0) {
+      return null;
+    }
+
+    const result = await query(`
+      SELECT * FROM (
+        SELECT
+          period_start, period_end, orders_total, orders_accepted, orders_rejected,
+          orders_fulfilled, orders_cancelled, average_acknowledgement_hours,
+          average_fulfillment_days, on_time_delivery_rate, return_rate,
+          performance_score, rating_category, updated_at
+        FROM supplier_performance
+        WHERE supplier_id = $1
+        ORDER BY period_end DESC
+        LIMIT $2
+      ) periods
+      ORDER BY period_end
+    `, [supplierId, months]);
+
+    const periods = result.rows;
+    const scored = periods.filter(period => period.performance_score !== null);
+    const latest = scored[scored.length - 1] || null;
+    const previous = scored[scored.length - 2] || null;
+
+    return {
+      rating: supplierResult.rows[0].rating !== null ? parseFloat(supplierResult.rows[0].rating) : null,
+      score: latest ? parseFloat(latest.performance_score) : null,
+      category: latest ? latest.rating_category : null,
+      change: latest && previous
+        ? Math.round((parseFloat(latest.performance_score) - parseFloat(previous.performance_score)) * 100) / 100
+        : null,
+      periods
+    };
+  }
+
+  // Every supplier with its latest and previous scored month, worst first
+  async getOverview({ category = null } = {}) {
+    const result = await query(`
+      WITH scored AS (
+        SELECT p.*, ROW_NUMBER() OVER (PARTITION BY p.supplier_id ORDER BY p.period_end DESC) as position
+        FROM supplier_performance p
+        WHERE p.performance_score IS NOT NULL
+      )
+      SELECT
+        s.id as supplier_id, s.company_name, s.is_active, s.rating,
+        latest.period_start, latest.orders_total, latest.performance_score, latest.rating_category,
+        latest.on_time_delivery_rate, latest.average_acknowledgement_hours, latest.return_rate,
+        CASE WHEN latest.orders_total > 0 THEN ROUND(latest.orders_accepted::numeric / latest.orders_total * 100, 2) END as acceptance_rate,
+        previous.performance_score as previous_score,
+        latest.performance_score - previous.performance_score as score_change
+      FROM suppliers s
+      LEFT JOIN scored latest ON latest.supplier_id = s.id AND latest.position = 1
+      LEFT JOIN scored previous ON previous.supplier_id = s.id AND previous.position = 2
+      WHERE ($1::text IS NULL OR latest.rating_category = $1)
+      ORDER BY latest.performance_score ASC NULLS LAST, s.company_name
+    `, [category]);
+
+    return result.rows;
+  }
+
+  startScheduler() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      if (new Date().getUTCHours() !== this.runHourUtc) {
+        return;
+      }
+
+      try {
+        const existing = await query(`
+          SELECT 1 FROM supplier_performance
+          WHERE updated_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+          LIMIT 1
+        `);
+
+        if (existing.rows.length === 0) {
+          await this.run();
+        }
+      } catch (error) {
+        logger.error('Scheduled supplier scorecards failed:', error);
+      }
+    }, 60 * 60 * 1000);
+  }
+
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const supplierPerformanceService = new SupplierPerformanceService();
+module.exports = supplierPerformanceService;
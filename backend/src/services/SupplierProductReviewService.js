@@ -0,0 +1,695 @@
+const { query, transaction } = require('../config/database');
+const CurrencyService = require('./CurrencyService');
+const PricingService = require('./PricingService');
+const PriceHistoryService = require('./PriceHistoryService');
+const SupplierCatalogMatchService = require('./SupplierCatalogMatchService');
+const EmailService = require('./EmailService');
+const logger = require('../utils/logger');
+
+// Raised when a submission cannot be reviewed, approved or edited
+class ProductReviewError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ProductReviewError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Review of products suppliers submit through the portal (supplier_products).
+// Approving a new submission creates the product with its variants and images,
+// a supplier_catalogs entry for the supplier's stock and the inventory source
+// the routing engine uses. Edits of live products are stored as revisions
+// (revision_of) and applied to the product when approved.
+class SupplierProductReviewService {
+  constructor() {
+    this.languages = ['en', 'pt', 'de', 'fr', 'es'];
+    this.minDescriptionLength = 30;
+
+    // Fields a supplier can submit or change, as sent by the portal
+    this.submissionFields = {
+      name: 'name',
+      description: 'description',
+      category: 'category',
+      price: 'price',
+      stockQuantity: 'stock_quantity',
+      weight: 'weight',
+      dimensions: 'dimensions',
+      colors: 'colors',
+      sizes: 'sizes',
+      materials: 'materials',
+      tags: 'tags'
+    };
+    this.listFields = ['colors', 'sizes', 'materials', 'tags'];
+  }
+
+  // colors/sizes/... arrive as arrays, JSON strings (multipart forms) or "a, b"
+  asList(value) {
+    if (value === null || value === undefined || value === '') {
+      return [];
+    }
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      try {
+        return this.asList(JSON.parse(value));
+      } catch (error) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+      }
+    }
+    return [value];
+  }
+
+  colorOf(color) {
+    if (typeof color === 'string') {
+      return { name: color, hex: null };
+    }
+    const hex = color.hex || color.colorHex || null;
+    return {
+      name: color.name || color.en || color.label || '',
+      hex: /^#[0-9a-f]{6}$/i.test(hex || '') ? hex : null
+    };
+  }
+
+  async getQueue({ status = 'pending', supplierId = null, limit = 20, offset = 0 } = {}) {
+    const [submissionsResult, countResult] = await Promise.all([
+      query(`
+        SELECT sp.*, s.company_name,
+               (SELECT COUNT(*) FROM supplier_product_images i WHERE i.supplier_product_id = sp.id) as image_count
+        FROM supplier_products sp
+        JOIN suppliers s ON sp.supplier_id = s.id
+        WHERE sp.status = $1
+          AND ($2::uuid IS NULL OR sp.supplier_id = $2)
+        ORDER BY sp.submitted_at
+        LIMIT $3 OFFSET $4
+      `, [status, supplierId, limit, offset]),
+      query(`
+        SELECT COUNT(*) as total FROM supplier_products
+        WHERE status = $1 AND ($2::uuid IS NULL OR supplier_id = $2)
+      `, [status, supplierId])
+    ]);
+
+    const submissions = [];
+    for (const submission of submissionsResult.rows) {
+      const review = submission.status === 'pending'
+        ? await this.review(submission)
+        : submission.review;
+      submissions.push({ ...submission, review });
+    }
+
+    return { submissions, total: parseInt(countResult.rows[0].total) };
+  }
+
+  // One submission with images, the live values it would change and its review
+  async getSubmission(submissionId, overrides = {}) {
+    const result = await query(`
+      SELECT sp.*, s.company_name
+      FROM supplier_products sp
+      JOIN suppliers s ON sp.supplier_id = s.id
+      WHERE sp.id = $1
+    `, [submissionId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const submission = result.rows[0];
+    const images = await this.getImages(submission.id);
+
+    let current = null;
+    if (submission.revision_of) {
+      const currentResult = await query('SELECT * FROM supplier_products WHERE id = $1', [submission.revision_of]);
+      current = currentResult.rows[0] || null;
+    }
+
+    const review = submission.status === 'pending'
+      ? await this.review(submission, overrides)
+      : submission.review;
+
+    return { ...submission, images, current, review };
+  }
+
+  async getImages(submissionId, client = null) {
+    const result = await (client || { query }).query(
+      'SELECT id, image_url, alt_text, sort_order FROM supplier_product_images WHERE supplier_product_id = $1 ORDER BY sort_order',
+      [submissionId]
+    );
+    return result.rows;
+  }
+
+  // Pricing and compliance checklist. overrides are what the admin is about to
+  // approve with (categoryId, basePrice, sku, weightGrams, translations).
+  async review(submission, overrides = {}, client = null) {
+    const db = client || { query };
+    const product = await this.currentProduct(submission, db);
+
+    const categoryId = overrides.categoryId ||
+      await this.resolveCategory(submission.category, db) ||
+      product?.category_id ||
+      null;
+
+    const costPrice = await this.costInEur(submission);
+    const basePrice = overrides.basePrice ?? (product ? parseFloat(product.base_price) : null);
+
+    const evaluation = categoryId
+      ? await PricingService.evaluate({ categoryId, supplierId: submission.supplier_id, costPrice, basePrice }, client)
+      : null;
+
+    // Without a price from the admin (or the live product) the target tier is proposed
+    const proposedPrice = basePrice ?? evaluation?.tiers?.target?.price ?? null;
+    const pricing = basePrice !== null || !evaluation
+      ? evaluation
+      : await PricingService.evaluate({ categoryId, supplierId: submission.supplier_id, costPrice, basePrice: proposedPrice }, client);
+
+    const sku = product ? product.sku : (overrides.sku || this.platformSku(submission));
+    const skuTaken = product
+      ? false
+      : (await db.query('SELECT 1 FROM products WHERE sku = $1', [sku])).rows.length > 0;
+
+    const images = await this.getImages(submission.id, client);
+    const weightGrams = overrides.weightGrams ?? (submission.weight !== null ? parseFloat(submission.weight) : null);
+    const translations = overrides.translations || {};
+    const missingTranslations = this.languages
+      .filter(language => language !== 'en')
+      .filter(language => !translations[`name_${language}`] && !product?.[`name_${language}`]);
+
+    const checklist = [
+      { code: 'category', label: 'Category assigned', required: true, passed: Boolean(categoryId) },
+      { code: 'images', label: 'At least one product image', required: !product, passed: images.length > 0 || Boolean(product) },
+      {
+        code: 'description',
+        label: `Description of at least ${this.minDescriptionLength} characters`,
+        required: true,
+        passed: (submission.description || '').trim().length >= this.minDescriptionLength
+      },
+      // EU textile labelling: fibre composition must be declared
+      { code: 'materials', label: 'Fibre composition declared', required: true, passed: this.asList(submission.materials).length > 0 },
+      { code: 'weight', label: 'Shipping weight given', required: true, passed: weightGrams > 0 },
+      { code: 'sku', label: 'SKU not used by another product', required: true, passed: !skuTaken },
+      {
+        code: 'margin',
+        label: 'Price meets the pricing rule',
+        required: true,
+        passed: Boolean(pricing && pricing.basePrice !== null && pricing.violations.length === 0)
+      },
+      {
+        code: 'variants',
+        label: 'Sizes or colors given',
+        required: false,
+        passed: this.asList(submission.sizes).length > 0 || this.asList(submission.colors).length > 0
+      },
+      {
+        code: 'translations',
+        label: 'Name translated to all shop languages',
+        required: false,
+        passed: missingTranslations.length === 0,
+        missing: missingTranslations
+      }
+    ];
+
+    return {
+      categoryId,
+      sku,
+      costPrice,
+      basePrice: pricing?.basePrice ?? null,
+      weightGrams,
+      pricing: pricing
+        ? {
+          rule: pricing.rule,
+          tiers: pricing.tiers,
+          margin: pricing.margin,
+          violations: pricing.violations
+        }
+        : null,
+      checklist,
+      ready: checklist.every(check => !check.required || check.passed)
+    };
+  }
+
+  async currentProduct(submission, db) {
+    if (!submission.revision_of) {
+      return null;
+    }
+
+    const result = await db.query(`
+      SELECT p.*
+      FROM supplier_products live
+      JOIN products p ON live.product_id = p.id
+      WHERE live.id = $1
+    `, [submission.revision_of]);
+
+    return result.rows[0] || null;
+  }
+
+  // Supplier category text -> category id, by id, slug or name
+  async resolveCategory(category, db) {
+    if (!category) {
+      return null;
+    }
+
+    const text = String(category).trim();
+    const result = await db.query(`
+      SELECT id FROM categories
+      WHERE is_active = true
+        AND (id::text = $1 OR slug = lower($1) OR lower(name_en) = lower($1))
+      LIMIT 1
+    `, [text]);
+
+    return result.rows[0]?.id || null;
+  }
+
+  async costInEur(submission) {
+    const currency = submission.currency || PricingService.baseCurrency;
+    const conversion = await CurrencyService.convertCurrency(parseFloat(submission.price), currency, PricingService.baseCurrency);
+
+    if (!conversion.success) {
+      throw new ProductReviewError(`Exchange rate not available for ${currency}`, 503);
+    }
+
+    return conversion.convertedAmount;
+  }
+
+  platformSku(submission) {
+    return SupplierCatalogMatchService.draftSku({ supplier_id: submission.supplier_id, external_product_id: submission.sku });
+  }
+
+  async approve(submissionId, overrides, adminId) {
+    const result = await transaction(async (client) => {
+      const submission = await this.lockPending(client, submissionId);
+      const review = await this.review(submission, overrides, client);
+
+      if (!review.ready) {
+        throw new ProductReviewError('Submission does not pass the review checklist', 422, {
+          checklist: review.checklist.filter(check => check.required && !check.passed),
+          pricing: review.pricing
+        });
+      }
+
+      // Reject the price the same way the product API would
+      await PricingService.assertValidPrice({
+        categoryId: review.categoryId,
+        supplierId: submission.supplier_id,
+        costPrice: review.costPrice,
+        basePrice: review.basePrice
+      }, client);
+
+      await PriceHistoryService.setChangeContext(client, { source: 'admin', actorId: adminId });
+
+      const productId = submission.revision_of
+        ? await this.applyRevision(client, submission, review, overrides)
+        : await this.createProduct(client, submission, review, overrides);
+
+      await client.query(`
+        UPDATE supplier_products
+        SET status = $2, product_id = $3, review = $4, rejection_reason = NULL,
+            reviewed_by = $5, reviewed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [submission.id, submission.revision_of ? 'approved' : 'active', productId, JSON.stringify(review), adminId]);
+
+      return { submission, productId };
+    });
+
+    logger.info('Supplier product submission approved', {
+      submissionId,
+      productId: result.productId,
+      revision: Boolean(result.submission.revision_of),
+      adminId
+    });
+
+    this.notifySupplier(result.submission, 'approved');
+
+    return { productId: result.productId, revision: Boolean(result.submission.revision_of) };
+  }
+
+  async reject(submissionId, reason, adminId) {
+    const submission = await transaction(async (client) => {
+      const pending = await this.lockPending(client, submissionId);
+
+      await client.query(`
+        UPDATE supplier_products
+        SET status = 'rejected', rejection_reason = $2, reviewed_by = $3, reviewed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [submissionId, reason, adminId]);
+
+      return pending;
+    });
+
+    logger.info('Supplier product submission rejected', { submissionId, adminId });
+
+    this.notifySupplier(submission, 'rejected', reason);
+  }
+
+  async lockPending(client, submissionId) {
+    const result = await client.query('SELECT * FROM supplier_products WHERE id = $1 FOR UPDATE', [submissionId]);
+
+    if (result.rows.length === 0) {
+      throw new ProductReviewError('Submission not found', 404);
+    }
+    if (result.rows[0].status !== 'pending') {
+      throw new ProductReviewError(`Submission was already reviewed (status: ${result.rows[0].status})`, 409);
+    }
+
+    return result.rows[0];
+  }
+
+  async createProduct(client, submission, review, overrides) {
+    const translations = overrides.translations || {};
+    const materials = this.asList(submission.materials).join(', ').slice(0, 100) || null;
+
+    const productResult = await client.query(`
+      INSERT INTO products (
+        supplier_id, category_id, sku, name_en, name_pt, name_de, name_fr, name_es,
+        description_en, description_pt, description_de, description_fr, description_es,
+        base_price, cost_price, weight_grams, dimensions_cm, material, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, true)
+      RETURNING id
+    `, [
+      submission.supplier_id,
+      review.categoryId,
+      review.sku,
+      translations.name_en || submission.name,
+      translations.name_pt || null,
+      translations.name_de || null,
+      translations.name_fr || null,
+      translations.name_es || null,
+      translations.description_en || submission.description,
+      translations.description_pt || null,
+      translations.description_de || null,
+      translations.description_fr || null,
+      translations.description_es || null,
+      review.basePrice,
+      review.costPrice,
+      Math.round(review.weightGrams),
+      submission.dimensions || null,
+      materials
+    ]);
+    const productId = productResult.rows[0].id;
+
+    await this.syncVariants(client, productId, review.sku, submission);
+    await this.copyImages(client, productId, submission);
+    await this.linkSupplier(client, productId, submission, review.costPrice);
+
+    return productId;
+  }
+
+  // Apply an approved edit to the live product and the live submission
+  async applyRevision(client, revision, review, overrides) {
+    const liveResult = await client.query('SELECT * FROM supplier_products WHERE id = $1 FOR UPDATE', [revision.revision_of]);
+    const live = liveResult.rows[0];
+
+    if (!live || !live.product_id) {
+      throw new ProductReviewError('The product this edit belongs to no longer exists', 409);
+    }
+
+    const translations = overrides.translations || {};
+    const materials = this.asList(revision.materials).join(', ').slice(0, 100) || null;
+
+    await client.query(`
+      UPDATE products SET
+        category_id = $2,
+        name_en = $3,
+        name_pt = COALESCE($4, name_pt),
+        name_de = COALESCE($5, name_de),
+        name_fr = COALESCE($6, name_fr),
+        name_es = COALESCE($7, name_es),
+        description_en = $8,
+        description_pt = COALESCE($9, description_pt),
+        description_de = COALESCE($10, description_de),
+        description_fr = COALESCE($11, description_fr),
+        description_es = COALESCE($12, description_es),
+        base_price = $13,
+        cost_price = $14,
+        weight_grams = $15,
+        dimensions_cm = COALESCE($16, dimensions_cm),
+        material = COALESCE($17, material),
+        updated_at = NOW()
+      WHERE id = $1
+    `, [
+      live.product_id,
+      review.categoryId,
+      translations.name_en || revision.name,
+      translations.name_pt || null,
+      translations.name_de || null,
+      translations.name_fr || null,
+      translations.name_es || null,
+      translations.description_en || revision.description,
+      translations.description_pt || null,
+      translations.description_de || null,
+      translations.description_fr || null,
+      translations.description_es || null,
+      review.basePrice,
+      review.costPrice,
+      Math.round(review.weightGrams),
+      revision.dimensions || null,
+      materials
+    ]);
+
+    await this.syncVariants(client, live.product_id, review.sku, revision);
+
+    // New images replace the product images; an edit without images keeps them
+    const images = await this.getImages(revision.id, client);
+    if (images.length > 0) {
+      await client.query('DELETE FROM product_images WHERE product_id = $1 AND variant_id IS NULL', [live.product_id]);
+      await this.copyImages(client, live.product_id, revision);
+      await client.query('DELETE FROM supplier_product_images WHERE supplier_product_id = $1', [live.id]);
+      await client.query(
+        'UPDATE supplier_product_images SET supplier_product_id = $2 WHERE supplier_product_id = $1',
+        [revision.id, live.id]
+      );
+    }
+
+    await this.linkSupplier(client, live.product_id, revision, review.costPrice);
+
+    // The live submission always shows what is on sale
+    const columns = Object.values(this.submissionFields);
+    await client.query(`
+      UPDATE supplier_products live
+      SET ${columns.map(column => `${column} = revision.${column}`).join(', ')}, currency = revision.currency, updated_at = NOW()
+      FROM supplier_products revision
+      WHERE live.id = $1 AND revision.id = $2
+    `, [live.id, revision.id]);
+
+    return live.product_id;
+  }
+
+  // One variant per size/color combination; combinations no longer offered are deactivated
+  async syncVariants(client, productId, productSku, submission) {
+    const sizes = this.asList(submission.sizes).map(size => String(size).trim()).filter(Boolean);
+    const colors = this.asList(submission.colors).map(color => this.colorOf(color)).filter(color => color.name);
+
+    if (sizes.length === 0 && colors.length === 0) {
+      return;
+    }
+
+    const combinations = [];
+    for (const size of sizes.length > 0 ? sizes : [null]) {
+      for (const color of colors.length > 0 ? colors : [null]) {
+        combinations.push({ size, color });
+      }
+    }
+
+    const existing = await client.query(
+      'SELECT id, size, color_en FROM product_variants WHERE product_id = $1',
+      [productId]
+    );
+    const keyOf = (size, colorName) => `${(size || '').toUpperCase()}|${(colorName || '').toLowerCase()}`;
+    const byKey = new Map(existing.rows.map(variant => [keyOf(variant.size, variant.color_en), variant]));
+    const offered = new Set();
+
+    for (const { size, color } of combinations) {
+      const key = keyOf(size, color?.name);
+      offered.add(key);
+
+      const variant = byKey.get(key);
+      if (variant) {
+        await client.query('UPDATE product_variants SET is_active = true WHERE id = $1', [variant.id]);
+        continue;
+      }
+
+      const variantSku = [productSku, size, color?.name]
+        .filter(Boolean)
+        .map((part, index) => (index === 0 ? part : SupplierCatalogMatchService.normalizeSku(part)))
+        .join('-')
+        .slice(0, 50);
+
+      await client.query(`
+        INSERT INTO product_variants (product_id, sku, size, color_en, color_hex, stock_quantity, is_active)
+        VALUES ($1, $2, $3, $4, $5, 0, true)
+      `, [productId, variantSku, size, color?.name || null, color?.hex || null]);
+    }
+
+    const removed = existing.rows.filter(variant => !offered.has(keyOf(variant.size, variant.color_en)));
+    if (removed.length > 0) {
+      await client.query(
+        'UPDATE product_variants SET is_active = false WHERE id = ANY($1::uuid[])',
+        [removed.map(variant => variant.id)]
+      );
+    }
+  }
+
+  async copyImages(client, productId, submission) {
+    await client.query(`
+      INSERT INTO product_images (product_id, image_url, alt_text_en, sort_order, is_primary)
+      SELECT $1, image_url, alt_text, sort_order, ROW_NUMBER() OVER (ORDER BY sort_order) = 1
+      FROM supplier_product_images
+      WHERE supplier_product_id = $2
+    `, [productId, submission.id]);
+  }
+
+  // The supplier's stock is read from supplier_catalogs; link it like a matched catalog entry
+  async linkSupplier(client, productId, submission, costPrice) {
+    const entryResult = await client.query(`
+      INSERT INTO supplier_catalogs (
+        supplier_id, product_id, external_product_id, external_product_name,
+        supplier_price, supplier_currency, stock_quantity, stock_status, sync_method, last_sync_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $7 > 0 THEN 'in_stock' ELSE 'out_of_stock' END, 'portal', NOW())
+      ON CONFLICT (supplier_id, external_product_id) DO UPDATE SET
+        product_id = EXCLUDED.product_id,
+        external_product_name = EXCLUDED.external_product_name,
+        supplier_price = EXCLUDED.supplier_price,
+        supplier_currency = EXCLUDED.supplier_currency,
+        stock_quantity = EXCLUDED.stock_quantity,
+        stock_status = EXCLUDED.stock_status,
+        is_active = true,
+        last_sync_at = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      submission.supplier_id,
+      productId,
+      submission.sku,
+      submission.name,
+      submission.price,
+      submission.currency || PricingService.baseCurrency,
+      parseInt(submission.stock_quantity || 0)
+    ]);
+
+    return SupplierCatalogMatchService.link(client, entryResult.rows[0], {
+      productId,
+      variantId: null,
+      priority: 5,
+      costPrice
+    });
+  }
+
+  // Supplier changes a submission: pending or rejected ones are updated and
+  // (re)submitted, live ones get a pending revision
+  async submitChanges(supplierId, submissionId, changes, images = []) {
+    const result = await transaction(async (client) => {
+      const ownResult = await client.query(
+        'SELECT * FROM supplier_products WHERE id = $1 AND supplier_id = $2 AND revision_of IS NULL FOR UPDATE',
+        [submissionId, supplierId]
+      );
+
+      if (ownResult.rows.length === 0) {
+        throw new ProductReviewError('Product not found', 404);
+      }
+
+      const own = ownResult.rows[0];
+      const values = this.mergeChanges(own, changes);
+
+      if (['pending', 'rejected'].includes(own.status)) {
+        await this.writeSubmission(client, own.id, values);
+        await this.replaceImages(client, own.id, images, values.name);
+        return { id: own.id, revision: false };
+      }
+
+      const openResult = await client.query(
+        "SELECT * FROM supplier_products WHERE revision_of = $1 AND status = 'pending' FOR UPDATE",
+        [own.id]
+      );
+
+      let revisionId;
+      if (openResult.rows.length > 0) {
+        revisionId = openResult.rows[0].id;
+        await this.writeSubmission(client, revisionId, this.mergeChanges(openResult.rows[0], changes));
+      } else {
+        const inserted = await client.query(`
+          INSERT INTO supplier_products (supplier_id, product_id, revision_of, name, sku, price, currency)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, [supplierId, own.product_id, own.id, values.name, own.sku, values.price, own.currency]);
+        revisionId = inserted.rows[0].id;
+        await this.writeSubmission(client, revisionId, values);
+      }
+
+      await this.replaceImages(client, revisionId, images, values.name);
+
+      return { id: revisionId, revision: true };
+    });
+
+    logger.info('Supplier product changes submitted for review', { supplierId, submissionId, ...result });
+
+    return result;
+  }
+
+  mergeChanges(row, changes) {
+    const values = {};
+    for (const [field, column] of Object.entries(this.submissionFields)) {
+      const value = changes[field] !== undefined ? changes[field] : row[column];
+      values[column] = this.listFields.includes(column) ? this.asList(value) : value;
+    }
+    return values;
+  }
+
+  async writeSubmission(client, submissionId, values) {
+    const columns = Object.keys(values);
+    await client.query(`
+      UPDATE supplier_products
+      SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+          status = 'pending', rejection_reason = NULL, submitted_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [
+      submissionId,
+      ...columns.map(column => (this.listFields.includes(column) ? JSON.stringify(values[column]) : values[column]))
+    ]);
+  }
+
+  async replaceImages(client, submissionId, images, name) {
+    if (images.length === 0) {
+      return;
+    }
+
+    await client.query('DELETE FROM supplier_product_images WHERE supplier_product_id = $1', [submissionId]);
+
+    for (const [index, imageUrl] of images.entries()) {
+      await client.query(`
+        INSERT INTO supplier_product_images (supplier_product_id, image_url, alt_text, sort_order)
+        VALUES ($1, $2, $3, $4)
+      `, [submissionId, imageUrl, `${name} image ${index + 1}`, index]);
+    }
+  }
+
+  // Mail is best effort; the decision stands either way and shows in the portal
+  async notifySupplier(submission, decision, reason = null) {
+    try {
+      const supplierResult = await query('SELECT email, company_name FROM suppliers WHERE id = $1', [submission.supplier_id]);
+      const supplier = supplierResult.rows[0];
+      if (!supplier?.email) {
+        return;
+      }
+
+      if (decision === 'approved') {
+        await EmailService.sendSupplierProductApprovedEmail(supplier.email, supplier.company_name, submission.name, {
+          revision: Boolean(submission.revision_of)
+        });
+      } else {
+        await EmailService.sendSupplierProductRejectedEmail(supplier.email, supplier.company_name, submission.name, reason, {
+          revision: Boolean(submission.revision_of)
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to notify supplier about product review', {
+        submissionId: submission.id,
+        decision,
+        error: error.message
+      });
+    }
+  }
+}
+
+// Export singleton instance
+const supplierProductReviewService = new SupplierProductReviewService();
+module.exports = supplierProductReviewService;
+module.exports.ProductReviewError = ProductReviewError;
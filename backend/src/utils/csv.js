@@ -0,0 +1,97 @@
+// Minimal RFC 4180 CSV handling for supplier files (quoted fields, escaped
+// quotes, line breaks inside quotes, UTF-8 BOM, CRLF)
+
+// Suppliers send ',' ';' or tab separated files; pick the most frequent one in the header
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [',', ';', '\t'];
+  const counts = candidates.map(candidate => headerLine.split(candidate).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? candidates[best] : ',';
+};
+
+// Parse CSV text into an array of rows (arrays of strings); blank lines are skipped
+const parseCsv = (input, { delimiter = null } = {}) => {
+  const text = input.charCodeAt(0) === 0xFEFF ? input.slice(1) : input;
+  const separator = delimiter || detectDelimiter(text);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR) gets a
+// leading apostrophe; plain numbers such as -5.00 are left alone
+const neutralizeFormula = (text) => (
+  typeof text === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text) ? `'${text}` : text
+);
+
+// Quote a field only when it contains the delimiter, a quote or a line break
+const formatCsvField = (value, delimiter = ',', { escapeFormulas = false } = {}) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const raw = value instanceof Date ? value.toISOString() : String(value);
+  const text = escapeFormulas ? neutralizeFormula(raw) : raw;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize row objects under the given column keys, header line first.
+// escapeFormulas for files meant to be opened in Excel
+const toCsv = (columns, rows, { delimiter = ',', escapeFormulas = false } = {}) => {
+  const lines = [columns.map(column => formatCsvField(column, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCsvField(row[column], delimiter, { escapeFormulas })).join(delimiter));
+  }
+  return lines.join('\r\n');
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  toCsv,
+  neutralizeFormula
+};
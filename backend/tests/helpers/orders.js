@@ -0,0 +1,74 @@
+const { query } = require('./database');
+
+// Seed data for order flows: one supplier selling one shirt variant through
+// its catalog, and a pending order of two of them
+
+const address = {
+  first_name: 'Ana',
+  last_name: 'Silva',
+  street: 'Independence Ave 1',
+  city: 'Windhoek',
+  postal_code: '10001',
+  country: 'NA'
+};
+
+let sequence = 0;
+
+const insert = async (sql, params) => (await query(sql, params)).rows[0].id;
+
+const seedOrder = async ({ status = 'pending', paymentIntentId = null } = {}) => {
+  const n = ++sequence;
+
+  const userId = await insert(
+    `INSERT INTO users (email, password_hash, first_name, last_name)
+     VALUES ($1, 'x', 'Ana', 'Silva') RETURNING id`,
+    [`ana${n}@example.com`]
+  );
+  const supplierId = await insert(
+    `INSERT INTO suppliers (company_name, contact_person, email, country, is_active)
+     VALUES ('Textil Lda', 'Rui', $1, 'PT', true) RETURNING id`,
+    [`orders${n}@textil.example`]
+  );
+  const categoryId = await insert(
+    'INSERT INTO categories (name_en, slug) VALUES ($1, $1) RETURNING id',
+    [`shirts-${n}`]
+  );
+  const productId = await insert(
+    `INSERT INTO products (supplier_id, category_id, sku, name_en, base_price, cost_price, weight_grams)
+     VALUES ($1, $2, $3, 'Linen shirt', 40, 18, 250) RETURNING id`,
+    [supplierId, categoryId, `SHIRT-${n}`]
+  );
+  const variantId = await insert(
+    `INSERT INTO product_variants (product_id, sku, size, color_en)
+     VALUES ($1, $2, 'M', 'white') RETURNING id`,
+    [productId, `SHIRT-${n}-M`]
+  );
+
+  await query(
+    `INSERT INTO inventory_sources (product_id, variant_id, source_type, source_id, priority, cost_price, lead_time_days)
+     VALUES ($1, $2, 'supplier', $3, 5, 18, 5)`,
+    [productId, variantId, supplierId]
+  );
+  await query(
+    `INSERT INTO supplier_catalogs
+       (supplier_id, product_id, external_product_id, supplier_price, supplier_currency, stock_quantity, metadata)
+     VALUES ($1, $2, $3, 18, 'EUR', 25, $4)`,
+    [supplierId, productId, `TX-SHIRT-${n}-M`, JSON.stringify({ variant_id: variantId })]
+  );
+
+  const orderId = await insert(
+    `INSERT INTO orders (order_number, user_id, status, currency, subtotal, shipping_cost, total_amount,
+                         shipping_address, billing_address, payment_intent_id)
+     VALUES ($1, $2, $3, 'EUR', 80, 0, 80, $4, $4, $5) RETURNING id`,
+    [`ORD-TEST-${n}`, userId, status, JSON.stringify(address), paymentIntentId]
+  );
+  const orderItemId = await insert(
+    `INSERT INTO order_items (order_id, product_id, variant_id, quantity, unit_price, total_price, supplier_id)
+     VALUES ($1, $2, $3, 2, 40, 80, $4) RETURNING id`,
+    [orderId, productId, variantId, supplierId]
+  );
+
+  return { userId, supplierId, productId, variantId, orderId, orderItemId };
+};
+
+module.exports = { seedOrder };
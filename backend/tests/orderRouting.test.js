@@ -0,0 +1,87 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_routing';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_routing';
+
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+jest.mock('../src/config/database', () => require('./helpers/database'));
+jest.mock('../src/services/CurrencyService', () => ({
+  convertCurrency: jest.fn(async (amount) => ({ success: true, convertedAmount: amount, rate: 1 }))
+}));
+jest.mock('../src/services/SupplierOrderDispatchService', () => ({
+  dispatch: jest.fn()
+}));
+
+const { query, pool, migrate } = require('./helpers/database');
+const { seedOrder } = require('./helpers/orders');
+const SupplierOrderDispatchService = require('../src/services/SupplierOrderDispatchService');
+const paymentRoutes = require('../src/routes/payments');
+
+const app = express();
+app.use('/api/payments', paymentRoutes);
+
+const postPaymentSucceeded = (paymentIntent) => {
+  const payload = JSON.stringify({
+    id: 'evt_routing',
+    object: 'event',
+    type: 'payment_intent.succeeded',
+    data: { object: paymentIntent }
+  });
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('stripe-signature', signature)
+    .send(payload);
+};
+
+describe('routing a paid order', () => {
+  beforeAll(() => migrate(), 60000);
+  afterAll(() => pool.end());
+
+  it('confirms the order and places the item with the catalog supplier', async () => {
+    const { userId, supplierId, orderId, orderItemId } = await seedOrder();
+
+    const res = await postPaymentSucceeded({
+      id: 'pi_routing',
+      object: 'payment_intent',
+      amount: 8000,
+      currency: 'eur',
+      metadata: { userId, orderId }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true });
+
+    const order = (await query('SELECT status, payment_status FROM orders WHERE id = $1', [orderId])).rows[0];
+    expect(order).toEqual({ status: 'confirmed', payment_status: 'paid' });
+
+    const decisions = (await query(
+      'SELECT outcome, supplier_order_id FROM routing_decisions WHERE order_item_id = $1',
+      [orderItemId]
+    )).rows;
+    expect(decisions).toHaveLength(1);
+    expect(decisions[0].outcome).toBe('routed');
+
+    const supplierOrders = (await query(
+      'SELECT id, supplier_id FROM supplier_orders WHERE order_id = $1',
+      [orderId]
+    )).rows;
+    expect(supplierOrders).toEqual([{ id: decisions[0].supplier_order_id, supplier_id: supplierId }]);
+
+    const supplierItems = (await query(
+      'SELECT order_item_id, quantity FROM supplier_order_items WHERE supplier_order_id = $1',
+      [supplierOrders[0].id]
+    )).rows;
+    expect(supplierItems).toEqual([{ order_item_id: orderItemId, quantity: 2 }]);
+
+    expect(SupplierOrderDispatchService.dispatch).toHaveBeenCalledWith([supplierOrders[0].id]);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../src/config/database', () => {
+  const database = require('./helpers/database');
+  return { ...database, transaction: jest.fn(database.transaction) };
+});
+jest.mock('../src/services/CurrencyService', () => ({
+  convertCurrency: jest.fn(async (amount) => ({ success: true, convertedAmount: amount, rate: 1 })),
+  roundToCurrencyPrecision: (amount) => Math.round(amount * 100) / 100,
+  calculateTax: (amount) => ({ taxRate: 0, taxAmount: 0, totalAmount: amount })
+}));
+
+const { query, pool, migrate, transaction } = require('../src/config/database');
+const { seedOrder } = require('./helpers/orders');
+const OrderService = require('../src/services/OrderService');
+const ShippingRateService = require('../src/services/ShippingRateService');
+const { ShippingOptionError } = require('../src/services/ShippingRateService');
+
+const shippingAddress = {
+  firstName: 'Ana',
+  lastName: 'Silva',
+  addressLine1: 'Rua Augusta 10',
+  city: 'Lisboa',
+  postalCode: '1100-053',
+  country: 'PT'
+};
+
+const carrierOption = {
+  id: 'carrier:dhl:express',
+  type: 'carrier',
+  carrier: 'dhl',
+  serviceLevel: 'express',
+  serviceCode: 'P',
+  price: 12.5,
+  deliveryWindow: { minDays: 1, maxDays: 2 }
+};
+
+describe('OrderService.createOrder', () => {
+  beforeAll(() => migrate(), 60000);
+  afterAll(() => pool.end());
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    transaction.mockClear();
+  });
+
+  const seedCart = async () => {
+    const { userId, productId, variantId } = await seedOrder();
+    await query('UPDATE product_variants SET stock_quantity = 10 WHERE id = $1', [variantId]);
+    return { userId, items: [{ productId, variantId, quantity: 2 }] };
+  };
+
+  it('quotes the shipping option before the order transaction opens', async () => {
+    const { userId, items } = await seedCart();
+    let transactionsOpened = null;
+    const resolveOption = jest.spyOn(ShippingRateService, 'resolveOption').mockImplementation(async () => {
+      transactionsOpened = transaction.mock.calls.length;
+      return { zone: { id: 'zone-eu', name: 'EU' }, option: carrierOption };
+    });
+
+    const order = await OrderService.createOrder(userId, {
+      items,
+      shippingAddress,
+      currency: 'EUR',
+      shippingOptionId: carrierOption.id
+    });
+
+    expect(transactionsOpened).toBe(0);
+    expect(resolveOption).toHaveBeenCalledWith(carrierOption.id, expect.objectContaining({
+      totalWeight: 0.5,
+      totalValue: 80
+    }));
+    expect(resolveOption.mock.calls[0][1]).not.toHaveProperty('client');
+    expect(order).toMatchObject({ status: 'pending', shipping_carrier: 'dhl', shipping_option_id: carrierOption.id });
+    expect(parseFloat(order.shipping_cost)).toBe(12.5);
+  });
+
+  it('rejects an unavailable shipping option without opening a transaction', async () => {
+    const { userId, items } = await seedCart();
+    jest.spyOn(ShippingRateService, 'resolveOption').mockRejectedValue(
+      new ShippingOptionError('The selected shipping option is no longer available', 409)
+    );
+
+    await expect(OrderService.createOrder(userId, {
+      items,
+      shippingAddress,
+      currency: 'EUR',
+      shippingOptionId: carrierOption.id
+    })).rejects.toMatchObject({ name: 'OrderValidationError', statusCode: 409 });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
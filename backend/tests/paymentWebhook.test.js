@@ -0,0 +1,146 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhook';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_webhook';
+process.env.JWT_SECRET = 'jwt-test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+jest.mock('../src/config/database', () => require('./helpers/database'));
+jest.mock('../src/services/CurrencyService', () => ({
+  convertCurrency: jest.fn(async (amount) => ({ success: true, convertedAmount: amount, rate: 1 }))
+}));
+jest.mock('../src/services/SupplierOrderDispatchService', () => ({
+  dispatch: jest.fn()
+}));
+jest.mock('../src/services/PaymentService', () => ({
+  cancelIntent: jest.fn(async () => ({ cancelled: true, status: 'canceled' })),
+  refundIntent: jest.fn(async () => ({ id: 're_test' }))
+}));
+
+const { query, pool, migrate } = require('./helpers/database');
+const { seedOrder } = require('./helpers/orders');
+const PaymentService = require('../src/services/PaymentService');
+const OrderStateMachine = require('../src/services/OrderStateMachine');
+const paymentRoutes = require('../src/routes/payments');
+const orderRoutes = require('../src/routes/orders');
+
+const app = express();
+app.use('/api/payments/create-intent', express.json());
+app.use('/api/payments', paymentRoutes);
+app.use('/api/orders', express.json(), orderRoutes);
+
+const orderOf = async (orderId) => (await query(
+  'SELECT status, payment_status, payment_intent_id FROM orders WHERE id = $1',
+  [orderId]
+)).rows[0];
+
+const postPaymentSucceeded = ({ paymentIntentId, userId, orderId }) => {
+  const payload = JSON.stringify({
+    id: `evt_${paymentIntentId}`,
+    object: 'event',
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: paymentIntentId,
+        object: 'payment_intent',
+        amount: 8000,
+        currency: 'eur',
+        metadata: { userId, orderId }
+      }
+    }
+  });
+
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('stripe-signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+    .send(payload);
+};
+
+describe('payments and cancellation', () => {
+  beforeAll(() => migrate(), 60000);
+  afterAll(() => pool.end());
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('refunds a payment that arrives after the order was cancelled', async () => {
+    const { userId, orderId } = await seedOrder();
+    await OrderStateMachine.transition(orderId, 'cancelled', { reason: 'Reservation expired' });
+
+    const res = await postPaymentSucceeded({ paymentIntentId: 'pi_late', userId, orderId });
+
+    expect(res.status).toBe(200);
+    expect(PaymentService.refundIntent).toHaveBeenCalledWith('pi_late', expect.objectContaining({ orderId }));
+    expect(await orderOf(orderId)).toEqual({ status: 'refunded', payment_status: 'refunded', payment_intent_id: 'pi_late' });
+
+    const history = await OrderStateMachine.getHistory(orderId);
+    expect(history[history.length - 1]).toMatchObject({ from_status: 'cancelled', to_status: 'refunded', actor_type: 'system' });
+
+    // A redelivered event must not refund again
+    const retry = await postPaymentSucceeded({ paymentIntentId: 'pi_late', userId, orderId });
+
+    expect(retry.status).toBe(200);
+    expect(PaymentService.refundIntent).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the payment recorded and asks Stripe to retry when the refund fails', async () => {
+    const { userId, orderId } = await seedOrder();
+    await OrderStateMachine.transition(orderId, 'cancelled', { reason: 'Cancelled by admin' });
+    PaymentService.refundIntent.mockRejectedValueOnce(new Error('Stripe unavailable'));
+
+    const res = await postPaymentSucceeded({ paymentIntentId: 'pi_retry', userId, orderId });
+
+    expect(res.status).toBe(500);
+    expect(await orderOf(orderId)).toEqual({ status: 'cancelled', payment_status: 'paid', payment_intent_id: 'pi_retry' });
+
+    const retry = await postPaymentSucceeded({ paymentIntentId: 'pi_retry', userId, orderId });
+
+    expect(retry.status).toBe(200);
+    expect(await orderOf(orderId)).toMatchObject({ status: 'refunded', payment_status: 'refunded' });
+  });
+
+  it('leaves a confirmed order alone when the event is redelivered', async () => {
+    const { userId, orderId } = await seedOrder();
+
+    await postPaymentSucceeded({ paymentIntentId: 'pi_twice', userId, orderId });
+    const res = await postPaymentSucceeded({ paymentIntentId: 'pi_twice', userId, orderId });
+
+    expect(res.status).toBe(200);
+    expect(await orderOf(orderId)).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+    expect(PaymentService.refundIntent).not.toHaveBeenCalled();
+  });
+
+  it('refuses to start a payment for an order that is no longer pending', async () => {
+    const { userId, orderId } = await seedOrder();
+    const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+    await OrderStateMachine.transition(orderId, 'cancelled', { reason: 'Reservation expired' });
+
+    const res = await request(app)
+      .post('/api/payments/create-intent')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ orderId });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Order is cancelled and can no longer be paid');
+  });
+
+  it('cancels the open payment intent when the customer cancels', async () => {
+    const { userId, orderId } = await seedOrder({ paymentIntentId: 'pi_open' });
+    const token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+    const res = await request(app)
+      .put(`/api/orders/${orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Changed my mind' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.status).toBe('cancelled');
+    expect(PaymentService.cancelIntent).toHaveBeenCalledWith('pi_open', { orderId });
+  });
+});
@@ -0,0 +1,185 @@
+const { createStubServer } = require('../scripts/supplier-api-stub');
+const RestSupplierAdapter = require('../src/adapters/suppliers/RestSupplierAdapter');
+const { SupplierAdapterError } = require('../src/adapters/suppliers/SupplierAdapter');
+const encryptionService = require('../src/utils/encryption');
+
+const API_KEY = 'stub-key';
+
+const order = {
+  supplierOrderId: 'c5a5a8f4-0b55-4d8e-9d0c-3f0c8a1e2b10',
+  orderNumber: 'ORD-1001',
+  createdAt: '2026-10-01T09:00:00.000Z',
+  currency: 'EUR',
+  notes: null,
+  shippingAddress: {
+    name: 'Ana Silva',
+    addressLine1: 'Independence Ave 1',
+    postalCode: '10001',
+    city: 'Windhoek',
+    country: 'NA'
+  },
+  items: [
+    { supplierSku: 'STUB-TS-001', sku: 'TS-001-M', name: 'Basic T-Shirt', size: 'M', quantity: 2, unitCost: 6.5 }
+  ]
+};
+
+describe('RestSupplierAdapter against the stub supplier API', () => {
+  let server;
+  let baseUrl;
+
+  const supplier = (overrides = {}) => ({
+    id: 'supplier-1',
+    api_endpoint: baseUrl,
+    api_key_encrypted: encryptionService.encrypt(API_KEY).data,
+    integration_config: { adapter: 'rest' },
+    ...overrides
+  });
+
+  const stubOrders = async () => (await fetch(`${baseUrl}/_stub/orders`)).json();
+
+  beforeAll((done) => {
+    server = createStubServer({ apiKey: API_KEY }).listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('submits an order and returns the normalized status', async () => {
+    const adapter = new RestSupplierAdapter(supplier());
+
+    const status = await adapter.submitOrder(order);
+
+    expect(status).toMatchObject({
+      externalOrderId: expect.stringMatching(/^STUB-/),
+      status: 'acknowledged',
+      trackingNumber: null,
+      carrier: null
+    });
+
+    const stored = (await stubOrders()).find(entry => entry.id === status.externalOrderId);
+    expect(stored.reference).toBe(order.supplierOrderId);
+    expect(stored.items).toEqual(order.items);
+  });
+
+  it('reads the order status including tracking once the supplier ships', async () => {
+    const adapter = new RestSupplierAdapter(supplier());
+    const { externalOrderId } = await adapter.submitOrder(order);
+
+    await fetch(`${baseUrl}/_stub/orders/${externalOrderId}/status`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'shipped', tracking_number: '00340434161094042557', carrier: 'DHL' })
+    });
+
+    const status = await adapter.getOrderStatus(externalOrderId);
+
+    expect(status).toMatchObject({
+      externalOrderId,
+      status: 'shipped',
+      trackingNumber: '00340434161094042557',
+      carrier: 'DHL'
+    });
+  });
+
+  it('cancels an order with the reason', async () => {
+    const adapter = new RestSupplierAdapter(supplier());
+    const { externalOrderId } = await adapter.submitOrder(order);
+
+    const result = await adapter.cancelOrder(externalOrderId, 'Customer cancelled');
+
+    expect(result).toMatchObject({ cancelled: true, externalOrderId, status: 'cancelled' });
+    expect((await stubOrders()).find(entry => entry.id === externalOrderId).reason).toBe('Customer cancelled');
+  });
+
+  it('maps a missing order to a non-retryable adapter error', async () => {
+    const adapter = new RestSupplierAdapter(supplier());
+
+    await expect(adapter.getOrderStatus('STUB-MISSING')).rejects.toMatchObject({
+      name: 'SupplierAdapterError',
+      operation: 'getOrderStatus',
+      status: 404,
+      retryable: false
+    });
+  });
+
+  it('fetches the catalog across pages', async () => {
+    const adapter = new RestSupplierAdapter(supplier({
+      integration_config: {
+        adapter: 'rest',
+        endpoints: { fetchCatalog: { pagination: { param: 'page', sizeParam: 'limit', size: 2 } } }
+      }
+    }));
+    const pages = jest.spyOn(adapter, 'request');
+
+    const catalog = await adapter.fetchCatalog();
+
+    expect(pages).toHaveBeenCalledTimes(2);
+    expect(catalog.map(entry => entry.external_product_id)).toEqual(['STUB-TS-001', 'STUB-HD-002', 'STUB-JN-003']);
+    expect(catalog[1]).toEqual({
+      external_product_id: 'STUB-HD-002',
+      external_product_name: 'Zip Hoodie',
+      supplier_price: 18.9,
+      supplier_currency: 'EUR',
+      stock_quantity: 35,
+      lead_time_days: 5,
+      minimum_order_quantity: 1
+    });
+  });
+
+  it('fetches stock levels', async () => {
+    const adapter = new RestSupplierAdapter(supplier());
+
+    const stock = await adapter.fetchStock();
+
+    expect(stock).toEqual([
+      { external_product_id: 'STUB-TS-001', stock_quantity: 120 },
+      { external_product_id: 'STUB-HD-002', stock_quantity: 35 },
+      { external_product_id: 'STUB-JN-003', stock_quantity: 0 }
+    ]);
+  });
+
+  describe('credentials', () => {
+    it('decrypts the API key for every request without keeping it', async () => {
+      const decrypt = jest.spyOn(encryptionService, 'decrypt');
+      const adapter = new RestSupplierAdapter(supplier());
+
+      expect(decrypt).not.toHaveBeenCalled();
+
+      await adapter.fetchStock();
+      await adapter.fetchStock();
+
+      expect(decrypt).toHaveBeenCalledTimes(2);
+      expect(JSON.stringify(adapter)).not.toContain(API_KEY);
+    });
+
+    it('uses a rotated key on the next call', async () => {
+      const current = supplier({ api_key_encrypted: encryptionService.encrypt('old-key').data });
+      const adapter = new RestSupplierAdapter(current);
+
+      await expect(adapter.fetchStock()).rejects.toMatchObject({ status: 401, retryable: false });
+
+      current.api_key_encrypted = encryptionService.encrypt(API_KEY).data;
+
+      await expect(adapter.fetchStock()).resolves.toHaveLength(3);
+    });
+
+    it('refuses to call the supplier when the key cannot be decrypted', async () => {
+      const adapter = new RestSupplierAdapter(supplier({ api_key_encrypted: 'not-encrypted' }));
+      const request = jest.spyOn(adapter.httpClient, 'request');
+
+      const error = await adapter.fetchStock().catch(err => err);
+
+      expect(error).toBeInstanceOf(SupplierAdapterError);
+      expect(error.message).toBe('Supplier API key cannot be decrypted');
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+process.env.SHIPPING_ADAPTER_MODE = 'fixtures';
+process.env.SHIPPING_CARRIERS = 'dhl,dpd,hermes,generic';
+process.env.DHL_WEBHOOK_SECRET = 'dhl-webhook-secret';
+process.env.DPD_WEBHOOK_SECRET = 'dpd-webhook-secret';
+
+const crypto = require('crypto');
+const shippingAdapters = require('../src/adapters/shipping');
+const { FixtureHttpClient, TRACKING_STATUSES, SERVICE_LEVELS } = require('../src/adapters/shipping');
+
+const request = {
+  reference: 'ORD-1001',
+  serviceLevel: 'standard',
+  sender: { name: 'Warehouse', addressLine1: 'Lagerstr. 1', postalCode: '53113', city: 'Bonn', countryCode: 'DE' },
+  recipient: { name: 'Ana Silva', addressLine1: 'Hauptstr. 5', postalCode: '10115', city: 'Berlin', countryCode: 'DE' },
+  packages: [{ weightKg: 1.2, declaredValue: 40, currency: 'EUR' }]
+};
+
+const sign = (body, secret, encoding) => crypto.createHmac('sha256', secret).update(body).digest(encoding);
+
+// Shape every adapter promises in ShippingAdapter.js
+const expectRate = (rate, carrier) => {
+  expect(Object.keys(rate).sort()).toEqual([
+    'amount', 'carrier', 'currency', 'estimatedDeliveryDate', 'live', 'serviceCode',
+    'serviceLevel', 'serviceName', 'transitDaysMax', 'transitDaysMin'
+  ]);
+  expect(rate.carrier).toBe(carrier);
+  expect(SERVICE_LEVELS).toContain(rate.serviceLevel);
+  expect(rate.amount).toBeGreaterThan(0);
+  expect(rate.currency).toBe('EUR');
+  expect(rate.transitDaysMin).toBeLessThanOrEqual(rate.transitDaysMax);
+};
+
+const expectTracking = (tracking, carrier, trackingNumber) => {
+  expect(tracking).toMatchObject({ carrier, trackingNumber });
+  expect(TRACKING_STATUSES).toContain(tracking.status);
+  for (const event of tracking.events) {
+    expect(Object.keys(event).sort()).toEqual(['code', 'description', 'location', 'status', 'timestamp']);
+    expect(TRACKING_STATUSES).toContain(event.status);
+  }
+  const times = tracking.events.map(event => new Date(event.timestamp).getTime());
+  expect(times).toEqual([...times].sort((a, b) => b - a));
+};
+
+describe('shipping adapters in fixture mode', () => {
+  it('answers every carrier from the recorded fixtures', () => {
+    for (const code of shippingAdapters.enabled) {
+      expect(shippingAdapters.get(code).httpClient).toBeInstanceOf(FixtureHttpClient);
+    }
+    expect(shippingAdapters.describe().map(({ carrier, tracking }) => ({ carrier, tracking }))).toEqual([
+      { carrier: 'dhl', tracking: 'webhook' },
+      { carrier: 'dpd', tracking: 'webhook' },
+      { carrier: 'hermes', tracking: 'poll' },
+      { carrier: 'generic', tracking: 'none' }
+    ]);
+  });
+
+  describe('dhl', () => {
+    const dhl = shippingAdapters.get('dhl');
+
+    it('quotes live rates from the billing currency price', async () => {
+      const rates = await dhl.calculateRates(request);
+
+      rates.forEach(rate => expectRate(rate, 'dhl'));
+      expect(rates).toEqual([
+        expect.objectContaining({ serviceCode: 'P', serviceLevel: 'express', amount: 38.4, transitDaysMin: 1, live: true }),
+        expect.objectContaining({ serviceCode: 'W', serviceLevel: 'standard', amount: 19.95, transitDaysMin: 4, live: true })
+      ]);
+    });
+
+    it('normalizes tracking with events newest first', async () => {
+      const tracking = await dhl.getTrackingInfo('00340434161094042557');
+
+      expectTracking(tracking, 'dhl', '00340434161094042557');
+      expect(tracking.status).toBe('in_transit');
+      expect(tracking.destination).toEqual({ city: 'Lisboa', postalCode: null, country: 'PT' });
+      expect(tracking.events.map(event => event.code)).toEqual(['transit', 'pre-transit']);
+    });
+
+    it('maps status codes', () => {
+      expect(dhl.mapStatus('pre-transit')).toBe('pending');
+      expect(dhl.mapStatus('transit')).toBe('in_transit');
+      expect(dhl.mapStatus('delivered')).toBe('delivered');
+      expect(dhl.mapStatus('failure')).toBe('exception');
+      expect(dhl.mapStatus('something-new')).toBe('unknown');
+      expect(dhl.mapStatus(null)).toBe('unknown');
+    });
+
+    it('accepts only pushes signed with the webhook secret', () => {
+      const body = Buffer.from(JSON.stringify({ shipments: [{ id: '00340434161094042557' }] }));
+
+      expect(dhl.verifyWebhook(body, { 'x-dhl-signature': sign(body, 'dhl-webhook-secret', 'base64') })).toBe(true);
+      expect(dhl.verifyWebhook(body, { 'x-dhl-signature': sign(body, 'another-secret', 'base64') })).toBe(false);
+      expect(dhl.verifyWebhook(body, { 'x-dhl-signature': sign(body, 'dhl-webhook-secret', 'hex') })).toBe(false);
+      expect(dhl.verifyWebhook(body, {})).toBe(false);
+    });
+
+    it('parses a push into tracking updates', () => {
+      const [update] = dhl.parseWebhook({
+        shipments: [{
+          id: '00340434161094042557',
+          status: { statusCode: 'delivered', description: 'Delivered' },
+          events: [{ timestamp: '2026-10-22T11:05:00', statusCode: 'delivered', description: 'Delivered' }]
+        }]
+      });
+
+      expectTracking(update, 'dhl', '00340434161094042557');
+      expect(update.status).toBe('delivered');
+    });
+  });
+
+  describe('dpd', () => {
+    const dpd = shippingAdapters.get('dpd');
+
+    it('estimates rates from the tariff', async () => {
+      const rates = await dpd.calculateRates(request);
+
+      rates.forEach(rate => expectRate(rate, 'dpd'));
+      expect(rates.map(rate => [rate.serviceCode, rate.serviceLevel, rate.live])).toEqual([
+        ['Classic', 'standard', false],
+        ['Express_12', 'express', false]
+      ]);
+    });
+
+    it('normalizes the parcel life cycle', async () => {
+      const tracking = await dpd.getTrackingInfo('01234567890123');
+
+      expectTracking(tracking, 'dpd', '01234567890123');
+      expect(tracking.status).toBe('out_for_delivery');
+      expect(tracking.events.map(event => event.status)).toEqual(['out_for_delivery', 'in_transit']);
+    });
+
+    it('maps status codes', () => {
+      expect(dpd.mapStatus('ACCEPTED')).toBe('pending');
+      expect(dpd.mapStatus('AT_DELIVERY_DEPOT')).toBe('in_transit');
+      expect(dpd.mapStatus('OUT_FOR_DELIVERY')).toBe('out_for_delivery');
+      expect(dpd.mapStatus('DELIVERED_PARCELSHOP')).toBe('delivered');
+      expect(dpd.mapStatus('DELIVERY_FAILED')).toBe('exception');
+      expect(dpd.mapStatus('RETURNED')).toBe('returned');
+      expect(dpd.mapStatus('delivered')).toBe('delivered');
+      expect(dpd.mapStatus('SOMETHING_NEW')).toBe('unknown');
+    });
+
+    it('accepts only pushes signed with the webhook secret', () => {
+      const body = Buffer.from(JSON.stringify({ pnr: '01234567890123', status: 'DELIVERED' }));
+
+      expect(dpd.verifyWebhook(body, { 'x-dpd-signature': sign(body, 'dpd-webhook-secret', 'hex') })).toBe(true);
+      expect(dpd.verifyWebhook(body, { 'x-dpd-signature': sign(body, 'another-secret', 'hex') })).toBe(false);
+      expect(dpd.verifyWebhook(Buffer.from('{}'), { 'x-dpd-signature': sign(body, 'dpd-webhook-secret', 'hex') })).toBe(false);
+    });
+
+    it('parses single and batched pushes', () => {
+      const push = {
+        pnr: '01234567890123',
+        status: 'DELIVERED',
+        statusdate: '22102026143000',
+        depot: '0182',
+        country: 'DE',
+        description: 'Delivered.'
+      };
+
+      const [update] = dpd.parseWebhook(push);
+
+      expectTracking(update, 'dpd', '01234567890123');
+      expect(update.status).toBe('delivered');
+      expect(update.events[0]).toEqual({
+        timestamp: '2026-10-22T14:30:00',
+        status: 'delivered',
+        code: 'DELIVERED',
+        description: 'Delivered.',
+        location: { city: '0182', postalCode: null, country: 'DE' }
+      });
+      expect(dpd.parseWebhook([push, { ...push, pnr: '01234567890124' }, { status: 'DELIVERED' }])).toHaveLength(2);
+    });
+  });
+
+  describe('hermes', () => {
+    const hermes = shippingAdapters.get('hermes');
+
+    it('estimates rates from the tariff', async () => {
+      const rates = await hermes.calculateRates(request);
+
+      rates.forEach(rate => expectRate(rate, 'hermes'));
+      expect(rates.map(rate => [rate.serviceCode, rate.serviceLevel])).toEqual([
+        ['STANDARD', 'standard'],
+        ['NEXT_DAY', 'express']
+      ]);
+    });
+
+    it('normalizes shipment info, taking the status from the newest event', async () => {
+      const tracking = await hermes.getTrackingInfo('H1234');
+
+      expectTracking(tracking, 'hermes', 'H1234');
+      expect(tracking.status).toBe('delivered');
+      expect(tracking.events.map(event => event.status)).toEqual(['delivered', 'in_transit', 'pending']);
+      expect(tracking.events[0].location).toEqual({ city: 'Hamburg', postalCode: '20095', country: 'DE' });
+    });
+
+    it('maps status codes', () => {
+      expect(hermes.mapStatus('ANNOUNCED')).toBe('pending');
+      expect(hermes.mapStatus('PICKED_UP')).toBe('in_transit');
+      expect(hermes.mapStatus('OUT_FOR_DELIVERY')).toBe('out_for_delivery');
+      expect(hermes.mapStatus('DELIVERED_NEIGHBOUR')).toBe('delivered');
+      expect(hermes.mapStatus('DAMAGED')).toBe('exception');
+      expect(hermes.mapStatus('RETURN_TO_SENDER')).toBe('returned');
+      expect(hermes.mapStatus(undefined)).toBe('unknown');
+    });
+
+    it('has no webhooks, so every push is refused', () => {
+      const body = Buffer.from('{}');
+
+      expect(hermes.supportsWebhooks).toBe(false);
+      expect(hermes.verifyWebhook(body, { 'x-hermes-signature': sign(body, 'anything', 'hex') })).toBe(false);
+    });
+  });
+
+  describe('generic', () => {
+    const generic = shippingAdapters.get('generic');
+
+    it('estimates a standard rate from the tariff', async () => {
+      const rates = await generic.calculateRates(request);
+
+      rates.forEach(rate => expectRate(rate, 'generic'));
+      expect(rates).toEqual([expect.objectContaining({ serviceCode: 'manual', serviceLevel: 'standard', live: false })]);
+    });
+
+    it('reports untracked parcels as pending', async () => {
+      const tracking = await generic.getTrackingInfo('GEN123');
+
+      expectTracking(tracking, 'generic', 'GEN123');
+      expect(generic.tracksShipments).toBe(false);
+      expect(tracking).toMatchObject({ status: 'pending', events: [] });
+    });
+
+    it('refuses every push', () => {
+      expect(generic.verifyWebhook(Buffer.from('{}'), {})).toBe(false);
+    });
+  });
+});
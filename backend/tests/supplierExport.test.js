@@ -0,0 +1,67 @@
+const ExcelJS = require('exceljs');
+
+jest.mock('../src/services/CurrencyService', () => ({}));
+
+const { toCsv, parseCsv, neutralizeFormula } = require('../src/utils/csv');
+const SupplierExportService = require('../src/services/SupplierExportService');
+
+const columns = ['order_number', 'recipient_name', 'address_line1', 'city', 'phone', 'unit_cost_eur'];
+
+const row = {
+  order_number: 'ORD-1001',
+  recipient_name: '=HYPERLINK("http://evil.example","Click")',
+  address_line1: '+cmd|\' /C calc\'!A0',
+  city: '@SUM(1+1)',
+  phone: '-2+3',
+  unit_cost_eur: '-5.00'
+};
+
+describe('supplier export formula escaping', () => {
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    expect(neutralizeFormula('=1+1')).toBe("'=1+1");
+    expect(neutralizeFormula('\t=1+1')).toBe("'\t=1+1");
+    expect(neutralizeFormula('\r=1+1')).toBe("'\r=1+1");
+    expect(neutralizeFormula('+49 30 123456')).toBe("'+49 30 123456");
+    expect(neutralizeFormula('-12.50')).toBe('-12.50');
+    expect(neutralizeFormula('Hauptstr. 5')).toBe('Hauptstr. 5');
+    expect(neutralizeFormula(-3)).toBe(-3);
+    expect(neutralizeFormula(null)).toBe(null);
+  });
+
+  it('leaves plain CSV output untouched unless asked', () => {
+    expect(toCsv(['city'], [{ city: '=1+1' }])).toBe('city\r\n=1+1');
+    expect(toCsv(['city'], [{ city: '=1+1' }], { escapeFormulas: true })).toBe("city\r\n'=1+1");
+  });
+
+  it('escapes customer fields in the CSV order sheet', async () => {
+    const body = await SupplierExportService.write('csv', 'Orders', columns, [row]);
+    const [header, line] = parseCsv(body.toString('utf8'));
+
+    expect(header).toEqual(columns);
+    expect(line).toEqual([
+      'ORD-1001',
+      '\'=HYPERLINK("http://evil.example","Click")',
+      '\'+cmd|\' /C calc\'!A0',
+      "'@SUM(1+1)",
+      "'-2+3",
+      '-5.00'
+    ]);
+  });
+
+  it('escapes string cells in the XLSX order sheet', async () => {
+    const body = await SupplierExportService.write('xlsx', 'Orders', columns, [row]);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+
+    const values = workbook.getWorksheet('Orders').getRow(2).values.slice(1);
+
+    expect(values).toEqual([
+      'ORD-1001',
+      '\'=HYPERLINK("http://evil.example","Click")',
+      '\'+cmd|\' /C calc\'!A0',
+      "'@SUM(1+1)",
+      "'-2+3",
+      '-5.00'
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+jest.mock('../src/services/CurrencyService', () => ({
+  convertCurrency: jest.fn(async (amount) => ({ success: true, convertedAmount: amount, rate: 1 }))
+}));
+jest.mock('../src/services/SupplierOrderDispatchService', () => ({
+  dispatch: jest.fn()
+}));
+jest.mock('../src/services/EmailService', () => ({}));
+
+const { query, pool, migrate } = require('./helpers/database');
+const { seedOrder } = require('./helpers/orders');
+const OrderRoutingService = require('../src/services/OrderRoutingService');
+const SupplierOrderEmailService = require('../src/services/SupplierOrderEmailService');
+
+let messageNumber = 0;
+
+const reply = ({ from, supplierOrderId, body }) => Buffer.from([
+  `From: ${from}`,
+  'To: purchasing@shop.example',
+  `Subject: Re: Purchase order ${supplierOrderId}`,
+  `Message-ID: <reply-${++messageNumber}@mail.example>`,
+  `In-Reply-To: <po-${supplierOrderId}.1@shop.example>`,
+  'Date: Mon, 19 Oct 2026 09:00:00 +0000',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  body
+].join('\r\n'));
+
+// A routed order whose supplier uses a free-mail address
+const seedSupplierOrder = async () => {
+  const { orderId, supplierId } = await seedOrder();
+  await query('UPDATE suppliers SET email = $1 WHERE id = $2', [`textil.lda.${supplierId.slice(0, 8)}@gmail.com`, supplierId]);
+  await OrderRoutingService.routeOrder(orderId);
+
+  const supplierOrder = (await query(`
+    SELECT so.id, s.email FROM supplier_orders so JOIN suppliers s ON so.supplier_id = s.id
+    WHERE so.order_id = $1
+  `, [orderId])).rows[0];
+
+  return supplierOrder;
+};
+
+const statusOf = async (supplierOrderId) => (await query(
+  'SELECT status, tracking_number FROM supplier_orders WHERE id = $1',
+  [supplierOrderId]
+)).rows[0];
+
+describe('supplier order email replies', () => {
+  beforeAll(() => migrate(), 60000);
+  afterAll(() => pool.end());
+
+  it('applies a reply from the supplier address', async () => {
+    const supplierOrder = await seedSupplierOrder();
+
+    const result = await SupplierOrderEmailService.handleInboundEmail(
+      reply({ from: supplierOrder.email, supplierOrderId: supplierOrder.id, body: 'Order confirmed, thanks.' }),
+      'reply-1.eml'
+    );
+
+    expect(result.outcome).toBe('acknowledged');
+    expect((await statusOf(supplierOrder.id)).status).toBe('acknowledged');
+  });
+
+  it('leaves replies from other addresses at the same domain to manual review', async () => {
+    const supplierOrder = await seedSupplierOrder();
+
+    const result = await SupplierOrderEmailService.handleInboundEmail(
+      reply({
+        from: 'someone.else@gmail.com',
+        supplierOrderId: supplierOrder.id,
+        body: 'Shipped today. Tracking number: 00340434161094042557'
+      }),
+      'reply-2.eml'
+    );
+
+    expect(result.outcome).toBe('unknown_sender');
+    expect(await statusOf(supplierOrder.id)).toEqual({ status: 'pending', tracking_number: null });
+
+    const logged = (await query(
+      'SELECT outcome, details FROM supplier_inbound_emails WHERE supplier_order_id = $1',
+      [supplierOrder.id]
+    )).rows[0];
+    expect(logged.outcome).toBe('unknown_sender');
+    expect(logged.details).toMatchObject({ domainMatch: true });
+  });
+});
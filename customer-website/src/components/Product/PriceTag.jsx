@@ -0,0 +1,68 @@
+import React from 'react';
+import styled from 'styled-components';
+import { useTranslation } from 'react-i18next';
+
+// Styled components
+const PriceContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+`;
+
+const CurrentPrice = styled.span`
+  font-size: ${props => (props.size === 'large' ? '24px' : '16px')};
+  font-weight: 600;
+  color: ${props => (props.reduced ? props.theme.colors.accent : props.theme.colors.text)};
+`;
+
+const PriceRow = styled.div`
+  display: flex;
+  align-items: baseline;
+  gap: 8px;
+`;
+
+const ReferencePrice = styled.s`
+  font-size: ${props => (props.size === 'large' ? '16px' : '13px')};
+  color: ${props => props.theme.colors.text};
+  text-decoration: line-through;
+  opacity: 0.7;
+`;
+
+const ReferenceNote = styled.span`
+  font-size: 11px;
+  color: ${props => props.theme.colors.text};
+  opacity: 0.7;
+`;
+
+const formatPrice = (amount, currency, language) =>
+  new Intl.NumberFormat(language, { style: 'currency', currency }).format(amount);
+
+// Price display for product cards and detail pages. The struck-through price
+// is always lowestPrice30d from the API (EU Omnibus Directive), never a
+// manually entered "was" price.
+const PriceTag = ({ price, lowestPrice30d = null, currency = 'EUR', size = 'normal' }) => {
+  const { t, i18n } = useTranslation();
+
+  const reduced = lowestPrice30d !== null && lowestPrice30d > price;
+  const referencePrice = reduced ? formatPrice(lowestPrice30d, currency, i18n.language) : null;
+
+  return (
+    <PriceContainer>
+      <PriceRow>
+        <CurrentPrice size={size} reduced={reduced}>
+          {formatPrice(price, currency, i18n.language)}
+        </CurrentPrice>
+
+        {reduced && (
+          <ReferencePrice size={size} aria-label={t('product.lowestPrice30d', { price: referencePrice })}>
+            {referencePrice}
+          </ReferencePrice>
+        )}
+      </PriceRow>
+
+      {reduced && <ReferenceNote>{t('product.lowestPrice30dNote')}</ReferenceNote>}
+    </PriceContainer>
+  );
+};
+
+export default PriceTag;
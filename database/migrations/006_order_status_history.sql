@@ -0,0 +1,53 @@
+-- =====================================================
+-- Migration 006: Order Status History
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Audited order lifecycle transitions
+--
+-- Features:
+--   - One row per order status transition (who, why, when)
+--   - Backfills the current status of existing orders
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 006_order_status_history_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. ORDER STATUS HISTORY
+-- Written exclusively by OrderStateMachine
+-- =====================================================
+CREATE TABLE order_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('customer', 'admin', 'supplier', 'system')),
+    actor_id UUID,
+    reason TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+CREATE INDEX idx_order_status_history_actor ON order_status_history(actor_type, actor_id);
+
+COMMENT ON TABLE order_status_history IS 'Audit trail of order status transitions';
+COMMENT ON COLUMN order_status_history.from_status IS 'NULL for the initial status of an order';
+COMMENT ON COLUMN order_status_history.actor_id IS 'users.id or suppliers.id depending on actor_type; NULL for system';
+
+-- =====================================================
+-- 2. BACKFILL EXISTING ORDERS
+-- =====================================================
+INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, reason, created_at)
+SELECT id, NULL, status, 'system', 'Backfilled by migration 006', COALESCE(updated_at, created_at)
+FROM orders;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify table created
+\dt order_status_history
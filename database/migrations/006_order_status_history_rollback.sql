@@ -0,0 +1,20 @@
+-- =====================================================
+-- ROLLBACK Migration 006: Order Status History
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for order status history
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - order_status_history
+--
+-- Use only if migration 006 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS order_status_history CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
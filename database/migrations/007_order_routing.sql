@@ -0,0 +1,49 @@
+-- =====================================================
+-- Migration 007: Order Routing Decisions
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Audit trail for the weighted-scoring routing engine
+--
+-- Features:
+--   - One row per routing decision for an order item
+--   - Full score breakdown of every candidate source
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 007_order_routing_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. ROUTING DECISIONS
+-- Written by OrderRoutingService
+-- =====================================================
+CREATE TABLE routing_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('routed', 'manual_review')),
+    source_type VARCHAR(30),
+    source_id UUID,
+    supplier_order_id UUID REFERENCES supplier_orders(id) ON DELETE SET NULL,
+    score DECIMAL(5,2),
+    weights JSONB NOT NULL,
+    candidates JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_routing_decisions_order ON routing_decisions(order_id, created_at DESC);
+CREATE INDEX idx_routing_decisions_order_item ON routing_decisions(order_item_id, created_at DESC);
+CREATE INDEX idx_routing_decisions_outcome ON routing_decisions(outcome, created_at DESC);
+
+COMMENT ON TABLE routing_decisions IS 'Why a source was chosen for an order item (weighted scoring breakdown)';
+COMMENT ON COLUMN routing_decisions.candidates IS 'Every candidate source with per-criterion scores, winner first';
+COMMENT ON COLUMN routing_decisions.weights IS 'Scoring weights in effect when the decision was made';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify table created
+\dt routing_decisions
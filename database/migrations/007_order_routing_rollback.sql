@@ -0,0 +1,20 @@
+-- =====================================================
+-- ROLLBACK Migration 007: Order Routing Decisions
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for routing decisions
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - routing_decisions
+--
+-- Use only if migration 007 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS routing_decisions CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
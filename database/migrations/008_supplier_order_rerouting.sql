@@ -0,0 +1,36 @@
+-- =====================================================
+-- Migration 008: Supplier Order Re-routing
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Link re-routed supplier orders to the order they replace
+--
+-- Features:
+--   - Rejected / timed-out supplier orders are kept untouched
+--   - Each reroute attempt points at the supplier order it replaces
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 008_supplier_order_rerouting_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. EXTEND SUPPLIER ORDERS
+-- =====================================================
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS rerouted_from_id UUID REFERENCES supplier_orders(id) ON DELETE SET NULL;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS reroute_attempt INTEGER DEFAULT 0;
+ALTER TABLE supplier_orders ADD COLUMN IF NOT EXISTS reroute_reason VARCHAR(30)
+    CHECK (reroute_reason IN ('rejected', 'sla_timeout'));
+
+CREATE INDEX idx_supplier_orders_rerouted_from ON supplier_orders(rerouted_from_id) WHERE rerouted_from_id IS NOT NULL;
+CREATE INDEX idx_supplier_orders_unacknowledged ON supplier_orders(created_at)
+    WHERE status IN ('pending', 'sent') AND acknowledged_at IS NULL;
+
+COMMENT ON COLUMN supplier_orders.rerouted_from_id IS 'Supplier order this one replaces after a rejection or SLA timeout';
+COMMENT ON COLUMN supplier_orders.reroute_attempt IS '0 for the original routing, +1 per reroute';
+COMMENT ON COLUMN supplier_orders.reroute_reason IS 'Why the previous supplier order was replaced: rejected, sla_timeout';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
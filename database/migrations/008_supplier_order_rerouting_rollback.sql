@@ -0,0 +1,25 @@
+-- =====================================================
+-- ROLLBACK Migration 008: Supplier Order Re-routing
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier order re-routing
+--
+-- Removes the reroute link columns from supplier_orders.
+-- Re-routed supplier orders remain but lose their link to the original.
+--
+-- Use only if migration 008 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_supplier_orders_rerouted_from;
+DROP INDEX IF EXISTS idx_supplier_orders_unacknowledged;
+
+ALTER TABLE supplier_orders DROP COLUMN IF EXISTS reroute_reason;
+ALTER TABLE supplier_orders DROP COLUMN IF EXISTS reroute_attempt;
+ALTER TABLE supplier_orders DROP COLUMN IF EXISTS rerouted_from_id;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,28 @@
+-- =====================================================
+-- Migration 009: Manual Routing Overrides
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Record who routed an order item by hand and why
+--
+-- Features:
+--   - Admin author and note on manual routing decisions
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 009_manual_routing_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. EXTEND ROUTING DECISIONS
+-- =====================================================
+ALTER TABLE routing_decisions ADD COLUMN IF NOT EXISTS decided_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE routing_decisions ADD COLUMN IF NOT EXISTS notes TEXT;
+
+COMMENT ON COLUMN routing_decisions.decided_by IS 'Admin who assigned the source manually (NULL = routing engine)';
+COMMENT ON COLUMN routing_decisions.notes IS 'Admin justification for a manual assignment';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,22 @@
+-- =====================================================
+-- ROLLBACK Migration 009: Manual Routing Overrides
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for manual routing overrides
+--
+-- WARNING: This will DELETE the following columns:
+--   - routing_decisions.decided_by
+--   - routing_decisions.notes
+--
+-- Use only if migration 009 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE routing_decisions DROP COLUMN IF EXISTS notes;
+ALTER TABLE routing_decisions DROP COLUMN IF EXISTS decided_by;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,102 @@
+-- =====================================================
+-- Migration 010: Bulk Repricing
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Repricing runs and the price changes they propose or apply
+--
+-- Features:
+--   - One row per repricing run (trigger, mode, counters, rate snapshot)
+--   - Diff of every proposed price change (old/new price, cost, margin, reason)
+--   - Admin approval workflow for staged changes
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 010_repricing_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. REPRICING RUNS
+-- Written by RepricingService
+-- =====================================================
+CREATE TABLE repricing_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trigger_type VARCHAR(30) NOT NULL CHECK (trigger_type IN (
+        'scheduled', 'supplier_cost', 'exchange_rate', 'pricing_rule', 'full'
+    )),
+    trigger_details JSONB,
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('apply', 'review')),
+    strategy VARCHAR(10) NOT NULL CHECK (strategy IN ('floor', 'target')),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+
+    products_checked INTEGER DEFAULT 0,
+    products_changed INTEGER DEFAULT 0,
+    errors JSONB,
+
+    -- EUR based rates used by this run; the next scheduled run compares against them
+    exchange_rates JSONB,
+
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_repricing_runs_started ON repricing_runs(started_at DESC);
+CREATE INDEX idx_repricing_runs_status ON repricing_runs(status, started_at DESC);
+
+COMMENT ON TABLE repricing_runs IS 'Bulk repricing executions triggered by cost, exchange rate or rule changes';
+COMMENT ON COLUMN repricing_runs.mode IS 'apply = prices updated immediately, review = changes staged for approval';
+COMMENT ON COLUMN repricing_runs.strategy IS 'floor = only fix prices breaking their rule, target = move every price to the target margin';
+
+-- =====================================================
+-- 2. PRICE CHANGES
+-- =====================================================
+CREATE TABLE price_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID REFERENCES repricing_runs(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    pricing_rule_id UUID REFERENCES pricing_rules(id) ON DELETE SET NULL,
+
+    old_price DECIMAL(10,2) NOT NULL,
+    new_price DECIMAL(10,2) NOT NULL,
+    old_cost DECIMAL(10,2),
+    new_cost DECIMAL(10,2),
+    old_margin DECIMAL(7,2),
+    new_margin DECIMAL(7,2),
+    cost_source VARCHAR(20),
+
+    reason VARCHAR(30) NOT NULL CHECK (reason IN (
+        'supplier_cost', 'exchange_rate', 'pricing_rule', 'full'
+    )),
+    adjustment VARCHAR(30) CHECK (adjustment IN (
+        'below_minimum_margin', 'below_minimum_price', 'above_maximum_price', 'target_margin', 'cost_only'
+    )),
+
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN (
+        'pending', 'applied', 'rejected', 'superseded', 'stale'
+    )),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_price_changes_run ON price_changes(run_id);
+CREATE INDEX idx_price_changes_product ON price_changes(product_id, created_at DESC);
+CREATE INDEX idx_price_changes_status ON price_changes(status, created_at DESC);
+-- At most one change waiting for approval per product
+CREATE UNIQUE INDEX idx_price_changes_pending_product ON price_changes(product_id) WHERE status = 'pending';
+
+COMMENT ON TABLE price_changes IS 'Diff report of repricing: proposed or applied price changes';
+COMMENT ON COLUMN price_changes.reason IS 'Change that made the product eligible for repricing';
+COMMENT ON COLUMN price_changes.adjustment IS 'Why the price moved: rule violation, target strategy or cost update only';
+COMMENT ON COLUMN price_changes.status IS 'stale = product price changed before the proposal was approved';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt repricing_runs
+\dt price_changes
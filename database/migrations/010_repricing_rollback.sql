@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK Migration 010: Bulk Repricing
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for bulk repricing
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - price_changes
+--   - repricing_runs
+--
+-- Product prices already applied by repricing are kept.
+--
+-- Use only if migration 010 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS price_changes CASCADE;
+DROP TABLE IF EXISTS repricing_runs CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
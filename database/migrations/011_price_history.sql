@@ -0,0 +1,109 @@
+-- =====================================================
+-- Migration 011: Price History
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Record every retail price change (EU Omnibus Directive)
+--
+-- Features:
+--   - One row per effective price of a product or variant
+--   - Triggers on products.base_price and product_variants.price_adjustment
+--   - Source and actor taken from the transaction settings
+--     app.price_change_source / app.price_change_actor
+--   - Backfill of current prices
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 011_price_history_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. PRICE HISTORY
+-- =====================================================
+CREATE TABLE price_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    price DECIMAL(10,2) NOT NULL,
+    source VARCHAR(30) NOT NULL DEFAULT 'system',
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_price_history_product ON price_history(product_id, variant_id, created_at DESC);
+
+COMMENT ON TABLE price_history IS 'Effective retail prices over time (variant rows include the price adjustment)';
+COMMENT ON COLUMN price_history.variant_id IS 'NULL = product base price';
+COMMENT ON COLUMN price_history.source IS 'admin, repricing, supplier_submission, catalog_import, system, backfill';
+
+-- =====================================================
+-- 2. TRIGGERS
+-- =====================================================
+CREATE OR REPLACE FUNCTION record_product_price_history()
+RETURNS TRIGGER AS $$
+DECLARE
+    change_source VARCHAR(30) := COALESCE(NULLIF(current_setting('app.price_change_source', true), ''), 'system');
+    change_actor UUID := NULLIF(current_setting('app.price_change_actor', true), '')::uuid;
+BEGIN
+    INSERT INTO price_history (product_id, variant_id, price, source, changed_by)
+    VALUES (NEW.id, NULL, NEW.base_price, change_source, change_actor);
+
+    -- A new base price changes the effective price of every variant
+    INSERT INTO price_history (product_id, variant_id, price, source, changed_by)
+    SELECT NEW.id, pv.id, NEW.base_price + COALESCE(pv.price_adjustment, 0), change_source, change_actor
+    FROM product_variants pv
+    WHERE pv.product_id = NEW.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION record_variant_price_history()
+RETURNS TRIGGER AS $$
+DECLARE
+    change_source VARCHAR(30) := COALESCE(NULLIF(current_setting('app.price_change_source', true), ''), 'system');
+    change_actor UUID := NULLIF(current_setting('app.price_change_actor', true), '')::uuid;
+BEGIN
+    INSERT INTO price_history (product_id, variant_id, price, source, changed_by)
+    SELECT NEW.product_id, NEW.id, p.base_price + COALESCE(NEW.price_adjustment, 0), change_source, change_actor
+    FROM products p
+    WHERE p.id = NEW.product_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER products_price_history_insert AFTER INSERT ON products
+    FOR EACH ROW EXECUTE FUNCTION record_product_price_history();
+
+CREATE TRIGGER products_price_history_update AFTER UPDATE OF base_price ON products
+    FOR EACH ROW WHEN (OLD.base_price IS DISTINCT FROM NEW.base_price)
+    EXECUTE FUNCTION record_product_price_history();
+
+CREATE TRIGGER variants_price_history_insert AFTER INSERT ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION record_variant_price_history();
+
+CREATE TRIGGER variants_price_history_update AFTER UPDATE OF price_adjustment ON product_variants
+    FOR EACH ROW WHEN (OLD.price_adjustment IS DISTINCT FROM NEW.price_adjustment)
+    EXECUTE FUNCTION record_variant_price_history();
+
+-- =====================================================
+-- 3. BACKFILL CURRENT PRICES
+-- =====================================================
+INSERT INTO price_history (product_id, variant_id, price, source, created_at)
+SELECT id, NULL, base_price, 'backfill', COALESCE(updated_at, created_at, NOW())
+FROM products;
+
+INSERT INTO price_history (product_id, variant_id, price, source, created_at)
+SELECT pv.product_id, pv.id, p.base_price + COALESCE(pv.price_adjustment, 0), 'backfill',
+       GREATEST(COALESCE(p.updated_at, p.created_at, NOW()), COALESCE(pv.created_at, NOW()))
+FROM product_variants pv
+JOIN products p ON pv.product_id = p.id;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify table created
+\dt price_history
@@ -0,0 +1,30 @@
+-- =====================================================
+-- ROLLBACK Migration 011: Price History
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for price history
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - price_history
+--
+-- Without it lowestPrice30d can no longer be computed.
+--
+-- Use only if migration 011 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS variants_price_history_update ON product_variants;
+DROP TRIGGER IF EXISTS variants_price_history_insert ON product_variants;
+DROP TRIGGER IF EXISTS products_price_history_update ON products;
+DROP TRIGGER IF EXISTS products_price_history_insert ON products;
+
+DROP FUNCTION IF EXISTS record_variant_price_history();
+DROP FUNCTION IF EXISTS record_product_price_history();
+
+DROP TABLE IF EXISTS price_history CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,94 @@
+-- =====================================================
+-- Migration 012: Inventory Reservations
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Stock held per order item from checkout until shipment
+--
+-- Features:
+--   - Reservation per order item with an expiry while payment is pending
+--   - Released on payment failure, cancellation or expiry; converted to a sale on shipment
+--   - Link to the warehouse stock row so product_variants and fulfillment_inventory stay in sync
+--   - Backfill of reservations already held by paid orders
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 012_inventory_reservations_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. INVENTORY RESERVATIONS
+-- Written by InventoryReservationService
+-- =====================================================
+CREATE TABLE inventory_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+    fulfillment_inventory_id UUID REFERENCES fulfillment_inventory(id) ON DELETE SET NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN (
+        'held', 'committed', 'released', 'expired', 'converted'
+    )),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    release_reason VARCHAR(30),
+    released_at TIMESTAMP WITH TIME ZONE,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_inventory_reservations_order ON inventory_reservations(order_id);
+CREATE INDEX idx_inventory_reservations_variant ON inventory_reservations(variant_id);
+CREATE INDEX idx_inventory_reservations_expiry ON inventory_reservations(expires_at)
+    WHERE status = 'held';
+-- At most one active reservation per order item
+CREATE UNIQUE INDEX idx_inventory_reservations_active_item ON inventory_reservations(order_item_id)
+    WHERE status IN ('held', 'committed');
+
+COMMENT ON TABLE inventory_reservations IS 'Stock held for order items (mirrors product_variants.reserved_quantity)';
+COMMENT ON COLUMN inventory_reservations.status IS 'held = checkout, committed = paid, released/expired = stock returned, converted = sold on shipment';
+COMMENT ON COLUMN inventory_reservations.expires_at IS 'Held reservations are released by the sweeper after this time; NULL once paid';
+COMMENT ON COLUMN inventory_reservations.fulfillment_inventory_id IS 'Warehouse stock also reserved when the item is routed to the own warehouse';
+
+-- =====================================================
+-- 2. BACKFILL
+-- Paid orders already hold stock through a 'reserve' movement
+-- =====================================================
+INSERT INTO inventory_reservations (
+    order_id, order_item_id, product_id, variant_id, fulfillment_inventory_id, quantity, status, created_at
+)
+SELECT
+    oi.order_id, oi.id, oi.product_id, oi.variant_id,
+    (
+        SELECT fi.id
+        FROM routing_decisions rd
+        JOIN fulfillment_inventory fi
+            ON fi.product_id = oi.product_id AND fi.variant_id IS NOT DISTINCT FROM oi.variant_id
+        WHERE rd.order_item_id = oi.id
+            AND rd.outcome = 'routed'
+            AND rd.source_type = 'own_warehouse'
+            AND rd.created_at = (
+                SELECT MAX(latest.created_at) FROM routing_decisions latest WHERE latest.order_item_id = oi.id
+            )
+        LIMIT 1
+    ),
+    oi.quantity, 'committed', o.updated_at
+FROM order_items oi
+JOIN orders o ON oi.order_id = o.id
+WHERE oi.variant_id IS NOT NULL
+    AND o.status IN ('confirmed', 'processing')
+    AND EXISTS (
+        SELECT 1 FROM inventory_movements m
+        WHERE m.reference_id = o.id AND m.variant_id = oi.variant_id AND m.type = 'reserve'
+    );
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt inventory_reservations
@@ -0,0 +1,23 @@
+-- =====================================================
+-- ROLLBACK Migration 012: Inventory Reservations
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for inventory reservations
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - inventory_reservations
+--
+-- reserved_quantity on product_variants and fulfillment_inventory is kept
+-- as is; held checkout reservations will no longer expire.
+--
+-- Use only if migration 012 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS inventory_reservations CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,86 @@
+-- =====================================================
+-- Migration 013: Inventory Reconciliation
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Replay the inventory_movements ledger against the stored stock counters
+--
+-- Features:
+--   - Reconciliation runs with every mismatch found (ledger, reservations, warehouse)
+--   - Admin who posted a correcting movement
+--   - Opening balance so the ledger starts from the current stock levels
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 013_inventory_reconciliation_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. INVENTORY MOVEMENTS
+-- Manual corrections record who posted them (reason goes into notes)
+-- =====================================================
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_variant_created ON inventory_movements(variant_id, created_at DESC);
+
+COMMENT ON COLUMN inventory_movements.quantity IS 'Positive for restock/sale/reserve/release; signed delta for adjustment';
+COMMENT ON COLUMN inventory_movements.created_by IS 'Admin who posted a manual adjustment';
+
+-- =====================================================
+-- 2. RECONCILIATION RUNS
+-- Written by InventoryReconciliationService
+-- =====================================================
+CREATE TABLE inventory_reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('scheduled', 'manual')),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+
+    variants_checked INTEGER DEFAULT 0,
+    mismatch_count INTEGER DEFAULT 0,
+    total_drift INTEGER DEFAULT 0,
+    drift_threshold INTEGER NOT NULL,
+    alerted BOOLEAN DEFAULT false,
+    mismatches JSONB,
+    error TEXT,
+
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_inventory_reconciliation_runs_started ON inventory_reconciliation_runs(started_at DESC);
+CREATE INDEX idx_inventory_reconciliation_runs_trigger ON inventory_reconciliation_runs(trigger_type, started_at DESC);
+
+COMMENT ON TABLE inventory_reconciliation_runs IS 'Ledger replays comparing inventory_movements with product_variants and fulfillment_inventory';
+COMMENT ON COLUMN inventory_reconciliation_runs.total_drift IS 'Sum of absolute differences over all mismatches, in units';
+COMMENT ON COLUMN inventory_reconciliation_runs.alerted IS 'total_drift exceeded drift_threshold';
+
+-- =====================================================
+-- 3. OPENING BALANCE
+-- Stock was set without restock movements until now; start the ledger
+-- from the current counters so only drift from here on is reported
+-- =====================================================
+INSERT INTO inventory_movements (variant_id, type, quantity, notes)
+SELECT pv.id, 'adjustment', pv.stock_quantity - COALESCE(ledger.stock, 0), 'Opening balance'
+FROM product_variants pv
+LEFT JOIN (
+    SELECT
+        variant_id,
+        SUM(CASE type
+            WHEN 'restock' THEN quantity
+            WHEN 'sale' THEN -quantity
+            WHEN 'adjustment' THEN quantity
+            ELSE 0
+        END) as stock
+    FROM inventory_movements
+    GROUP BY variant_id
+) ledger ON ledger.variant_id = pv.id
+WHERE pv.stock_quantity <> COALESCE(ledger.stock, 0);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt inventory_reconciliation_runs
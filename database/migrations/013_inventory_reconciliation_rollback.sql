@@ -0,0 +1,26 @@
+-- =====================================================
+-- ROLLBACK Migration 013: Inventory Reconciliation
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for inventory reconciliation
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - inventory_reconciliation_runs
+--
+-- Also REMOVES inventory_movements.created_by.
+-- Opening balance and manual adjustment movements are kept.
+--
+-- Use only if migration 013 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS inventory_reconciliation_runs CASCADE;
+
+DROP INDEX IF EXISTS idx_inventory_movements_variant_created;
+ALTER TABLE inventory_movements DROP COLUMN IF EXISTS created_by;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
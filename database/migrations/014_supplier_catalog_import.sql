@@ -0,0 +1,70 @@
+-- =====================================================
+-- Migration 014: Supplier Catalog Import
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: CSV/XLSX catalog uploads with a saved column mapping per supplier
+--
+-- Features:
+--   - Column mapping from the supplier's file headers to supplier_catalogs fields
+--   - Log of every import (dry-run or committed) with its row-by-row report
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 014_supplier_catalog_import_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. IMPORT MAPPINGS
+-- One saved mapping per supplier
+-- =====================================================
+CREATE TABLE supplier_import_mappings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    supplier_id UUID NOT NULL UNIQUE REFERENCES suppliers(id) ON DELETE CASCADE,
+    column_mapping JSONB NOT NULL,
+    default_currency VARCHAR(3) DEFAULT 'EUR',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE supplier_import_mappings IS 'How the columns of a supplier catalog file map to supplier_catalogs';
+COMMENT ON COLUMN supplier_import_mappings.column_mapping IS 'Catalog field -> file column header, e.g. {"supplier_price": "Preis"}';
+COMMENT ON COLUMN supplier_import_mappings.default_currency IS 'Used when no currency column is mapped or the cell is empty';
+
+-- =====================================================
+-- 2. IMPORT LOG
+-- Written by SupplierCatalogImportService
+-- =====================================================
+CREATE TABLE supplier_catalog_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    file_name VARCHAR(255),
+    file_type VARCHAR(10) NOT NULL CHECK (file_type IN ('csv', 'xlsx')),
+    dry_run BOOLEAN NOT NULL,
+    column_mapping JSONB NOT NULL,
+
+    rows_total INTEGER DEFAULT 0,
+    rows_invalid INTEGER DEFAULT 0,
+    rows_created INTEGER DEFAULT 0,
+    rows_updated INTEGER DEFAULT 0,
+    report JSONB,
+
+    uploaded_by_type VARCHAR(20) NOT NULL CHECK (uploaded_by_type IN ('supplier', 'admin')),
+    uploaded_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_supplier_catalog_imports_supplier ON supplier_catalog_imports(supplier_id, created_at DESC);
+
+COMMENT ON TABLE supplier_catalog_imports IS 'Catalog file uploads and their validation report';
+COMMENT ON COLUMN supplier_catalog_imports.report IS 'Per-row outcome: create/update/invalid with validation errors';
+COMMENT ON COLUMN supplier_catalog_imports.rows_created IS 'For dry runs: rows that would be created';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt supplier_import_mappings
+\dt supplier_catalog_imports
@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK Migration 014: Supplier Catalog Import
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier catalog import
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - supplier_catalog_imports
+--   - supplier_import_mappings
+--
+-- Catalog entries already imported into supplier_catalogs are kept.
+--
+-- Use only if migration 014 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS supplier_catalog_imports CASCADE;
+DROP TABLE IF EXISTS supplier_import_mappings CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
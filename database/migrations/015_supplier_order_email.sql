@@ -0,0 +1,65 @@
+-- =====================================================
+-- Migration 015: Supplier Order Emails
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Purchase-order emails to suppliers and parsing of their replies
+--
+-- Features:
+--   - Language of the purchase-order emails per supplier
+--   - Attachment format (PDF or CSV) per supplier
+--   - Log of inbound supplier emails (acknowledgements, tracking numbers, bounces)
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 015_supplier_order_email_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SUPPLIERS
+-- Purchase orders go to email_order_address in the supplier's language
+-- =====================================================
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS language_preference VARCHAR(5) DEFAULT 'en'
+    CHECK (language_preference IN ('en', 'pt', 'de', 'fr', 'es'));
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS order_attachment_format VARCHAR(10) DEFAULT 'pdf'
+    CHECK (order_attachment_format IN ('pdf', 'csv'));
+
+COMMENT ON COLUMN suppliers.language_preference IS 'Language of purchase-order emails';
+COMMENT ON COLUMN suppliers.order_attachment_format IS 'Purchase order attached as PDF or as the CSV order sheet';
+
+-- =====================================================
+-- 2. INBOUND SUPPLIER EMAILS
+-- Raw MIME files picked up from the inbound folder by SupplierOrderEmailService
+-- =====================================================
+CREATE TABLE supplier_inbound_emails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id VARCHAR(500) UNIQUE,
+    file_name VARCHAR(500) NOT NULL,
+    supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL,
+    supplier_order_id UUID REFERENCES supplier_orders(id) ON DELETE SET NULL,
+    from_address VARCHAR(255),
+    subject TEXT,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN (
+        'acknowledged', 'shipped', 'bounced', 'unmatched', 'unknown_sender', 'ignored', 'failed'
+    )),
+    tracking_number VARCHAR(200),
+    shipping_carrier VARCHAR(50),
+    details JSONB,
+    received_at TIMESTAMP WITH TIME ZONE,
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_supplier_inbound_emails_order ON supplier_inbound_emails(supplier_order_id, processed_at DESC);
+CREATE INDEX idx_supplier_inbound_emails_outcome ON supplier_inbound_emails(outcome, processed_at DESC);
+
+COMMENT ON TABLE supplier_inbound_emails IS 'Supplier replies and delivery reports parsed from raw MIME files';
+COMMENT ON COLUMN supplier_inbound_emails.message_id IS 'Message-ID header; a file delivered twice is processed once';
+COMMENT ON COLUMN supplier_inbound_emails.outcome IS 'What the email did to the supplier order (unmatched = no order reference found)';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt supplier_inbound_emails
@@ -0,0 +1,26 @@
+-- =====================================================
+-- ROLLBACK Migration 015: Supplier Order Emails
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier order emails
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - supplier_inbound_emails
+--
+-- Also REMOVES suppliers.language_preference and suppliers.order_attachment_format.
+-- notification_response of supplier orders is kept.
+--
+-- Use only if migration 015 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS supplier_inbound_emails CASCADE;
+
+ALTER TABLE suppliers DROP COLUMN IF EXISTS order_attachment_format;
+ALTER TABLE suppliers DROP COLUMN IF EXISTS language_preference;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,61 @@
+-- =====================================================
+-- Migration 016: Supplier Catalog Sync
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Scheduled catalog and stock sync from supplier APIs, FTP/SFTP drop folders and CSV feeds
+--
+-- Features:
+--   - Log of every sync run with rows added, updated, marked out of stock and failed
+--   - Sync source settings live in suppliers.integration_config.sync
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 016_supplier_catalog_sync_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SYNC LOG
+-- Written by SupplierCatalogSyncService
+-- =====================================================
+CREATE TABLE supplier_sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    source VARCHAR(10) NOT NULL CHECK (source IN ('api', 'ftp', 'sftp', 'csv')),
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('catalog', 'stock')),
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('scheduled', 'manual')),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'skipped', 'failed')),
+    file_name VARCHAR(500),
+    file_modified_at TIMESTAMP WITH TIME ZONE,
+
+    rows_total INTEGER DEFAULT 0,
+    rows_added INTEGER DEFAULT 0,
+    rows_updated INTEGER DEFAULT 0,
+    rows_deactivated INTEGER DEFAULT 0,
+    rows_errors INTEGER DEFAULT 0,
+    errors JSONB,
+    error_message TEXT,
+
+    triggered_by UUID,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_supplier_sync_runs_supplier ON supplier_sync_runs(supplier_id, started_at DESC);
+CREATE INDEX idx_supplier_sync_runs_status ON supplier_sync_runs(status, started_at DESC);
+
+COMMENT ON TABLE supplier_sync_runs IS 'Catalog/stock sync runs per supplier and their row counts';
+COMMENT ON COLUMN supplier_sync_runs.scope IS 'catalog = full entries (prices, lead times), stock = quantities of known entries only';
+COMMENT ON COLUMN supplier_sync_runs.rows_deactivated IS 'Entries missing from the feed, set to stock_status out_of_stock';
+COMMENT ON COLUMN supplier_sync_runs.errors IS 'Rows that could not be applied: [{line, externalProductId, errors}]';
+COMMENT ON COLUMN supplier_sync_runs.file_modified_at IS 'Drop-folder file of the run; an unchanged file is skipped next time';
+
+COMMENT ON COLUMN suppliers.sync_frequency_hours IS 'Hours between scheduled catalog syncs; 0 disables them';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt supplier_sync_runs
@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK Migration 016: Supplier Catalog Sync
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier catalog sync
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - supplier_sync_runs
+--
+-- Catalog entries already synced into supplier_catalogs are kept.
+--
+-- Use only if migration 016 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS supplier_sync_runs CASCADE;
+
+COMMENT ON COLUMN suppliers.sync_frequency_hours IS NULL;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,63 @@
+-- =====================================================
+-- Migration 017: Supplier Catalog Matching
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Suggested links between unlinked supplier catalog entries and platform products
+--
+-- Features:
+--   - Match suggestions scored by SKU, name similarity and attributes, confirmed or rejected by admins
+--   - Catalog entries an admin dismissed leave the matching queue
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 017_supplier_catalog_matching_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. CATALOG MATCH STATE
+-- =====================================================
+ALTER TABLE supplier_catalogs ADD COLUMN IF NOT EXISTS match_checked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE supplier_catalogs ADD COLUMN IF NOT EXISTS match_dismissed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_supplier_catalogs_unlinked ON supplier_catalogs(supplier_id, match_checked_at)
+    WHERE product_id IS NULL AND match_dismissed_at IS NULL;
+
+COMMENT ON COLUMN supplier_catalogs.match_checked_at IS 'Last time match suggestions were computed for this entry';
+COMMENT ON COLUMN supplier_catalogs.match_dismissed_at IS 'Admin decided the entry has no product (yet); hidden from the matching queue';
+
+-- =====================================================
+-- 2. MATCH SUGGESTIONS
+-- Written by SupplierCatalogMatchService
+-- =====================================================
+CREATE TABLE supplier_catalog_matches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    catalog_id UUID NOT NULL REFERENCES supplier_catalogs(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    score DECIMAL(4,3) NOT NULL,
+    reasons JSONB,
+    status VARCHAR(20) DEFAULT 'suggested' CHECK (status IN ('suggested', 'confirmed', 'rejected')),
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_supplier_catalog_matches_pair ON supplier_catalog_matches(
+    catalog_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+CREATE INDEX idx_supplier_catalog_matches_open ON supplier_catalog_matches(catalog_id, score DESC)
+    WHERE status = 'suggested';
+
+COMMENT ON TABLE supplier_catalog_matches IS 'Candidate products for supplier catalog entries and the admin decision';
+COMMENT ON COLUMN supplier_catalog_matches.score IS '0-1; 1 = identical SKU, otherwise name similarity weighted with size/color/material';
+COMMENT ON COLUMN supplier_catalog_matches.reasons IS 'What matched, e.g. {"sku": "variant", "name": 0.82, "size": true}';
+COMMENT ON COLUMN supplier_catalog_matches.status IS 'rejected pairs are never suggested again';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt supplier_catalog_matches
@@ -0,0 +1,26 @@
+-- =====================================================
+-- ROLLBACK Migration 017: Supplier Catalog Matching
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier catalog matching
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - supplier_catalog_matches
+--
+-- Links already confirmed (supplier_catalogs.product_id, inventory_sources) are kept.
+--
+-- Use only if migration 017 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS supplier_catalog_matches CASCADE;
+
+DROP INDEX IF EXISTS idx_supplier_catalogs_unlinked;
+ALTER TABLE supplier_catalogs DROP COLUMN IF EXISTS match_dismissed_at;
+ALTER TABLE supplier_catalogs DROP COLUMN IF EXISTS match_checked_at;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,99 @@
+-- =====================================================
+-- Migration 018: Supplier Product Submissions
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Products submitted through the supplier portal and their admin review
+--
+-- Features:
+--   - supplier_products / supplier_product_images written by POST /api/suppliers/products
+--   - Review state (pending, rejected with reason, live) and the admin decision
+--   - Edits of live products as revisions that go through the same review
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 018_supplier_product_submissions_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SUBMITTED PRODUCTS
+-- Reviewed by SupplierProductReviewService
+-- =====================================================
+CREATE TABLE supplier_products (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    revision_of UUID REFERENCES supplier_products(id) ON DELETE CASCADE,
+
+    -- As submitted by the supplier
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    category VARCHAR(100),
+    price DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'EUR',
+    stock_quantity INTEGER DEFAULT 0,
+    sku VARCHAR(100) NOT NULL,
+    weight DECIMAL(10,2),
+    dimensions VARCHAR(100),
+    colors JSONB,
+    sizes JSONB,
+    materials JSONB,
+    tags JSONB,
+
+    -- Review
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'active', 'inactive')),
+    rejection_reason TEXT,
+    review JSONB,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Revisions repeat the SKU of their product; at most one open revision per product
+CREATE UNIQUE INDEX idx_supplier_products_sku ON supplier_products(supplier_id, sku) WHERE revision_of IS NULL;
+CREATE UNIQUE INDEX idx_supplier_products_open_revision ON supplier_products(revision_of)
+    WHERE revision_of IS NOT NULL AND status = 'pending';
+CREATE INDEX idx_supplier_products_queue ON supplier_products(submitted_at) WHERE status = 'pending';
+CREATE INDEX idx_supplier_products_supplier ON supplier_products(supplier_id, status);
+CREATE INDEX idx_supplier_products_product ON supplier_products(product_id) WHERE product_id IS NOT NULL;
+
+CREATE TRIGGER update_supplier_products_updated_at BEFORE UPDATE ON supplier_products
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE supplier_products IS 'Products submitted by suppliers; approved submissions become products';
+COMMENT ON COLUMN supplier_products.product_id IS 'Product created (or, for revisions, updated) on approval';
+COMMENT ON COLUMN supplier_products.revision_of IS 'Live submission this pending edit would change';
+COMMENT ON COLUMN supplier_products.category IS 'Category as named by the supplier; the admin picks the category on approval';
+COMMENT ON COLUMN supplier_products.price IS 'Supplier price (our cost) in currency';
+COMMENT ON COLUMN supplier_products.weight IS 'Grams';
+COMMENT ON COLUMN supplier_products.status IS 'pending, rejected, active/inactive (live product), approved (revision applied)';
+COMMENT ON COLUMN supplier_products.review IS 'Compliance checklist and pricing at the time of the decision';
+
+-- =====================================================
+-- 2. SUBMITTED IMAGES
+-- Copied to product_images on approval
+-- =====================================================
+CREATE TABLE supplier_product_images (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    supplier_product_id UUID NOT NULL REFERENCES supplier_products(id) ON DELETE CASCADE,
+    image_url VARCHAR(500) NOT NULL,
+    alt_text VARCHAR(255),
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_supplier_product_images_product ON supplier_product_images(supplier_product_id, sort_order);
+
+COMMENT ON TABLE supplier_product_images IS 'Images uploaded with a supplier product submission';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt supplier_products
+\dt supplier_product_images
@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK Migration 018: Supplier Product Submissions
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier product submissions
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - supplier_products
+--   - supplier_product_images
+--
+-- Products created from approved submissions are kept.
+--
+-- Use only if migration 018 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS supplier_product_images CASCADE;
+DROP TABLE IF EXISTS supplier_products CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
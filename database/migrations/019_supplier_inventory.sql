@@ -0,0 +1,61 @@
+-- =====================================================
+-- Migration 019: Supplier Inventory
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Stock movements suppliers post through the portal and automatic off-sale of sold-out products
+--
+-- Features:
+--   - One history row per stock change of a supplier catalog entry, with the supplier's note
+--   - Products and variants taken off sale because no source has stock are marked, so they return on restock
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 019_supplier_inventory_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. STOCK MOVEMENTS
+-- Written by SupplierInventoryService
+-- =====================================================
+CREATE TABLE supplier_inventory_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    catalog_id UUID NOT NULL REFERENCES supplier_catalogs(id) ON DELETE CASCADE,
+    external_product_id VARCHAR(200) NOT NULL,
+    previous_quantity INTEGER NOT NULL,
+    new_quantity INTEGER NOT NULL,
+    quantity_change INTEGER NOT NULL,
+    previous_status VARCHAR(20),
+    new_status VARCHAR(20),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('portal', 'bulk')),
+    batch_id UUID,
+    notes TEXT,
+    took_off_sale BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_supplier_inventory_movements_catalog ON supplier_inventory_movements(catalog_id, created_at DESC);
+CREATE INDEX idx_supplier_inventory_movements_supplier ON supplier_inventory_movements(supplier_id, created_at DESC);
+CREATE INDEX idx_supplier_inventory_movements_batch ON supplier_inventory_movements(batch_id) WHERE batch_id IS NOT NULL;
+
+COMMENT ON TABLE supplier_inventory_movements IS 'Stock changes suppliers made to their catalog entries';
+COMMENT ON COLUMN supplier_inventory_movements.source IS 'portal = single update, bulk = one row of a bulk update (same batch_id)';
+COMMENT ON COLUMN supplier_inventory_movements.took_off_sale IS 'The change left the linked product or variant without stock and it was deactivated';
+
+-- =====================================================
+-- 2. OFF-SALE MARKERS
+-- =====================================================
+ALTER TABLE products ADD COLUMN IF NOT EXISTS off_sale_reason VARCHAR(30);
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS off_sale_reason VARCHAR(30);
+
+COMMENT ON COLUMN products.off_sale_reason IS 'Set when is_active was switched off automatically (out_of_stock); cleared when it is switched back on';
+COMMENT ON COLUMN product_variants.off_sale_reason IS 'Set when is_active was switched off automatically (out_of_stock); cleared when it is switched back on';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt supplier_inventory_movements
@@ -0,0 +1,25 @@
+-- =====================================================
+-- ROLLBACK Migration 019: Supplier Inventory
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for supplier inventory movements
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - supplier_inventory_movements
+--
+-- Products and variants taken off sale for lack of stock stay inactive.
+--
+-- Use only if migration 019 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS supplier_inventory_movements CASCADE;
+
+ALTER TABLE product_variants DROP COLUMN IF EXISTS off_sale_reason;
+ALTER TABLE products DROP COLUMN IF EXISTS off_sale_reason;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,82 @@
+-- =====================================================
+-- Migration 020: Shipments
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: One row per parcel handed to a carrier, created through the shipping adapters
+--
+-- Features:
+--   - Records which carrier and service each shipment used, with its tracking number and cost
+--   - Cancelled shipments are kept with the reason
+--   - Existing DHL shipments on orders are carried over
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 020_shipments_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SHIPMENTS
+-- Written by ShipmentService
+-- =====================================================
+CREATE TABLE shipments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    supplier_order_id UUID REFERENCES supplier_orders(id) ON DELETE SET NULL,
+    carrier VARCHAR(20) NOT NULL,
+    service_level VARCHAR(20),
+    service_code VARCHAR(50),
+    external_shipment_id VARCHAR(100),
+    tracking_number VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'created' CHECK (status IN (
+        'created', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned', 'cancelled'
+    )),
+    cost DECIMAL(10,2),
+    currency VARCHAR(3),
+    estimated_delivery_date DATE,
+    packages JSONB DEFAULT '[]',
+    carrier_response JSONB,
+    created_by UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_shipments_order ON shipments(order_id);
+CREATE UNIQUE INDEX idx_shipments_tracking ON shipments(carrier, tracking_number) WHERE tracking_number IS NOT NULL;
+CREATE INDEX idx_shipments_status ON shipments(status) WHERE status NOT IN ('delivered', 'cancelled');
+
+CREATE TRIGGER update_shipments_updated_at BEFORE UPDATE ON shipments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE shipments IS 'Parcels handed to a carrier through a shipping adapter';
+COMMENT ON COLUMN shipments.carrier IS 'Shipping adapter code: dhl, dpd, hermes, generic';
+COMMENT ON COLUMN shipments.external_shipment_id IS 'The carrier''s own shipment or order ID, used to cancel and re-fetch labels';
+COMMENT ON COLUMN shipments.carrier_response IS 'Carrier response to the create call, without the label';
+
+-- =====================================================
+-- 2. EXISTING DHL SHIPMENTS
+-- =====================================================
+INSERT INTO shipments (order_id, carrier, external_shipment_id, tracking_number, status, estimated_delivery_date, created_at)
+SELECT
+    o.id,
+    'dhl',
+    o.dhl_shipment_id,
+    o.tracking_number,
+    CASE WHEN o.status = 'delivered' THEN 'delivered' ELSE 'in_transit' END,
+    o.estimated_delivery,
+    o.updated_at
+FROM orders o
+WHERE o.dhl_shipment_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+COMMENT ON COLUMN orders.dhl_shipment_id IS 'Superseded by shipments; no longer written';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt shipments
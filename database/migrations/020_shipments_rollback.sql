@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK Migration 020: Shipments
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for shipments
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - shipments
+--
+-- Shipments created with carriers other than DHL are not written back to orders.
+--
+-- Use only if migration 020 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS shipments CASCADE;
+
+COMMENT ON COLUMN orders.dhl_shipment_id IS NULL;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
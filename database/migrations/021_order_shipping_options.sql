@@ -0,0 +1,33 @@
+-- =====================================================
+-- Migration 021: Order Shipping Options
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Delivery option the customer chose at checkout
+--
+-- Features:
+--   - Orders keep the option ID, carrier and service level that were quoted
+--   - Shipments are created with the chosen carrier and service
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 021_order_shipping_options_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. CHOSEN SHIPPING OPTION
+-- Written by OrderService, read by ShipmentService
+-- =====================================================
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_option_id VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_carrier VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_service_level VARCHAR(20)
+    CHECK (shipping_service_level IN ('standard', 'express'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_service_code VARCHAR(50);
+
+COMMENT ON COLUMN orders.shipping_option_id IS 'Option ID from POST /api/shipping/calculate: zone:<zone id> or <carrier>:<service code>';
+COMMENT ON COLUMN orders.shipping_carrier IS 'Carrier the customer chose; NULL for the zone price, which ships with the default carrier';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,22 @@
+-- =====================================================
+-- ROLLBACK Migration 021: Order Shipping Options
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for order shipping options
+--
+-- WARNING: This will DELETE the shipping option customers chose on their orders.
+--
+-- Use only if migration 021 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS shipping_service_code;
+ALTER TABLE orders DROP COLUMN IF EXISTS shipping_service_level;
+ALTER TABLE orders DROP COLUMN IF EXISTS shipping_carrier;
+ALTER TABLE orders DROP COLUMN IF EXISTS shipping_option_id;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
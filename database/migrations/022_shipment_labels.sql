@@ -0,0 +1,48 @@
+-- =====================================================
+-- Migration 022: Shipment Labels
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Shipping labels kept per shipment and format for printing
+--
+-- Features:
+--   - One stored label per shipment and format (PDF, ZPL), in file storage
+--   - Labels fetched from the carrier or rendered by us are told apart
+--   - Last print time, so the warehouse sees which labels are still to print
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 022_shipment_labels_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SHIPMENT LABELS
+-- Written by ShippingLabelService
+-- =====================================================
+CREATE TABLE shipment_labels (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    format VARCHAR(3) NOT NULL CHECK (format IN ('PDF', 'ZPL')),
+    storage_key VARCHAR(255) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('carrier', 'generated')),
+    printed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (shipment_id, format)
+);
+
+CREATE INDEX idx_shipment_labels_unprinted ON shipment_labels(created_at) WHERE printed_at IS NULL;
+
+COMMENT ON TABLE shipment_labels IS 'Shipping labels in file storage, one per shipment and format';
+COMMENT ON COLUMN shipment_labels.storage_key IS 'Key in file storage (FILE_STORAGE_DRIVER), e.g. labels/<shipment id>.pdf';
+COMMENT ON COLUMN shipment_labels.source IS 'carrier = returned by the carrier API, generated = rendered by the generic adapter';
+COMMENT ON COLUMN shipment_labels.printed_at IS 'Last time the label was downloaded for printing';
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt shipment_labels
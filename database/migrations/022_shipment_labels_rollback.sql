@@ -0,0 +1,22 @@
+-- =====================================================
+-- ROLLBACK Migration 022: Shipment Labels
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for shipment labels
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - shipment_labels
+--
+-- Label files stay in file storage and have to be removed by hand.
+--
+-- Use only if migration 022 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS shipment_labels CASCADE;
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
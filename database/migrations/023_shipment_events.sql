@@ -0,0 +1,104 @@
+-- =====================================================
+-- Migration 023: Shipment Events
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Carrier tracking events stored per shipment, from webhooks and polling
+--
+-- Features:
+--   - Tracking timeline of every shipment, each carrier event stored once
+--   - Current tracking state on shipments, so tracking pages never call the carrier
+--   - Delivery exceptions as an order and supplier order status
+--   - Parcels shipped by suppliers with a known carrier become shipments, so they are tracked too
+--
+-- Estimated Duration: < 1 minute
+-- Rollback: See 023_shipment_events_rollback.sql
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- 1. SHIPMENT EVENTS
+-- Written by ShipmentTrackingService
+-- =====================================================
+CREATE TABLE shipment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL CHECK (status IN (
+        'pending', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned', 'unknown'
+    )),
+    code VARCHAR(100),
+    description TEXT,
+    location JSONB,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    source VARCHAR(10) NOT NULL CHECK (source IN ('webhook', 'poll')),
+    event_key VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (shipment_id, event_key)
+);
+
+CREATE INDEX idx_shipment_events_timeline ON shipment_events(shipment_id, occurred_at DESC);
+
+COMMENT ON TABLE shipment_events IS 'Carrier tracking events of shipments';
+COMMENT ON COLUMN shipment_events.status IS 'Normalized tracking status (TRACKING_STATUSES of the shipping adapters)';
+COMMENT ON COLUMN shipment_events.code IS 'The carrier''s own status or scan code';
+COMMENT ON COLUMN shipment_events.location IS '{ city, postalCode, country } or NULL';
+COMMENT ON COLUMN shipment_events.event_key IS 'Hash of time, code and description; the same event pushed and polled is stored once';
+
+-- =====================================================
+-- 2. TRACKING STATE OF SHIPMENTS
+-- =====================================================
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS status_description TEXT;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS origin JSONB;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS destination JSONB;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_shipments_poll ON shipments(last_polled_at NULLS FIRST)
+    WHERE status IN ('created', 'in_transit', 'out_for_delivery', 'exception') AND tracking_number IS NOT NULL;
+
+COMMENT ON COLUMN shipments.status_description IS 'Latest status text reported by the carrier';
+COMMENT ON COLUMN shipments.last_event_at IS 'Time of the newest stored shipment event';
+COMMENT ON COLUMN shipments.last_polled_at IS 'Last tracking poll; only set for carriers without webhooks';
+
+-- =====================================================
+-- 3. DELIVERY EXCEPTIONS
+-- A parcel the carrier could not deliver (address problem, damage, held at customs)
+-- =====================================================
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+    'pending', 'confirmed', 'processing', 'shipped', 'exception', 'delivered', 'cancelled', 'refunded'
+));
+
+ALTER TABLE supplier_orders DROP CONSTRAINT IF EXISTS supplier_orders_status_check;
+ALTER TABLE supplier_orders ADD CONSTRAINT supplier_orders_status_check CHECK (status IN (
+    'pending', 'sent', 'acknowledged', 'accepted', 'processing',
+    'shipped', 'exception', 'delivered', 'rejected', 'cancelled', 'failed'
+));
+
+-- =====================================================
+-- 4. SUPPLIER PARCELS
+-- Shipped supplier orders whose carrier has a shipping adapter
+-- =====================================================
+INSERT INTO shipments (order_id, supplier_order_id, carrier, tracking_number, status, estimated_delivery_date, created_at)
+SELECT
+    so.order_id,
+    so.id,
+    LOWER(so.shipping_carrier),
+    so.tracking_number,
+    CASE WHEN so.status = 'delivered' THEN 'delivered' ELSE 'in_transit' END,
+    so.estimated_delivery_date,
+    COALESCE(so.shipped_at, so.updated_at)
+FROM supplier_orders so
+WHERE so.status IN ('shipped', 'delivered')
+  AND so.tracking_number IS NOT NULL
+  AND LOWER(so.shipping_carrier) IN ('dhl', 'dpd', 'hermes')
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+COMMIT;
+
+-- Verify tables created
+\dt shipment_events
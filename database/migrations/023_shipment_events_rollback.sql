@@ -0,0 +1,46 @@
+-- =====================================================
+-- ROLLBACK Migration 023: Shipment Events
+-- =====================================================
+-- Date: October 19, 2026
+-- Description: Rollback script for shipment events
+--
+-- WARNING: This will DELETE all data in the following tables:
+--   - shipment_events
+--
+-- Shipments of supplier parcels are deleted; orders and supplier orders with a
+-- delivery exception are set back to shipped.
+--
+-- Use only if migration 023 needs to be undone!
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS shipment_events CASCADE;
+
+DELETE FROM shipments WHERE supplier_order_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_shipments_poll;
+ALTER TABLE shipments DROP COLUMN IF EXISTS last_polled_at;
+ALTER TABLE shipments DROP COLUMN IF EXISTS last_event_at;
+ALTER TABLE shipments DROP COLUMN IF EXISTS delivered_at;
+ALTER TABLE shipments DROP COLUMN IF EXISTS destination;
+ALTER TABLE shipments DROP COLUMN IF EXISTS origin;
+ALTER TABLE shipments DROP COLUMN IF EXISTS status_description;
+
+UPDATE orders SET status = 'shipped' WHERE status = 'exception';
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+    'pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'
+));
+
+UPDATE supplier_orders SET status = 'shipped' WHERE status = 'exception';
+ALTER TABLE supplier_orders DROP CONSTRAINT IF EXISTS supplier_orders_status_check;
+ALTER TABLE supplier_orders ADD CONSTRAINT supplier_orders_status_check CHECK (status IN (
+    'pending', 'sent', 'acknowledged', 'accepted', 'processing',
+    'shipped', 'delivered', 'rejected', 'cancelled', 'failed'
+));
+
+-- =====================================================
+-- ROLLBACK COMPLETE
+-- =====================================================
+COMMIT;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTranslation } from 'react-i18next';
+
+const formatPrice = (amount, currency, language) =>
+  new Intl.NumberFormat(language, { style: 'currency', currency }).format(amount);
+
+// The struck-through price is always lowestPrice30d from the API (EU Omnibus
+// Directive), never a manually entered "was" price
+const PriceTag = ({ price, lowestPrice30d = null, currency = 'EUR', large = false }) => {
+  const { t, i18n } = useTranslation();
+
+  const reduced = lowestPrice30d !== null && lowestPrice30d > price;
+  const referencePrice = reduced ? formatPrice(lowestPrice30d, currency, i18n.language) : null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.priceRow}>
+        <Text style={[styles.price, large && styles.priceLarge, reduced && styles.priceReduced]}>
+          {formatPrice(price, currency, i18n.language)}
+        </Text>
+
+        {reduced && (
+          <Text
+            style={[styles.referencePrice, large && styles.referencePriceLarge]}
+            accessibilityLabel={t('product.lowestPrice30d', { price: referencePrice })}
+          >
+            {referencePrice}
+          </Text>
+        )}
+      </View>
+
+      {reduced && <Text style={styles.referenceNote}>{t('product.lowestPrice30dNote')}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'column',
+  },
+  priceRow: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+  },
+  price: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  priceLarge: {
+    fontSize: 24,
+  },
+  priceReduced: {
+    color: '#d32f2f',
+  },
+  referencePrice: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 8,
+    textDecorationLine: 'line-through',
+  },
+  referencePriceLarge: {
+    fontSize: 16,
+  },
+  referenceNote: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default PriceTag;
@@ -19,20 +19,47 @@ import { formatDate } from '../../services/i18n';
 
 const TrackingScreen = ({ route, navigation }) => {
   const { t } = useTranslation();
-  const { trackingNumber: initialTrackingNumber } = route.params || {};
+  const { trackingNumber: initialTrackingNumber, orderId } = route.params || {};
   
   const [trackingNumber, setTrackingNumber] = useState(initialTrackingNumber || '');
   const [trackingData, setTrackingData] = useState(null);
   const [orderData, setOrderData] = useState(null);
+  const [shipments, setShipments] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (initialTrackingNumber) {
+    if (orderId) {
+      handleTrackOrder();
+    } else if (initialTrackingNumber) {
       handleTrackShipment();
     }
-  }, [initialTrackingNumber]);
+  }, [orderId, initialTrackingNumber]);
+
+  // An order may arrive in several parcels, each with its own tracking
+  const handleTrackOrder = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await ShippingService.trackOrder(orderId);
+
+      if (result.success) {
+        setOrderData(result.data.order);
+        setShipments(result.data.shipments);
+        setTrackingData(null);
+      } else {
+        setError(result.error);
+        setOrderData(null);
+        setShipments([]);
+      }
+    } catch (error) {
+      setError(t('tracking.trackingFailed'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
   const handleTrackShipment = async () => {
     if (!trackingNumber.trim()) {
@@ -49,6 +76,7 @@ const TrackingScreen = ({ route, navigation }) => {
       if (result.success) {
         setTrackingData(result.data.tracking);
         setOrderData(result.data.order);
+        setShipments([]);
       } else {
         setError(result.error);
         setTrackingData(null);
@@ -62,6 +90,13 @@ const TrackingScreen = ({ route, navigation }) => {
   };
 
   const handleRefresh = async () => {
+    if (orderId) {
+      setIsRefreshing(true);
+      await handleTrackOrder();
+      setIsRefreshing(false);
+      return;
+    }
+
     if (!trackingNumber.trim()) return;
     
     setIsRefreshing(true);
@@ -78,8 +113,27 @@ const TrackingScreen = ({ route, navigation }) => {
     };
   };
 
-  const renderTrackingEvents = () => {
-    if (!trackingData?.events || trackingData.events.length === 0) {
+  // Timelines are stored as carriers report them; show how fresh they are
+  const renderLastUpdated = (tracking) => {
+    if (!tracking?.lastUpdatedAt) return null;
+
+    return (
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>{t('tracking.lastUpdated')}</Text>
+        <Text style={styles.detailValue}>
+          {formatDate(tracking.lastUpdatedAt, 'en', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderTrackingEvents = (events = trackingData?.events) => {
+    if (!events || events.length === 0) {
       return (
         <View style={styles.noEventsContainer}>
           <Icon name="info" size={24} color="#999" />
@@ -91,14 +145,14 @@ const TrackingScreen = ({ route, navigation }) => {
     return (
       <View style={styles.eventsContainer}>
         <Text style={styles.sectionTitle}>{t('tracking.trackingHistory')}</Text>
-        {trackingData.events.map((event, index) => (
+        {events.map((event, index) => (
           <View key={index} style={styles.eventItem}>
             <View style={styles.eventIndicator}>
               <View style={[
                 styles.eventDot, 
                 index === 0 && styles.currentEventDot
               ]} />
-              {index < trackingData.events.length - 1 && (
+              {index < events.length - 1 && (
                 <View style={styles.eventLine} />
               )}
             </View>
@@ -163,7 +217,7 @@ const TrackingScreen = ({ route, navigation }) => {
               styles.orderInfoValue,
               { color: getStatusStyle(orderData.status).color }
             ]}>
-              {t(`orderStatus.${orderData.status}`)}
+              {t(`orderStatus.${orderData.fulfillment_status || orderData.status}`)}
             </Text>
           </View>
         </View>
@@ -233,12 +287,93 @@ const TrackingScreen = ({ route, navigation }) => {
                 </Text>
               </View>
             )}
+
+            {renderLastUpdated(trackingData)}
           </View>
         </View>
       </View>
     );
   };
 
+  const renderShipments = () => {
+    if (shipments.length === 0) return null;
+
+    return shipments.map((shipment, index) => {
+      const statusStyle = getStatusStyle(shipment.tracking?.status || shipment.status);
+
+      return (
+        <View key={shipment.id || `shipment-${index}`} style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            {t('tracking.shipmentOf', { current: index + 1, total: shipments.length })}
+          </Text>
+          <View style={styles.trackingInfoContainer}>
+            <View style={styles.statusContainer}>
+              <Icon
+                name={statusStyle.icon}
+                size={32}
+                color={statusStyle.color}
+                style={styles.statusIcon}
+              />
+              <View style={styles.statusTextContainer}>
+                <Text style={[styles.statusText, { color: statusStyle.color }]}>
+                  {t(`shipmentStatus.${shipment.status}`)}
+                </Text>
+                {shipment.tracking?.statusDescription && (
+                  <Text style={styles.statusDescription}>
+                    {shipment.tracking.statusDescription}
+                  </Text>
+                )}
+              </View>
+            </View>
+
+            <View style={styles.trackingDetails}>
+              {shipment.carrier && (
+                <View style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>{t('tracking.carrier')}</Text>
+                  <Text style={styles.detailValue}>{shipment.carrier}</Text>
+                </View>
+              )}
+
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>{t('tracking.trackingNumber')}</Text>
+                <Text style={styles.detailValue}>
+                  {shipment.trackingNumber || t('tracking.notShippedYet')}
+                </Text>
+              </View>
+
+              {shipment.estimatedDelivery && (
+                <View style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>{t('tracking.estimatedDelivery')}</Text>
+                  <Text style={styles.detailValue}>
+                    {formatDate(shipment.estimatedDelivery, 'en', {
+                      year: 'numeric',
+                      month: 'long',
+                      day: 'numeric'
+                    })}
+                  </Text>
+                </View>
+              )}
+
+              {renderLastUpdated(shipment.tracking)}
+            </View>
+
+            <View style={styles.shipmentItems}>
+              {shipment.items.map((item) => (
+                <Text key={item.id} style={styles.shipmentItemText}>
+                  {item.quantity} × {item.product_name}
+                  {item.size ? ` · ${item.size}` : ''}
+                  {item.color ? ` · ${item.color}` : ''}
+                </Text>
+              ))}
+            </View>
+          </View>
+
+          {shipment.trackingNumber && renderTrackingEvents(shipment.tracking?.events)}
+        </View>
+      );
+    });
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView
@@ -252,31 +387,33 @@ const TrackingScreen = ({ route, navigation }) => {
         }
       >
         {/* Tracking Input Section */}
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>{t('tracking.enterTrackingNumber')}</Text>
-          <View style={styles.inputContainer}>
-            <TextInput
-              style={styles.trackingInput}
-              value={trackingNumber}
-              onChangeText={setTrackingNumber}
-              placeholder={t('tracking.trackingNumberPlaceholder')}
-              placeholderTextColor="#999"
-              autoCapitalize="characters"
-              autoCorrect={false}
-            />
-            <TouchableOpacity
-              style={[styles.trackButton, isLoading && styles.disabledButton]}
-              onPress={handleTrackShipment}
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <ActivityIndicator color="#fff" size="small" />
-              ) : (
-                <Icon name="search" size={24} color="#fff" />
-              )}
-            </TouchableOpacity>
+        {!orderId && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('tracking.enterTrackingNumber')}</Text>
+            <View style={styles.inputContainer}>
+              <TextInput
+                style={styles.trackingInput}
+                value={trackingNumber}
+                onChangeText={setTrackingNumber}
+                placeholder={t('tracking.trackingNumberPlaceholder')}
+                placeholderTextColor="#999"
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={[styles.trackButton, isLoading && styles.disabledButton]}
+                onPress={handleTrackShipment}
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <ActivityIndicator color="#fff" size="small" />
+                ) : (
+                  <Icon name="search" size={24} color="#fff" />
+                )}
+              </TouchableOpacity>
+            </View>
           </View>
-        </View>
+        )}
 
         {/* Error Message */}
         {error && (
@@ -289,6 +426,9 @@ const TrackingScreen = ({ route, navigation }) => {
         {/* Order Information */}
         {renderOrderInfo()}
 
+        {/* Shipments of the order (one per parcel) */}
+        {renderShipments()}
+
         {/* Tracking Information */}
         {renderTrackingInfo()}
 
@@ -504,6 +644,17 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#999',
   },
+  shipmentItems: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  shipmentItemText: {
+    fontSize: 14,
+    color: '#333',
+    paddingVertical: 2,
+  },
   noEventsContainer: {
     alignItems: 'center',
     paddingVertical: 20,
@@ -31,10 +31,11 @@ class ShippingService {
     }
   }
 
-  // Calculate shipping cost
-  async calculateShippingCost({ recipient, items, sender = null }) {
+  // Calculate shipping cost and the delivery options to choose from.
+  // Pass the chosen option's id as shippingOptionId when creating the order.
+  async calculateShippingCost({ recipient, items, sender = null, currency = 'EUR' }) {
     try {
-      const response = await api.shipping.calculateShipping(recipient, items, sender);
+      const response = await api.shipping.calculateShipping(recipient, items, sender, currency);
       
       return {
         success: true,
@@ -44,7 +45,8 @@ class ShippingService {
           totalWeight: response.data.totalWeight,
           totalValue: response.data.totalValue,
           shippingZone: response.data.shippingZone,
-          dhlRates: response.data.dhlRates || []
+          currency: response.data.currency,
+          options: response.data.options || []
         }
       };
     } catch (error) {
@@ -77,6 +79,27 @@ class ShippingService {
     }
   }
 
+  // Track every shipment of an order
+  async trackOrder(orderId, language) {
+    try {
+      const response = await api.orders.getTracking(orderId, language ? { language } : undefined);
+
+      return {
+        success: true,
+        data: {
+          order: response.data.order,
+          shipments: response.data.shipments
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to track order:', error);
+      return {
+        success: false,
+        error: error.userMessage || 'Failed to track order'
+      };
+    }
+  }
+
   // Validate shipping address
   async validateAddress(address) {
     try {
@@ -171,6 +194,11 @@ class ShippingService {
         color: '#2196F3',
         icon: 'local-shipping'
       },
+      'out_for_delivery': {
+        label: 'Out for Delivery',
+        color: '#3F51B5',
+        icon: 'directions-run'
+      },
       'delivered': {
         label: 'Delivered',
         color: '#4CAF50',
@@ -181,6 +209,11 @@ class ShippingService {
         color: '#FF5722',
         icon: 'error'
       },
+      'returned': {
+        label: 'Returned',
+        color: '#795548',
+        icon: 'undo'
+      },
       'unknown': {
         label: 'Unknown',
         color: '#757575',
@@ -162,6 +162,7 @@ export const api = {
     getById: (id) => apiClient.get(`/orders/${id}`),
     cancel: (id) => apiClient.put(`/orders/${id}/cancel`),
     track: (trackingNumber) => apiClient.get(`/orders/track/${trackingNumber}`),
+    getTracking: (id, params) => apiClient.get(`/orders/${id}/tracking`, { params }),
   },
   
   // Payment endpoints
@@ -185,8 +186,8 @@ export const api = {
   // Shipping endpoints
   shipping: {
     getZones: () => apiClient.get('/shipping/zones'),
-    calculateShipping: (address, items) => 
-      apiClient.post('/shipping/calculate', { address, items }),
+    calculateShipping: (recipient, items, sender, currency) =>
+      apiClient.post('/shipping/calculate', { recipient, items, sender, currency }),
     trackPackage: (trackingNumber) => apiClient.get(`/shipping/track/${trackingNumber}`),
   },
   
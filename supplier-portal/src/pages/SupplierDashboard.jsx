@@ -48,7 +48,7 @@ import {
   Cell,
 } from 'recharts';
 import { useQuery } from 'react-query';
-import { fetchSupplierStats, fetchSupplierOrders, fetchSupplierProducts } from '../services/api';
+import { fetchSupplierStats, fetchSupplierOrders, fetchSupplierProducts, fetchSupplierPerformance } from '../services/api';
 import { useAuth } from '../hooks/useAuth';
 import { formatCurrency, formatDate } from '../utils/helpers';
 
@@ -254,10 +254,33 @@ const SupplierDashboard = () => {
     }
   );
 
+  // Monthly scorecards are recomputed nightly
+  const { data: performance } = useQuery(
+    'supplierPerformance',
+    () => fetchSupplierPerformance({ months: 6 }),
+    {
+      refetchInterval: 3600000, // Refresh every hour
+    }
+  );
+
   if (statsLoading || ordersLoading || productsLoading) {
     return <Box sx={{ p: 3 }}><LinearProgress /></Box>;
   }
 
+  // Avg Rating trend: change of the latest monthly score vs. the month before
+  const scoredPeriods = (performance?.periods || []).filter((period) => period.performance_score !== null);
+  const previousScore = scoredPeriods.length > 1 ? parseFloat(scoredPeriods[scoredPeriods.length - 2].performance_score) : null;
+  const ratingChange = performance?.change != null && previousScore
+    ? Math.round((performance.change / previousScore) * 1000) / 10
+    : 0;
+  const averageRating = performance
+    ? {
+      value: performance.rating ?? 0,
+      change: ratingChange,
+      trend: ratingChange >= 0 ? 'up' : 'down',
+    }
+    : mockStats.averageRating;
+
   return (
     <Box>
       {/* Welcome Section */}
@@ -321,10 +344,10 @@ const SupplierDashboard = () => {
         <Grid item xs={12} sm={6} md={4} lg={2}>
           <StatCard
             title="Avg Rating"
-            value={mockStats.averageRating.value}
-            change={mockStats.averageRating.change}
-            trend={mockStats.averageRating.trend}
-            icon={<TrendingUp />}
+            value={averageRating.value}
+            change={averageRating.change}
+            trend={averageRating.trend}
+            icon={averageRating.trend === 'up' ? <TrendingUp /> : <TrendingDown />}
             suffix="/5"
           />
         </Grid>
@@ -168,27 +168,85 @@ export const getSupplierOrder = async (id) => {
   return response.data;
 };
 
+// status: acknowledged | accepted | processing | rejected (notes = reason, required)
 export const updateOrderStatus = async (id, status, notes = '') => {
   const response = await api.patch(`/suppliers/orders/${id}/status`, { status, notes });
   return response.data;
 };
 
+// trackingData: { carrier, trackingNumber, estimatedDeliveryDate?, shippedAt? }; marks the order shipped
 export const addOrderTracking = async (id, trackingData) => {
   const response = await api.post(`/suppliers/orders/${id}/tracking`, trackingData);
   return response.data;
 };
 
+// Open orders with empty tracking_number / shipping_carrier / shipped_at columns to fill in
+export const exportSupplierOrders = (format = 'csv') =>
+  downloadFile(`/suppliers/orders/export?format=${format}`, `orders.${format}`);
+
+// Dry run by default: returns the row-by-row report without shipping anything
+export const importOrderSheet = async (file, { dryRun = true } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('dryRun', String(dryRun));
+
+  const response = await api.post('/suppliers/orders/import', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+// Catalog import API functions
+export const getCatalogImportMapping = async () => {
+  const response = await api.get('/suppliers/catalog/import/mapping');
+  return response.data;
+};
+
+export const saveCatalogImportMapping = async (columns, defaultCurrency = 'EUR') => {
+  const response = await api.put('/suppliers/catalog/import/mapping', { columns, defaultCurrency });
+  return response.data;
+};
+
+// Dry run by default: returns the row-by-row report without changing the catalog
+export const importCatalog = async (file, { dryRun = true, mapping = null } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('dryRun', String(dryRun));
+  if (mapping) {
+    formData.append('mapping', JSON.stringify(mapping));
+  }
+
+  const response = await api.post('/suppliers/catalog/import', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const fetchCatalogImports = async (params = {}) => {
+  const response = await api.get('/suppliers/catalog/imports', { params });
+  return response.data;
+};
+
+export const exportCatalog = (format = 'csv') =>
+  downloadFile(`/suppliers/catalog/export?format=${format}`, `catalog.${format}`);
+
 // Inventory API functions
 export const fetchSupplierInventory = async (params = {}) => {
   const response = await api.get('/suppliers/inventory', { params });
   return response.data;
 };
 
+// productId is the catalog entry id returned by fetchSupplierInventory
 export const updateInventoryQuantity = async (productId, quantity, notes = '') => {
   const response = await api.patch(`/suppliers/inventory/${productId}`, { quantity, notes });
   return response.data;
 };
 
+// updates: [{ id | sku, quantity, notes? }]; returns { batchId, updated, failed, results } with one result per row
 export const bulkUpdateInventory = async (updates) => {
   const response = await api.patch('/suppliers/inventory/bulk', { updates });
   return response.data;
@@ -205,6 +263,12 @@ export const fetchSupplierStats = async () => {
   return response.data;
 };
 
+// Rating (0-5), latest monthly score and the scorecards behind it, oldest first
+export const fetchSupplierPerformance = async (params = {}) => {
+  const response = await api.get('/suppliers/analytics/performance', { params });
+  return response.data;
+};
+
 export const fetchSupplierSalesData = async (params = {}) => {
   const response = await api.get('/suppliers/analytics/sales', { params });
   return response.data;